@@ -7,118 +7,379 @@
  */
 // Import side-effect modules so IndexedDB helpers and text utilities register on global scope.
 import './db.js';
+import './urls.js'; // attaches canonicalizeUrl, resolveCanonicalUrl to global self
 import './text.js';
+import './rules.js'; // attaches parseCaptureRules, evaluateCaptureRules, ... to global self
+import './jobs.js'; // attaches enqueueJob, takeDueJob, finishJob, sealJobPayload, ... to global self
+import './pagestore.js'; // attaches listPageHeads, loadPage, savePageDoc, ... to global self
+import './limiter.js'; // attaches createRateLimiter, holdSlotUntilRead to global self
+import './retention.js'; // attaches normalizeRetentionPolicy, planRetention to global self
+import './vault.js'; // attaches sealText, openRecord, unlockVault, getVaultKey, ... to global self
 
 // ---------------------------------------------------------------------------
-// Capture queue: ensures we process one page at a time per MV3 limitations.
+// Job queue: captures and summaries run from the persistent `jobs` store in
+// separate lanes with their own concurrency, so summaries never hold up
+// embedding and a worker restart resumes instead of losing work. Failed runs
+// are retried with backoff via chrome.alarms.
+// Heavy kinds (summaries, highlight generation, re-embedding) are deferred:
+// they only run while chrome.idle reports idle/locked, or once enough of them
+// pile up, unless deferral is turned off in settings.
 // ---------------------------------------------------------------------------
-const PROCESS_QUEUE = [];
-let PROCESSING = false;
-const ENQUEUED_URLS = new Set();
-let CURRENT_URL = null;
+const JOBS_ALARM = 'wr-jobs';
+let JOBS_RUNNING = false;
+let JOBS_KICKED = false;
+const DEFERRED_JOB_KINDS = ['summary', 'highlights', 'reembed'];
+const IDLE_DETECTION_SEC = 60;
+let IDLE_STATE = 'active';
+let DEFER_HEAVY_JOBS = true;
+let DEFER_QUEUE_THRESHOLD = 25;
+let HEAVY_JOBS_BLOCKED = false;
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// Shape read by the sidepanel processing list (GET_PROCESSING, PAGE_PROCESSING_*).
+function jobToProcessingEntry(job) {
+  return {
+    url: job.url,
+    title: job.title,
+    timestamp: job.createdAt,
+    status: job.state,
+    attempts: job.attempts,
+    nextRunAt: job.state === 'queued' ? job.nextRunAt : null,
+    lastError: job.lastError || null
+  };
+}
 
-function enqueueProcess(message, delayMs = 0) {
-  try {
-    const url = message && message.url;
-    if (!url) return;
-    // If already queued, update payload and keep the larger delay
-    for (let i = 0; i < PROCESS_QUEUE.length; i++) {
-      const it = PROCESS_QUEUE[i];
-      if (it.url === url) {
-        it.message = message;
-        it.delayMs = Math.max(it.delayMs || 0, delayMs || 0);
-        return;
+async function enqueueProcess(message, delayMs = 0) {
+  const url = message && message.url;
+  if (!url) return null;
+  // Capture payloads hold page text, which can't be sealed while locked
+  if (await isVaultLocked()) {
+    LOGGER.info('capture skipped (locked)', { url });
+    return null;
+  }
+  // The job's own title is listed in the queue; mask it like the stored one
+  const { redactTypes } = await getSettings();
+  const title = redactText(String(message.title || ''), redactTypes).text;
+  return enqueueJob({ kind: 'capture', key: url, payload: await sealJobPayload(message), url, title, delayMs })
+    .then(job => {
+      try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_STARTED', page: jobToProcessingEntry(job) }); } catch (_) {}
+      runJobs();
+      return job;
+    })
+    .catch(err => { LOGGER.error('enqueue capture failed', { url, error: String(err) }); return null; });
+}
+
+// Used by highlights view and maintenance flows to (re)generate missing summaries.
+function enqueueSummaryBackfill(task) {
+  // task: { id, date }
+  if (!task || typeof task.id !== 'number') return;
+  enqueueJob({ kind: 'summary', key: task.id, payload: { id: task.id, date: task.date || null } })
+    .then(() => runJobs())
+    .catch(() => {});
+}
+
+async function runSummaryJob(task) {
+  const page = await loadPage(task.id, { chunks: 'latest' });
+  if (!page) return;
+  if (page.summary && page.summary.length > 0) return;
+  const latest = Array.isArray(page.versions) ? page.versions[page.latestVersionIndex] : null;
+  const combined = pageFullText(page).trim();
+  if (!combined) return;
+  const sum = await withRetry(() => computeSummary(combined), { retries: 1, delayMs: 1200 });
+  if (!sum || sum.length === 0) throw new Error('Empty summary');
+  const saved = await patchPageSummary(page.id, latest ? latest.hash : null, sum);
+  if (!saved) return;
+  const dateStr = task.date || formatLocalYMD(page.timestamp);
+  try { await removeHighlightCache(dateStr); } catch (_) {}
+  // Backfills requested by the highlights view rebuild that day's digest too
+  if (task.date) enqueueHighlightsJob(dateStr);
+}
+
+function enqueueHighlightsJob(date) {
+  if (!date) return;
+  enqueueJob({ kind: 'highlights', key: date, payload: { date } })
+    .then(() => runJobs())
+    .catch(() => {});
+}
+
+async function runHighlightsJob(task) {
+  try { await removeHighlightCache(task.date); } catch (_) {}
+  await getHighlights(task.date);
+}
+
+// Memory Manager "Backfill": embed missing items and fill centroids/hashes and
+// near-duplicate fingerprints, then queue summaries.
+function enqueueReembed(id) {
+  return enqueueJob({ kind: 'reembed', key: id, payload: { id } }).then(job => { runJobs(); return job; });
+}
+
+async function runReembedJob(task) {
+  const head = await getPageHead(task.id);
+  if (!head) return;
+  // Same lock as captures of this page so neither overwrites the other
+  await withKeyLock(head.canonicalUrl || String(head.id), async () => {
+    const rec = await loadPage(task.id, { chunks: 'all' });
+    if (!rec || rec.versions.length === 0) return;
+    const filled = [];
+    for (const v of rec.versions) {
+      filled.push(await ensureVersionData(v));
+    }
+    rec.versions = filled;
+    // Records from before SimHash fingerprints get one, and their duplicate link
+    if (typeof rec.simhash !== 'string' || !Array.isArray(rec.simhashBands)) {
+      const fingerprint = versionFingerprint(rec.versions[rec.latestVersionIndex]);
+      if (fingerprint) {
+        rec.simhash = fingerprint;
+        rec.simhashBands = simhashBands(fingerprint);
+        try {
+          const nearDup = await findNearDuplicate(await openDB(), fingerprint, rec.canonicalUrl, rec.id);
+          rec.duplicateOf = nearDup ? nearDup.primaryId : null;
+        } catch (err) {
+          LOGGER.warn('near-duplicate check failed', { error: String(err), url: rec.url });
+        }
       }
     }
-    // If currently processing this exact URL, skip enqueuing a duplicate
-    if (CURRENT_URL === url) return;
-    PROCESS_QUEUE.push({ url, message, delayMs: delayMs || 0 });
-    ENQUEUED_URLS.add(url);
-    runProcessQueue();
-  } catch (_) {}
+    await savePage(rec);
+    const cur = rec.versions[rec.latestVersionIndex];
+    if (!cur || !cur.summary) enqueueSummaryBackfill({ id: rec.id });
+    try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
+  });
 }
 
-async function runProcessQueue() {
-  if (PROCESSING) return;
-  PROCESSING = true;
+// Write a summary onto the stored record unless the page was re-captured with
+// different content in the meantime (that capture queues its own summary job).
+async function patchPageSummary(id, versionHash, summary) {
+  const stored = await sealText(summary);
+  return patchLatestVersion(id, (head, latest) => {
+    if (versionHash && latest.hash !== versionHash) return false;
+    head.summary = stored;
+    latest.summary = stored;
+  });
+}
+
+const JOB_HANDLERS = {
+  capture: async (job) => {
+    const message = await openJobPayload(job.payload);
+    return withKeyLock(captureLockKey(message), () => processAndStore(message));
+  },
+  summary: (job) => runSummaryJob(job.payload),
+  highlights: (job) => runHighlightsJob(job.payload),
+  reembed: (job) => runReembedJob(job.payload),
+  clip: (job) => runClipJob(job.payload)
+};
+
+// Per-kind worker lanes; limits come from settings (embedConcurrency / summaryConcurrency).
+const JOB_ACTIVE = { capture: 0, summary: 0, highlights: 0, reembed: 0, clip: 0 };
+const JOB_LIMITS = { capture: 2, summary: 1, highlights: 1, reembed: 1, clip: 1 };
+
+/**
+ * Whether deferred (heavy) jobs may start now: deferral is off, the user is
+ * idle or the screen is locked, or the deferred backlog reached the threshold.
+ */
+async function heavyJobsAllowed() {
+  if (!DEFER_HEAVY_JOBS || IDLE_STATE !== 'active') return true;
   try {
-    while (PROCESS_QUEUE.length > 0) {
-      const { url, message, delayMs } = PROCESS_QUEUE.shift();
-      ENQUEUED_URLS.delete(url);
-      CURRENT_URL = url;
-      if (delayMs && delayMs > 0) {
-        try { await sleep(delayMs); } catch (_) {}
-      }
-      try {
-        await processAndStore(message);
-      } catch (err) {
-        try { await LOGGER.error('queue worker error', { url, error: String(err) }); } catch (_) {}
-      } finally {
-        CURRENT_URL = null;
-      }
-    }
-  } finally {
-    PROCESSING = false;
+    return (await countQueuedJobs(DEFERRED_JOB_KINDS)) >= DEFER_QUEUE_THRESHOLD;
+  } catch (_) {
+    return true;
   }
 }
 
-// ---------------------------------------------------------------------------
-// Summary backfill queue: generate missing per-page summaries independently.
-// ---------------------------------------------------------------------------
-const SUMMARY_QUEUE = [];
-let SUMMARY_RUNNING = false;
+// Serialize work on the same key (e.g. two URLs that share a canonical record).
+const KEY_LOCKS = new Map();
+function withKeyLock(key, fn) {
+  const prev = KEY_LOCKS.get(key) || Promise.resolve();
+  const run = prev.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  KEY_LOCKS.set(key, tail);
+  tail.then(() => { if (KEY_LOCKS.get(key) === tail) KEY_LOCKS.delete(key); });
+  return run;
+}
+function captureLockKey(message) {
+  try {
+    const meta = sanitizePageMeta(message && message.meta);
+    return resolveCanonicalUrl(message.url, meta && meta.canonicalUrl);
+  } catch (_) {
+    return String(message && message.url);
+  }
+}
 
-// Used by highlights view and maintenance flows to (re)generate missing summaries.
-function enqueueSummaryBackfill(task) {
-  // task: { id, date }
-  if (!task || typeof task.id !== 'number') return;
-  if (SUMMARY_QUEUE.find(t => t.id === task.id)) return; // dedupe by id
-  SUMMARY_QUEUE.push({ id: task.id, date: task.date || null, attempts: 0 });
-  runSummaryQueue();
+// -------- Pipeline throughput (in-memory, since worker start) --------
+const STATS_WINDOW_MS = 5 * 60 * 1000;
+const PIPELINE_EVENTS = []; // { kind, at, ms, ok, chunks }
+
+function recordJobRun(kind, ms, ok, chunks = 0) {
+  const now = Date.now();
+  PIPELINE_EVENTS.push({ kind, at: now, ms, ok, chunks });
+  while (PIPELINE_EVENTS.length && PIPELINE_EVENTS[0].at < now - STATS_WINDOW_MS) PIPELINE_EVENTS.shift();
 }
 
-async function runSummaryQueue() {
-  if (SUMMARY_RUNNING) return;
-  SUMMARY_RUNNING = true;
+/**
+ * Throughput over the last five minutes per job kind, plus live lane and
+ * Ollama limiter occupancy. Read by the sidepanel processing section.
+ * @param {object[]} [jobs] current job records, for queue depth
+ */
+function getPipelineStats(jobs = []) {
+  const now = Date.now();
+  const recent = PIPELINE_EVENTS.filter(e => e.at >= now - STATS_WINDOW_MS);
+  const spanMin = Math.max(1, Math.min(STATS_WINDOW_MS, now - (recent.length ? recent[0].at : now))) / 60000;
+  const out = { windowMs: STATS_WINDOW_MS, ollama: OLLAMA_LIMITER.stats(), deferred: HEAVY_JOBS_BLOCKED, idleState: IDLE_STATE };
+  for (const kind of Object.keys(JOB_HANDLERS)) {
+    const runs = recent.filter(e => e.kind === kind);
+    const ok = runs.filter(e => e.ok);
+    const chunks = ok.reduce((n, e) => n + (e.chunks || 0), 0);
+    out[kind] = {
+      running: JOB_ACTIVE[kind] || 0,
+      limit: JOB_LIMITS[kind] || 1,
+      queued: jobs.filter(j => j.kind === kind && j.state === 'queued').length,
+      completed: ok.length,
+      failed: runs.length - ok.length,
+      perMinute: Math.round((ok.length / spanMin) * 10) / 10,
+      chunksPerMinute: Math.round((chunks / spanMin) * 10) / 10,
+      avgMs: ok.length ? Math.round(ok.reduce((n, e) => n + e.ms, 0) / ok.length) : 0
+    };
+  }
+  return out;
+}
+
+// Wake the worker for the next queued job; clears the alarm when nothing is waiting.
+// Deferred kinds that are held back are woken by chrome.idle instead.
+async function scheduleJobAlarm() {
+  if (!chrome.alarms) return;
   try {
-    while (SUMMARY_QUEUE.length > 0) {
-      const task = SUMMARY_QUEUE.shift();
-      try {
-        const page = await getPageById(task.id);
-        if (!page) continue;
-        if (page.summary && page.summary.length > 0) continue;
-        const combined = (page.items || []).map(it => it.text || '').join(' ').trim();
-        if (!combined) continue;
-        const sum = await withRetry(() => computeSummary(combined), { retries: 1, delayMs: 1200 });
-        if (sum && sum.length > 0) {
-          page.summary = sum;
-          const db = await openDB();
-          await new Promise((resolve, reject) => {
-            const tx = db.transaction(STORE_NAME, 'readwrite');
-            tx.objectStore(STORE_NAME).put(page);
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => reject(tx.error);
+    const kinds = HEAVY_JOBS_BLOCKED ? Object.keys(JOB_HANDLERS).filter(k => !DEFERRED_JOB_KINDS.includes(k)) : null;
+    const at = await nextJobRunAt(kinds);
+    if (at === null) await chrome.alarms.clear(JOBS_ALARM);
+    else chrome.alarms.create(JOBS_ALARM, { when: Math.max(Date.now() + 1000, at) });
+  } catch (_) {}
+}
+
+async function executeJob(job) {
+  const handler = JOB_HANDLERS[job.kind];
+  const start = Date.now();
+  let error = null;
+  let result = null;
+  if (job.kind === 'capture') {
+    try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_UPDATED', url: job.url, fields: { status: 'running', attempts: job.attempts } }); } catch (_) {}
+  }
+  try {
+    if (!handler) throw new Error(`Unknown job kind "${job.kind}"`);
+    result = await handler(job);
+  } catch (err) {
+    error = err || new Error('Job failed');
+  }
+  recordJobRun(job.kind, Date.now() - start, !error, (result && result.chunks) || 0);
+  let after = null;
+  try { after = await finishJob(job.id, error); } catch (err) { LOGGER.error('finishJob failed', { id: job.id, error: String(err) }); }
+  if (error) {
+    LOGGER.warn('job failed', { id: job.id, attempts: job.attempts, state: after && after.state, error: String(error) });
+  }
+  if (job.kind === 'capture' && after) {
+    if (after.state === 'done') {
+      try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_ENDED', url: job.url }); } catch (_) {}
+    } else {
+      try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_UPDATED', url: job.url, fields: jobToProcessingEntry(after) }); } catch (_) {}
+    }
+  }
+}
+
+// Fill every lane up to its limit; each finished job calls back in to refill.
+async function runJobs() {
+  if (JOBS_RUNNING) { JOBS_KICKED = true; return; }
+  JOBS_RUNNING = true;
+  try {
+    await JOBS_RESUMED;
+    do {
+      JOBS_KICKED = false;
+      // Every job reads or writes page text: hold them while locked or during a vault rewrite
+      if (VAULT_BUSY || await isVaultLocked()) break;
+      HEAVY_JOBS_BLOCKED = !(await heavyJobsAllowed());
+      for (const kind of Object.keys(JOB_HANDLERS)) {
+        if (HEAVY_JOBS_BLOCKED && DEFERRED_JOB_KINDS.includes(kind)) continue;
+        while (JOB_ACTIVE[kind] < JOB_LIMITS[kind]) {
+          const job = await takeDueJob(Date.now(), kind);
+          if (!job) break;
+          JOB_ACTIVE[kind]++;
+          executeJob(job).finally(() => {
+            JOB_ACTIVE[kind]--;
+            runJobs();
           });
-          const dateStr = task.date || formatLocalYMD(page.timestamp);
-          try { await removeHighlightCache(dateStr); } catch (_) {}
-          try { await getHighlights(dateStr); } catch (_) {}
-        } else {
-          // retry with backoff
-          task.attempts = (task.attempts || 0) + 1;
-          if (task.attempts <= 3) {
-            const backoff = 1000 * Math.pow(2, task.attempts - 1);
-            setTimeout(() => enqueueSummaryBackfill(task), backoff);
-          }
         }
-      } catch (_) {
-        // continue
       }
+    } while (JOBS_KICKED);
+    if (Object.values(JOB_ACTIVE).every(n => n === 0)) {
+      try { await pruneDoneJobs(); } catch (_) {}
     }
+  } catch (err) {
+    try { await LOGGER.error('job runner error', { error: String(err) }); } catch (_) {}
   } finally {
-    SUMMARY_RUNNING = false;
+    JOBS_RUNNING = false;
+  }
+  await scheduleJobAlarm();
+}
+
+// Embedding chunks per /api/embed request; batches of one page go out in parallel
+let EMBED_BATCH_SIZE = 16;
+const PIPELINE_SETTING_KEYS = ['embedConcurrency', 'summaryConcurrency', 'embedBatchSize', 'ollamaMaxConcurrent', 'ollamaMaxPerMinute', 'deferHeavyJobs', 'deferQueueThreshold'];
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Push concurrency settings into the job lanes and the Ollama limiter.
+function applyPipelineSettings(s) {
+  JOB_LIMITS.capture = clampInt(s.embedConcurrency, 1, 8, 2);
+  JOB_LIMITS.summary = clampInt(s.summaryConcurrency, 1, 4, 1);
+  EMBED_BATCH_SIZE = clampInt(s.embedBatchSize, 1, 256, 16);
+  OLLAMA_LIMITER.configure({
+    maxConcurrent: clampInt(s.ollamaMaxConcurrent, 1, 16, 3),
+    perMinute: clampInt(s.ollamaMaxPerMinute, 0, 10000, 0)
+  });
+  DEFER_HEAVY_JOBS = s.deferHeavyJobs !== false;
+  DEFER_QUEUE_THRESHOLD = clampInt(s.deferQueueThreshold, 1, 10000, 25);
+}
+
+// Move capture payloads persisted by older versions (chrome.storage `pendingCaptures`) into the job store.
+async function migratePendingCaptures() {
+  const res = await new Promise(resolve => chrome.storage.local.get(['pendingCaptures', 'processingPages'], resolve));
+  const pending = res.pendingCaptures && typeof res.pendingCaptures === 'object' ? res.pendingCaptures : {};
+  for (const [url, message] of Object.entries(pending)) {
+    if (message && typeof message === 'object') {
+      await enqueueJob({ kind: 'capture', key: url, payload: message, url, title: message.title || '' });
+    }
+  }
+  if (res.pendingCaptures || res.processingPages) {
+    await new Promise(resolve => chrome.storage.local.remove(['pendingCaptures', 'processingPages'], () => resolve()));
+  }
+}
+
+// Runs once per worker start: anything still `running` was cut off by the last shutdown.
+async function resumeJobs() {
+  try { applyPipelineSettings(await getSettings()); } catch (_) {}
+  if (chrome.idle) {
+    try { IDLE_STATE = await new Promise(resolve => chrome.idle.queryState(IDLE_DETECTION_SEC, resolve)); } catch (_) {}
   }
+  try { await migratePendingCaptures(); } catch (_) {}
+  try {
+    const reset = await resetInterruptedJobs();
+    if (reset > 0) LOGGER.info('resuming interrupted jobs', { count: reset });
+  } catch (_) {}
+}
+const JOBS_RESUMED = resumeJobs();
+runJobs();
+
+if (chrome.alarms?.onAlarm) {
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm && alarm.name === JOBS_ALARM) runJobs();
+    else if (alarm && alarm.name === RETENTION_ALARM) runRetention().catch(err => LOGGER.error('retention failed', { error: String(err) }));
+  });
+}
+if (chrome.idle?.onStateChanged) {
+  try { chrome.idle.setDetectionInterval(IDLE_DETECTION_SEC); } catch (_) {}
+  chrome.idle.onStateChanged.addListener((state) => {
+    IDLE_STATE = state;
+    if (state !== 'active') runJobs();
+  });
 }
 
 /**
@@ -147,19 +408,33 @@ async function getHighlightCache(date) {
       req.onsuccess = () => resolve(req.result || null);
       req.onerror = () => resolve(null);
     } catch (e) { resolve(null); }
+  }).then(async (rec) => {
+    // Sealed text that can't be opened (locked) is a miss
+    try { rec = rec && await openRecord(rec); } catch (_) { return null; }
+    return rec && isSealed(rec.text) ? null : rec;
   });
 }
 async function setHighlightCache(date, obj) {
   const db = await openDB();
+  const rec = await sealRecord({ ...(obj || {}), date });
   return new Promise((resolve, reject) => {
     try {
       const tx = db.transaction(HIGHLIGHTS_STORE, 'readwrite');
-      tx.objectStore(HIGHLIGHTS_STORE).put({ ...(obj || {}), date });
+      tx.objectStore(HIGHLIGHTS_STORE).put(rec);
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     } catch (e) { resolve(); }
   });
 }
+async function clearHighlightCache() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HIGHLIGHTS_STORE, 'readwrite');
+    tx.objectStore(HIGHLIGHTS_STORE).clear();
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
 // Cross-context: highlights cache invalidation; called from delete/import/update flows.
 async function removeHighlightCache(date) {
   const db = await openDB();
@@ -174,62 +449,753 @@ async function removeHighlightCache(date) {
 }
 
 // ---------------------------------------------------------------------------
-// IndexedDB CRUD helpers for pages.
+// Page helpers over the normalized store (pagestore.js).
+// ---------------------------------------------------------------------------
+async function getPageList() {
+  const pages = await listPageHeads({ open: false });
+  return pages
+    .map(p => ({ id: p.id, url: p.url, title: p.title, timestamp: p.timestamp, extraction: p.extraction || null, redactions: p.redactions || null, pinned: !!p.pinned, trimmedAt: p.trimmedAt || null }))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/** Copy of a page document with every vector in its JSON-safe form (encodeVector) */
+function encodePageVectors(page) {
+  const items = (list) => Array.isArray(list) ? list.map(it => ({ ...it, embedding: encodeVector(it.embedding) })) : list;
+  return {
+    ...page,
+    centroid: encodeVector(page.centroid),
+    items: items(page.items),
+    versions: (page.versions || []).map(v => ({ ...v, centroid: encodeVector(v.centroid), items: items(v.items) }))
+  };
+}
+
+/** Store a page document, packing new embeddings in the configured format */
+async function savePage(doc) {
+  const { vectorStorage } = await getSettings();
+  return savePageDoc(doc, { vectors: vectorStorage });
+}
+
+/** Delete a page with its versions and chunks */
+async function deletePageById(id) {
+  const page = await deletePageDoc(id);
+  // Invalidate the highlight cache for its day
+  try { if (page && page.timestamp) await removeHighlightCache(formatLocalYMD(page.timestamp)); } catch (_) {}
+}
+
+// ---------------------------------------------------------------------------
+// Forget history: purge everything captured in a time window.
 // ---------------------------------------------------------------------------
-async function savePage(pageRecord) {
+const URL_IN_TEXT_RE = /https?:\/\/[^\s"'<>\\]+/g;
+
+/**
+ * Remove what was captured between `from` and `to` (ms, inclusive): page
+ * versions captured in the window (records left without versions are
+ * deleted), revisits of older pages in the window (rollBackVisits), clips,
+ * queued or running jobs for those pages, highlight cache days, skipped
+ * captures and log rows mentioning the affected URLs. With `dryRun` nothing
+ * is changed and the counts say what would go.
+ * @param {number} from
+ * @param {number} to
+ * @param {{dryRun?:boolean}} [opts]
+ * @returns {Promise<{pages:number, versions:number, visits:number, updated:number, clips:number, jobs:number, highlightDays:number, skipped:number, logs:number}>}
+ */
+async function purgeTimeWindow(from, to, { dryRun = false } = {}) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to < from) throw new Error('Invalid time window');
+  const inWindow = (ts) => typeof ts === 'number' && ts >= from && ts <= to;
+  const counts = { pages: 0, versions: 0, visits: 0, updated: 0, clips: 0, jobs: 0, highlightDays: 0, skipped: 0, logs: 0 };
+  const urls = new Set();
+  const pageIds = new Set();
+  const clipIds = new Set();
+  const days = new Set();
+  // Pages: drop versions captured in the window (versions from before
+  // capturedAt was recorded fall back to their visit time); the head follows
+  // its newest remaining version. Records only revisited in the window lose
+  // just those visits.
+  const capturedAt = (v) => typeof v.capturedAt === 'number' ? v.capturedAt : v.timestamp;
+  const heads = await listPageHeads({ open: false });
+  const docs = await loadPages(heads.map(h => h.id), { chunks: 'none' });
+  for (const rec of docs) {
+    const versions = rec.versions.length > 0 ? rec.versions : [{ timestamp: rec.timestamp }];
+    const kept = versions.filter(v => !inWindow(capturedAt(v)));
+    const dropped = versions.length - kept.length;
+    const latestKept = kept.includes(versions[rec.latestVersionIndex]);
+    let idx = kept.indexOf(versions[rec.latestVersionIndex]);
+    if (idx < 0) idx = kept.length - 1;
+    const next = { ...rec, versions: kept, latestVersionIndex: idx };
+    // Visits recorded against a dropped latest version go with it
+    if (!latestKept) next.visits = [];
+    const undone = kept.length > 0 && latestKept ? rollBackVisits(next, from, to) : [];
+    if (dropped === 0 && undone.length === 0) continue;
+    counts.versions += dropped;
+    for (const v of versions) if (inWindow(capturedAt(v))) days.add(formatLocalYMD(capturedAt(v)));
+    for (const at of undone) days.add(formatLocalYMD(at));
+    if (dropped > 0) {
+      if (rec.url) urls.add(rec.url);
+      if (rec.canonicalUrl) urls.add(rec.canonicalUrl);
+    }
+    if (kept.length === 0) {
+      counts.pages++;
+      pageIds.add(rec.id);
+      if (!dryRun) await deletePageDoc(rec.id);
+    } else {
+      if (dropped > 0) counts.updated++;
+      counts.visits += undone.length;
+      if (!dryRun) await savePage(next);
+    }
+  }
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    tx.objectStore(STORE_NAME).add(pageRecord);
+  // Clips saved in the window
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(CLIPS_STORE, dryRun ? 'readonly' : 'readwrite');
+    const req = tx.objectStore(CLIPS_STORE).index('timestamp').openCursor(IDBKeyRange.bound(from, to));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const clip = cursor.value;
+      counts.clips++;
+      clipIds.add(clip.id);
+      if (clip.url) urls.add(clip.url);
+      if (!dryRun) cursor.delete();
+      cursor.continue();
+    };
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
+  // Pending and in-flight captures from the window or for affected URLs, and
+  // follow-up jobs of deleted records
+  const jobs = (await listJobs()).filter(j => j.state !== 'done' && (
+    (j.kind === 'capture' && (inWindow(j.createdAt) || urls.has(j.url)))
+    || ((j.kind === 'summary' || j.kind === 'reembed') && j.payload && pageIds.has(j.payload.id))
+    || (j.kind === 'clip' && j.payload && clipIds.has(j.payload.id))
+  ));
+  counts.jobs = jobs.length;
+  for (const j of jobs) if (j.kind === 'capture' && j.url) urls.add(j.url);
+  counts.highlightDays = days.size;
+  const isSkippedMatch = (p) => inWindow(p.timestamp) || urls.has(p.url);
+  counts.skipped = (await getSkippedCaptures()).filter(isSkippedMatch).length;
+  const mentionsUrl = (row) => {
+    let text = '';
+    try { text = `${row.message || ''} ${JSON.stringify(row.meta || '')}`; } catch (_) { return false; }
+    return (text.match(URL_IN_TEXT_RE) || []).some(u => urls.has(u));
+  };
+  const logs = await new Promise(resolve => chrome.storage.local.get(['logs'], res => resolve(Array.isArray(res.logs) ? res.logs : [])));
+  const keptLogs = urls.size ? logs.filter(row => !mentionsUrl(row)) : logs;
+  counts.logs = logs.length - keptLogs.length;
+  if (dryRun) return counts;
+
+  for (const j of jobs) {
+    try { await deleteJob(j.id); } catch (_) {}
+    if (j.kind === 'capture') {
+      try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_ENDED', url: j.url }); } catch (_) {}
+    }
+  }
+  for (const d of days) { try { await removeHighlightCache(d); } catch (_) {} }
+  if (counts.skipped) await removeSkippedCaptures(isSkippedMatch);
+  if (counts.logs) await new Promise(resolve => chrome.storage.local.set({ logs: keptLogs }, resolve));
+  try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
+  try { chrome.runtime.sendMessage({ type: 'HISTORY_PURGED', from, to, counts }); } catch (_) {}
+  LOGGER.info('history purged', { from, to, ...counts });
+  return counts;
+}
+
+// ---------------------------------------------------------------------------
+// Retention: evict or trim pages per the user's policy (retention.js), on a
+// repeating alarm and on demand from the Memory Manager.
+// ---------------------------------------------------------------------------
+const RETENTION_ALARM = 'wr-retention';
+const RETENTION_REPORT_MAX = 200;
+// Freed bytes that usage still doesn't show after this long are no longer held back
+const RETENTION_PENDING_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+let RETENTION_RUNNING = null;
+
+function getRetentionPolicy() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['retentionPolicy'], (res) => resolve(normalizeRetentionPolicy(res.retentionPolicy)));
+  });
+}
+
+async function setRetentionPolicy(raw) {
+  const policy = normalizeRetentionPolicy(raw);
+  await new Promise(resolve => chrome.storage.local.set({ retentionPolicy: policy }, resolve));
+  await scheduleRetentionAlarm(policy);
+  return policy;
+}
+
+function getRetentionReport() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['retentionReport'], (res) => resolve(res.retentionReport || null));
+  });
+}
+
+// Repeating alarm while the policy is enabled; only recreated when the period changes
+async function scheduleRetentionAlarm(policy = null) {
+  if (!chrome.alarms) return;
+  try {
+    const p = policy || await getRetentionPolicy();
+    if (!p.enabled) { await chrome.alarms.clear(RETENTION_ALARM); return; }
+    const cur = await chrome.alarms.get(RETENTION_ALARM);
+    if (cur && cur.periodInMinutes === p.intervalMin) return;
+    chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: p.intervalMin });
+  } catch (_) {}
+}
+
+// Bytes freed by earlier runs that the measured usage doesn't reflect yet
+function retentionPendingBytes(last, usage) {
+  if (!last || last.dryRun || Date.now() - (last.at || 0) > RETENTION_PENDING_MAX_AGE_MS) return 0;
+  const carried = Number.isFinite(last.pendingBytes) ? last.pendingBytes : (last.freedBytes || 0);
+  const baseline = Number.isFinite(last.usageAfter) ? last.usageAfter : (last.usage || 0);
+  return Math.max(0, carried - Math.max(0, baseline - usage));
+}
+
+async function storageEstimate() {
+  try {
+    const est = await navigator.storage.estimate();
+    return { usage: est.usage || 0, quota: est.quota || 0 };
+  } catch (_) {
+    return { usage: 0, quota: 0 };
+  }
+}
+
+/**
+ * Apply the retention policy: evict pages past `keepDays` or while storage
+ * is over its limit, trim chunks of pages past `trimAfterDays`. The last
+ * report is kept in storage for the Memory Manager. Concurrent runs share
+ * one pass. Pages due for trimming without a summary get a summary job
+ * instead.
+ * @param {{dryRun?:boolean, policy?:object}} [opts] `policy` previews unsaved edits
+ * @returns {Promise<{at:number, dryRun:boolean, usage:number, usageAfter:number, quota:number, limitBytes:number|null, overBytes:number, freedBytes:number, pendingBytes:number, pageBytes:number, otherBytes:number, sizeBlocked:boolean, awaitingSummary:number, evictedCount:number, trimmedCount:number, evicted:object[], trimmed:object[]}>}
+ */
+async function runRetention({ dryRun = false, policy = null } = {}) {
+  if (RETENTION_RUNNING && !dryRun) return RETENTION_RUNNING;
+  const run = (async () => {
+    const p = policy ? normalizeRetentionPolicy(policy) : await getRetentionPolicy();
+    const { usage, quota } = await storageEstimate();
+    const pendingBytes = retentionPendingBytes(await getRetentionReport(), usage);
+    const [heads, sizes] = await Promise.all([listPageHeads({ open: false }), pageStorageSizes()]);
+    const plan = planRetention(heads, p, { usage, quota, pendingBytes, sizes });
+    let evicted = plan.evict;
+    let trimmed = plan.trim;
+    if (!dryRun) {
+      evicted = [];
+      trimmed = [];
+      // Same lock as captures and re-embeds of the page so none of them writes it back
+      const headById = new Map(heads.map(h => [h.id, h]));
+      const lockKey = (id) => (headById.get(id) && headById.get(id).canonicalUrl) || String(id);
+      for (const e of plan.evict) {
+        try {
+          await withKeyLock(lockKey(e.id), () => deletePageById(e.id));
+          evicted.push(e);
+        } catch (err) { LOGGER.warn('retention evict failed', { url: e.url, error: String(err) }); }
+      }
+      for (const t of plan.trim) {
+        try {
+          if (await withKeyLock(lockKey(t.id), () => trimPageChunks(t.id))) trimmed.push(t);
+        } catch (err) { LOGGER.warn('retention trim failed', { url: t.url, error: String(err) }); }
+      }
+      // Trimmed on a later run, once the summary exists
+      for (const id of plan.summarize) enqueueSummaryBackfill({ id });
+      if (plan.sizeBlocked) {
+        LOGGER.warn('retention: usage over the limit is not page data', { usage, limitBytes: plan.limitBytes, pageBytes: plan.pageBytes, otherBytes: plan.otherBytes });
+      }
+    }
+    const freedBytes = [...evicted, ...trimmed].reduce((n, e) => n + (e.bytes || 0), 0);
+    // Measured again so the next run can tell how much of this one usage reflects
+    const usageAfter = dryRun ? usage : (await storageEstimate()).usage;
+    const report = {
+      at: Date.now(), dryRun, usage, usageAfter, quota, limitBytes: plan.limitBytes, overBytes: plan.overBytes, freedBytes,
+      pendingBytes: pendingBytes + freedBytes, pageBytes: plan.pageBytes, otherBytes: plan.otherBytes, sizeBlocked: plan.sizeBlocked,
+      awaitingSummary: plan.summarize.length,
+      evictedCount: evicted.length, trimmedCount: trimmed.length,
+      evicted: evicted.slice(0, RETENTION_REPORT_MAX), trimmed: trimmed.slice(0, RETENTION_REPORT_MAX)
+    };
+    if (dryRun) return report;
+    if (evicted.length || trimmed.length) {
+      try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
+      LOGGER.info('retention applied', {
+        evicted: evicted.length, trimmed: trimmed.length, freedBytes, usage, quota,
+        pages: [...evicted, ...trimmed].slice(0, 50).map(e => ({ url: e.url, reason: e.reason }))
+      });
+    } else {
+      LOGGER.debug('retention: nothing to evict', { usage, quota, limitBytes: plan.limitBytes });
+    }
+    await new Promise(resolve => chrome.storage.local.set({ retentionReport: report }, resolve));
+    try { chrome.runtime.sendMessage({ type: 'RETENTION_APPLIED', report }); } catch (_) {}
+    return report;
+  })();
+  if (dryRun) return run;
+  RETENTION_RUNNING = run;
+  try { return await run; } finally { RETENTION_RUNNING = null; }
 }
 
-async function getAllPages() {
+// ---------------------------------------------------------------------------
+// Encryption at rest (vault.js): page texts, summaries, clips, capture job
+// payloads and the highlights cache are sealed with a key derived from the
+// user's passphrase.
+// The key is kept in chrome.storage.session (memory only), so it survives
+// worker restarts but not a browser restart. While locked, captures aren't
+// queued, jobs wait, and search, Ask and highlights reply `locked`.
+// ---------------------------------------------------------------------------
+const VAULT_SESSION_KEY = 'vaultKey';
+let VAULT_BUSY = null;
+
+function getVaultConfig() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['vault'], (res) => resolve(res.vault || null));
+  });
+}
+
+// Runs once per worker start: pick up the key unlocked earlier in this browser session
+async function restoreVaultKey() {
+  try {
+    const res = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    if (res && res[VAULT_SESSION_KEY] && await getVaultConfig()) {
+      setVaultKey(await importVaultKey(res[VAULT_SESSION_KEY]));
+      pushOffscreenVaultKey(res[VAULT_SESSION_KEY]);
+    }
+  } catch (err) {
+    try { LOGGER.warn('vault key restore failed', { error: String(err) }); } catch (_) {}
+  }
+}
+const VAULT_RESTORED = restoreVaultKey();
+
+async function isVaultLocked() {
+  await VAULT_RESTORED;
+  return !getVaultKey() && !!(await getVaultConfig());
+}
+
+// Throw from anything that reads or writes page text while locked; replies carry `locked: true`
+async function assertVaultUnlocked() {
+  // Wait out an enable/disable rewrite so writes seal with the key it leaves behind
+  if (VAULT_BUSY) { try { await VAULT_BUSY; } catch (_) {} }
+  if (!(await isVaultLocked())) return;
+  const err = new Error('Web Recall is locked. Unlock it with your passphrase.');
+  err.locked = true;
+  throw err;
+}
+
+async function getVaultState() {
+  await VAULT_RESTORED;
+  const config = await getVaultConfig();
+  return { enabled: !!config, locked: !!config && !getVaultKey(), busy: !!VAULT_BUSY, createdAt: config ? config.createdAt || null : null };
+}
+
+async function broadcastVaultState() {
+  try { chrome.runtime.sendMessage({ type: 'VAULT_STATE', state: await getVaultState() }); } catch (_) {}
+}
+
+async function rememberVaultKey(key) {
+  setVaultKey(key);
+  const raw = await exportVaultKey(key);
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: raw });
+  pushOffscreenVaultKey(raw);
+}
+
+async function forgetVaultKey() {
+  setVaultKey(null);
+  try { await chrome.storage.session.remove(VAULT_SESSION_KEY); } catch (_) {}
+  try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_VAULT_LOCK' }); } catch (_) {}
+}
+
+// The clip draft holds the selected text: only in session storage (memory) while encryption is on
+async function pendingClipArea() {
+  return (await getVaultConfig()) ? chrome.storage.session : chrome.storage.local;
+}
+
+async function movePendingClip(to) {
+  const from = to === chrome.storage.session ? chrome.storage.local : chrome.storage.session;
+  const res = await from.get('pendingClip');
+  if (res && res.pendingClip) await to.set({ pendingClip: res.pendingClip });
+  await from.remove('pendingClip');
+}
+
+// The offscreen document has no chrome.storage: it is handed the raw key when
+// the vault is unlocked or restored and when the document is created, and
+// drops it on OFFSCREEN_VAULT_LOCK
+async function pushOffscreenVaultKey(raw = null) {
+  const key = getVaultKey();
+  if (!key) return;
+  try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_VAULT_KEY', key: raw || await exportVaultKey(key) }); } catch (_) {}
+}
+
+async function unlockVaultWithPassphrase(passphrase) {
+  const key = await unlockVault(await getVaultConfig(), passphrase);
+  await rememberVaultKey(key);
+  LOGGER.info('vault unlocked');
+  broadcastVaultState();
+  runJobs();
+  return getVaultState();
+}
+
+async function lockVaultNow() {
+  if (VAULT_BUSY) throw new Error('Encryption settings are still being applied');
+  await forgetVaultKey();
+  LOGGER.info('vault locked');
+  broadcastVaultState();
+  return getVaultState();
+}
+
+// Let running jobs finish so none writes with the old key behind a rewrite
+async function drainJobs(timeoutMs = 60000) {
+  const until = Date.now() + timeoutMs;
+  while (Object.values(JOB_ACTIVE).some(n => n > 0) && Date.now() < until) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+// Rewrite every page and clip with `key` (null = plain); reads open with the current key
+async function resealAll(key) {
+  const { vectorStorage } = await getSettings();
+  let pages = 0;
+  for (const head of await listPageHeads({ open: false })) {
+    await withKeyLock(head.canonicalUrl || String(head.id), async () => {
+      const doc = await loadPage(head.id, { chunks: 'all' });
+      if (!doc) return;
+      await savePageDoc(doc, { vectors: vectorStorage, key });
+      pages++;
+    });
+  }
+  const clips = await resealClips(key);
+  const jobs = await resealJobPayloads(key);
+  await clearHighlightCache();
+  await movePendingClip(key ? chrome.storage.session : chrome.storage.local);
+  return { pages, clips, jobs };
+}
+
+// Jobs are held while `task` runs, then resumed
+async function runVaultTask(task) {
+  if (VAULT_BUSY) throw new Error('Encryption settings are still being applied');
+  VAULT_BUSY = (async () => {
+    await drainJobs();
+    return task();
+  })();
+  broadcastVaultState();
+  try {
+    return await VAULT_BUSY;
+  } finally {
+    VAULT_BUSY = null;
+    broadcastVaultState();
+    runJobs();
+  }
+}
+
+/**
+ * Turn encryption on and seal everything stored so far. The config is saved
+ * first, so a rewrite cut short leaves plain records that still read fine
+ * and are sealed the next time they are saved.
+ */
+async function enableVault(passphrase) {
+  if (await getVaultConfig()) throw new Error('Encryption is already on');
+  const counts = await runVaultTask(async () => {
+    const { config, key } = await createVault(passphrase);
+    await new Promise(resolve => chrome.storage.local.set({ vault: config }, resolve));
+    await rememberVaultKey(key);
+    return resealAll(key);
+  });
+  LOGGER.info('vault enabled', counts);
+  return getVaultState();
+}
+
+/** Turn encryption off: store everything plain again and drop the config. */
+async function disableVault(passphrase) {
+  const config = await getVaultConfig();
+  if (!config) throw new Error('Encryption is off');
+  const key = await unlockVault(config, passphrase);
+  const counts = await runVaultTask(async () => {
+    await rememberVaultKey(key);
+    const done = await resealAll(null);
+    await new Promise(resolve => chrome.storage.local.remove(['vault'], resolve));
+    await forgetVaultKey();
+    return done;
+  });
+  LOGGER.info('vault disabled', counts);
+  return getVaultState();
+}
+
+// ---------------------------------------------------------------------------
+// Clips: selections pinned with "Remember selection", kept in their own store.
+// Record: { id, type: 'clip', url, canonicalUrl, title, text, before, after,
+//           note, tags, timestamp, updatedAt, items, centroid }
+// ---------------------------------------------------------------------------
+const CLIP_MAX_CHARS = 20000;
+const CLIP_CONTEXT_CHARS = 300;
+const CLIP_NOTE_MAX_CHARS = 4000;
+const CLIP_MAX_TAGS = 20;
+
+// Comma-separated string or array -> unique lowercase tags
+function normalizeClipTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  const out = [];
+  for (const t of list) {
+    const tag = String(t || '').trim().replace(/^#/, '').toLowerCase().slice(0, 40);
+    if (tag && !out.includes(tag)) out.push(tag);
+    if (out.length >= CLIP_MAX_TAGS) break;
+  }
+  return out;
+}
+
+async function withClips(mode, fn) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.getAll();
-    request.onsuccess = () => {
-      resolve(request.result || []);
+    const tx = db.transaction(CLIPS_STORE, mode);
+    const out = { value: undefined };
+    fn(tx.objectStore(CLIPS_STORE), out);
+    tx.oncomplete = () => resolve(out.value);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/** A clip with its sealed fields opened; `{ open: false }` returns it as stored */
+async function getClipById(id, { open = true } = {}) {
+  const clip = await withClips('readonly', (store, out) => {
+    const req = store.get(id);
+    req.onsuccess = () => { out.value = req.result || null; };
+  });
+  return clip && open ? openRecord(clip) : clip;
+}
+
+/** Clips for listing, newest first, without embeddings */
+async function getClipList() {
+  await assertVaultUnlocked();
+  const stored = await withClips('readonly', (store, out) => {
+    const req = store.getAll();
+    req.onsuccess = () => { out.value = req.result || []; };
+  });
+  const clips = await Promise.all(stored.map(c => openRecord(c)));
+  return clips
+    .map(c => ({
+      id: c.id, url: c.url, title: c.title, text: c.text, before: c.before, after: c.after,
+      note: c.note || '', tags: c.tags || [], timestamp: c.timestamp,
+      embedded: Array.isArray(c.items) && c.items.some(i => isVector(i.embedding))
+    }))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Store a clip and queue its embedding. Text, context and note are redacted
+ * with the current redaction settings.
+ * @param {{text:string, before?:string, after?:string, url:string, title?:string, note?:string, tags?:string|string[]}} input
+ * @returns {Promise<object>} the stored clip
+ */
+async function saveClip(input) {
+  await assertVaultUnlocked();
+  const { redactTypes } = await getSettings();
+  const red = (s, max) => redactText(String(s || '').slice(0, max), redactTypes).text.trim();
+  const text = red(input && input.text, CLIP_MAX_CHARS);
+  if (!text) throw new Error('Nothing to remember');
+  const url = String(input.url || '');
+  let canonicalUrl = url;
+  try { canonicalUrl = resolveCanonicalUrl(url); } catch (_) {}
+  const now = Date.now();
+  const rec = {
+    type: 'clip',
+    url,
+    canonicalUrl,
+    title: String(input.title || '').slice(0, META_STRING_MAX),
+    text,
+    before: red(input.before, CLIP_CONTEXT_CHARS),
+    after: red(input.after, CLIP_CONTEXT_CHARS),
+    note: red(input.note, CLIP_NOTE_MAX_CHARS),
+    tags: normalizeClipTags(input.tags),
+    timestamp: now,
+    updatedAt: now,
+    items: []
+  };
+  const sealed = await sealRecord(rec);
+  rec.id = await withClips('readwrite', (store, out) => {
+    const req = store.add(sealed);
+    req.onsuccess = () => { out.value = req.result; };
+  });
+  await enqueueJob({ kind: 'clip', key: rec.id, payload: { id: rec.id }, url: rec.url, title: rec.title });
+  runJobs();
+  return rec;
+}
+
+/**
+ * Change a clip's note and/or tags. A changed note is re-embedded.
+ * @returns {Promise<object|null>} the updated clip, null when it doesn't exist
+ */
+async function updateClip(id, { note, tags } = {}) {
+  await assertVaultUnlocked();
+  const { redactTypes } = await getSettings();
+  const current = await getClipById(id);
+  if (!current) return null;
+  const next = typeof note === 'string' ? redactText(note.slice(0, CLIP_NOTE_MAX_CHARS), redactTypes).text.trim() : null;
+  const noteChanged = next !== null && next !== (current.note || '');
+  const sealedNote = noteChanged ? await sealText(next) : null;
+  const updated = await withClips('readwrite', (store, out) => {
+    out.value = null;
+    const req = store.get(id);
+    req.onsuccess = () => {
+      const clip = req.result;
+      if (!clip) return;
+      if (noteChanged) clip.note = sealedNote;
+      if (tags !== undefined) clip.tags = normalizeClipTags(tags);
+      clip.updatedAt = Date.now();
+      store.put(clip);
+      out.value = clip;
     };
-    request.onerror = () => {
-      reject(request.error);
+  });
+  if (updated && noteChanged) {
+    await enqueueJob({ kind: 'clip', key: id, payload: { id }, url: updated.url, title: updated.title });
+    runJobs();
+  }
+  return updated;
+}
+
+async function deleteClipById(id) {
+  await withClips('readwrite', (store) => { store.delete(id); });
+  try { await deleteJob(`clip:${id}`); } catch (_) {}
+}
+
+/** Rewrite clip embeddings in `mode`; resolves with the number of clips changed */
+function repackClipVectors(mode) {
+  return withClips('readwrite', (store, out) => {
+    out.value = 0;
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const clip = cursor.value;
+      const items = Array.isArray(clip.items) ? clip.items.map(it => ({ ...it, embedding: packVector(it.embedding, mode) })) : null;
+      if (items && items.some((it, i) => it.embedding !== clip.items[i].embedding)) {
+        cursor.update({ ...clip, items });
+        out.value++;
+      }
+      cursor.continue();
     };
   });
 }
 
-async function getPageList() {
-  const pages = await getAllPages();
-  return pages
-    .map(p => ({ id: p.id, url: p.url, title: p.title, timestamp: p.timestamp }))
-    .sort((a, b) => b.timestamp - a.timestamp);
+// Rewrite every clip with `key` (null = plain); see resealAll
+async function resealClips(key) {
+  const stored = await withClips('readonly', (store, out) => {
+    const req = store.getAll();
+    req.onsuccess = () => { out.value = req.result || []; };
+  });
+  const next = await Promise.all(stored.map(async c => sealRecord(await openRecord(c), key)));
+  await withClips('readwrite', (store) => { for (const c of next) store.put(c); });
+  return next.length;
 }
 
-/** Delete a page record by id */
-async function deletePageById(id) {
-  const db = await openDB();
-  // Load page to invalidate highlight cache for its day
-  let page = null;
-  try {
-    const txr = db.transaction(STORE_NAME, 'readonly');
-    page = await new Promise((resolve) => {
-      const req = txr.objectStore(STORE_NAME).get(id);
-      req.onsuccess = () => resolve(req.result || null);
-      req.onerror = () => resolve(null);
-    });
-  } catch (_) {}
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    tx.objectStore(STORE_NAME).delete(id);
-    tx.oncomplete = async () => {
-      try { if (page && page.timestamp) await removeHighlightCache(formatLocalYMD(page.timestamp)); } catch (_) {}
-      resolve();
+// Sealed values never compare equal as objects; each seal draws a fresh IV
+function sameStoredText(a, b) {
+  if (isSealed(a) && isSealed(b)) return a.iv.length === b.iv.length && a.iv.every((x, i) => x === b.iv[i]);
+  return (a || '') === (b || '');
+}
+
+// Embed the selection (chunked like page text) plus the note as its own item
+async function runClipJob(task) {
+  const stored = await getClipById(task.id, { open: false });
+  if (!stored) return { chunks: 0 };
+  const clip = await openRecord(stored);
+  const { chunkTargetWords, chunkOverlapWords, vectorStorage } = await getSettings();
+  const items = chunkText(clip.text, { targetWords: chunkTargetWords, overlapWords: chunkOverlapWords })
+    .map(c => ({ text: c.text, start: c.start, end: c.end }));
+  if (clip.note) items.push({ text: clip.note, kind: 'note' });
+  const embs = await computeEmbeddingsBatch(items.map(i => i.text));
+  items.forEach((it, i) => { if (embs[i]) it.embedding = packVector(embs[i], vectorStorage); });
+  if (!items.some(i => isVector(i.embedding))) throw new Error('No embeddings returned');
+  const { items: sealedItems } = await sealRecord({ items });
+  const saved = await withClips('readwrite', (store, out) => {
+    out.value = false;
+    const req = store.get(task.id);
+    req.onsuccess = () => {
+      const cur = req.result;
+      // Skip if the note changed meanwhile; that change queued its own run
+      if (!cur || !sameStoredText(cur.note, stored.note)) return;
+      cur.items = sealedItems;
+      try { cur.centroid = computeCentroid(items) || undefined; } catch (_) {}
+      store.put(cur);
+      out.value = true;
     };
-    tx.onerror = () => reject(tx.error);
   });
+  if (saved) { try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {} }
+  return { chunks: items.length };
+}
+
+/**
+ * Runs in the page (chrome.scripting): the current selection plus up to
+ * `maxChars` of surrounding text from the enclosing block on each side.
+ * Must stay self-contained.
+ */
+function selectionContextInPage(maxChars) {
+  try {
+    const sel = window.getSelection();
+    if (!sel || sel.rangeCount === 0) return null;
+    const range = sel.getRangeAt(0);
+    const text = sel.toString();
+    let block = range.commonAncestorContainer;
+    if (block && block.nodeType !== 1) block = block.parentElement;
+    // Climb until the block holds enough text around the selection
+    while (block && block.parentElement && block !== document.body && (block.textContent || '').length < text.length + maxChars * 2) {
+      block = block.parentElement;
+    }
+    if (!block) return { text, before: '', after: '' };
+    const side = (isBefore) => {
+      const r = document.createRange();
+      r.selectNodeContents(block);
+      if (isBefore) r.setEnd(range.startContainer, range.startOffset);
+      else r.setStart(range.endContainer, range.endOffset);
+      return r.toString().replace(/\s+/g, ' ');
+    };
+    return { text, before: side(true).slice(-maxChars).trimStart(), after: side(false).slice(0, maxChars).trimEnd() };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Why a clip from `tab` is refused: 'incognito' (captureIncognito off) or
+ * 'tab' (capture turned off for the tab), like SAVE_PAGE; null when allowed.
+ * Clips are explicit, but a tab the user excluded stays excluded.
+ */
+async function clipBlocked(tab) {
+  if (await incognitoBlocked(tab)) return 'incognito';
+  if (tab && await isTabNoCapture(tab.id)) return 'tab';
+  return null;
+}
+
+/**
+ * Read the selection in `tab` and hand it to the side panel as a draft
+ * (storage key `pendingClip` plus a CLIP_DRAFT message) for the note and tags.
+ * Falls back to the context menu's selectionText when injection isn't allowed.
+ * Tabs refused by clipBlocked get a CLIP_BLOCKED message instead.
+ */
+async function startClipDraft(info, tab) {
+  const blocked = await clipBlocked(tab);
+  if (blocked) {
+    LOGGER.info(`clip skipped (${blocked})`);
+    try { chrome.runtime.sendMessage({ type: 'CLIP_BLOCKED', reason: blocked }); } catch (_) {}
+    return null;
+  }
+  let picked = null;
+  if (tab && typeof tab.id === 'number' && chrome.scripting) {
+    try {
+      const [res] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+        func: selectionContextInPage,
+        args: [CLIP_CONTEXT_CHARS]
+      });
+      picked = res && res.result;
+    } catch (_) {}
+  }
+  const text = String((picked && picked.text) || info.selectionText || '').trim();
+  if (!text) return null;
+  const { redactTypes } = await getSettings();
+  const red = (s) => redactText(String(s || ''), redactTypes).text;
+  const draft = {
+    text: red(text.slice(0, CLIP_MAX_CHARS)),
+    before: red(picked && picked.before),
+    after: red(picked && picked.after),
+    url: info.pageUrl || (tab && tab.url) || '',
+    title: (tab && tab.title) || '',
+    // Source tab, checked again on save (clipBlocked)
+    tabId: tab && typeof tab.id === 'number' ? tab.id : null,
+    incognito: !!(tab && tab.incognito)
+  };
+  await (await pendingClipArea()).set({ pendingClip: draft });
+  try { chrome.runtime.sendMessage({ type: 'CLIP_DRAFT', draft }); } catch (_) {}
+  return draft;
 }
 
 
@@ -275,13 +1241,22 @@ async function computeEmbedding(text) {
  * `/api/embeddings` route; per‑item calls still use `/api/embed` under
  * the hood.
  *
+ * Inputs longer than the configured batch size are split into several
+ * requests sent in parallel (bounded by the Ollama limiter in logFetch).
+ *
  * @param {string[]} texts  The list of text snippets to embed.
  * @param {string} model    Optional override for the embedding model.
- * @returns {Promise<number[][]>}  A list of embedding vectors in the
- *   same order as the input.
+ * @returns {Promise<Array<number[]|null>>}  A list of embedding vectors in the
+ *   same order as the input; null where a text could not be embedded.
  */
 async function computeEmbeddingsBatch(texts, model) {
   if (!Array.isArray(texts) || texts.length === 0) return [];
+  if (texts.length > EMBED_BATCH_SIZE) {
+    const slices = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) slices.push(texts.slice(i, i + EMBED_BATCH_SIZE));
+    const parts = await Promise.all(slices.map(slice => computeEmbeddingsBatch(slice, model)));
+    return parts.flat();
+  }
   // Try /api/embed with array input first
   try {
     LOGGER.debug('computeEmbeddingsBatch start', { count: texts.length });
@@ -312,6 +1287,7 @@ async function computeEmbeddingsBatch(texts, model) {
       out.push(emb);
     } catch (err) {
       LOGGER.error('computeEmbeddingsBatch item failed', { error: String(err) });
+      out.push(null);
     }
   }
   return out;
@@ -405,41 +1381,31 @@ function setModel(key, value) {
   });
 }
 
-// Track processing pages in storage for UI visibility across SW restarts
-// Cross-context: surfaced in sidepanel for live status, survives SW restarts.
-function getProcessingPages() {
+// Pages whose auto-capture was refused (e.g. sensitive forms); read by sidepanel.js via GET_SKIPPED.
+function getSkippedCaptures() {
   return new Promise(resolve => {
-    chrome.storage.local.get(['processingPages'], (res) => {
-      resolve(Array.isArray(res.processingPages) ? res.processingPages : []);
+    chrome.storage.local.get(['skippedCaptures'], (res) => {
+      resolve(Array.isArray(res.skippedCaptures) ? res.skippedCaptures : []);
     });
   });
 }
-// Internal helper for getProcessingPages(); not invoked directly by UI.
-function setProcessingPages(list) {
+function setSkippedCaptures(list) {
   return new Promise(resolve => {
-    chrome.storage.local.set({ processingPages: list }, () => resolve());
+    chrome.storage.local.set({ skippedCaptures: list }, () => resolve());
   });
 }
-// Called on capture start; read by sidepanel.js via GET_PROCESSING.
-async function addProcessingPage(meta) {
-  const list = await getProcessingPages();
-  if (!list.find(p => p.url === meta.url)) list.unshift(meta);
-  await setProcessingPages(list.slice(0, 100));
-  try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_STARTED', page: meta }); } catch (_) {}
+// Latest skip per URL first; older entries for the same URL are replaced.
+async function addSkippedCapture(entry) {
+  const list = (await getSkippedCaptures()).filter(p => p.url !== entry.url);
+  list.unshift(entry);
+  await setSkippedCaptures(list.slice(0, 50));
+  try { chrome.runtime.sendMessage({ type: 'PAGE_CAPTURE_SKIPPED', page: entry }); } catch (_) {}
 }
-// Called when capture concludes (success or failure); updates sidepanel list.
-async function removeProcessingPage(url) {
-  const list = await getProcessingPages();
-  const next = list.filter(p => p.url !== url);
-  await setProcessingPages(next);
-  try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_ENDED', url }); } catch (_) {}
-}
-// Updates status/attempts; used by retry logic to keep UI in sync.
-async function updateProcessingPage(url, fields) {
-  const list = await getProcessingPages();
-  const next = list.map(p => p.url === url ? { ...p, ...fields } : p);
-  await setProcessingPages(next);
-  try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_UPDATED', url, fields }); } catch (_) {}
+async function removeSkippedCaptures(predicate) {
+  const list = await getSkippedCaptures();
+  const removed = list.filter(predicate);
+  if (removed.length) await setSkippedCaptures(list.filter(p => !predicate(p)));
+  return removed;
 }
 
 
@@ -450,7 +1416,7 @@ async function updateProcessingPage(url, fields) {
  */
 function getSettings() {
   return new Promise(resolve => {
-    chrome.storage.local.get(['queryRewrite', 'crossEncoder', 'answerMode', 'logLevel', 'logFullBodies', 'ollamaBase', 'enableTools', 'maxToolSteps', 'toolTimeoutMs', 'versioningMaxVersions', 'versioningSimilarityThreshold', 'askTopConcise', 'askTopDetailed', 'askCtxConcise', 'askCtxDetailed', 'paused'], (result) => {
+    chrome.storage.local.get(['queryRewrite', 'crossEncoder', 'answerMode', 'logLevel', 'logFullBodies', 'ollamaBase', 'enableTools', 'maxToolSteps', 'toolTimeoutMs', 'versioningMaxVersions', 'versioningSimilarityThreshold', 'askTopConcise', 'askTopDetailed', 'askCtxConcise', 'askCtxDetailed', 'paused', 'chunkTargetWords', 'chunkOverlapWords', 'captureMinDwellMs', 'captureMinScrollPct', 'engagementBoost', 'seenMode', 'redactTypes', 'embedConcurrency', 'summaryConcurrency', 'embedBatchSize', 'ollamaMaxConcurrent', 'ollamaMaxPerMinute', 'deferHeavyJobs', 'deferQueueThreshold', 'captureIncognito', 'vectorStorage'], (result) => {
       resolve({
         queryRewrite: result.queryRewrite !== undefined ? result.queryRewrite : false,
         crossEncoder: result.crossEncoder !== undefined ? result.crossEncoder : false,
@@ -468,26 +1434,107 @@ function getSettings() {
         askCtxConcise: typeof result.askCtxConcise === 'number' ? result.askCtxConcise : 1200,
         askCtxDetailed: typeof result.askCtxDetailed === 'number' ? result.askCtxDetailed : 2400,
         paused: !!result.paused,
+        chunkTargetWords: typeof result.chunkTargetWords === 'number' ? result.chunkTargetWords : CHUNK_DEFAULTS.targetWords,
+        chunkOverlapWords: typeof result.chunkOverlapWords === 'number' ? result.chunkOverlapWords : CHUNK_DEFAULTS.overlapWords,
+        // Auto-capture gates: visible time and scroll depth a page needs before it is saved
+        captureMinDwellMs: typeof result.captureMinDwellMs === 'number' ? result.captureMinDwellMs : 5000,
+        captureMinScrollPct: typeof result.captureMinScrollPct === 'number' ? result.captureMinScrollPct : 0,
+        // Ranking boost for pages that were actually read (0 = off)
+        engagementBoost: typeof result.engagementBoost === 'number' ? result.engagementBoost : 0,
+        // Viewport tracking: 'off' | 'flag' (mark seen chunks) | 'only' (capture seen blocks only)
+        seenMode: ['off', 'flag', 'only'].includes(result.seenMode) ? result.seenMode : 'off',
+        // Per-type PII redaction toggles ({ email: true, phone: false, ... }); see REDACTION_TYPES
+        redactTypes: normalizeRedactTypes(result.redactTypes),
+        // Processing pipeline: parallel capture (embed) and summary jobs, chunks per embed request,
+        // and a shared cap on requests to the Ollama base (perMinute 0 = unlimited)
+        embedConcurrency: typeof result.embedConcurrency === 'number' ? result.embedConcurrency : 2,
+        summaryConcurrency: typeof result.summaryConcurrency === 'number' ? result.summaryConcurrency : 1,
+        embedBatchSize: typeof result.embedBatchSize === 'number' ? result.embedBatchSize : 16,
+        ollamaMaxConcurrent: typeof result.ollamaMaxConcurrent === 'number' ? result.ollamaMaxConcurrent : 3,
+        ollamaMaxPerMinute: typeof result.ollamaMaxPerMinute === 'number' ? result.ollamaMaxPerMinute : 0,
+        // Hold summaries, highlight generation and re-embedding until idle (or until this many are queued)
+        deferHeavyJobs: result.deferHeavyJobs !== undefined ? !!result.deferHeavyJobs : true,
+        deferQueueThreshold: typeof result.deferQueueThreshold === 'number' ? result.deferQueueThreshold : 25,
+        // Tabs in incognito windows are never captured unless this is on
+        captureIncognito: !!result.captureIncognito,
+        // How new embeddings are stored: float32, or int8/binary quantized
+        vectorStorage: VECTOR_MODES.includes(result.vectorStorage) ? result.vectorStorage : 'float32',
       });
     });
   });
 }
 
-// Capture rules
+function normalizeRedactTypes(raw) {
+  const out = {};
+  for (const t of REDACTION_TYPES) {
+    out[t] = raw && typeof raw[t] === 'boolean' ? raw[t] : REDACTION_DEFAULTS[t];
+  }
+  return out;
+}
+
+// Capture rules: ordered allow/deny rules evaluated by rules.js (first match wins).
+// Stored as `captureRules: { rules, defaultAction }`; the old whitelistDomains /
+// blacklistDomains lists are migrated on first read.
+// Sites that used to be excluded in manifest.json; users can delete these rules.
+const DEFAULT_CAPTURE_RULES = [
+  { action: 'deny', host: 'google.com' },
+  { action: 'deny', host: 'facebook.com' },
+  { action: 'deny', host: 'twitter.com' }
+];
 function getCaptureRules() {
   return new Promise(resolve => {
-    chrome.storage.local.get(['whitelistDomains', 'blacklistDomains'], (res) => {
+    chrome.storage.local.get(['captureRules', 'whitelistDomains', 'blacklistDomains', 'sensitiveAllowDomains'], (res) => {
+      let config = res.captureRules;
+      if (!config || !Array.isArray(config.rules)) {
+        const migrated = migrateDomainLists(res.whitelistDomains, res.blacklistDomains);
+        config = { rules: [...DEFAULT_CAPTURE_RULES, ...migrated.rules], defaultAction: migrated.defaultAction };
+        chrome.storage.local.set({ captureRules: config }, () => {
+          chrome.storage.local.remove(['whitelistDomains', 'blacklistDomains'], () => {});
+        });
+      }
+      const rules = [];
+      for (const r of config.rules) {
+        try { rules.push(normalizeCaptureRule(r)); } catch (_) {}
+      }
+      const defaultAction = config.defaultAction === 'deny' ? 'deny' : 'allow';
       resolve({
-        whitelistDomains: Array.isArray(res.whitelistDomains) ? res.whitelistDomains : [],
-        blacklistDomains: Array.isArray(res.blacklistDomains) ? res.blacklistDomains : [],
+        rules,
+        defaultAction,
+        text: formatCaptureRules({ rules, defaultAction }),
+        // Domains where sensitive-page detection is overridden by the user
+        sensitiveAllowDomains: Array.isArray(res.sensitiveAllowDomains) ? res.sensitiveAllowDomains : [],
       });
     });
   });
 }
-function setCaptureRules({ whitelistDomains = [], blacklistDomains = [] }) {
+/**
+ * Partially update capture rules. Rules come either as `text` (one rule per
+ * line, see rules.js) or as `rules` objects; legacy `whitelistDomains` /
+ * `blacklistDomains` payloads are converted. Nothing is saved when a rule is
+ * invalid.
+ * @returns {Promise<{ok:boolean, errors?:Array<{line?:number, index?:number, error:string}>}>}
+ */
+function setCaptureRules({ text, rules, defaultAction, whitelistDomains, blacklistDomains, sensitiveAllowDomains } = {}) {
+  const norm = (arr) => (Array.isArray(arr) ? arr : []).map(s => String(s || '').trim().toLowerCase()).filter(Boolean);
+  const next = {};
+  if (typeof text === 'string') {
+    const parsed = parseCaptureRules(text);
+    if (parsed.errors.length) return Promise.resolve({ ok: false, errors: parsed.errors });
+    next.captureRules = { rules: parsed.rules, defaultAction: parsed.defaultAction };
+  } else if (Array.isArray(rules)) {
+    const out = [];
+    const errors = [];
+    rules.forEach((r, index) => {
+      try { out.push(normalizeCaptureRule(r)); } catch (e) { errors.push({ index, error: e.message }); }
+    });
+    if (errors.length) return Promise.resolve({ ok: false, errors });
+    next.captureRules = { rules: out, defaultAction: defaultAction === 'deny' ? 'deny' : 'allow' };
+  } else if (Array.isArray(whitelistDomains) || Array.isArray(blacklistDomains)) {
+    next.captureRules = migrateDomainLists(norm(whitelistDomains), norm(blacklistDomains));
+  }
+  if (Array.isArray(sensitiveAllowDomains)) next.sensitiveAllowDomains = norm(sensitiveAllowDomains);
   return new Promise(resolve => {
-    const norm = (arr) => (Array.isArray(arr) ? arr : []).map(s => String(s || '').trim().toLowerCase()).filter(Boolean);
-    chrome.storage.local.set({ whitelistDomains: norm(whitelistDomains), blacklistDomains: norm(blacklistDomains) }, () => resolve());
+    chrome.storage.local.set(next, () => resolve({ ok: true }));
   });
 }
 function domainFromUrl(u) { try { return new URL(u).hostname; } catch (_) { return ''; } }
@@ -507,19 +1554,113 @@ function matchesDomain(host, list) {
   }
   return false;
 }
-async function shouldCapture(url) {
-  // Global pause: short-circuit auto-capture
+/**
+ * Capture-time settings handed to content scripts via GET_CAPTURE_CONFIG.
+ * @param {string} url
+ * @returns {Promise<{chunking:{targetWords:number, overlapWords:number}, gating:{minDwellMs:number, minScrollPct:number}, seen:{mode:string}}>}
+ */
+async function getCaptureConfig(url) {
+  const s = await getSettings();
+  return {
+    chunking: { targetWords: s.chunkTargetWords, overlapWords: s.chunkOverlapWords },
+    gating: { minDwellMs: s.captureMinDwellMs, minScrollPct: s.captureMinScrollPct },
+    seen: { mode: s.seenMode },
+    redaction: { types: s.redactTypes },
+  };
+}
+// The content script is registered at runtime (chrome.scripting) rather than in
+// manifest.json so hosts the rules deny outright never get it injected.
+const CONTENT_SCRIPT_ID = 'wr-capture';
+const CONTENT_SCRIPT_FILES = ['text.js', 'rules.js', 'readability.js', 'content.js'];
+
+/**
+ * Register or update the capture content script with match patterns derived
+ * from the capture rules (see contentScriptPatterns in rules.js).
+ * @returns {Promise<void>}
+ */
+async function syncContentScripts() {
+  if (!chrome.scripting?.registerContentScripts) return;
+  const { matches, excludeMatches } = contentScriptPatterns(await getCaptureRules());
+  const script = {
+    id: CONTENT_SCRIPT_ID,
+    js: CONTENT_SCRIPT_FILES,
+    matches,
+    excludeMatches,
+    runAt: 'document_idle',
+    // about:blank frames are read by the top frame's flattening, so
+    // matchOriginAsFallback (Chrome 119+) isn't needed
+    allFrames: true,
+    persistAcrossSessions: true
+  };
   try {
-    const { paused } = await getSettings();
-    if (paused) return false;
-  } catch (_) {}
-  const { whitelistDomains, blacklistDomains } = await getCaptureRules();
-  const host = domainFromUrl(url);
-  if (whitelistDomains.length > 0) {
-    return matchesDomain(host, whitelistDomains);
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    if (existing.length) await chrome.scripting.updateContentScripts([script]);
+    else await chrome.scripting.registerContentScripts([script]);
+    LOGGER.info('content script registered', { matches: matches.length, excluded: excludeMatches.length });
+  } catch (err) {
+    LOGGER.warn('content script registration failed', { error: String(err), excludeMatches });
+    // A pattern Chrome rejects shouldn't leave capture without a content script
+    try {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    } catch (_) {}
+    try {
+      await chrome.scripting.registerContentScripts([{ ...script, matches: ['<all_urls>'], excludeMatches: [] }]);
+    } catch (e) {
+      LOGGER.error('content script fallback registration failed', { error: String(e) });
+    }
+  }
+}
+
+/**
+ * Force-capture a tab. Tabs without the content script (excluded by rules,
+ * opened before install, Chrome's PDF viewer) get it injected on demand;
+ * if that is impossible the URL is tried as a PDF.
+ * @param {{id:number, url?:string, title?:string}} tab
+ * @returns {Promise<{ok:boolean, pdf?:boolean, pages?:number, error?:string}>}
+ */
+async function captureTab(tab) {
+  if (!tab || !tab.id) return { ok: false, error: 'No tab' };
+  if (await incognitoBlocked(tab)) return { ok: false, error: 'Capture is off in incognito windows' };
+  if (looksLikePdfUrl(tab.url)) return { ...(await capturePdf(tab.url, { force: true, title: tab.title, tab })), pdf: true };
+  const send = () => new Promise(resolve => {
+    chrome.tabs.sendMessage(tab.id, { type: 'FORCE_CAPTURE' }, { frameId: 0 }, () => resolve(!chrome.runtime.lastError));
+  });
+  if (await send()) return { ok: true };
+  try {
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: CONTENT_SCRIPT_FILES });
+    if (await send()) return { ok: true };
+  } catch (err) {
+    LOGGER.debug('content script injection failed', { url: tab.url, error: String(err) });
   }
-  if (matchesDomain(host, blacklistDomains)) return false;
-  return true;
+  if (!tab.url) return { ok: false, error: 'Cannot capture this page' };
+  return { ...(await capturePdf(tab.url, { force: true, title: tab.title, tab })), pdf: true };
+}
+
+/**
+ * Explain the capture decision for a URL: pause state, the tab's no-capture
+ * and incognito state (when a tab is given), then the first matching rule
+ * (or the default action). `sensitive` names the URL's sensitive category
+ * (sensitiveUrlDetail) unless the domain has an override; it doesn't change
+ * `allow`, since content scripts combine it with their DOM checks.
+ * @param {string} url
+ * @param {{rules:object[], defaultAction:string}} [config] Rules to test instead of the saved ones
+ * @param {{id:number, incognito?:boolean}} [tab]
+ * @returns {Promise<{allow:boolean, paused:boolean, tabPaused:boolean, incognito:boolean, sensitive:string|null, sensitiveAllowed:boolean, index:number, rule:object|null, defaultAction:string}>}
+ */
+async function explainCapture(url, config, tab) {
+  let paused = false;
+  try { ({ paused } = await getSettings()); } catch (_) {}
+  const tabPaused = !!tab && await isTabNoCapture(tab.id);
+  const incognito = await incognitoBlocked(tab);
+  const rules = await getCaptureRules();
+  const rulesConfig = config || rules;
+  const verdict = evaluateCaptureRules(url, rulesConfig);
+  const sensitiveAllowed = matchesDomain(domainFromUrl(url), rules.sensitiveAllowDomains);
+  const sensitive = sensitiveAllowed ? null : sensitiveUrlDetail(url);
+  return { ...verdict, allow: verdict.allow && !paused && !tabPaused && !incognito, paused, tabPaused, incognito, sensitive, sensitiveAllowed, defaultAction: rulesConfig.defaultAction };
+}
+async function shouldCapture(url, tab) {
+  return (await explainCapture(url, undefined, tab)).allow;
 }
 
 /**
@@ -533,44 +1674,9 @@ function setSettings(partial) {
   });
 }
 
-// -------- Pending capture payloads (for retries) --------
-// Cross-context: persists pending capture payloads so retries can survive SW suspend.
-function getPendingCaptures() {
-  return new Promise(resolve => {
-    chrome.storage.local.get(['pendingCaptures'], (res) => {
-      resolve(res.pendingCaptures || {});
-    });
-  });
-}
-// Internal helper for get/save/remove pending capture maps.
-function setPendingCaptures(map) {
-  return new Promise(resolve => {
-    chrome.storage.local.set({ pendingCaptures: map }, () => resolve());
-  });
-}
-// Called on transient failures to persist the capture message for retry.
-async function savePendingCapture(url, payload) {
-  const map = await getPendingCaptures();
-  map[url] = payload;
-  await setPendingCaptures(map);
-}
-// Clears pending payload after success or when abandoning a retry.
-async function removePendingCapture(url) {
-  const map = await getPendingCaptures();
-  if (map[url]) {
-    delete map[url];
-    await setPendingCaptures(map);
-  }
-}
-// Retrieves a persisted pending payload for a URL; used by retry worker.
-async function getPendingCapture(url) {
-  const map = await getPendingCaptures();
-  return map[url] || null;
-}
-
 // -------- Logging utilities (centralized) --------
 import './logger.js'; // attaches LOGGER to global self in MV3 module worker
-import './vectors.js'; // attaches cosineSimilarity, recencyWeight, computeCentroid to global self
+import './vectors.js'; // attaches cosineSimilarity, recencyWeight, computeCentroid, packVector, ... to global self
 
 // ----- Tunables & constants -----
 let LOG_FULL_BODIES = false;
@@ -600,14 +1706,289 @@ if (chrome.tabs) {
   refreshActiveTabId();
 }
 
+// -------- Per-tab no-capture --------
+// Tab ids only last for the browser session, so the set lives in
+// chrome.storage.session and survives service worker restarts.
+const NO_CAPTURE_TABS = new Set();
+const NO_CAPTURE_RESTORED = (async () => {
+  try {
+    const { noCaptureTabs } = await chrome.storage.session.get('noCaptureTabs');
+    for (const id of (Array.isArray(noCaptureTabs) ? noCaptureTabs : [])) NO_CAPTURE_TABS.add(id);
+  } catch (_) {}
+})();
+
+async function isTabNoCapture(tabId) {
+  await NO_CAPTURE_RESTORED;
+  return typeof tabId === 'number' && NO_CAPTURE_TABS.has(tabId);
+}
+
+// Incognito tabs are refused (even forced captures) unless captureIncognito is on
+async function incognitoBlocked(tab) {
+  if (!tab || !tab.incognito) return false;
+  try { return !(await getSettings()).captureIncognito; } catch (_) { return true; }
+}
+
+/**
+ * Turn capture off or back on for one tab; updates its badge, the action
+ * menu checkbox and any open side panel.
+ * @param {number} tabId
+ * @param {boolean} noCapture
+ */
+async function setTabNoCapture(tabId, noCapture) {
+  if (typeof tabId !== 'number') return;
+  await NO_CAPTURE_RESTORED;
+  if (noCapture) NO_CAPTURE_TABS.add(tabId);
+  else NO_CAPTURE_TABS.delete(tabId);
+  try { await chrome.storage.session.set({ noCaptureTabs: Array.from(NO_CAPTURE_TABS) }); } catch (_) {}
+  await updateTabBadge(tabId);
+  if (tabId === ACTIVE_TAB_ID) syncTabCaptureMenu(tabId);
+  try { chrome.runtime.sendMessage({ type: 'TAB_CAPTURE_STATE', tabId, noCapture: !!noCapture }); } catch (_) {}
+}
+
+/** Capture state of one tab for the side panel. */
+async function getTabCaptureState(tabId) {
+  let tab = null;
+  try { tab = await chrome.tabs.get(tabId); } catch (_) {}
+  return {
+    tabId,
+    noCapture: await isTabNoCapture(tabId),
+    incognito: !!(tab && tab.incognito),
+    incognitoBlocked: await incognitoBlocked(tab)
+  };
+}
+
+// Tab-specific badge ("OFF") over the global pause badge
+async function updateTabBadge(tabId) {
+  if (!chrome.action || typeof tabId !== 'number') return;
+  try {
+    const { noCapture, incognitoBlocked: blocked } = await getTabCaptureState(tabId);
+    if (noCapture || blocked) {
+      await chrome.action.setBadgeText({ tabId, text: 'OFF' });
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: '#b00020' });
+      await chrome.action.setTitle({ tabId, title: blocked ? 'Web Recall — Not capturing incognito tabs' : 'Web Recall — Not capturing this tab' });
+    } else {
+      const { paused } = await getSettings();
+      // null text falls back to the global badge
+      await chrome.action.setBadgeText({ tabId, text: null });
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: '#777' });
+      await chrome.action.setTitle({ tabId, title: actionTitle(paused) });
+    }
+  } catch (_) {}
+}
+
+function syncTabCaptureMenu(tabId) {
+  if (!chrome.contextMenus) return;
+  isTabNoCapture(tabId).then(on => {
+    try { chrome.contextMenus.update('wm_tab_no_capture', { checked: on }, () => { void chrome.runtime.lastError; }); } catch (_) {}
+  });
+}
+
+if (chrome.tabs) {
+  try {
+    chrome.tabs.onActivated.addListener((info) => syncTabCaptureMenu(info.tabId));
+  } catch (_) {}
+  try {
+    // Re-apply tab badges on navigation so they stick
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.status !== 'loading') return;
+      if (NO_CAPTURE_TABS.has(tabId) || (tab && tab.incognito)) updateTabBadge(tabId);
+    });
+  } catch (_) {}
+  try {
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      NO_CAPTURE_RESTORED.then(() => {
+        if (!NO_CAPTURE_TABS.delete(tabId)) return;
+        try { chrome.storage.session.set({ noCaptureTabs: Array.from(NO_CAPTURE_TABS) }); } catch (_) {}
+      });
+    });
+  } catch (_) {}
+}
+
+// SPA route changes (history.pushState/replaceState) are invisible to the content
+// script's isolated world; relay them so it can reschedule auto-capture.
+if (chrome.webNavigation?.onHistoryStateUpdated) {
+  chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+    if (!details || details.frameId !== 0 || typeof details.tabId !== 'number') return;
+    try {
+      chrome.tabs.sendMessage(details.tabId, { type: 'ROUTE_CHANGED', url: details.url }, { frameId: 0 }, () => { void chrome.runtime.lastError; });
+    } catch (_) {}
+  });
+}
+
+// -------- PDF capture --------
+// Chrome's PDF viewer never runs content scripts, so PDFs are fetched here,
+// parsed in the offscreen document (pdftext.js) and fed through the same
+// processing path as SAVE_PAGE.
+const PDF_MAX_BYTES = 30 * 1024 * 1024;
+const PDF_INFLIGHT = new Set();
+
+/** URLs that are likely PDFs (`*.pdf`, arXiv-style `/pdf/` paths); the Content-Type and bytes are checked anyway. */
+function looksLikePdfUrl(url) {
+  try {
+    const u = new URL(url);
+    if (!/^(https?|file):$/.test(u.protocol)) return false;
+    return /\.pdf$/i.test(u.pathname) || /\/pdf\//i.test(u.pathname);
+  } catch (_) {
+    return false;
+  }
+}
+
+// Content types a PDF may be served with; a missing or generic type is settled by sniffing the bytes
+function isPdfContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return !type || type === 'application/pdf' || type === 'application/x-pdf'
+    || type === 'application/octet-stream' || type === 'binary/octet-stream';
+}
+
+function isPdfBytes(bytes) {
+  const head = String.fromCharCode.apply(null, bytes.subarray(0, 1024));
+  return head.includes('%PDF-');
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return btoa(bin);
+}
+
+function pdfFileName(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').filter(Boolean).pop() || '');
+    return name || url;
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * Join per-page PDF text into one document text and chunk each page with the
+ * shared chunker. Offsets index into the joined text; chunks carry `page`
+ * (1-based) so citations can point at it.
+ * @param {string[]} pages
+ * @param {{targetWords:number, overlapWords:number}} chunking
+ * @returns {{text:string, chunks:Array<{text:string,start:number,end:number,page:number}>}}
+ */
+function buildPdfChunks(pages, chunking) {
+  let text = '';
+  const chunks = [];
+  pages.forEach((pageText, i) => {
+    const body = String(pageText || '').trim();
+    if (!body) return;
+    if (text) text += '\n\n';
+    const base = text.length;
+    text += body;
+    for (const c of chunkText(body, chunking)) {
+      chunks.push({ text: c.text, start: base + c.start, end: base + c.end, page: i + 1 });
+    }
+  });
+  return { text, chunks };
+}
+
+/**
+ * Fetch a PDF, extract its text in the offscreen document and enqueue it for
+ * processing. Auto captures honour pause and capture rules; forced ones don't.
+ * @param {string} url
+ * @param {{force?:boolean, title?:string, tab?:object}} [opts]
+ * @returns {Promise<{ok:boolean, pages?:number, skipped?:string, error?:string}>}
+ */
+async function capturePdf(url, { force = false, title = '', tab = null } = {}) {
+  if (!url) return { ok: false, error: 'Missing url' };
+  if (PDF_INFLIGHT.has(url)) return { ok: true, skipped: 'in_progress' };
+  if (await incognitoBlocked(tab)) return { ok: true, skipped: 'incognito' };
+  if (!force) {
+    // Same gate as pages: rules, pause and tab state, then the sensitive URL categories
+    const verdict = await explainCapture(url, undefined, tab);
+    if (!verdict.allow) return { ok: true, skipped: 'rules' };
+    if (verdict.sensitive) {
+      await addSkippedCapture({
+        url,
+        title: String(title || pdfFileName(url)).slice(0, 300),
+        domain: domainFromUrl(url),
+        reason: 'sensitive',
+        detail: verdict.sensitive,
+        timestamp: Date.now(),
+        tabId: tab && typeof tab.id === 'number' ? tab.id : null,
+        pdf: true
+      });
+      return { ok: true, skipped: 'sensitive' };
+    }
+  }
+  PDF_INFLIGHT.add(url);
+  try {
+    const resp = await fetch(url, { credentials: 'include' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    // An HTML page at a .pdf-looking URL is left alone without downloading it
+    if (!isPdfContentType(resp.headers.get('content-type'))) {
+      try { await resp.body?.cancel(); } catch (_) {}
+      return { ok: false, error: 'Not a PDF' };
+    }
+    const declared = Number(resp.headers.get('content-length') || 0);
+    if (declared > PDF_MAX_BYTES) throw new Error('PDF too large');
+    const bytes = new Uint8Array(await resp.arrayBuffer());
+    if (bytes.length > PDF_MAX_BYTES) throw new Error('PDF too large');
+    // Sniff the header too: the content type may be generic or wrong
+    if (!isPdfBytes(bytes)) return { ok: false, error: 'Not a PDF' };
+    await ensureOffscreenDocument();
+    const res = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'OFFSCREEN_EXTRACT_PDF', data: bytesToBase64(bytes) }, resolve);
+    });
+    if (!res || res.error) throw new Error((res && res.error) || 'PDF extraction failed');
+    const pages = Array.isArray(res.pages) ? res.pages : [];
+    const { chunkTargetWords, chunkOverlapWords, redactTypes } = await getSettings();
+    const built = buildPdfChunks(pages, { targetWords: chunkTargetWords, overlapWords: chunkOverlapWords });
+    if (!built.text) throw new Error('No extractable text (scanned PDF?)');
+    // Redact before the payload is persisted as a pending capture
+    const { text, chunks, counts } = redactCapture(built.text, built.chunks, redactTypes);
+    const message = {
+      type: 'SAVE_PAGE',
+      url,
+      title: res.title || title || pdfFileName(url),
+      timestamp: Date.now(),
+      chunks,
+      text,
+      extraction: 'pdf',
+      meta: { type: 'pdf', pageCount: pages.length },
+      redactions: counts,
+      force,
+      manual: force
+    };
+    LOGGER.info('pdf extracted', { url, pages: pages.length, chunks: chunks.length });
+    await enqueueProcess(message);
+    return { ok: true, pages: pages.length };
+  } catch (err) {
+    LOGGER.warn('pdf capture failed', { url, error: String(err) });
+    return { ok: false, error: String(err && err.message ? err.message : err) };
+  } finally {
+    PDF_INFLIGHT.delete(url);
+  }
+}
+
+if (chrome.webNavigation?.onCompleted) {
+  chrome.webNavigation.onCompleted.addListener((details) => {
+    if (!details || details.frameId !== 0 || !looksLikePdfUrl(details.url)) return;
+    (async () => {
+      let tab = null;
+      try { tab = await chrome.tabs.get(details.tabId); } catch (_) {}
+      await capturePdf(details.url, { title: (tab && tab.title) || '', tab });
+    })();
+  });
+}
+
 if (chrome.runtime?.onStartup) {
   chrome.runtime.onStartup.addListener(() => {
     refreshActiveTabId();
+    syncContentScripts();
+    scheduleRetentionAlarm();
+    runJobs();
   });
 }
 if (chrome.runtime?.onInstalled) {
   chrome.runtime.onInstalled.addListener(() => {
     refreshActiveTabId();
+    syncContentScripts();
+    scheduleRetentionAlarm();
   });
 }
 function getOllamaBase() {
@@ -616,21 +1997,27 @@ function getOllamaBase() {
   });
 }
 
+function actionTitle(paused) {
+  return paused ? 'Web Recall — Paused (click to resume)' : 'Web Recall — Active (click to pause)';
+}
+
 async function updateActionBadge(paused) {
   if (!chrome.action) return;
   try {
     await chrome.action.setBadgeText({ text: paused ? 'II' : '' });
     if (paused) {
       try { await chrome.action.setBadgeBackgroundColor({ color: '#777' }); } catch (_) {}
-      try { await chrome.action.setTitle({ title: 'Web Recall — Paused (click to resume)' }); } catch (_) {}
-    } else {
-      try { await chrome.action.setTitle({ title: 'Web Recall — Active (click to pause)' }); } catch (_) {}
     }
+    try { await chrome.action.setTitle({ title: actionTitle(paused) }); } catch (_) {}
   } catch (_) {}
 }
 
 // Track active Ollama communications to pause polling while busy
 let OLLAMA_ACTIVE = 0;
+// Shared cap on concurrent/per-minute requests to the Ollama base (health probes bypass it)
+const OLLAMA_LIMITER = createRateLimiter({ maxConcurrent: 3, perMinute: 0 });
+// A limiter slot whose response body nobody reads for this long is given back
+const OLLAMA_SLOT_IDLE_MS = 30000;
 
 // Quick health check: is the Ollama API reachable?
 async function checkModelsOnline() {
@@ -833,7 +2220,7 @@ async function ensureVersionData(v, opts = {}) {
   const need = [];
   const needIdx = [];
   for (let i = 0; i < items.length; i++) {
-    if (!items[i].embedding || !Array.isArray(items[i].embedding) || items[i].embedding.length === 0) {
+    if (vectorDim(items[i].embedding) === 0) {
       need.push(items[i].text || '');
       needIdx.push(i);
     }
@@ -880,46 +2267,27 @@ async function ensureVersionData(v, opts = {}) {
  * @param {object} version Prepared version (ensureVersionData already applied)
  * @param {number} maxVersions
  * @param {number} similarityThreshold
+ * @param {object|null} [meta] Structured page metadata to keep on the record
  */
-async function upsertVersion(canUrl, url, title, version, maxVersions, similarityThreshold) {
-  const db = await openDB();
-  let doc = await getByCanonicalUrl(canUrl);
+async function upsertVersion(canUrl, url, title, version, maxVersions, similarityThreshold, meta = null) {
+  const doc = await getByCanonicalUrl(canUrl);
   if (!doc) {
-    const rec = {
+    await savePage({
       canonicalUrl: canUrl,
       url,
       title,
       timestamp: version.timestamp,
       latestVersionIndex: 0,
       versions: [version],
-      items: version.items,
-      centroid: version.centroid,
-      summary: version.summary || ''
-    };
-    await new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readwrite');
-      tx.objectStore(STORE_NAME).add(rec);
-      tx.oncomplete = () => resolve();
-      tx.onerror = () => reject(tx.error);
+      meta
     });
     return;
   }
-  // Merge into existing
-  if (!Array.isArray(doc.versions) || typeof doc.latestVersionIndex !== 'number') {
-    // If somehow legacy, initialise versions with current top-level
-    const prevItems = Array.isArray(doc.items) ? doc.items : [];
-    doc.versions = [{
-      timestamp: doc.timestamp || version.timestamp,
-      hash: stringHash(prevItems.map(i => i.text || '').join(' ')),
-      items: prevItems,
-      centroid: doc.centroid || computeCentroid(prevItems) || undefined,
-      summary: doc.summary || ''
-    }];
-    doc.latestVersionIndex = 0;
-  }
+  // Merge into existing (only the latest version's chunks are loaded; the others stay as stored)
   const latest = doc.versions[doc.latestVersionIndex];
   if (latest && latest.hash === version.hash) {
     // No content change; bump timestamp
+    if (typeof latest.capturedAt !== 'number') latest.capturedAt = latest.timestamp;
     latest.timestamp = Math.max(latest.timestamp || 0, version.timestamp || 0);
   } else {
     let similar = false;
@@ -940,152 +2308,469 @@ async function upsertVersion(canUrl, url, title, version, maxVersions, similarit
       }
     }
   }
-  // Sync top-level fields
+  // Head fields; timestamp, centroid and summary follow the latest version on save
   doc.canonicalUrl = canUrl;
   doc.url = url;
   doc.title = title;
-  const cur = doc.versions[doc.latestVersionIndex];
-  doc.timestamp = cur.timestamp;
-  doc.items = cur.items;
-  doc.centroid = cur.centroid;
-  doc.summary = cur.summary || '';
-  await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    tx.objectStore(STORE_NAME).put(doc);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-  });
+  if (meta) doc.meta = meta;
+  await savePage(doc);
 }
 
 // normalizeText moved to text.js
 
+const META_STRING_MAX = 500;
+
+/**
+ * Sanitize structured metadata sent by the content script: keep known keys,
+ * strings capped in length and finite timestamps. Returns null when empty.
+ * @param {object} raw
+ * @returns {object|null}
+ */
+function sanitizePageMeta(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const str = (v) => (typeof v === 'string' && v.trim() ? v.trim().slice(0, META_STRING_MAX) : null);
+  const ts = (v) => (Number.isFinite(v) && v > 0 ? v : null);
+  const pick = (obj, keys) => {
+    if (!obj || typeof obj !== 'object') return null;
+    const out = {};
+    for (const k of keys) { const v = str(obj[k]); if (v) out[k] = v; }
+    return Object.keys(out).length ? out : null;
+  };
+  const meta = {};
+  for (const k of ['canonicalUrl', 'description', 'lang', 'siteName', 'type', 'image', 'author', 'publisher']) {
+    const v = str(raw[k]);
+    if (v) meta[k] = v;
+  }
+  for (const k of ['publishedAt', 'modifiedAt']) {
+    const v = ts(raw[k]);
+    if (v) meta[k] = v;
+  }
+  if (Number.isInteger(raw.pageCount) && raw.pageCount > 0) meta.pageCount = raw.pageCount;
+  const og = pick(raw.og, ['title', 'type', 'siteName', 'url', 'image', 'description']);
+  if (og) meta.og = og;
+  const twitter = pick(raw.twitter, ['card', 'site', 'creator', 'title', 'description']);
+  if (twitter) meta.twitter = twitter;
+  return Object.keys(meta).length ? meta : null;
+}
+
+/**
+ * Sanitize engagement measured by the content script. `dwellMs` is visible
+ * time on the page, `scrollPct` the deepest scroll position (0..100).
+ * @param {object} raw
+ * @returns {{dwellMs:number, scrollPct:number}|null}
+ */
+function sanitizeEngagement(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const dwellMs = Number.isFinite(raw.dwellMs) ? Math.max(0, Math.round(raw.dwellMs)) : 0;
+  const scrollPct = Number.isFinite(raw.scrollPct) ? Math.max(0, Math.min(100, Math.round(raw.scrollPct))) : 0;
+  if (!dwellMs && !scrollPct) return null;
+  return { dwellMs, scrollPct };
+}
+
+/**
+ * Fold a new engagement measurement into a record's stored one. Each visit
+ * reports its own totals, so keep the strongest signal seen rather than
+ * summing (a reload would otherwise double count).
+ * @param {object|null} prev
+ * @param {object|null} next
+ * @returns {object|null}
+ */
+function mergeEngagement(prev, next) {
+  if (!next) return prev || null;
+  if (!prev) return { ...next, updatedAt: Date.now() };
+  return {
+    dwellMs: Math.max(prev.dwellMs || 0, next.dwellMs),
+    scrollPct: Math.max(prev.scrollPct || 0, next.scrollPct),
+    updatedAt: Date.now()
+  };
+}
+
+// Engagement reports smaller than this (on top of what is stored) are not written
+const ENGAGEMENT_MIN_DWELL_DELTA_MS = 10000;
+const ENGAGEMENT_MIN_SCROLL_DELTA_PCT = 10;
+
+/** Whether `next` adds enough dwell time or scroll depth over `prev` to be stored. */
+function engagementChanged(prev, next) {
+  if (!next) return false;
+  if (!prev) return true;
+  return next.dwellMs - (prev.dwellMs || 0) >= ENGAGEMENT_MIN_DWELL_DELTA_MS
+    || next.scrollPct - (prev.scrollPct || 0) >= ENGAGEMENT_MIN_SCROLL_DELTA_PCT;
+}
+
+// Revisits kept per record so a purge can roll them back
+const PAGE_VISITS_MAX = 20;
+
+/**
+ * Append a revisit of an unchanged page, keeping the newest PAGE_VISITS_MAX.
+ * `prevTimestamp` and `prevEngagement` are the record's state before it.
+ * @param {Array<object>|undefined} visits
+ * @param {{at:number, engagement:object|null, prevTimestamp:number, prevEngagement:object|null}} visit
+ * @returns {Array<object>}
+ */
+function recordVisit(visits, visit) {
+  const list = Array.isArray(visits) ? visits.slice() : [];
+  list.push(visit);
+  return list.slice(-PAGE_VISITS_MAX);
+}
+
+/**
+ * Undo the revisits recorded between `from` and `to` on `doc` (in place):
+ * the latest version's visit time falls back to the newest remaining visit
+ * or to what it was before the first undone one, and engagement is rebuilt
+ * from the state before it plus the later visits.
+ * @returns {number[]} the undone visit times
+ */
+function rollBackVisits(doc, from, to) {
+  const visits = Array.isArray(doc.visits) ? doc.visits : [];
+  const first = visits.findIndex(v => v.at >= from && v.at <= to);
+  if (first < 0) return [];
+  const undone = visits.filter(v => v.at >= from && v.at <= to).map(v => v.at);
+  const later = visits.slice(first).filter(v => v.at > to);
+  const latest = doc.versions[doc.latestVersionIndex] || doc.versions[doc.versions.length - 1];
+  let engagement = visits[first].prevEngagement || null;
+  for (const v of later) engagement = mergeEngagement(engagement, v.engagement);
+  const timestamp = later.length ? later[later.length - 1].at : visits[first].prevTimestamp;
+  if (latest && typeof timestamp === 'number') latest.timestamp = timestamp;
+  doc.engagement = engagement;
+  doc.visits = visits.filter(v => !(v.at >= from && v.at <= to));
+  return undone;
+}
+
+/**
+ * Flag prose items of the latest version as seen from `[start, end)` ranges
+ * over the captured text. Ranges only apply when the text length still
+ * matches, i.e. the record was not re-captured with different content since.
+ * Items are never un-flagged.
+ * @param {object} doc
+ * @param {Array<[number, number]>} ranges
+ * @param {number} textLength
+ * @returns {boolean} true when any item changed
+ */
+function applySeenRanges(doc, ranges, textLength) {
+  if (!Array.isArray(ranges) || ranges.length === 0 || !Array.isArray(doc.versions)) return false;
+  const latest = doc.versions[doc.latestVersionIndex] || doc.versions[doc.versions.length - 1];
+  if (!latest || typeof latest.text !== 'string' || latest.text.length !== textLength) return false;
+  let changed = false;
+  // Top-level items usually alias the latest version's array; update both to be safe
+  for (const arr of [latest.items, doc.items]) {
+    for (const it of (Array.isArray(arr) ? arr : [])) {
+      if (it.kind === 'code' || it.seen === true) continue;
+      if (isRangeSeen(it.start, it.end, ranges)) { it.seen = true; changed = true; }
+    }
+  }
+  return changed;
+}
+
 /**
- * Canonicalize a URL by removing fragments, stripping common tracking params
- * and sorting remaining query params.
+ * Update the stored engagement of an already captured page (sent by the
+ * content script when the tab is hidden or closed after capture), plus
+ * seen ranges in 'flag' seen mode. Engagement alone patches the head;
+ * only new seen ranges load and re-save the document.
  * @param {string} url
- * @returns {string}
+ * @param {object} engagement
+ * @param {string} [declaredCanonical] Page-declared canonical URL, if any
+ * @param {{ranges?:Array<[number, number]>, textLength?:number}} [seen]
+ * @returns {Promise<boolean>} true when a record was updated
+ */
+async function updatePageEngagement(url, engagement, declaredCanonical, seen = {}) {
+  const next = sanitizeEngagement(engagement);
+  const hasSeen = Array.isArray(seen.ranges) && seen.ranges.length > 0;
+  if (!url || (!next && !hasSeen)) return false;
+  const canUrl = resolveCanonicalUrl(url, declaredCanonical);
+  let head = await getHeadByCanonicalUrl(canUrl);
+  if (!head && canUrl !== canonicalizeUrl(url)) head = await getHeadByCanonicalUrl(canonicalizeUrl(url));
+  if (!head) return false;
+  if (hasSeen) {
+    const doc = await loadPage(head.id, { chunks: 'latest' });
+    if (doc && applySeenRanges(doc, seen.ranges, seen.textLength)) {
+      doc.engagement = mergeEngagement(doc.engagement, next);
+      await savePage(doc);
+      return true;
+    }
+  }
+  if (!engagementChanged(head.engagement, next)) return false;
+  const patched = await patchPageHead(head.id, (h) => {
+    if (!engagementChanged(h.engagement, next)) return false;
+    h.engagement = mergeEngagement(h.engagement, next);
+  });
+  return !!patched;
+}
+
+/**
+ * Head of the page stored under a canonical URL, via the index; falls back
+ * to scanning heads and comparing canonicalized URLs.
+ * @param {string} canUrl
+ * @returns {Promise<object|null>}
  */
-function canonicalizeUrl(url) {
+async function getHeadByCanonicalUrl(canUrl) {
   try {
-    const u = new URL(url);
-    u.hash = '';
-    const params = u.searchParams;
-    const stripPrefixes = ['utm_', 'vero_', 'ga_', 'mc_', 'sb_'];
-    const stripNames = new Set([
-      'gclid', 'fbclid', 'ref', 'ref_src', 'ref_url', '_hsmi', '_hsenc',
-      'mkt_tok', 'spm', 'igshid', 's', 'si', 'si_source', 'si_platform'
-    ]);
-    // Collect remaining params
-    const keep = [];
-    for (const [k, v] of params.entries()) {
-      const lower = k.toLowerCase();
-      if (stripNames.has(lower)) continue;
-      if (stripPrefixes.some(p => lower.startsWith(p))) continue;
-      keep.push([k, v]);
-    }
-    // Sort by key for stability
-    keep.sort((a, b) => a[0].localeCompare(b[0]));
-    // Rebuild
-    u.search = '';
-    for (const [k, v] of keep) u.searchParams.append(k, v);
-    return u.toString();
+    const head = (await getPageHeadsByCanonicalUrl(canUrl))[0];
+    if (head) return head;
+    const all = await listPageHeads({ open: false });
+    return all.find(p => p.canonicalUrl && p.canonicalUrl === canUrl)
+      || all.find(p => {
+        try { return canonicalizeUrl(p.url) === canUrl; } catch (_) { return false; }
+      })
+      || null;
   } catch (_) {
-    return url;
+    return null;
   }
 }
 
 /**
- * Lookup a document by canonicalUrl using an index if available; falls back
- * to scanning all pages and comparing canonicalized URLs.
+ * Lookup a document by canonicalUrl (getHeadByCanonicalUrl).
  * @param {string} canUrl
+ * @param {{chunks?:'all'|'latest'|'none'}} [opts] which versions get their chunks (see loadPage)
  * @returns {Promise<object|null>}
  */
-async function getByCanonicalUrl(canUrl) {
-  const db = await openDB();
-  // Try index first
-  try {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const idx = store.index('canonicalUrl');
-    const req = idx.get(canUrl);
-    const res = await new Promise((resolve) => {
-      req.onsuccess = () => resolve(req.result || null);
-      req.onerror = () => resolve(null);
-    });
-    if (res) return res;
-  } catch (_) { /* index may not exist yet */ }
-  // Fallback scan
-  try {
-    const all = await getAllPages();
-    for (const p of all) {
-      if (p.canonicalUrl && p.canonicalUrl === canUrl) return p;
+async function getByCanonicalUrl(canUrl, { chunks = 'latest' } = {}) {
+  const head = await getHeadByCanonicalUrl(canUrl);
+  return head ? loadPage(head.id, { chunks }) : null;
+}
+
+/**
+ * Second redaction pass over a capture payload. Content scripts redact before
+ * sending; this catches what they could not (PDFs, older content scripts,
+ * settings changed mid-capture). Prose chunk offsets are moved onto the
+ * redacted text and their text re-sliced from it, so a value split across
+ * two chunks is still masked; other chunks are redacted on their own.
+ * @param {string} text
+ * @param {Array<string|object>} chunks
+ * @param {Object<string, boolean>} types
+ * @returns {{text:string, chunks:Array<string|object>, counts:Object<string, number>}}
+ */
+function redactCapture(text, chunks, types) {
+  const red = redactText(text, types);
+  const counts = { ...red.counts };
+  const out = (Array.isArray(chunks) ? chunks : []).map(c => {
+    if (c && typeof c === 'object' && Number.isFinite(c.start) && Number.isFinite(c.end) && c.kind !== 'code' && text) {
+      if (!red.edits.length) return c;
+      const start = mapRedactedOffset(c.start, red.edits);
+      const end = mapRedactedOffset(c.end, red.edits, true);
+      return { ...c, text: red.text.slice(start, end), start, end };
     }
-    for (const p of all) {
-      try {
-        const cand = canonicalizeUrl(p.url);
-        if (cand === canUrl) return p;
-      } catch (_) {}
+    const raw = typeof c === 'string' ? c : (c && typeof c.text === 'string' ? c.text : '');
+    const r = redactText(raw, types);
+    if (!r.total) return c;
+    // Prose without offsets overlaps the page text; only code adds to the counts
+    if ((c && c.kind === 'code') || !text) {
+      for (const [k, n] of Object.entries(r.counts)) counts[k] = (counts[k] || 0) + n;
     }
-  } catch (_) {}
-  return null;
+    return typeof c === 'string' ? r.text : { ...c, text: r.text };
+  });
+  return { text: red.text, chunks: out, counts };
+}
+
+/**
+ * Redact the title and the free-text metadata fields (descriptions and
+ * titles from OpenGraph and Twitter cards) of a capture.
+ * @param {string} title
+ * @param {object|null} meta sanitized metadata (sanitizePageMeta)
+ * @param {Object<string, boolean>} [types]
+ * @returns {{title:string, meta:object|null, counts:Object<string, number>}}
+ */
+function redactPageFields(title, meta, types) {
+  const counts = {};
+  const redact = (value) => {
+    if (typeof value !== 'string' || !value) return value;
+    const r = redactText(value, types);
+    for (const [k, n] of Object.entries(r.counts)) counts[k] = (counts[k] || 0) + n;
+    return r.text;
+  };
+  const outTitle = redact(title);
+  let outMeta = meta;
+  if (meta) {
+    outMeta = { ...meta };
+    if (meta.description) outMeta.description = redact(meta.description);
+    for (const k of ['og', 'twitter']) {
+      if (!meta[k]) continue;
+      outMeta[k] = { ...meta[k] };
+      for (const f of ['title', 'description']) if (meta[k][f]) outMeta[k][f] = redact(meta[k][f]);
+    }
+  }
+  return { title: outTitle, meta: outMeta, counts };
+}
+
+/** Redaction counts per type (`{ email: 2, ... }`), or null when nothing was masked. */
+function sanitizeRedactionCounts(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const out = {};
+  for (const t of REDACTION_TYPES) {
+    const n = Number(raw[t]);
+    if (Number.isInteger(n) && n > 0) out[t] = n;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function addRedactionCounts(a, b) {
+  const out = { ...(a || {}) };
+  for (const [k, n] of Object.entries(b || {})) out[k] = (out[k] || 0) + n;
+  return sanitizeRedactionCounts(out);
+}
+
+/**
+ * SimHash of a stored version as processAndStore computes it: the page text
+ * (or its prose chunks when the text is gone) plus code chunks.
+ * @param {object} version with `text` and/or `items`
+ * @returns {string|null} null when there is no text
+ */
+function versionFingerprint(version) {
+  if (!version) return null;
+  const items = Array.isArray(version.items) ? version.items : [];
+  const prose = typeof version.text === 'string' && version.text
+    ? version.text
+    : items.filter(it => it.kind !== 'code').map(it => it.text || '').join(' ');
+  const normalized = normalizeText(prose);
+  const codeText = items.filter(it => it.kind === 'code').map(it => it.text || '').join('\n');
+  if (!normalized && !codeText) return null;
+  return simhash(codeText ? `${normalized} ${codeText}` : normalized);
+}
+
+/**
+ * Normalize capture chunks into `{ text, start?, end?, kind?, lang? }`
+ * entries. Content scripts send prose chunks as `{ text, start, end }`
+ * (legacy payloads: strings) and code blocks as `{ text, kind: 'code', lang }`.
+ * Without chunks, the page text is run through the shared chunker.
+ * @param {Array<string|object>} chunks
+ * @param {string} text Raw page text the offsets refer to
+ * @param {{targetWords?:number, overlapWords?:number}} chunking
+ * @returns {{text:string, start?:number, end?:number, kind?:string, lang?:string|null}[]}
+ */
+function normalizeChunks(chunks, text, chunking) {
+  const out = [];
+  for (const c of (Array.isArray(chunks) ? chunks : [])) {
+    if (typeof c === 'string') {
+      if (c.trim().length > 0) out.push({ text: c });
+    } else if (c && typeof c.text === 'string' && c.text.trim().length > 0) {
+      const entry = { text: c.text };
+      if (Number.isFinite(c.start) && Number.isFinite(c.end) && c.end > c.start) {
+        entry.start = c.start;
+        entry.end = c.end;
+      }
+      if (c.kind === 'code') {
+        entry.kind = 'code';
+        entry.lang = typeof c.lang === 'string' && c.lang ? c.lang : null;
+      }
+      if (typeof c.seen === 'boolean') entry.seen = c.seen;
+      if (Number.isInteger(c.page) && c.page > 0) entry.page = c.page;
+      out.push(entry);
+    }
+  }
+  if (out.length === 0 && text && text.trim()) {
+    for (const c of chunkText(text, chunking)) out.push(c);
+  }
+  return out;
+}
+
+/**
+ * Build a stored item from a normalized chunk and its embedding. Prose items
+ * are `{ text, embedding, start?, end? }`; code items carry `kind` and `lang`.
+ * `seen` is present only when the page was captured with seen tracking on;
+ * `page` (1-based) only for PDF captures.
+ */
+function toItem(chunk, embedding) {
+  const item = { text: chunk.text, embedding };
+  if (Number.isFinite(chunk.start)) {
+    item.start = chunk.start;
+    item.end = chunk.end;
+  }
+  if (chunk.kind === 'code') {
+    item.kind = 'code';
+    item.lang = chunk.lang || null;
+  }
+  if (typeof chunk.seen === 'boolean') item.seen = chunk.seen;
+  if (Number.isInteger(chunk.page)) item.page = chunk.page;
+  return item;
+}
+
+/**
+ * Full text of a page's latest version (what item offsets refer to); older
+ * records without stored text fall back to joining chunk texts.
+ * @param {object} page
+ * @returns {string}
+ */
+function pageFullText(page) {
+  if (!page) return '';
+  const versions = Array.isArray(page.versions) ? page.versions : [];
+  const latest = versions[typeof page.latestVersionIndex === 'number' ? page.latestVersionIndex : versions.length - 1];
+  if (latest && typeof latest.text === 'string' && latest.text) return latest.text;
+  return (page.items || []).map(it => it.text || '').join(' ');
 }
 
 /**
- * Process a newly visited page: compute embeddings for each provided chunk and
- * store the record in IndexedDB. Chunking is authoritative in content.js; the
- * background assumes chunks are already sized appropriately.
+ * Process a captured page: redact the text, title and metadata, normalize the
+ * chunks (normalizeChunks), embed them and store the result as a new version
+ * of the page, or only refresh timestamps when the content is unchanged.
+ * Chunks are sized with the chunk settings by whoever produced them: the
+ * content script, buildPdfChunks for PDFs, or chunkText here for payloads
+ * that arrive as plain text.
+ *
+ * Summaries are generated afterwards by a separate `summary` job.
  *
  * @param {object} message The message received from the content script.
+ * @returns {Promise<{chunks:number}>} chunks embedded (0 when only timestamps changed)
  */
 async function processAndStore(message) {
   if (!message || typeof message !== 'object') {
     throw new Error('Invalid message payload');
   }
-  const { url, title, timestamp, chunks, text } = message;
+  const { url, timestamp } = message;
+  // Which extractor produced the text ('readability' | 'basic'); null for older payloads
+  const extraction = typeof message.extraction === 'string' ? message.extraction : null;
+  const engagement = sanitizeEngagement(message.engagement);
   if (!url) {
     throw new Error('Missing url in message');
   }
+  const { chunkTargetWords, chunkOverlapWords, redactTypes } = await getSettings();
+  // Everything below (hash, embeddings, stored text) sees the redacted text only
+  const redacted = redactCapture(message.text || '', message.chunks, redactTypes);
+  const { text, chunks } = redacted;
+  // Title and structured metadata (OpenGraph, JSON-LD, ...; null for older payloads) get the same pass
+  const described = redactPageFields(message.title, sanitizePageMeta(message.meta), redactTypes);
+  const { title, meta } = described;
+  const redactions = addRedactionCounts(addRedactionCounts(sanitizeRedactionCounts(message.redactions), redacted.counts), described.counts);
   const normalizedText = normalizeText(text || '');
-  const chunksArr = Array.isArray(chunks) && chunks.length > 0
-    ? chunks.filter(c => typeof c === 'string' && c.trim().length > 0)
-    : (normalizedText ? [normalizedText] : []);
-  const contentHash = stringHash(normalizedText);
-  const canUrl = canonicalizeUrl(url);
+  const chunksArr = normalizeChunks(chunks, text || '', { targetWords: chunkTargetWords, overlapWords: chunkOverlapWords });
+  const chunkTexts = chunksArr.map(c => c.text);
+  // Code blocks are not part of `text`; fold them into the hash so code-only edits create versions
+  const codeText = chunksArr.filter(c => c.kind === 'code').map(c => c.text).join('\n');
+  const contentHash = stringHash(codeText ? `${normalizedText} ${codeText}` : normalizedText);
+  const canUrl = resolveCanonicalUrl(url, meta && meta.canonicalUrl);
+  const urlCanUrl = canonicalizeUrl(url);
   let __stage = 'start';
   try {
-    LOGGER.info('process start', { url, title, chunks: chunksArr.length });
-    // track processing state for UI
-    try { await addProcessingPage({ url, title, timestamp, status: 'processing', attempts: 0 }); } catch (_) {}
-    __stage = 'after_add';
+    LOGGER.info('process start', { url, title, chunks: chunksArr.length, extraction, redacted: redacted.counts });
     // Versioning settings (always enabled)
     const { versioningMaxVersions, versioningSimilarityThreshold } = await getSettings();
     __stage = 'after_settings';
     // Try to find an existing document by canonical URL
     let doc = await getByCanonicalUrl(canUrl);
+    // Records saved before the page declared a canonical live under the URL-derived key
+    if (!doc && canUrl !== urlCanUrl) doc = await getByCanonicalUrl(urlCanUrl);
     __stage = 'after_lookup';
 
     // If exact same content as latest version, just bump timestamps and metadata.
     if (doc && Array.isArray(doc.versions) && typeof doc.latestVersionIndex === 'number') {
       const latest = doc.versions[doc.latestVersionIndex] || doc.versions[doc.versions.length - 1];
-      if (latest && latest.hash === contentHash) {
+      // Trimmed pages (retention) fall through to get their chunks back
+      if (latest && latest.hash === contentHash && !doc.trimmedAt) {
+        // `timestamp` becomes the last visit; the capture time stays, and the visit can be undone (purgeTimeWindow)
+        if (typeof latest.capturedAt !== 'number') latest.capturedAt = latest.timestamp;
+        doc.visits = recordVisit(doc.visits, { at: timestamp, engagement, prevTimestamp: latest.timestamp, prevEngagement: doc.engagement || null });
         latest.timestamp = timestamp;
         doc.timestamp = timestamp; // keep top-level timestamp in sync
         doc.title = title || doc.title;
         doc.url = url || doc.url;
-        // Persist
-        const db = await openDB();
-        await new Promise((resolve, reject) => {
-          const tx = db.transaction(STORE_NAME, 'readwrite');
-          tx.objectStore(STORE_NAME).put(doc);
-          tx.oncomplete = () => resolve();
-          tx.onerror = () => reject(tx.error);
-        });
-        try { await removePendingCapture(url); } catch (_) {}
-        try { await removeProcessingPage(url); } catch (_) {}
+        doc.canonicalUrl = canUrl;
+        if (meta) doc.meta = meta;
+        doc.redactions = redactions;
+        doc.engagement = mergeEngagement(doc.engagement, engagement);
+        // Persist (only the head and version rows change; chunks are rewritten as loaded)
+        await savePage(doc);
         try { chrome.runtime.sendMessage({ type: 'PAGE_CAPTURED', url, title, timestamp }); } catch (_) {}
         try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
         LOGGER.info('process updated timestamp only (no content change)', { url });
-        return;
+        return { chunks: 0 };
       }
     }
 
@@ -1093,9 +2778,9 @@ async function processAndStore(message) {
     let items = [];
     try {
       __stage = 'before_embed_batch';
-      const embeddings = await withRetry(() => computeEmbeddingsBatch(chunksArr), { retries: 2, delayMs: 1000 });
+      const embeddings = await withRetry(() => computeEmbeddingsBatch(chunkTexts), { retries: 2, delayMs: 1000 });
       for (let i = 0; i < chunksArr.length; i++) {
-        if (embeddings[i]) items.push({ text: chunksArr[i], embedding: embeddings[i] });
+        if (embeddings[i]) items.push(toItem(chunksArr[i], embeddings[i]));
       }
       __stage = 'after_embed_batch';
     } catch (err) {
@@ -1104,8 +2789,8 @@ async function processAndStore(message) {
       for (const chunk of chunksArr) {
         try {
           __stage = 'before_embed_single';
-          const embedding = await withRetry(() => computeEmbedding(chunk), { retries: 2, delayMs: 800 });
-          items.push({ text: chunk, embedding });
+          const embedding = await withRetry(() => computeEmbedding(chunk.text), { retries: 2, delayMs: 800 });
+          items.push(toItem(chunk, embedding));
         } catch (e) {
           LOGGER.error('embed chunk failed', { error: String(e) });
         }
@@ -1113,26 +2798,35 @@ async function processAndStore(message) {
       __stage = 'after_embed_single';
     }
     LOGGER.debug('embeddings complete', { count: items.length });
+    // Nothing embedded (model offline?): fail so the job is retried instead of storing an empty page
+    if (chunksArr.length > 0 && items.length === 0) throw new Error('No embeddings returned');
 
     // Build new version payload
     const newVersion = {
       timestamp,
+      capturedAt: timestamp,
       hash: contentHash,
       items,
       centroid: computeCentroid(items) || undefined,
-      summary: ''
+      summary: '',
+      extraction,
+      // Raw page text; item start/end offsets index into it (fetch_more expansion)
+      text: text || ''
     };
-    if (text) {
-      try {
-        __stage = 'before_summary';
-        const sum = await withRetry(() => computeSummary(text), { retries: 1, delayMs: 1200 });
-        if (sum && sum.length > 0) newVersion.summary = sum;
-      } catch (err) {
-        LOGGER.warn('summary failed for page', { error: String(err) });
-      }
-    }
 
     const db = await openDB();
+    // Near-duplicate content under another URL links to that page's primary record
+    const fingerprint = simhash(codeText ? `${normalizedText} ${codeText}` : normalizedText);
+    let nearDup = null;
+    try {
+      __stage = 'before_near_duplicate';
+      nearDup = await findNearDuplicate(db, fingerprint, canUrl, doc ? doc.id : undefined);
+      if (nearDup) LOGGER.info('near-duplicate linked', { url, duplicateOf: nearDup.primaryId, distance: nearDup.distance });
+    } catch (err) {
+      LOGGER.warn('near-duplicate check failed', { error: String(err), url });
+    }
+    const duplicateOf = nearDup ? nearDup.primaryId : null;
+    let pageId = null;
     {
       // Versioned path
       if (!doc) {
@@ -1144,31 +2838,18 @@ async function processAndStore(message) {
           timestamp,
           latestVersionIndex: 0,
           versions: [newVersion],
-          // Keep top-level for compatibility with search until full refactor
-          items: items,
-          centroid: newVersion.centroid,
-          summary: newVersion.summary,
+          extraction,
+          meta,
+          redactions,
+          engagement: mergeEngagement(null, engagement),
+          simhash: fingerprint,
+          simhashBands: simhashBands(fingerprint),
+          duplicateOf,
         };
         __stage = 'db_add_new';
-        await new Promise((resolve, reject) => {
-          const tx = db.transaction(STORE_NAME, 'readwrite');
-          tx.objectStore(STORE_NAME).add(rec);
-          tx.oncomplete = () => resolve();
-          tx.onerror = () => reject(tx.error);
-        });
+        pageId = await savePage(rec);
       } else {
-        // Decide update latest vs append (handle legacy docs without versions)
-        if (!Array.isArray(doc.versions) || typeof doc.latestVersionIndex !== 'number') {
-          const prevItems = Array.isArray(doc.items) ? doc.items : [];
-          doc.versions = [{
-            timestamp: doc.timestamp || timestamp,
-            hash: stringHash(prevItems.map(i => i.text || '').join(' ')),
-            items: prevItems,
-            centroid: doc.centroid || computeCentroid(prevItems) || undefined,
-            summary: doc.summary || ''
-          }];
-          doc.latestVersionIndex = 0;
-        }
+        // Decide update latest vs append
         const latest = doc.versions[doc.latestVersionIndex];
         const latestCentroid = latest.centroid || computeCentroid(latest.items) || [];
         const newCentroid = newVersion.centroid || [];
@@ -1191,29 +2872,30 @@ async function processAndStore(message) {
             doc.latestVersionIndex = doc.versions.length - 1;
           }
         }
-        // Sync top-level fields for compatibility
+        // Head fields; timestamp, centroid and summary follow the latest version on save
         doc.canonicalUrl = canUrl;
         doc.url = url;
         doc.title = title;
-        doc.timestamp = timestamp;
-        doc.items = newVersion.items;
-        doc.centroid = newVersion.centroid;
-        doc.summary = newVersion.summary;
+        doc.extraction = extraction;
+        if (meta) doc.meta = meta;
+        doc.redactions = redactions;
+        doc.engagement = mergeEngagement(doc.engagement, engagement);
+        // Recorded revisits belong to the version they revisited
+        doc.visits = [];
+        doc.simhash = fingerprint;
+        doc.simhashBands = simhashBands(fingerprint);
+        doc.duplicateOf = duplicateOf;
         __stage = 'db_update_existing';
-        await new Promise((resolve, reject) => {
-          const tx = db.transaction(STORE_NAME, 'readwrite');
-          tx.objectStore(STORE_NAME).put(doc);
-          tx.oncomplete = () => resolve();
-          tx.onerror = () => reject(tx.error);
-        });
+        pageId = await savePage(doc);
       }
     }
-    try { await removePendingCapture(url); } catch (_) {}
-    try { await removeProcessingPage(url); } catch (_) {}
+    // Summaries run in their own lane so the next capture can start embedding
+    if (typeof pageId === 'number') enqueueSummaryBackfill({ id: pageId });
     try { chrome.runtime.sendMessage({ type: 'PAGE_CAPTURED', url, title, timestamp }); } catch (_) {}
     try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
     try { await removeHighlightCache(formatLocalYMD(timestamp)); } catch (_) {}
     LOGGER.info('process saved new', { url });
+    return { chunks: items.length };
   } catch (err) {
     try {
       const stack = err && err.stack ? String(err.stack) : undefined;
@@ -1221,22 +2903,8 @@ async function processAndStore(message) {
     } catch (_) {
       LOGGER.error('processAndStore failed', { error: String(err), url, stage: __stage });
     }
-    // increment attempts and possibly retry
-    const list = await getProcessingPages();
-    const entry = list.find(p => p.url === url) || { attempts: 0 };
-    const attempts = (entry.attempts || 0) + 1;
-    await updateProcessingPage(url, { status: 'error', attempts });
-    if (attempts <= 3) {
-      const backoff = 1000 * Math.pow(2, attempts - 1);
-      LOGGER.info('scheduling retry', { url, attempts, backoff });
-      setTimeout(() => {
-        updateProcessingPage(url, { status: 'retrying' }).then(() => enqueueProcess(message));
-      }, backoff);
-    } else {
-      LOGGER.error('giving up after retries', { url, attempts });
-      try { await removeProcessingPage(url); } catch (_) {}
-      try { await removePendingCapture(url); } catch (_) {}
-    }
+    // The job runner records the attempt and schedules the retry
+    throw err;
   }
 }
 
@@ -1497,6 +3165,7 @@ async function decomposeQuestion(question) {
  * @returns {Promise<object[]>} Array of result objects.
  */
 async function searchMemory(query, limit = 10) {
+  await assertVaultUnlocked();
   try { await LOGGER.debug('search start', { query, limit }); } catch (_) {}
   // Generate semantic variations of the query to improve recall.
   const variations = await generateQueryVariations(query, 3);
@@ -1522,12 +3191,15 @@ async function searchMemory(query, limit = 10) {
   }
   // Two-stage retrieval using offscreen ANN helper for background ranking
   await ensureOffscreenDocument();
+  // Offscreen documents can't read chrome.storage; pass ranking flags along
+  const { engagementBoost } = await getSettings();
   // Stage 1: get top pages by centroid similarity
   const topPageResp = await new Promise((resolve) => {
     chrome.runtime.sendMessage({
       type: 'OFFSCREEN_TOP_PAGES',
       variationEmbeddings: variationEmbeddings.map(v => v.embedding),
-      topN: 30
+      topN: 30,
+      engagementBoost
     }, resolve);
   });
   let topPageIds = (topPageResp && Array.isArray(topPageResp.pages)) ? topPageResp.pages.map(p => p.id) : [];
@@ -1537,7 +3209,7 @@ async function searchMemory(query, limit = 10) {
     const q = (query || '').toLowerCase().trim();
     const tokens = q.split(/\W+/).filter(t => t.length >= 3);
     if (tokens.length > 0) {
-      const pages = await getAllPages();
+      const pages = await listPageHeads({ open: false });
       const matchIds = [];
       for (const p of pages) {
         const t = (p.title || '').toLowerCase();
@@ -1558,7 +3230,9 @@ async function searchMemory(query, limit = 10) {
       type: 'OFFSCREEN_SCORE_CHUNKS',
       pageIds: topPageIds,
       variationEmbeddings: variationEmbeddings.map(v => v.embedding),
-      originalQuery: query
+      originalQuery: query,
+      engagementBoost,
+      includeClips: true
     }, resolve);
   });
   const scores = (chunkResp && Array.isArray(chunkResp.candidates)) ? chunkResp.candidates : [];
@@ -1583,19 +3257,20 @@ async function searchMemory(query, limit = 10) {
     } else if (llmRankPct !== undefined) {
       calibrated = llmRankPct;
     }
-    // Attach canonicalUrl to enable UI collapses; compute from URL
-    let can = '';
-    try { can = canonicalizeUrl(c.url); } catch (_) { can = c.url; }
+    // Attach canonicalUrl to enable UI collapses; prefer the stored record key
+    let can = c.canonicalUrl || '';
+    if (!can) { try { can = canonicalizeUrl(c.url); } catch (_) { can = c.url; } }
     return { ...c, similarityPct: simPct, llmRankPct, calibrated, canonicalUrl: can };
   });
-  // Return the first `limit` results after re‑ranking.
-  const out = withMetrics.slice(0, limit);
+  // Return the first `limit` results after re‑ranking and near-duplicate collapsing.
+  const out = collapseNearDuplicates(withMetrics).slice(0, limit);
   LOGGER.info('search done', { returned: out.length });
   return out;
 }
 
 // Quick search without cross-encoder reranking, used for partial results on timeout
 async function quickSearchMemory(query, limit = 5) {
+  await assertVaultUnlocked();
   const variations = await generateQueryVariations(query, 3);
   const batched = await computeEmbeddingsBatch(variations);
   const variationEmbeddings = [];
@@ -1612,15 +3287,16 @@ async function quickSearchMemory(query, limit = 5) {
     return [];
   }
   await ensureOffscreenDocument();
+  const { engagementBoost } = await getSettings();
   const topPageResp = await new Promise((resolve) => {
-    chrome.runtime.sendMessage({ type: 'OFFSCREEN_TOP_PAGES', variationEmbeddings: variationEmbeddings.map(v => v.embedding), topN: 30 }, resolve);
+    chrome.runtime.sendMessage({ type: 'OFFSCREEN_TOP_PAGES', variationEmbeddings: variationEmbeddings.map(v => v.embedding), topN: 30, engagementBoost }, resolve);
   });
   let topPageIds = (topPageResp && Array.isArray(topPageResp.pages)) ? topPageResp.pages.map(p => p.id) : [];
   try {
     const q = (query || '').toLowerCase().trim();
     const tokens = q.split(/\W+/).filter(t => t.length >= 3);
     if (tokens.length > 0) {
-      const pages = await getAllPages();
+      const pages = await listPageHeads({ open: false });
       const matchIds = [];
       for (const p of pages) {
         const t = (p.title || '').toLowerCase();
@@ -1634,14 +3310,22 @@ async function quickSearchMemory(query, limit = 5) {
     }
   } catch (_) {}
   const chunkResp = await new Promise((resolve) => {
-    chrome.runtime.sendMessage({ type: 'OFFSCREEN_SCORE_CHUNKS', pageIds: topPageIds, variationEmbeddings: variationEmbeddings.map(v => v.embedding), originalQuery: query }, resolve);
+    chrome.runtime.sendMessage({ type: 'OFFSCREEN_SCORE_CHUNKS', pageIds: topPageIds, variationEmbeddings: variationEmbeddings.map(v => v.embedding), originalQuery: query, engagementBoost, includeClips: true }, resolve);
   });
   const scores = (chunkResp && Array.isArray(chunkResp.candidates)) ? chunkResp.candidates : [];
   scores.sort((a, b) => b.weightedScore - a.weightedScore);
-  const top = scores.slice(0, Math.min(limit, scores.length));
-  return top.map(h => ({ title: h.title, url: h.url, snippet: h.snippet, chunkIndex: h.chunkIndex }));
+  const top = collapseNearDuplicates(scores).slice(0, limit);
+  return top.map(h => ({ title: h.title, url: h.url, snippet: h.snippet, chunkIndex: h.chunkIndex, kind: h.kind, note: h.note }));
+}
+
+/** One line of the "Sources:" block; PDF sources cite their page ("p. 7"). */
+function formatSourceLine(s) {
+  return `[${s.index}] ${s.title}${s.domain ? ` (${s.domain})` : ''}${s.page ? `, p. ${s.page}` : ''} — ${s.url}`;
 }
 
+// Questions about the user's own reading ("what did I read about X", "articles I saw on Y")
+const READ_INTENT_RE = /\b(?:did|have|had)\s+i\s+(?:read|see|seen|saw|look(?:ed)?\s+at|skim(?:med)?)\b|\bi\s+(?:read|saw|skimmed|looked\s+at)\b/i;
+
 /**
  * Answer a natural language question using retrieval‑augmented generation (RAG).
  * The pipeline performs semantic search over stored pages to find relevant
@@ -1653,6 +3337,7 @@ async function quickSearchMemory(query, limit = 5) {
  * @returns {Promise<string>} The generated answer or a fallback message.
  */
 async function askQuestion(question) {
+  await assertVaultUnlocked();
   // Retrieve model settings.
   const { chatModel } = await getModelSettings();
   const { answerMode } = await getSettings();
@@ -1715,19 +3400,31 @@ async function askQuestion(question) {
   // Filter nav/toolbox snippets and keep those that contain query terms.
   const stopwords = new Set(['what','did','how','the','a','an','in','on','to','is','are','was','were','and','or','of','about','say','who','why','when','where']);
   const queryTokens = question.toLowerCase().split(/\W+/).filter(t => t && !stopwords.has(t));
+  // Identifiers (camelCase, snake_case, a.b) must match verbatim, case-sensitive
+  const questionIdents = extractIdentifiers(question);
+  // "What did I read about X": prefer passages that were actually on screen (seen mode)
+  const readIntent = READ_INTENT_RE.test(question);
   // Avoid aggressive filtering here; keep all hits and use boosts instead
   let filteredHits = hitsArray.slice();
-  if (queryTokens.length) {
+  if (queryTokens.length || questionIdents.length || readIntent) {
     const containsToken = (sn) => queryTokens.some(tok => sn.includes(tok));
+    const containsIdent = (sn) => questionIdents.some(id => containsIdentifier(sn, id));
     filteredHits = filteredHits
-      .map(h => ({ ...h, __tok: containsToken((h.snippet || '').toLowerCase()) ? 1 : 0 }))
+      .map(h => ({
+        ...h,
+        __seen: readIntent && h.seen === true ? 1 : 0,
+        __ident: containsIdent(h.snippet || '') ? 1 : 0,
+        __tok: containsToken((h.snippet || '').toLowerCase()) ? 1 : 0
+      }))
       .sort((a, b) => {
+        if (b.__seen !== a.__seen) return b.__seen - a.__seen;
+        if (b.__ident !== a.__ident) return b.__ident - a.__ident;
         if (b.__tok !== a.__tok) return b.__tok - a.__tok;
         const sa = a.crossScore !== undefined ? a.crossScore : (a.weightedScore || a.score);
         const sb = b.crossScore !== undefined ? b.crossScore : (b.weightedScore || b.score);
         return sb - sa;
       })
-      .map(({ __tok, ...rest }) => rest);
+      .map(({ __seen, __ident, __tok, ...rest }) => rest);
   }
   const { askTopConcise, askTopDetailed } = await getSettings();
   const topHits = filteredHits.slice(0, answerMode === 'detailed' ? Math.max(1, askTopDetailed) : Math.max(1, askTopConcise));
@@ -1745,25 +3442,42 @@ async function askQuestion(question) {
       let summary = '';
       let windowText = '';
       let chunkText = '';
-      try {
-        const pages = await getAllPages();
-        const page = pages.find(p => p.url === hit.url);
-        summary = (page && page.summary) ? page.summary : '';
-        if (page && typeof hit.chunkIndex === 'number') {
-          const idx = hit.chunkIndex|0;
-          const items = Array.isArray(page.items) ? page.items : (Array.isArray(page.versions) && page.versions.length ? (page.versions[page.versions.length - 1].items || []) : []);
-          const from = Math.max(0, idx - 1);
-          const to = Math.min(items.length - 1, idx + 1);
-          const slices = [];
-          for (let j = from; j <= to; j++) {
-            const label = (j === idx) ? 'Focus' : (j < idx ? 'Prev' : 'Next');
-            const txt = String(items[j]?.text || '');
-            if (txt) slices.push(`${label} chunk [${j}]: ${txt}`);
+      if (hit.kind === 'clip') {
+        // A pinned passage: the selection with its surroundings and the user's note
+        const ctx = hit.context || {};
+        windowText = [
+          ctx.before ? `Before: …${ctx.before}` : '',
+          `Clip: ${hit.snippet}`,
+          ctx.after ? `After: ${ctx.after}…` : '',
+          hit.note ? `User note: ${hit.note}` : ''
+        ].filter(Boolean).join('\n');
+      } else {
+        try {
+          const head = (await listPageHeads({ open: false })).find(p => p.url === hit.url);
+          const page = head ? await loadPage(head.id, { chunks: 'latest' }) : null;
+          summary = (page && page.summary) ? page.summary : '';
+          if (page && typeof hit.chunkIndex === 'number') {
+            const idx = hit.chunkIndex|0;
+            const items = Array.isArray(page.items) ? page.items : (Array.isArray(page.versions) && page.versions.length ? (page.versions[page.versions.length - 1].items || []) : []);
+            const from = Math.max(0, idx - 1);
+            const to = Math.min(items.length - 1, idx + 1);
+            const slices = [];
+            for (let j = from; j <= to; j++) {
+              const label = (j === idx) ? 'Focus' : (j < idx ? 'Prev' : 'Next');
+              const txt = String(items[j]?.text || '');
+              if (!txt) continue;
+              if (items[j]?.kind === 'code') {
+                // Keep code verbatim and fenced so identifiers survive the prompt
+                slices.push(`${label} code chunk [${j}]:\n\`\`\`${items[j].lang || ''}\n${txt}\n\`\`\``);
+              } else {
+                slices.push(`${label} chunk [${j}]: ${txt}`);
+              }
+            }
+            windowText = slices.join('\n');
+            if (!windowText && items[idx]?.text) chunkText = String(items[idx].text);
           }
-          windowText = slices.join('\n');
-          if (!windowText && items[idx]?.text) chunkText = String(items[idx].text);
-        }
-      } catch (_) {}
+        } catch (_) {}
+      }
       const { answerMode, askCtxConcise, askCtxDetailed } = await getSettings();
       const capTotal = answerMode === 'detailed' ? askCtxDetailed : askCtxConcise;
       const perBlockCap = Math.max(400, Math.floor((capTotal || 1200) / Math.max(1, topHits.length)));
@@ -1773,7 +3487,13 @@ async function askQuestion(question) {
       else if (chunkText) parts.push(`Chunk: ${chunkText}`);
       else parts.push(`Snippet: ${hit.snippet}`);
       const block = parts.join('\n');
-      contextPieces.push(`[${i+1}] Title: ${title}${domain ? ` (domain: ${domain})` : ''}\n${block.slice(0, perBlockCap)}`);
+      // Keep the page's own publication date apart from when it was visited
+      const dateNote = [
+        typeof hit.publishedAt === 'number' ? `published ${formatLocalYMD(hit.publishedAt)}` : '',
+        typeof hit.timestamp === 'number' ? `visited ${formatLocalYMD(hit.timestamp)}` : ''
+      ].filter(Boolean).join(', ');
+      const pageNote = Number.isInteger(hit.page) ? `, p. ${hit.page}` : '';
+      contextPieces.push(`[${i+1}] Title: ${title}${pageNote}${domain ? ` (domain: ${domain})` : ''}${dateNote ? ` [${dateNote}]` : ''}\n${block.slice(0, perBlockCap)}`);
     }
     const contextBlocks = contextPieces.join('\n\n');
 
@@ -1797,7 +3517,7 @@ Rules:
         const { enableTools } = await getSettings();
         if (enableTools) {
           extractBody.tools = [
-            { type: 'function', function: { name: 'fetch_more', description: 'Fetch more text from a stored page. Prefer chunkIndex; otherwise provide a small start/end range.', parameters: { type: 'object', properties: { url: { type: 'string' }, chunkIndex: { type: 'integer' }, start: { type: 'integer' }, end: { type: 'integer' } }, required: ['url'] } } },
+            { type: 'function', function: { name: 'fetch_more', description: 'Fetch more text from a stored page. Prefer chunkIndex (optionally with expand = characters of surrounding context); otherwise provide a small start/end range.', parameters: { type: 'object', properties: { url: { type: 'string' }, chunkIndex: { type: 'integer' }, expand: { type: 'integer' }, start: { type: 'integer' }, end: { type: 'integer' } }, required: ['url'] } } },
             { type: 'function', function: { name: 'get_page_summary', description: 'Get the stored summary for a page URL', parameters: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] } } },
             { type: 'function', function: { name: 'search_memory', description: 'Search local memory for a query and return top k results', parameters: { type: 'object', properties: { query: { type: 'string' }, k: { type: 'integer' } }, required: ['query'] } } }
           ];
@@ -1815,11 +3535,15 @@ Rules:
             let messages = extractBody.messages.slice();
             messages.push({ role: 'assistant', content: json.message.content || '', tool_calls: json.message.tool_calls });
             let steps = 0;
-            const pages = await getAllPages();
-            const allowed = new Set(pages.map(p => p.url));
-            const pageText = new Map();
-            for (const p of pages) pageText.set(p.url, (p.items || []).map(it => it.text || '').join(' '));
-            const runtime = new ToolsRuntime({ allowedUrls: allowed, pageText, pages, searchMemory, quickSearchMemory, toolTimeoutMs });
+            // Heads decide which URLs tools may read; a page is loaded only when a tool asks for it
+            const heads = await listPageHeads({ open: false });
+            const idByUrl = new Map();
+            for (const h of heads) if (h.url && !idByUrl.has(h.url)) idByUrl.set(h.url, h.id);
+            const loadToolPage = async (url) => {
+              const page = idByUrl.has(url) ? await loadPage(idByUrl.get(url), { chunks: 'latest' }) : null;
+              return page ? { page, text: pageFullText(page) } : null;
+            };
+            const runtime = new ToolsRuntime({ allowedUrls: new Set(idByUrl.keys()), loadPage: loadToolPage, searchMemory, quickSearchMemory, toolTimeoutMs });
             const stepCap = Math.max(0, Math.min((maxToolSteps || 2), 2));
             while (steps < stepCap) {
               steps++;
@@ -1891,25 +3615,32 @@ Rules:
     const sourcesArr = topHits.map((hit, i) => {
       let domain = '';
       try { domain = new URL(hit.url).hostname; } catch (_) { domain = ''; }
-      return { index: i+1, title: hit.title || hit.url, url: hit.url, domain };
+      return { index: i+1, title: hit.title || hit.url, url: hit.url, domain, publishedAt: hit.publishedAt, visitedAt: hit.timestamp, page: hit.page };
     });
     try {
       const existing = new Set(sourcesArr.map(s => s.url));
       const extras = (usedToolUrls || []).filter(u => u && !existing.has(u));
       if (extras.length > 0) {
-        const pages = await getAllPages();
+        const pages = await listPageHeads({ open: false });
         for (const u of extras) {
           const page = pages.find(p => p.url === u);
           let domain = '';
           try { domain = new URL(u).hostname; } catch (_) { domain = ''; }
-          sourcesArr.push({ index: sourcesArr.length + 1, title: (page && page.title) ? page.title : u, url: u, domain });
+          sourcesArr.push({
+            index: sourcesArr.length + 1,
+            title: (page && page.title) ? page.title : u,
+            url: u,
+            domain,
+            publishedAt: (page && page.meta && page.meta.publishedAt) || undefined,
+            visitedAt: page ? page.timestamp : undefined
+          });
         }
       }
     } catch (_) {}
     const explanations = topHits.map((hit, i) => ({ index: i+1, title: hit.title || hit.url, url: hit.url, score: hit.score, weightedScore: hit.weightedScore, crossScore: hit.crossScore, snippet: hit.snippet }));
     const hasSources = /\bSources\b/i.test(content);
     if (!hasSources) {
-      const sourcesText = sourcesArr.map(s => `[${s.index}] ${s.title}${s.domain ? ` (${s.domain})` : ''} — ${s.url}`).join('\n');
+      const sourcesText = sourcesArr.map(formatSourceLine).join('\n');
       const answer = `${content}\n\nSources:\n${sourcesText}`;
       return { answer, sources: sourcesArr, explanations };
     }
@@ -1923,7 +3654,7 @@ Rules:
   const sourcesArr = topHits.map((hit, i) => {
     let domain = '';
     try { domain = new URL(hit.url).hostname; } catch (_) { domain = ''; }
-    return { index: i+1, title: hit.title || hit.url, url: hit.url, domain };
+    return { index: i+1, title: hit.title || hit.url, url: hit.url, domain, publishedAt: hit.publishedAt, visitedAt: hit.timestamp, page: hit.page };
   });
   const explanations = topHits.map((hit, i) => ({
     index: i+1,
@@ -1936,7 +3667,7 @@ Rules:
   }));
   const bulletsText = bullets.join('\n\n');
   const sourcesText = sourcesArr
-    .map(s => `[${s.index}] ${s.title}${s.domain ? ` (${s.domain})` : ''} — ${s.url}`)
+    .map(formatSourceLine)
     .join('\n');
   const answer = sourcesArr.length ? `${bulletsText}\n\nSources:\n${sourcesText}` : bulletsText;
   return { answer, sources: sourcesArr, explanations };
@@ -1951,34 +3682,35 @@ Rules:
  * @returns {Promise<string>} A highlight summary, or a message if no pages.
  */
 async function getHighlights(dateStr) {
+  await assertVaultUnlocked();
   // Try cache first; trust only if count matches current pages for that date
   try {
     const cached = await getHighlightCache(dateStr);
     if (cached && typeof cached.text === 'string') {
-      const pagesNow = await getAllPages();
+      const pagesNow = await listPageHeads({ open: false });
       const cnt = pagesNow.filter(p => formatLocalYMD(p.timestamp) === dateStr).length;
       if (cnt === (cached.count || 0)) {
         return cached.text;
       }
     }
   } catch (_) {}
-  const pages = await getAllPages();
-  // Filter pages whose timestamp falls on the given date (local time).
+  // Heads for the given date (local time); chunks only where a summary is missing
+  const heads = (await listPageHeads()).filter(p => formatLocalYMD(p.timestamp) === dateStr);
+  const pages = await loadPages(heads.filter(p => !p.summary).map(p => p.id), { chunks: 'latest' });
+  const byId = new Map(pages.map(p => [p.id, p]));
   const summaries = [];
-  for (const page of pages) {
-    const localDate = formatLocalYMD(page.timestamp);
-    if (localDate === dateStr) {
-      if (page.summary && page.summary.length > 0) {
-        summaries.push(page.summary);
-      } else {
-        // If no summary exists, summarise the combined text of all chunks.
-        const combined = (page.items || []).map(item => item.text).join(' ');
-        const sum = await computeSummary(combined);
-        if (sum && sum.length > 0) {
-          summaries.push(sum);
-          // Optionally update the record with this summary for future reuse.
-          page.summary = sum;
-        }
+  for (const head of heads) {
+    const page = byId.get(head.id) || head;
+    if (page.summary && page.summary.length > 0) {
+      summaries.push(page.summary);
+    } else {
+      // If no summary exists, summarise the combined text of all chunks.
+      const combined = (page.items || []).map(item => item.text).join(' ');
+      const sum = await computeSummary(combined);
+      if (sum && sum.length > 0) {
+        summaries.push(sum);
+        // Optionally update the record with this summary for future reuse.
+        page.summary = sum;
       }
     }
   }
@@ -2000,7 +3732,7 @@ async function getHighlights(dateStr) {
   // titles, domains and summaries.  We limit to the most recent N pages.
   const MAX_HIGHLIGHTS = 5;
   const db = await openDB();
-  const allPages = await getAllPages();
+  const allPages = await listPageHeads();
   const pagesForDate = allPages.filter(p => formatLocalYMD(p.timestamp) === dateStr);
   // Sort by timestamp descending.
   pagesForDate.sort((a, b) => b.timestamp - a.timestamp);
@@ -2020,7 +3752,10 @@ async function getHighlights(dateStr) {
       domain = '';
     }
     const titleLine = page.title ? page.title : page.url;
-    paragraphs.push(`• ${titleLine}${domain ? ` (domain: ${domain})` : ''}: ${sum}`);
+    const published = page.meta && typeof page.meta.publishedAt === 'number' ? formatLocalYMD(page.meta.publishedAt) : '';
+    // Highlights are grouped by visit date; note when the article itself is older
+    const publishedNote = published && published !== dateStr ? `, published ${published}` : '';
+    paragraphs.push(`• ${titleLine}${domain ? ` (domain: ${domain}${publishedNote})` : (publishedNote ? ` (${publishedNote.slice(2)})` : '')}: ${sum}`);
   }
   const text = paragraphs.join('\n\n');
   try { await setHighlightCache(dateStr, { date: dateStr, text, generatedAt: Date.now(), count: pagesForDate.length, partial: false }); } catch (_) {}
@@ -2043,32 +3778,129 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       try {
         const { paused } = await getSettings();
         const forced = !!message.force || !!message.manual;
+        const tab = sender && sender.tab;
+        if (await incognitoBlocked(tab)) {
+          await LOGGER.info('capture skipped (incognito)');
+          sendResponse({ ok: true, skipped: 'incognito' });
+          return;
+        }
         if (paused && !forced) {
           await LOGGER.info('capture skipped (paused)', { url: message.url });
           sendResponse({ ok: true, skipped: 'paused' });
           return;
         }
-        savePendingCapture(message.url, message).then(() => {}).catch(() => {});
-        enqueueProcess(message);
+        if (!forced && tab && await isTabNoCapture(tab.id)) {
+          await LOGGER.info('capture skipped (tab)', { url: message.url });
+          sendResponse({ ok: true, skipped: 'tab' });
+          return;
+        }
+        await enqueueProcess(message);
         sendResponse({ ok: true });
       } catch (_) {
         // fallback behavior
-        savePendingCapture(message.url, message).then(() => {}).catch(() => {});
-        enqueueProcess(message);
+        await enqueueProcess(message);
         sendResponse({ ok: true });
       }
     })();
     return true;
   }
+  if (message.type === 'UPDATE_ENGAGEMENT') {
+    (async () => {
+      // Same tab checks as SAVE_PAGE: nothing is written for incognito or excluded tabs
+      const tab = sender && sender.tab;
+      if (await incognitoBlocked(tab) || (tab && await isTabNoCapture(tab.id))) return false;
+      return updatePageEngagement(message.url, message.engagement, message.canonicalUrl, { ranges: message.seenRanges, textLength: message.textLength });
+    })()
+      .then(updated => {
+        if (updated) { try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {} }
+        sendResponse({ ok: true, updated });
+      })
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'CAPTURE_TAB') {
+    // Capture Now from the side panel: works where the content script isn't registered
+    chrome.tabs.get(message.tabId)
+      .then(tab => captureTab(tab))
+      .then(res => sendResponse(res))
+      .catch(err => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message.type === 'GET_CAPTURE_CONFIG') {
+    getCaptureConfig(message.url).then(cfg => sendResponse(cfg)).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
   if (message.type === 'SHOULD_CAPTURE') {
-    shouldCapture(message.url).then(allow => sendResponse({ allow })).catch(err => sendResponse({ error: err.message }));
+    (async () => {
+      const { allow, index, sensitiveAllowed } = await explainCapture(message.url, undefined, sender && sender.tab);
+      return { allow, ruleIndex: index, sensitiveAllowed };
+    })().then(r => sendResponse(r)).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'PDF_DOCUMENT') {
+    // Content script found Chrome's PDF viewer at a URL that doesn't look like a PDF
+    // (those are picked up by webNavigation.onCompleted)
+    const tab = sender && sender.tab;
+    if (message.url && !looksLikePdfUrl(message.url)) capturePdf(String(message.url), { title: (tab && tab.title) || '', tab });
+    sendResponse({ ok: true });
+    return;
+  }
+  if (message.type === 'CAPTURE_SKIPPED') {
+    // Content script refused auto-capture (sensitive page); keep it for the side panel
+    const entry = {
+      url: String(message.url || ''),
+      title: String(message.title || message.url || '').slice(0, 300),
+      domain: domainFromUrl(message.url),
+      reason: String(message.reason || 'sensitive'),
+      detail: String(message.detail || '').slice(0, 100),
+      timestamp: Date.now(),
+      tabId: sender && sender.tab ? sender.tab.id : null
+    };
+    if (!entry.url) { sendResponse({ error: 'Missing url' }); return; }
+    LOGGER.info('capture skipped', { url: entry.url, reason: entry.reason, detail: entry.detail });
+    addSkippedCapture(entry).then(() => sendResponse({ ok: true })).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'GET_SKIPPED') {
+    getSkippedCaptures().then(list => sendResponse({ skipped: list })).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'DISMISS_SKIPPED') {
+    removeSkippedCaptures(p => p.url === message.url).then(() => sendResponse({ ok: true })).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'ALLOW_SENSITIVE_DOMAIN') {
+    // One-click override: stop flagging this domain and capture pages that are still open
+    (async () => {
+      const domain = String(message.domain || '').trim().toLowerCase();
+      if (!domain) throw new Error('Missing domain');
+      const { sensitiveAllowDomains } = await getCaptureRules();
+      if (!sensitiveAllowDomains.includes(domain)) {
+        await setCaptureRules({ sensitiveAllowDomains: [...sensitiveAllowDomains, domain] });
+      }
+      const removed = await removeSkippedCaptures(p => matchesDomain(p.domain, [domain]));
+      let recaptured = 0;
+      for (const p of removed) {
+        if (p.tabId === null || p.tabId === undefined) continue;
+        try {
+          const tab = await chrome.tabs.get(p.tabId);
+          if (!tab || tab.url !== p.url) continue;
+          // PDFs have no content script listening; the override now lets capturePdf through
+          if (p.pdf) capturePdf(p.url, { title: tab.title || '', tab });
+          else chrome.tabs.sendMessage(p.tabId, { type: 'FORCE_CAPTURE' }, { frameId: 0 }, () => { void chrome.runtime.lastError; });
+          recaptured++;
+        } catch (_) {}
+      }
+      LOGGER.info('sensitive override added', { domain, recaptured });
+      return { ok: true, recaptured };
+    })().then(r => sendResponse(r)).catch(err => sendResponse({ error: err.message }));
     return true;
   }
   if (message.type === 'SEARCH_QUERY') {
     try { LOGGER.debug('onMessage SEARCH_QUERY', { query: message.query, limit: message.limit }); } catch (_) {}
     searchMemory(message.query, message.limit || 5)
       .then(results => sendResponse({ results }))
-      .catch(err => sendResponse({ error: err.message }));
+      .catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
     return true; // Keep the message channel open for async response.
   }
   if (message.type === 'GET_HIGHLIGHTS') {
@@ -2079,7 +3911,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     getHighlights(dateStr)
       .then(highlight => sendResponse({ highlight }))
-      .catch(err => sendResponse({ error: err.message }));
+      .catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
     return true;
   }
   if (message.type === 'LIST_HIGHLIGHT_DATES') {
@@ -2089,7 +3921,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const to = message.to ? String(message.to) : null;
         const offset = Math.max(0, (message.offset|0) || 0);
         const limit = Math.max(1, Math.min(1000, (message.limit|0) || 30));
-        const pages = await getAllPages();
+        const pages = await listPageHeads({ open: false });
         const counts = new Map();
         for (const p of pages) {
           const d = formatLocalYMD(p.timestamp);
@@ -2108,6 +3940,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     })();
     return true;
   }
+  if (message.type === 'GET_TAB_CAPTURE') {
+    getTabCaptureState(message.tabId).then(r => sendResponse(r)).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'SET_TAB_CAPTURE') {
+    setTabNoCapture(message.tabId, !!message.noCapture)
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
   if (message.type === 'GET_SETTINGS') {
     getSettings().then(s => sendResponse(s)).catch(err => sendResponse({ error: err.message }));
     return true;
@@ -2121,6 +3963,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           try { chrome.runtime.sendMessage({ type: 'PAUSE_STATE', paused: !!message.payload.paused }); } catch (_) {}
           try { chrome.contextMenus.update('wm_toggle_pause', { title: message.payload.paused ? 'Resume capture' : 'Pause capture' }); } catch (_) {}
         }
+        if (message.payload && typeof message.payload.captureIncognito === 'boolean') {
+          try {
+            const tabs = await chrome.tabs.query({});
+            for (const t of tabs) if (t.incognito) await updateTabBadge(t.id);
+          } catch (_) {}
+        }
         if (message.payload && message.payload.logLevel) {
           LOGGER.setLevel(message.payload.logLevel);
           await LOGGER.info('log level updated', { level: message.payload.logLevel });
@@ -2132,6 +3980,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.payload && typeof message.payload.ollamaBase === 'string') {
           await LOGGER.info('ollama base updated', { base: message.payload.ollamaBase });
         }
+        if (message.payload && PIPELINE_SETTING_KEYS.some(k => k in message.payload)) {
+          applyPipelineSettings(await getSettings());
+          runJobs();
+        }
         sendResponse({ ok: true });
       })
       .catch(err => sendResponse({ error: err.message }));
@@ -2238,22 +4090,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ answer: res.answer, sources: res.sources, explanations: res.explanations });
         }
       })
-      .catch(err => sendResponse({ error: err.message }));
+      .catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
     return true;
   }
   if (message.type === 'RETRY_PROCESSING') {
     (async () => {
       try {
         const url = message.url;
-        const payload = await getPendingCapture(url);
-        if (!payload) {
+        const job = await retryJob(`capture:${url}`);
+        if (!job) {
           sendResponse({ error: 'No pending payload for this URL. Try opening the page and using Capture Now.' });
           return;
         }
-        // Remove current processing entry to avoid duplicates in the list
-        try { await removeProcessingPage(url); } catch (_) {}
-        await updateProcessingPage(url, { status: 'retrying', attempts: 0 });
-        enqueueProcess(payload);
+        try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_UPDATED', url, fields: jobToProcessingEntry(job) }); } catch (_) {}
+        runJobs();
         sendResponse({ ok: true });
       } catch (err) {
         sendResponse({ error: String(err) });
@@ -2265,8 +4115,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
       try {
         const url = message.url;
-        await removeProcessingPage(url);
-        await removePendingCapture(url);
+        await deleteJob(`capture:${url}`);
+        try { chrome.runtime.sendMessage({ type: 'PAGE_PROCESSING_ENDED', url }); } catch (_) {}
         await appendLog('info', 'processing canceled', { url });
         sendResponse({ ok: true });
       } catch (err) {
@@ -2284,7 +4134,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   if (message.type === 'GET_PROCESSING') {
-    getProcessingPages().then(list => sendResponse({ processing: list })).catch(err => sendResponse({ error: err.message }));
+    listJobs()
+      .then(jobs => {
+        const list = jobs
+          .filter(j => j.kind === 'capture' && j.state !== 'done')
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .map(jobToProcessingEntry);
+        sendResponse({ processing: list, stats: getPipelineStats(jobs) });
+      })
+      .catch(err => sendResponse({ error: err.message }));
     return true;
   }
   if (message.type === 'GET_PAGE_LIST') {
@@ -2297,10 +4155,125 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
+  if (message.type === 'SET_PAGE_PINNED') {
+    // Pinned pages are left alone by retention (unless keepPinned is off)
+    patchPageHead(message.id, (head) => { head.pinned = !!message.pinned; })
+      .then(head => sendResponse(head ? { ok: true } : { error: 'Page not found' }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'GET_RETENTION') {
+    Promise.all([getRetentionPolicy(), getRetentionReport(), storageEstimate()])
+      .then(([policy, report, estimate]) => sendResponse({ policy, report, estimate }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'SET_RETENTION') {
+    setRetentionPolicy(message.policy || {})
+      .then(policy => sendResponse({ ok: true, policy }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'RUN_RETENTION') {
+    // { dryRun, policy? } -> report; dryRun previews the plan without changing anything
+    runRetention({ dryRun: !!message.dryRun, policy: message.policy || null })
+      .then(report => sendResponse({ ok: true, report }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'GET_VAULT_STATE') {
+    getVaultState().then(state => sendResponse({ ok: true, state })).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'UNLOCK_VAULT' || message.type === 'LOCK_VAULT' || message.type === 'ENABLE_VAULT' || message.type === 'DISABLE_VAULT') {
+    // { passphrase } for all but LOCK_VAULT; replies with the new state
+    const run = {
+      UNLOCK_VAULT: () => unlockVaultWithPassphrase(message.passphrase),
+      LOCK_VAULT: () => lockVaultNow(),
+      ENABLE_VAULT: () => enableVault(message.passphrase),
+      DISABLE_VAULT: () => disableVault(message.passphrase)
+    }[message.type];
+    run()
+      .then(state => sendResponse({ ok: true, state }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'PURGE_HISTORY') {
+    // { from, to, dryRun } -> counts; dryRun is the preview shown before confirming
+    purgeTimeWindow(Number(message.from), Number(message.to), { dryRun: !!message.dryRun })
+      .then(counts => sendResponse({ ok: true, counts }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'SAVE_CLIP') {
+    (async () => {
+      const input = message.clip || {};
+      // Sent by the side panel: the source tab comes from the draft (it may be closed by now)
+      let tab = sender && sender.tab;
+      if (!tab && typeof input.tabId === 'number') {
+        tab = await chrome.tabs.get(input.tabId).catch(() => null) || { id: input.tabId, incognito: !!input.incognito };
+      }
+      const blocked = await clipBlocked(tab);
+      if (blocked) {
+        throw new Error(blocked === 'incognito' ? 'Capture is off in incognito windows' : 'Capture is off for this tab');
+      }
+      return saveClip(input);
+    })()
+      .then(clip => {
+        chrome.storage.local.remove('pendingClip');
+        chrome.storage.session.remove('pendingClip');
+        sendResponse({ ok: true, id: clip.id });
+      })
+      .catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
+    return true;
+  }
+  if (message.type === 'GET_VECTOR_STATS') {
+    (async () => {
+      try {
+        const { vectorStorage } = await getSettings();
+        sendResponse({ mode: vectorStorage, stats: await vectorStorageStats() });
+      } catch (err) {
+        sendResponse({ error: String(err) });
+      }
+    })();
+    return true;
+  }
+  if (message.type === 'REPACK_VECTORS') {
+    // Existing embeddings into the configured format (new ones already use it)
+    (async () => {
+      try {
+        const { vectorStorage } = await getSettings();
+        const chunks = await repackVectors(vectorStorage);
+        const clips = await repackClipVectors(vectorStorage);
+        try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
+        LOGGER.info('vectors repacked', { mode: vectorStorage, chunks, clips });
+        sendResponse({ ok: true, mode: vectorStorage, chunks, clips });
+      } catch (err) {
+        sendResponse({ error: String(err) });
+      }
+    })();
+    return true;
+  }
+  if (message.type === 'GET_CLIPS') {
+    getClipList().then(clips => sendResponse({ clips })).catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
+    return true;
+  }
+  if (message.type === 'UPDATE_CLIP') {
+    updateClip(message.id, { note: message.note, tags: message.tags })
+      .then(clip => sendResponse(clip ? { ok: true } : { error: 'Clip not found' }))
+      .catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
+    return true;
+  }
+  if (message.type === 'DELETE_CLIP') {
+    deleteClipById(message.id)
+      .then(() => { try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}; sendResponse({ ok: true }); })
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
   if (message.type === 'DELETE_BY_URL') {
     (async () => {
       try {
-        const pages = await getAllPages();
+        const pages = await listPageHeads({ open: false });
         const toDeletePages = pages.filter(p => p.url === message.url);
         const toDelete = toDeletePages.map(p => p.id);
         for (const id of toDelete) {
@@ -2319,60 +4292,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   if (message.type === 'GET_ALL_PAGES') {
-    getAllPages().then(pages => sendResponse({ pages })).catch(err => sendResponse({ error: err.message }));
+    // Vectors go out base64-encoded: typed arrays don't survive messaging or JSON
+    assertVaultUnlocked()
+      .then(() => loadAllPages())
+      .then(pages => sendResponse({ pages: pages.map(encodePageVectors) }))
+      .catch(err => sendResponse({ error: err.message, locked: !!err.locked }));
     return true;
   }
   if (message.type === 'BACKFILL_RECORDS') {
+    // Queued as deferred `reembed` jobs; they run when the browser is idle
     (async () => {
       try {
-        const ids = Array.isArray(message.ids) ? message.ids : [];
-        const db = await openDB();
-        let done = 0;
-        for (const id of ids) {
-          try {
-            const rec = await new Promise((resolve) => {
-              const tx = db.transaction(STORE_NAME, 'readonly');
-              const store = tx.objectStore(STORE_NAME);
-              const req = store.get(id);
-              req.onsuccess = () => resolve(req.result || null);
-              req.onerror = () => resolve(null);
-            });
-            if (!rec) continue;
-            // Determine versions to backfill
-            if (Array.isArray(rec.versions) && rec.versions.length > 0) {
-              const filled = [];
-              for (const v of rec.versions) {
-                filled.push(await ensureVersionData(v, { fillSummary: true }));
-              }
-              rec.versions = filled;
-              // Sync to latest
-              const idx = typeof rec.latestVersionIndex === 'number' ? rec.latestVersionIndex : (rec.versions.length - 1);
-              const cur = rec.versions[idx];
-              rec.timestamp = cur.timestamp;
-              rec.items = cur.items;
-              rec.centroid = cur.centroid;
-              rec.summary = cur.summary || '';
-            } else {
-              // Legacy-like record
-              const filled = await ensureVersionData({ timestamp: rec.timestamp, items: rec.items || [], summary: rec.summary || '' }, { fillSummary: true });
-              rec.versions = [filled];
-              rec.latestVersionIndex = 0;
-              rec.timestamp = filled.timestamp;
-              rec.items = filled.items;
-              rec.centroid = filled.centroid;
-              rec.summary = filled.summary || '';
-            }
-            // Persist
-            await new Promise((resolve, reject) => {
-              const tx = db.transaction(STORE_NAME, 'readwrite');
-              tx.objectStore(STORE_NAME).put(rec);
-              tx.oncomplete = () => resolve();
-              tx.onerror = () => reject(tx.error);
-            });
-            done++;
-          } catch (_) { /* continue next */ }
-        }
-        sendResponse({ ok: true, done });
+        const ids = Array.isArray(message.ids) ? message.ids.filter(id => typeof id === 'number') : [];
+        for (const id of ids) await enqueueReembed(id);
+        sendResponse({ ok: true, queued: ids.length });
       } catch (err) {
         sendResponse({ error: String(err) });
       }
@@ -2382,6 +4315,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'IMPORT_PAGES') {
     (async () => {
       try {
+        await assertVaultUnlocked();
         const pages = Array.isArray(message.pages) ? message.pages : [];
         const schemaVersion = Number.isFinite(message.schemaVersion) ? message.schemaVersion : 0;
         const incomingMeta = (message.embeddingMeta && typeof message.embeddingMeta === 'object') ? message.embeddingMeta : null;
@@ -2396,7 +4330,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const curMeta2 = await getEmbeddingMeta();
         const currentDim = curMeta2?.dim || null;
         const db = await openDB();
-        const { versioningMaxVersions, versioningSimilarityThreshold } = await getSettings();
+        const { versioningMaxVersions, versioningSimilarityThreshold, chunkTargetWords, chunkOverlapWords } = await getSettings();
+        const chunking = { targetWords: chunkTargetWords, overlapWords: chunkOverlapWords };
         // Determine total work units (versions)
         let total = 0;
         for (const src of pages) {
@@ -2405,6 +4340,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         let done = 0;
         let skippedIncompatible = 0;
+        const importedUrls = new Set();
         chrome.runtime.sendMessage({ type: 'IMPORT_PROGRESS', done, total });
         for (const src of pages) {
           try {
@@ -2426,25 +4362,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               const items0 = asArray(src.items).length ? src.items
                          : asArray(src.chunks).length ? src.chunks
                          : asArray(src.passages);
-              versions = [{ timestamp: typeof src.timestamp === 'number' ? src.timestamp : Date.now(), items: items0, summary: src.summary || '' }];
+              versions = [{ timestamp: typeof src.timestamp === 'number' ? src.timestamp : Date.now(), items: items0, summary: src.summary || '', text: src.text || src.content || '' }];
             }
             // Sort by timestamp ascending so we append in order
             versions.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
             for (const v of versions) {
               // Map possible item shapes to { text, embedding }
-              const mapped = { ...v };
+              const mapped = { ...v, centroid: decodeVector(v.centroid) || undefined };
               const srcItems = Array.isArray(mapped.items) && mapped.items.length ? mapped.items
                               : Array.isArray(mapped.chunks) ? mapped.chunks
                               : Array.isArray(mapped.passages) ? mapped.passages
                               : [];
-              mapped.items = srcItems.map(it => ({
-                text: (it && (it.text || it.snippet || it.content || it.chunk || it.body || '')),
-                embedding: (it && (it.embedding || it.vector || it.vec || null))
-              }));
-              let ready = await ensureVersionData(mapped, { fillSummary: true });
+              mapped.items = srcItems.map(it => {
+                const item = {
+                  text: (it && (it.text || it.snippet || it.content || it.chunk || it.body || '')),
+                  // Number arrays (older exports) or base64-encoded vectors (encodeVector)
+                  embedding: it ? decodeVector(it.embedding || it.vector || it.vec || null) : null
+                };
+                if (it && Number.isFinite(it.start) && Number.isFinite(it.end)) { item.start = it.start; item.end = it.end; }
+                if (it && it.kind === 'code') { item.kind = 'code'; item.lang = it.lang || null; }
+                if (it && typeof it.seen === 'boolean') item.seen = it.seen;
+                if (it && Number.isInteger(it.page)) item.page = it.page;
+                return item;
+              });
+              // Text-only sources (no items): chunk with the same chunker as capture
+              if (mapped.items.length === 0 && typeof mapped.text === 'string' && mapped.text.trim()) {
+                mapped.items = chunkText(mapped.text, chunking).map(c => ({ text: c.text, start: c.start, end: c.end, embedding: null }));
+              }
+              // Missing summaries are queued as deferred jobs after the import
+              let ready = await ensureVersionData(mapped);
               // If we know the current embedding dimension, filter out items with mismatched dims
               if (Number.isFinite(currentDim) && currentDim > 0 && Array.isArray(ready.items)) {
-                const filtered = ready.items.filter(it => !Array.isArray(it.embedding) || it.embedding.length === currentDim);
+                const filtered = ready.items.filter(it => !isVector(it.embedding) || vectorDim(it.embedding) === currentDim);
                 if (filtered.length === 0 && Array.isArray(ready.items) && ready.items.length > 0) {
                   skippedIncompatible++;
                   continue; // skip this version entirely
@@ -2453,10 +4402,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 try { ready.centroid = computeCentroid(filtered) || undefined; } catch (_) {}
               } else if ((!currentDim || currentDim === null) && Array.isArray(ready.items) && ready.items.length > 0) {
                 // No stored meta yet: infer from first embedding and persist once
-                const first = ready.items.find(it => Array.isArray(it.embedding) && it.embedding.length > 0);
+                const first = ready.items.find(it => vectorDim(it.embedding) > 0);
                 if (first) {
                   try {
-                    const dim = first.embedding.length;
+                    const dim = vectorDim(first.embedding);
                     // Prefer incoming file meta model; else fall back to current settings
                     let model = incomingMeta?.model || null;
                     if (!model) { const s = await getModelSettings(); model = s.embedModel || null; }
@@ -2464,7 +4413,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                   } catch (_) {}
                 }
               }
-              await upsertVersion(can, url, title, ready, versioningMaxVersions, versioningSimilarityThreshold);
+              await upsertVersion(can, url, title, ready, versioningMaxVersions, versioningSimilarityThreshold, sanitizePageMeta(src.meta));
+              importedUrls.add(can);
               done++;
               // Emit coarse-grained progress update
               try { chrome.runtime.sendMessage({ type: 'IMPORT_PROGRESS', done, total, label: title }); } catch (_) {}
@@ -2475,6 +4425,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         try { chrome.runtime.sendMessage({ type: 'IMPORT_PROGRESS', done: total, total }); } catch (_) {}
         try { chrome.runtime.sendMessage({ type: 'OFFSCREEN_INVALIDATE_INDEX' }); } catch (_) {}
+        for (const can of importedUrls) {
+          try {
+            const doc = await getByCanonicalUrl(can);
+            if (doc && !doc.summary) enqueueSummaryBackfill({ id: doc.id });
+          } catch (_) {}
+        }
         sendResponse({ ok: true, skippedIncompatible });
       } catch (err) {
         sendResponse({ error: String(err) });
@@ -2487,11 +4443,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   if (message.type === 'SET_CAPTURE_RULES') {
-    setCaptureRules({ whitelistDomains: message.whitelistDomains || [], blacklistDomains: message.blacklistDomains || [] })
-      .then(() => sendResponse({ ok: true }))
+    setCaptureRules(message)
+      .then(async res => {
+        if (res.ok) await syncContentScripts();
+        sendResponse(res);
+      })
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
+  if (message.type === 'TEST_CAPTURE_URL') {
+    // Optional `text` tests unsaved rules from the settings box
+    (async () => {
+      let config;
+      if (typeof message.text === 'string') {
+        const parsed = parseCaptureRules(message.text);
+        if (parsed.errors.length) return { errors: parsed.errors };
+        config = parsed;
+      }
+      const res = await explainCapture(message.url, config);
+      const line = config && res.index >= 0 ? config.lines[res.index] : null;
+      return { ...res, line, ruleText: res.rule ? formatCaptureRules({ rules: [res.rule] }) : null };
+    })().then(r => sendResponse(r)).catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
   // Unknown messages are ignored.
   return false;
 });
@@ -2523,16 +4497,18 @@ async function ensureOffscreenDocument() {
       await chrome.offscreen.createDocument({
         url: 'offscreen.html',
         reasons: ['CPU_HEAVY'],
-        justification: 'Background compute (similarity scoring) and IndexedDB access'
+        justification: 'Background compute (similarity scoring, PDF text extraction) and IndexedDB access'
       });
     } catch (e) {
       // Fallback for Chrome versions that don’t support CPU_HEAVY
       await chrome.offscreen.createDocument({
         url: 'offscreen.html',
         reasons: ['DOM_SCRAPING'],
-        justification: 'Background compute (similarity scoring) and IndexedDB access'
+        justification: 'Background compute (similarity scoring, PDF text extraction) and IndexedDB access'
       });
     }
+    await VAULT_RESTORED;
+    await pushOffscreenVaultKey();
   } catch (err) {
     console.warn('Failed to create offscreen document:', err);
   }
@@ -2591,10 +4567,13 @@ function createContextMenus() {
       chrome.contextMenus.create({ id: 'wm_open_panel', title: 'Open Web Recall', contexts: ['page', 'action'] });
       chrome.contextMenus.create({ id: 'wm_capture_now', title: 'Capture This Page Now', contexts: ['page'] });
       chrome.contextMenus.create({ id: 'wm_search_selection', title: 'Search selection in Web Memory', contexts: ['selection'] });
+      chrome.contextMenus.create({ id: 'wm_remember_selection', title: 'Remember selection', contexts: ['selection'] });
       // Pause/Resume toggle on action (toolbar) and page context
       chrome.contextMenus.create({ id: 'wm_toggle_pause', title: 'Pause capture', contexts: ['action'] });
+      chrome.contextMenus.create({ id: 'wm_tab_no_capture', title: "Don't capture this tab", type: 'checkbox', contexts: ['action'] });
       chrome.contextMenus.create({ id: 'wm_open_highlights', title: 'Open Highlights', contexts: ['action'] });
       // Initialize label based on current state
+      if (typeof ACTIVE_TAB_ID === 'number') syncTabCaptureMenu(ACTIVE_TAB_ID);
       getSettings().then(s => {
         try { chrome.contextMenus.update('wm_toggle_pause', { title: s.paused ? 'Resume capture' : 'Pause capture' }); } catch (_) {}
       }).catch(() => {});
@@ -2614,7 +4593,7 @@ if (chrome.contextMenus) {
       openSidePanelForTab(tab?.id);
     } else if (info.menuItemId === 'wm_capture_now') {
       if (tab && tab.id) {
-        try { chrome.tabs.sendMessage(tab.id, { type: 'FORCE_CAPTURE' }, () => {}); } catch (_) {}
+        captureTab(tab);
       }
     } else if (info.menuItemId === 'wm_search_selection') {
       const text = (info.selectionText || '').trim();
@@ -2624,6 +4603,10 @@ if (chrome.contextMenus) {
         await openSidePanelForTab(tab?.id);
         try { chrome.runtime.sendMessage({ type: 'PREFILL_QUERY', query: text, autoSearch: true }); } catch (_) {}
       });
+    } else if (info.menuItemId === 'wm_remember_selection') {
+      // Open first, while the user gesture is still valid
+      openSidePanelForTab(tab?.id);
+      try { await startClipDraft(info, tab); } catch (err) { LOGGER.warn('clip draft failed', { error: String(err) }); }
     } else if (info.menuItemId === 'wm_toggle_pause') {
       try {
         const { paused } = await getSettings();
@@ -2633,6 +4616,8 @@ if (chrome.contextMenus) {
         try { chrome.runtime.sendMessage({ type: 'PAUSE_STATE', paused: next }); } catch (_) {}
         try { chrome.contextMenus.update('wm_toggle_pause', { title: next ? 'Resume capture' : 'Pause capture' }); } catch (_) {}
       } catch (_) {}
+    } else if (info.menuItemId === 'wm_tab_no_capture') {
+      if (tab && typeof tab.id === 'number') await setTabNoCapture(tab.id, !!info.checked);
     } else if (info.menuItemId === 'wm_open_highlights') {
       try { chrome.tabs.create({ url: chrome.runtime.getURL('highlights.html') }); } catch (_) {}
     }
@@ -2640,6 +4625,7 @@ if (chrome.contextMenus) {
 }
 // -------- Fetch logging wrapper --------
 async function logFetch(url, options, meta) {
+  let releaseSlot = null;
   try {
     const method = (options && options.method) || 'GET';
     const kind = meta && meta.kind ? String(meta.kind) : '';
@@ -2659,6 +4645,8 @@ async function logFetch(url, options, meta) {
     let isOllama = false;
     try { const base = await getOllamaBase(); isOllama = String(url || '').startsWith(base); } catch (_) {}
     if (isOllama) OLLAMA_ACTIVE++;
+    // Queue behind the shared limiter before the timeout starts counting
+    if (isOllama && kind !== 'health') releaseSlot = await OLLAMA_LIMITER.acquire();
     // Apply timeout unless caller provided a signal
     const timeout = (meta && Number.isFinite(meta.timeoutMs)) ? meta.timeoutMs : FETCH_TIMEOUT_MS;
     let controller;
@@ -2733,6 +4721,11 @@ async function logFetch(url, options, meta) {
         await setOllamaStatus(true, null);
       }
     } catch (_) {}
+    if (releaseSlot) {
+      const release = releaseSlot;
+      releaseSlot = null;
+      return holdSlotUntilRead(res, release, OLLAMA_SLOT_IDLE_MS);
+    }
     return res;
   } catch (err) {
     try {
@@ -2754,6 +4747,7 @@ async function logFetch(url, options, meta) {
     throw err;
   }
   finally {
+    if (releaseSlot) releaseSlot();
     try {
       const base = await getOllamaBase();
       if (String(url || '').startsWith(base) && OLLAMA_ACTIVE > 0) OLLAMA_ACTIVE--;
@@ -1,13 +1,44 @@
 /**
  * Content script for Web Recall:
- * - Runs in the top-level frame only.
- * - Extracts readable text, chunks it, and sends capture payloads to the background worker.
+ * - Captures from the top-level frame only; child frames just tell a same-origin
+ *   top frame when their content changes so it can wait for them.
+ * - Flattens open shadow roots and same-origin iframes into one ordered tree;
+ *   cross-origin frames are skipped.
+ * - Extracts readable text (readability.js, with a basic fallback), chunks it with
+ *   the shared sentence-aware chunker (text.js), and sends capture payloads to the
+ *   background worker.
+ * - Keeps code blocks as dedicated `kind: 'code'` chunks with a language hint.
+ * - Extracts structured metadata (canonical URL, OpenGraph/Twitter, JSON-LD Article).
  * - Supports auto-capture after DOM idle and on-demand FORCE_CAPTURE requests.
+ * - Gates auto-capture on visible dwell time and scroll depth; forced captures bypass it.
+ * - Optional "seen" mode: tracks which blocks were on screen (IntersectionObserver)
+ *   and flags chunks as seen, or captures only the seen blocks.
+ * - Re-runs auto-capture for single-page-app route changes once the URL settles.
  */
 
-const CHUNK_MAX_WORDS = 512;
 const AUTO_CAPTURE_IDLE_MS = 1500;
 const AUTO_CAPTURE_MAX_WAIT_MS = 20000;
+const ROUTE_SETTLE_MS = 1200;
+const ENGAGEMENT_POLL_MS = 1000;
+const SEEN_MIN_MS = 1000;
+const SEEN_MIN_BLOCK_CHARS = 8;
+const SEEN_BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, dd, dt, figcaption';
+const CODE_MIN_CHARS = 12;
+const CODE_CHUNK_MAX_CHARS = 2000;
+const CODE_LANG_RE = /(?:^|\s)(?:language|lang|highlight-source|highlight|brush:?)-?\s*([a-z0-9_+#.-]+)/i;
+const HLJS_LANG_RE = /(?:^|\s)hljs\s+([a-z0-9_+#-]+)/i;
+const MAX_FRAME_DEPTH = 3;
+const FLATTEN_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+const FRAME_CHANGED_MSG = 'WR_FRAME_CHANGED';
+// Fields that mark a page as sensitive (credentials, payment, one-time codes)
+const SENSITIVE_FIELDS = [
+  { selector: 'input[type="password"], input[autocomplete~="current-password"], input[autocomplete~="new-password"]', detail: 'password field' },
+  { selector: 'input[autocomplete~="one-time-code"]', detail: 'one-time code field' },
+  { selector: 'input[autocomplete^="cc-"], input[autocomplete*=" cc-"]', detail: 'payment field' }
+];
+const PAYMENT_FIELD_NAME_RE = /card.?num|cc.?num|cvv|cvc|csc|security.?code|card.?expir|iban/i;
+const PAYMENT_FRAME_RE = /^https:\/\/(?:js\.stripe\.com|[\w.-]*\.braintreegateway\.com|[\w.-]*\.adyen\.com|[\w.-]*\.paypal\.com|[\w.-]*\.checkout\.com)\//i;
+const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|TechArticle|ScholarlyArticle|Report|AnalysisNewsArticle|OpinionNewsArticle|ReportageNewsArticle|LiveBlogPosting|WebPage)$/;
 
 function isTopFrame() {
   try {
@@ -17,57 +48,504 @@ function isTopFrame() {
   }
 }
 
+// Flattened clone element -> live element, so seen tracking can resolve clones
+let FLAT_ORIGIN = new WeakMap();
+
+/** Same-origin frame document, or null for cross-origin or unloaded frames. */
+function frameDocument(frame) {
+  try {
+    const doc = frame.contentDocument;
+    return doc && doc.body ? doc : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function flattenInto(parent, nodes, depth) {
+  for (const n of nodes) {
+    const copy = flattenNode(n, depth);
+    if (copy) parent.appendChild(copy);
+  }
+}
+
 /**
- * Extract the visible text of the page.  We avoid pulling in heavy
- * external libraries here; instead we use the browser's representation
- * of the document.  In practice you may want to integrate Mozilla's
- * Readability.js for better article extraction.
+ * Copy one node into the flattened tree: open shadow roots replace the
+ * host's light DOM (slots pull in their assigned nodes), same-origin frames
+ * become a `div[data-wr-frame]` holding their body. Custom elements become
+ * plain divs so cloning never runs page-defined constructors.
+ * @param {Node} node
+ * @param {number} depth Frame nesting depth
+ * @returns {Node|null}
+ */
+function flattenNode(node, depth) {
+  if (node.nodeType === Node.TEXT_NODE) return document.createTextNode(node.nodeValue);
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+  const tag = node.tagName;
+  if (FLATTEN_SKIP_TAGS.has(tag)) return null;
+  if (tag === 'IFRAME' || tag === 'FRAME') {
+    const doc = depth < MAX_FRAME_DEPTH ? frameDocument(node) : null;
+    if (!doc) return null;
+    const box = document.createElement('div');
+    box.dataset.wrFrame = '1';
+    flattenInto(box, doc.body.childNodes, depth + 1);
+    return box;
+  }
+  if (tag === 'SLOT') {
+    const assigned = typeof node.assignedNodes === 'function' ? node.assignedNodes({ flatten: true }) : [];
+    const frag = document.createDocumentFragment();
+    flattenInto(frag, assigned.length > 0 ? assigned : node.childNodes, depth);
+    return frag;
+  }
+  let copy;
+  if (tag.includes('-')) {
+    copy = document.createElement('div');
+    for (const attr of ['id', 'class', 'role', 'hidden', 'aria-hidden']) {
+      if (node.hasAttribute(attr)) copy.setAttribute(attr, node.getAttribute(attr));
+    }
+  } else {
+    copy = node.cloneNode(false);
+  }
+  FLAT_ORIGIN.set(copy, node);
+  flattenInto(copy, (node.shadowRoot || node).childNodes, depth);
+  return copy;
+}
+
+function needsFlatten(root) {
+  for (const el of root.querySelectorAll('*')) {
+    if (el.shadowRoot) return true;
+    if ((el.tagName === 'IFRAME' || el.tagName === 'FRAME') && frameDocument(el)) return true;
+  }
+  return false;
+}
+
+/**
+ * Detached copy of the page body with open shadow roots and same-origin
+ * frames merged in document order. Plain pages take a fast `cloneNode` path
+ * unless `trackOrigin` asks for the clone -> live element map (seen mode).
+ * @param {{trackOrigin?:boolean}} [opts]
+ * @returns {Element|null}
+ */
+function flattenDocument({ trackOrigin = false } = {}) {
+  const body = document.body;
+  if (!body) return null;
+  FLAT_ORIGIN = new WeakMap();
+  try {
+    if (!trackOrigin && !needsFlatten(body)) return body.cloneNode(true);
+    return flattenNode(body, 0);
+  } catch (_) {
+    return body.cloneNode(true);
+  }
+}
+
+/**
+ * Basic extraction used when the content-scoring extractor finds no
+ * confident article: take `article`/`main`/`body` of the flattened tree,
+ * strip a fixed tag list and read `innerText`.
  *
+ * @param {Element} body Flattened page body (flattenDocument)
  * @returns {string} Approximate page text.
  */
-function extractPageText() {
+function extractBasicText(body) {
+  if (!body) return '';
   let root;
   try {
-    root = document.querySelector('article') ||
-      document.querySelector('main') ||
-      document.body;
+    root = body.querySelector('article') || body.querySelector('main') || body;
   } catch (_) {
-    root = document.body;
+    root = body;
   }
-  if (!root) return '';
 
-  const clone = root.cloneNode(true);
-  clone.querySelectorAll('script, style, noscript, code, pre, iframe, svg').forEach(el => el.remove());
-  clone.querySelectorAll('nav, footer, header, aside').forEach(el => el.remove());
+  // Block code is captured separately (extractCodeBlocks); inline <code> stays in the prose
+  root.querySelectorAll('script, style, noscript, pre, iframe, svg').forEach(el => el.remove());
+  root.querySelectorAll('nav, footer, header, aside').forEach(el => el.remove());
 
-  const text = clone.innerText || '';
+  const text = root.innerText || '';
   return text.replace(/\s+\n/g, '\n').trim();
 }
 
-function chunkText(text, maxWords = CHUNK_MAX_WORDS) {
-  const words = text.split(/\s+/);
-  const chunks = [];
-  let current = [];
+/**
+ * Extract the readable text of the page. Prefers the bundled content-scoring
+ * extractor (readability.js) and falls back to basic extraction.
+ *
+ * @param {Element} body Flattened page body (flattenDocument)
+ * @returns {{text:string, method:'readability'|'basic'}}
+ */
+function extractPageText(body) {
+  if (!body) return { text: '', method: 'basic' };
+  try {
+    // The article extractor mutates what it is given; keep `body` intact for the fallback
+    const article = typeof extractReadableText === 'function' ? extractReadableText(document, body.cloneNode(true)) : null;
+    if (article && article.text) return article;
+  } catch (_) {}
+  return { text: extractBasicText(body.cloneNode(true)), method: 'basic' };
+}
+
+/**
+ * Best-effort language hint from class names on the block, its inner <code>
+ * and its wrapper (GitHub `highlight-source-js`, Prism `language-js`, hljs).
+ * @param {Element} el
+ * @returns {string|null}
+ */
+function codeLanguageHint(el) {
+  const candidates = [el, el.querySelector('code'), el.parentElement];
+  for (const node of candidates) {
+    if (!node) continue;
+    const dataLang = node.getAttribute && (node.getAttribute('data-lang') || node.getAttribute('data-language'));
+    if (dataLang) return dataLang.toLowerCase();
+    const cls = typeof node.className === 'string' ? node.className : '';
+    const m = cls.match(CODE_LANG_RE) || cls.match(HLJS_LANG_RE);
+    if (m && m[1] && !/^(source|none|plaintext|text|nohighlight)$/i.test(m[1])) return m[1].toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Split an oversized code block on line boundaries.
+ * @param {string} code
+ * @returns {string[]}
+ */
+function splitCode(code) {
+  if (code.length <= CODE_CHUNK_MAX_CHARS) return [code];
+  const out = [];
+  let cur = '';
+  for (const line of code.split('\n')) {
+    if (cur && cur.length + line.length + 1 > CODE_CHUNK_MAX_CHARS) {
+      out.push(cur);
+      cur = '';
+    }
+    cur = cur ? `${cur}\n${line}` : line;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/**
+ * Collect code blocks (<pre>, and multi-line <code> outside <pre>) as
+ * dedicated chunks so identifiers survive capture verbatim.
+ * @param {Element} root Flattened page body (flattenDocument)
+ * @returns {{text:string, kind:'code', lang:string|null, seen?:boolean}[]}
+ */
+function extractCodeBlocks(root) {
+  if (!root) return [];
+  const blocks = [];
+  const seen = new Set();
+  const nodes = Array.from(root.querySelectorAll('pre, code')).filter(el => {
+    if (el.closest('nav, footer, aside, [aria-hidden="true"]')) return false;
+    if (el.tagName === 'PRE') return !el.parentElement || !el.parentElement.closest('pre');
+    return !el.closest('pre') && (el.textContent || '').includes('\n');
+  });
+  for (const el of nodes) {
+    const code = String(el.textContent || '').replace(/\s+$/, '').replace(/^\n+/, '');
+    if (code.trim().length < CODE_MIN_CHARS || seen.has(code)) continue;
+    seen.add(code);
+    const lang = codeLanguageHint(el);
+    const seenFlag = SEEN.mode !== 'off' ? { seen: isElementSeen(el) } : {};
+    for (const part of splitCode(code)) blocks.push({ text: part, kind: 'code', lang, ...seenFlag });
+  }
+  return blocks;
+}
 
-  for (const word of words) {
-    current.push(word);
-    if (current.length >= maxWords) {
-      chunks.push(current.join(' '));
-      current = [];
+function metaContent(selector, attr = 'content') {
+  try {
+    const el = document.querySelector(selector);
+    const v = el && el.getAttribute(attr);
+    return v && v.trim() ? v.trim() : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function toTimestamp(v) {
+  if (!v) return null;
+  const ts = Date.parse(String(v));
+  return Number.isFinite(ts) ? ts : null;
+}
+
+function jsonLdNames(v) {
+  const list = Array.isArray(v) ? v : (v ? [v] : []);
+  const names = list.map(x => (typeof x === 'string' ? x : (x && x.name) || '')).map(s => String(s).trim()).filter(Boolean);
+  return names.length ? names.join(', ') : null;
+}
+
+/**
+ * Find the first Article-like JSON-LD node (including inside @graph).
+ * @returns {object|null}
+ */
+function findJsonLdArticle() {
+  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+  const queue = [];
+  for (const sc of scripts) {
+    try { queue.push(JSON.parse(sc.textContent || 'null')); } catch (_) {}
+  }
+  let fallback = null;
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+    if (Array.isArray(node)) { queue.push(...node); continue; }
+    if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    if (types.some(t => typeof t === 'string' && ARTICLE_TYPES.test(t))) {
+      // Prefer a real article over a generic WebPage node
+      if (!types.includes('WebPage')) return node;
+      if (!fallback) fallback = node;
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Extract structured page metadata: declared canonical URL, description,
+ * language, OpenGraph/Twitter card fields and JSON-LD Article data.
+ * Dates are epoch milliseconds.
+ * @returns {object}
+ */
+function extractPageMetadata() {
+  const og = {
+    title: metaContent('meta[property="og:title"]'),
+    type: metaContent('meta[property="og:type"]'),
+    siteName: metaContent('meta[property="og:site_name"]'),
+    url: metaContent('meta[property="og:url"]'),
+    image: metaContent('meta[property="og:image"]'),
+    description: metaContent('meta[property="og:description"]'),
+  };
+  const twitter = {
+    card: metaContent('meta[name="twitter:card"]'),
+    site: metaContent('meta[name="twitter:site"]'),
+    creator: metaContent('meta[name="twitter:creator"]'),
+    title: metaContent('meta[name="twitter:title"]'),
+    description: metaContent('meta[name="twitter:description"]'),
+  };
+  let ld = null;
+  try { ld = findJsonLdArticle(); } catch (_) {}
+  let canonicalUrl = null;
+  const canonicalHref = metaContent('link[rel="canonical"]', 'href');
+  if (canonicalHref) {
+    try { canonicalUrl = new URL(canonicalHref, location.href).toString(); } catch (_) {}
+  }
+  const publisher = ld && ld.publisher ? jsonLdNames(ld.publisher) : null;
+  return {
+    canonicalUrl,
+    description: metaContent('meta[name="description"]') || og.description || twitter.description,
+    lang: (document.documentElement && document.documentElement.lang) || metaContent('meta[http-equiv="content-language"]'),
+    siteName: og.siteName || publisher,
+    type: og.type || (ld && typeof ld['@type'] === 'string' ? ld['@type'] : null),
+    image: og.image,
+    author: (ld && jsonLdNames(ld.author)) || metaContent('meta[name="author"]') || metaContent('meta[property="article:author"]') || twitter.creator,
+    publisher,
+    publishedAt: toTimestamp((ld && ld.datePublished) || metaContent('meta[property="article:published_time"]') ||
+      metaContent('meta[itemprop="datePublished"]') || metaContent('time[itemprop="datePublished"]', 'datetime')),
+    modifiedAt: toTimestamp((ld && ld.dateModified) || metaContent('meta[property="article:modified_time"]') ||
+      metaContent('meta[itemprop="dateModified"]')),
+    og,
+    twitter,
+  };
+}
+
+/**
+ * Viewport tracking for "seen" mode. An IntersectionObserver watches text
+ * blocks; a block counts as seen once half of it (or half the viewport, for
+ * tall blocks) has been on screen for SEEN_MIN_MS while the tab was visible.
+ * `mode`: 'off' | 'flag' (mark chunks seen) | 'only' (capture seen blocks only).
+ * `visible` maps on-screen blocks to when they appeared (null while hidden).
+ */
+const SEEN = { mode: 'off', observer: null, observed: new WeakSet(), visible: new Map(), seen: new Set() };
+
+function creditSeen(el, now) {
+  const since = SEEN.visible.get(el);
+  if (since !== null && since !== undefined && now - since >= SEEN_MIN_MS) SEEN.seen.add(el);
+}
+
+function onSeenIntersect(entries) {
+  const now = Date.now();
+  for (const e of entries) {
+    const el = e.target;
+    const enough = e.isIntersecting &&
+      (e.intersectionRatio >= 0.5 || e.intersectionRect.height >= (window.innerHeight || 0) * 0.5);
+    if (enough) {
+      if (!SEEN.visible.has(el)) SEEN.visible.set(el, document.visibilityState === 'visible' ? now : null);
+    } else if (SEEN.visible.has(el)) {
+      creditSeen(el, now);
+      SEEN.visible.delete(el);
+    }
+  }
+}
+
+/** Credit blocks that are still on screen (before capture or when hidden). */
+function flushSeen() {
+  const now = Date.now();
+  for (const el of SEEN.visible.keys()) creditSeen(el, now);
+}
+
+function onSeenVisibility() {
+  if (SEEN.mode === 'off') return;
+  const visible = document.visibilityState === 'visible';
+  if (!visible) flushSeen();
+  const now = Date.now();
+  for (const el of SEEN.visible.keys()) SEEN.visible.set(el, visible ? now : null);
+}
+
+/** Observe text blocks not yet tracked (called again as the page grows). */
+function observeSeenBlocks() {
+  if (!SEEN.observer || !document.body) return;
+  document.body.querySelectorAll(SEEN_BLOCK_SELECTOR).forEach(el => {
+    if (SEEN.observed.has(el)) return;
+    if (el.closest('nav, footer, aside, [aria-hidden="true"]')) return;
+    SEEN.observed.add(el);
+    SEEN.observer.observe(el);
+  });
+}
+
+function stopSeenTracking() {
+  if (SEEN.observer) SEEN.observer.disconnect();
+  SEEN.observer = null;
+  SEEN.observed = new WeakSet();
+  SEEN.visible.clear();
+  SEEN.seen.clear();
+}
+
+function startSeenTracking(mode) {
+  stopSeenTracking();
+  SEEN.mode = mode === 'flag' || mode === 'only' ? mode : 'off';
+  if (SEEN.mode === 'off' || typeof IntersectionObserver !== 'function') return;
+  SEEN.observer = new IntersectionObserver(onSeenIntersect, { threshold: [0, 0.5, 1] });
+  observeSeenBlocks();
+}
+
+/** Whether the block holding `el` (live, or a flattened clone of it) was seen. */
+function isElementSeen(el) {
+  const host = el.closest(SEEN_BLOCK_SELECTOR);
+  return !!host && SEEN.seen.has(FLAT_ORIGIN.get(host) || host);
+}
+
+/**
+ * Map seen blocks to merged `[start, end)` ranges in the extracted `text`.
+ * Blocks are located by their whitespace-collapsed text, or by a prefix when
+ * nested block structure changed the line breaks.
+ * @param {string} text
+ * @returns {Array<[number, number]>}
+ */
+function seenRanges(text) {
+  flushSeen();
+  const ranges = [];
+  for (const el of SEEN.seen) {
+    const t = String(el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (t.length < SEEN_MIN_BLOCK_CHARS) continue;
+    let start = text.indexOf(t);
+    let end = start + t.length;
+    if (start < 0) {
+      start = text.indexOf(t.slice(0, 60));
+      end = Math.min(text.length, start + t.length);
     }
+    if (start >= 0) ranges.push([start, end]);
   }
-  if (current.length > 0) {
-    chunks.push(current.join(' '));
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    // Adjacent paragraphs (separated by a line break or two) merge into one range
+    if (last && r[0] <= last[1] + 2) last[1] = Math.max(last[1], r[1]);
+    else merged.push(r);
   }
-  return chunks;
+  return merged;
+}
+
+/** Whether an element takes up space on screen (hidden login dropdowns don't count). */
+function isRendered(el) {
+  return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+}
+
+/**
+ * Check the page for things that should never be auto-captured: password,
+ * payment and one-time-code fields, payment provider frames, and banking,
+ * health, checkout or login URLs.
+ * @returns {string|null} Short description of what was found, or null
+ */
+function detectSensitivePage() {
+  for (const { selector, detail } of SENSITIVE_FIELDS) {
+    if (Array.from(document.querySelectorAll(selector)).some(isRendered)) return detail;
+  }
+  const inputs = document.querySelectorAll('input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"])');
+  for (const el of inputs) {
+    const label = `${el.name || ''} ${el.id || ''} ${el.getAttribute('autocomplete') || ''}`;
+    if (PAYMENT_FIELD_NAME_RE.test(label) && isRendered(el)) return 'payment field';
+  }
+  for (const frame of document.querySelectorAll('iframe[src]')) {
+    if (PAYMENT_FRAME_RE.test(frame.src)) return 'payment form';
+  }
+  return sensitiveUrlDetail(location.href);
+}
+
+/** Tell the background an auto-capture was refused so the side panel can offer an override. */
+function reportSkippedCapture(reason, detail) {
+  try {
+    chrome.runtime.sendMessage({
+      type: 'CAPTURE_SKIPPED',
+      url: location.href,
+      title: document.title || location.href,
+      reason,
+      detail
+    }, () => { void chrome.runtime.lastError; });
+  } catch (_) {}
+}
+
+/**
+ * Ask the background worker for capture settings (chunking, ...). Resolves
+ * to an empty object if the worker is unavailable so capture still proceeds
+ * with defaults.
+ * @returns {Promise<object>}
+ */
+function getCaptureConfig() {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: 'GET_CAPTURE_CONFIG', url: location.href }, (resp) => {
+        if (chrome.runtime.lastError || !resp || resp.error) return resolve({});
+        resolve(resp);
+      });
+    } catch (_) {
+      resolve({});
+    }
+  });
 }
 
 function sendPageToBackground({ force = false } = {}) {
-  const proceed = () => {
-    const text = extractPageText();
+  const proceed = async () => {
+    const body = flattenDocument({ trackOrigin: SEEN.mode !== 'off' });
+    const extracted = extractPageText(body);
+    let text = extracted.text;
+    const method = extracted.method;
     if (!text) return;
 
-    const chunks = chunkText(text);
+    const config = await getCaptureConfig();
+    let ranges = null;
+    let codeBlocks = extractCodeBlocks(body);
+    if (SEEN.mode !== 'off') {
+      ranges = seenRanges(text);
+      // Seen-only capture keeps just the blocks that were on screen; forced captures take the whole page
+      if (SEEN.mode === 'only' && !force) {
+        if (ranges.length === 0) return;
+        text = ranges.map(([s, e]) => text.slice(s, e)).join('\n\n');
+        ranges = [[0, text.length]];
+        codeBlocks = codeBlocks.filter(c => c.seen);
+      }
+    }
+    // Mask PII before anything leaves the page; seen ranges move with the edits
+    const rawText = text;
+    const redactTypes = config.redaction && config.redaction.types;
+    const redacted = redactText(text, redactTypes);
+    const redactions = { ...redacted.counts };
+    text = redacted.text;
+    if (ranges && redacted.edits.length) {
+      ranges = ranges.map(([s, e]) => [mapRedactedOffset(s, redacted.edits), mapRedactedOffset(e, redacted.edits, true)]);
+    }
+    codeBlocks = codeBlocks.map(c => {
+      const r = redactText(c.text, redactTypes);
+      if (!r.total) return c;
+      for (const [k, n] of Object.entries(r.counts)) redactions[k] = (redactions[k] || 0) + n;
+      return { ...c, text: r.text };
+    });
+    // Prose chunks carry { text, start, end } offsets into `text`; code chunks follow
+    let prose = chunkText(text, config.chunking || CHUNK_DEFAULTS);
+    if (ranges) prose = prose.map(c => ({ ...c, seen: isRangeSeen(c.start, c.end, ranges) }));
+    const chunks = [...prose, ...codeBlocks];
     const message = {
       type: 'SAVE_PAGE',
       url: location.href,
@@ -75,9 +553,23 @@ function sendPageToBackground({ force = false } = {}) {
       timestamp: Date.now(),
       chunks,
       text,
+      extraction: method,
+      meta: extractPageMetadata(),
+      engagement: engagementSnapshot(),
+      seenMode: SEEN.mode,
+      redactions,
       force,
       manual: force
     };
+    ENGAGEMENT.capturedUrl = message.url;
+    ENGAGEMENT.canonicalUrl = message.meta.canonicalUrl;
+    // Seen ranges are located in the raw text, then mapped like the capture's
+    ENGAGEMENT.capturedText = rawText;
+    ENGAGEMENT.redactionEdits = redacted.edits;
+    ENGAGEMENT.textLength = text.length;
+    ENGAGEMENT.capturedSeen = SEEN.seen.size;
+    ENGAGEMENT.reported = message.engagement;
+    ENGAGEMENT.reportedSeen = SEEN.seen.size;
     chrome.runtime.sendMessage(message, () => {});
   };
 
@@ -88,44 +580,306 @@ function sendPageToBackground({ force = false } = {}) {
 
   chrome.runtime.sendMessage({ type: 'SHOULD_CAPTURE', url: location.href }, (resp) => {
     if (resp && resp.allow === false) return;
+    // Forced captures skip this check; auto-capture needs a per-domain override
+    if (!(resp && resp.sensitiveAllowed)) {
+      const detail = detectSensitivePage();
+      if (detail) {
+        reportSkippedCapture('sensitive', detail);
+        return;
+      }
+    }
     proceed();
   });
 }
 
+/**
+ * Reading engagement for the current route: visible time (Page Visibility
+ * API) and the deepest scroll position reached. Reset on route changes.
+ * Once a route has been captured, later measurements are reported with
+ * UPDATE_ENGAGEMENT when the tab is hidden or unloaded, and only once they
+ * grew by ENGAGEMENT_REPORT_DWELL_MS / ENGAGEMENT_REPORT_SCROLL_PCT or new
+ * blocks were seen.
+ */
+const ENGAGEMENT = {
+  visibleMs: 0, visibleSince: null, maxScrollPct: 0,
+  capturedUrl: null, canonicalUrl: null, capturedText: '', capturedSeen: 0,
+  redactionEdits: [], textLength: 0,
+  // Last values sent, so tab switches without new reading don't write the record again
+  reported: null, reportedSeen: 0,
+  // 'only' seen mode re-captures at most once per route (see reportEngagement)
+  seenRecaptured: false
+};
+// Smallest growth in dwell time or scroll depth worth reporting (the background applies the same)
+const ENGAGEMENT_REPORT_DWELL_MS = 10000;
+const ENGAGEMENT_REPORT_SCROLL_PCT = 10;
+
+/** Percentage of the document that has been within the viewport (0..100). */
+function scrollDepthPct() {
+  const root = document.documentElement;
+  const total = Math.max(root ? root.scrollHeight : 0, document.body ? document.body.scrollHeight : 0);
+  if (!total) return 0;
+  const seen = (window.scrollY || 0) + (window.innerHeight || 0);
+  return Math.min(100, Math.round((seen / total) * 100));
+}
+
+function engagementSnapshot() {
+  const running = ENGAGEMENT.visibleSince !== null ? Date.now() - ENGAGEMENT.visibleSince : 0;
+  return {
+    dwellMs: ENGAGEMENT.visibleMs + running,
+    scrollPct: Math.max(ENGAGEMENT.maxScrollPct, scrollDepthPct())
+  };
+}
+
+function resetEngagement() {
+  ENGAGEMENT.visibleMs = 0;
+  ENGAGEMENT.visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  ENGAGEMENT.maxScrollPct = scrollDepthPct();
+  ENGAGEMENT.capturedUrl = null;
+  ENGAGEMENT.canonicalUrl = null;
+  ENGAGEMENT.capturedText = '';
+  ENGAGEMENT.capturedSeen = 0;
+  ENGAGEMENT.redactionEdits = [];
+  ENGAGEMENT.textLength = 0;
+  ENGAGEMENT.reported = null;
+  ENGAGEMENT.reportedSeen = 0;
+  ENGAGEMENT.seenRecaptured = false;
+}
+
+/**
+ * Send the latest engagement for an already captured route (best-effort).
+ * In seen mode, blocks read since capture are reported too: as ranges over
+ * the captured text ('flag'), or by re-capturing the seen blocks once per
+ * page load ('only').
+ */
+function reportEngagement() {
+  if (!ENGAGEMENT.capturedUrl) return;
+  const engagement = engagementSnapshot();
+  const last = ENGAGEMENT.reported;
+  const grew = !last
+    || engagement.dwellMs - last.dwellMs >= ENGAGEMENT_REPORT_DWELL_MS
+    || engagement.scrollPct - last.scrollPct >= ENGAGEMENT_REPORT_SCROLL_PCT;
+  const message = {
+    type: 'UPDATE_ENGAGEMENT',
+    url: ENGAGEMENT.capturedUrl,
+    canonicalUrl: ENGAGEMENT.canonicalUrl,
+    engagement
+  };
+  if (SEEN.mode === 'flag') flushSeen();
+  if (SEEN.mode === 'flag' && ENGAGEMENT.capturedText && SEEN.seen.size > ENGAGEMENT.reportedSeen) {
+    const edits = ENGAGEMENT.redactionEdits;
+    message.seenRanges = seenRanges(ENGAGEMENT.capturedText)
+      .map(([s, e]) => [mapRedactedOffset(s, edits), mapRedactedOffset(e, edits, true)]);
+    message.textLength = ENGAGEMENT.textLength;
+  }
+  if (grew || message.seenRanges) {
+    if (grew) ENGAGEMENT.reported = engagement;
+    ENGAGEMENT.reportedSeen = SEEN.seen.size;
+    try {
+      chrome.runtime.sendMessage(message, () => { void chrome.runtime.lastError; });
+    } catch (_) {}
+  }
+  // Each re-capture stores a new version, so tab switching must not repeat it
+  if (SEEN.mode === 'only' && !ENGAGEMENT.seenRecaptured && routeKey(location.href) === routeKey(ENGAGEMENT.capturedUrl)) {
+    flushSeen();
+    if (SEEN.seen.size > ENGAGEMENT.capturedSeen) {
+      ENGAGEMENT.seenRecaptured = true;
+      sendPageToBackground();
+    }
+  }
+}
+
+function onEngagementScroll() {
+  const pct = scrollDepthPct();
+  if (pct > ENGAGEMENT.maxScrollPct) ENGAGEMENT.maxScrollPct = pct;
+}
+
+function onEngagementVisibility() {
+  if (document.visibilityState === 'visible') {
+    if (ENGAGEMENT.visibleSince === null) ENGAGEMENT.visibleSince = Date.now();
+    return;
+  }
+  if (ENGAGEMENT.visibleSince !== null) {
+    ENGAGEMENT.visibleMs += Date.now() - ENGAGEMENT.visibleSince;
+    ENGAGEMENT.visibleSince = null;
+  }
+  reportEngagement();
+}
+
+/**
+ * Schedule an auto-capture once the DOM goes idle (or after a hard cap), then
+ * hold it until the engagement gates from GET_CAPTURE_CONFIG are met (visible
+ * dwell time and scroll depth). Returns `cancel` and `nudge` (restart the
+ * idle wait, for changes the MutationObserver can't see such as same-origin
+ * frames); a pending capture is also dropped if the URL changes before it fires.
+ * @returns {{cancel: () => void, nudge: () => void}}
+ */
 function scheduleAutoCapture() {
   let fired = false;
+  let cancelled = false;
   let idleTimer = null;
+  let maxTimer = null;
+  let gateTimer = null;
+  const scheduledFor = routeKey(location.href);
 
-  const tryFire = () => {
-    if (fired) return;
+  const settle = () => {
     fired = true;
     observer.disconnect();
-    sendPageToBackground();
+    if (idleTimer) clearTimeout(idleTimer);
+    if (maxTimer) clearTimeout(maxTimer);
   };
 
-  const observer = new MutationObserver(() => {
+  const stop = () => {
+    cancelled = true;
+    settle();
+    if (gateTimer) clearTimeout(gateTimer);
+  };
+
+  const waitForEngagement = async () => {
+    const { gating } = await getCaptureConfig();
+    if (cancelled) return;
+    const minDwellMs = (gating && gating.minDwellMs) || 0;
+    const minScrollPct = (gating && gating.minScrollPct) || 0;
+    const check = () => {
+      gateTimer = null;
+      if (cancelled) return;
+      // Route moved on while we were waiting; the new route has its own schedule
+      if (routeKey(location.href) !== scheduledFor) return;
+      observeSeenBlocks();
+      const { dwellMs, scrollPct } = engagementSnapshot();
+      if (dwellMs >= minDwellMs && scrollPct >= minScrollPct) {
+        sendPageToBackground();
+        return;
+      }
+      gateTimer = setTimeout(check, ENGAGEMENT_POLL_MS);
+    };
+    check();
+  };
+
+  const tryFire = () => {
+    if (fired) return;
+    settle();
+    if (routeKey(location.href) !== scheduledFor) return;
+    waitForEngagement();
+  };
+
+  const nudge = () => {
+    if (fired) return;
     if (idleTimer) clearTimeout(idleTimer);
     idleTimer = setTimeout(tryFire, AUTO_CAPTURE_IDLE_MS);
-  });
+  };
+
+  const observer = new MutationObserver(nudge);
 
   if (document.body) {
     observer.observe(document.body, { childList: true, subtree: true, characterData: true });
   }
 
   idleTimer = setTimeout(tryFire, AUTO_CAPTURE_IDLE_MS);
-  setTimeout(tryFire, AUTO_CAPTURE_MAX_WAIT_MS);
+  maxTimer = setTimeout(tryFire, AUTO_CAPTURE_MAX_WAIT_MS);
+  return { cancel: stop, nudge };
 }
 
-function init() {
-  if (!isTopFrame()) return;
+/** URL identity for route tracking; fragment-only changes are the same page. */
+function routeKey(href) {
+  try {
+    const u = new URL(href);
+    u.hash = '';
+    return u.toString();
+  } catch (_) {
+    return String(href || '');
+  }
+}
+
+/**
+ * Single-page-app route tracking. The isolated world can't observe the
+ * page's own history.pushState/replaceState calls, so the background relays
+ * chrome.webNavigation.onHistoryStateUpdated as ROUTE_CHANGED; popstate is
+ * handled locally. Each change restarts a settle timer, and capture is only
+ * rescheduled once the URL has stayed put for ROUTE_SETTLE_MS.
+ */
+const ROUTE = { current: null, pending: null, settleTimer: null };
+
+function startRouteCapture() {
+  if (ROUTE.pending) ROUTE.pending.cancel();
+  // Flush what was measured on the previous route before starting over
+  reportEngagement();
+  resetEngagement();
+  stopSeenTracking();
+  const key = routeKey(location.href);
+  ROUTE.current = key;
+  ROUTE.pending = scheduleAutoCapture();
+  getCaptureConfig().then(({ seen }) => {
+    if (ROUTE.current === key) startSeenTracking(seen && seen.mode);
+  });
+}
+
+function onRouteChange() {
+  if (ROUTE.settleTimer) clearTimeout(ROUTE.settleTimer);
+  ROUTE.settleTimer = setTimeout(() => {
+    ROUTE.settleTimer = null;
+    if (routeKey(location.href) === ROUTE.current) return; // churned back to where we were
+    startRouteCapture();
+  }, ROUTE_SETTLE_MS);
+}
 
-  window.addEventListener('load', () => {
-    scheduleAutoCapture();
+/**
+ * Child frames never capture; they tell the top frame (only delivered when it
+ * is same-origin, via the postMessage target origin) that their content
+ * changed, so a pending top-frame capture waits for them to settle.
+ */
+function initChildFrame() {
+  const notify = () => {
+    try { window.top.postMessage({ type: FRAME_CHANGED_MSG }, window.origin); } catch (_) {}
+  };
+  let timer = null;
+  const observer = new MutationObserver(() => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(notify, AUTO_CAPTURE_IDLE_MS);
   });
+  if (document.body) observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  // The top frame stops waiting after AUTO_CAPTURE_MAX_WAIT_MS anyway
+  setTimeout(() => observer.disconnect(), AUTO_CAPTURE_MAX_WAIT_MS);
+  notify();
+}
+
+function onFrameMessage(e) {
+  if (e.origin !== window.origin || !e.data || e.data.type !== FRAME_CHANGED_MSG) return;
+  if (ROUTE.pending) ROUTE.pending.nudge();
+}
+
+function init() {
+  if (!isTopFrame()) {
+    initChildFrame();
+    return;
+  }
+  // Chrome's PDF viewer: the background fetches and extracts the file instead
+  if (document.contentType === 'application/pdf') {
+    try {
+      chrome.runtime.sendMessage({ type: 'PDF_DOCUMENT', url: location.href }, () => { void chrome.runtime.lastError; });
+    } catch (_) {}
+    return;
+  }
+
+  // document_idle may run after `load` has already fired
+  if (document.readyState === 'complete') {
+    startRouteCapture();
+  } else {
+    window.addEventListener('load', () => {
+      startRouteCapture();
+    });
+  }
+  window.addEventListener('popstate', onRouteChange);
+  window.addEventListener('message', onFrameMessage);
+  window.addEventListener('scroll', onEngagementScroll, { passive: true });
+  document.addEventListener('visibilitychange', onSeenVisibility);
+  document.addEventListener('visibilitychange', onEngagementVisibility);
+  window.addEventListener('pagehide', reportEngagement);
 
   chrome.runtime.onMessage.addListener((msg) => {
     if (msg && msg.type === 'FORCE_CAPTURE') {
       sendPageToBackground({ force: true });
+    } else if (msg && msg.type === 'ROUTE_CHANGED') {
+      onRouteChange();
     }
   });
 }
@@ -1,54 +1,323 @@
 /**
  * IndexedDB utilities for Web Recall.
- * Exposes globals on `self`: DB_NAME, DB_VERSION, STORE_NAME, HIGHLIGHTS_STORE, openDB.
+ * Exposes globals on `self`: DB_NAME, DB_VERSION, STORE_NAME, VERSIONS_STORE, CHUNKS_STORE, HIGHLIGHTS_STORE,
+ * JOBS_STORE, CLIPS_STORE, MIGRATIONS_STORE, DB_MIGRATIONS, splitPageRecord, openDB, getMigrationLog,
+ * findNearDuplicate (needs text.js).
+ *
+ * The schema is built by ordered migration steps (DB_MIGRATIONS). Opening the
+ * database runs every step newer than the stored version, in order, inside
+ * the upgrade transaction; a failing step aborts the upgrade so the database
+ * stays at its previous version instead of half-migrated. Each finished step
+ * is recorded in the `schemaMigrations` store.
+ *
+ * Pages are normalized (version 9): `pages` holds one small head per page,
+ * `versions` one row per captured version and `chunks` one row per chunk
+ * with its text and embedding. pagestore.js reads and writes this layout.
+ * Embeddings and centroids are typed arrays or quantized vectors (version
+ * 10; formats in vectors.js).
  */
 
 (function(scope){
   const DB_NAME = 'webMemoryDB';
-  const DB_VERSION = 4; // keep versioning for schema creation and future upgrades
   const STORE_NAME = 'pages';
+  const VERSIONS_STORE = 'versions';
+  const CHUNKS_STORE = 'chunks';
   const HIGHLIGHTS_STORE = 'highlights';
+  const JOBS_STORE = 'jobs';
+  const CLIPS_STORE = 'clips';
+  const MIGRATIONS_STORE = 'schemaMigrations';
+
+  function ensureIndex(store, name, keyPath, opts = { unique: false }) {
+    if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, opts);
+  }
+
+  // Legacy page records carry only top-level items/centroid/summary; give them versions[]
+  function legacyPageToVersioned(rec) {
+    if (Array.isArray(rec.versions) && rec.versions.length > 0) {
+      const idx = rec.latestVersionIndex;
+      if (Number.isInteger(idx) && idx >= 0 && idx < rec.versions.length) return undefined;
+      return { ...rec, latestVersionIndex: rec.versions.length - 1 };
+    }
+    const items = Array.isArray(rec.items) ? rec.items : [];
+    const version = {
+      timestamp: typeof rec.timestamp === 'number' ? rec.timestamp : Date.now(),
+      items,
+      centroid: rec.centroid || (typeof scope.computeCentroid === 'function' ? scope.computeCentroid(items) : undefined) || undefined,
+      summary: rec.summary || ''
+    };
+    if (typeof scope.stringHash === 'function') version.hash = scope.stringHash(items.map(i => i.text || '').join(' '));
+    return { ...rec, versions: [version], latestVersionIndex: 0, timestamp: version.timestamp };
+  }
+
+  /**
+   * Split a page document (head fields plus `versions[]` with `items`) into
+   * rows for the pages, versions and chunks stores. Versions without an `id`
+   * get `<pageId>:<seq>`; chunk rows are only produced for versions that carry
+   * `items`, so callers can save a page without reloading untouched chunks.
+   * @param {object} doc page document with an `id`
+   * @returns {{head:object, versions:object[], chunks:object[], chunkedVersionIds:string[]}}
+   */
+  function splitPageRecord(doc) {
+    const { versions, items, ...head } = doc;
+    const list = Array.isArray(versions) ? versions : [];
+    let seq = Number.isInteger(head.nextVersionSeq) ? head.nextVersionSeq : 0;
+    const versionRows = [];
+    const chunks = [];
+    const chunkedVersionIds = [];
+    for (const v of list) {
+      const { items: vItems, ...row } = v || {};
+      // Ids from another page (imports, copies) are replaced
+      if (typeof row.id !== 'string' || !row.id.startsWith(`${doc.id}:`)) row.id = `${doc.id}:${seq++}`;
+      row.pageId = doc.id;
+      if (Array.isArray(vItems)) {
+        row.chunkCount = vItems.length;
+        chunkedVersionIds.push(row.id);
+        vItems.forEach((it, index) => chunks.push({ ...it, pageId: doc.id, versionId: row.id, index }));
+      }
+      versionRows.push(row);
+    }
+    let idx = Number.isInteger(head.latestVersionIndex) ? head.latestVersionIndex : versionRows.length - 1;
+    if (idx < 0 || idx >= versionRows.length) idx = versionRows.length - 1;
+    const latest = versionRows[idx];
+    head.latestVersionIndex = idx;
+    head.versionIds = versionRows.map(r => r.id);
+    head.nextVersionSeq = seq;
+    // The latest centroid and summary stay on the head for page-level ranking and listing
+    if (latest) {
+      head.centroid = latest.centroid;
+      head.summary = latest.summary || '';
+      if (typeof latest.timestamp === 'number') head.timestamp = latest.timestamp;
+    }
+    return { head, versions: versionRows, chunks, chunkedVersionIds };
+  }
+
+  /**
+   * Schema steps, oldest first. `up(db, tx, ctx)` moves the database from
+   * `version - 1` to `version` and may return a promise; `ctx.rewrite(store, fn)`
+   * walks a store with a cursor, where fn returns a replacement record, null
+   * to delete, or undefined to keep it. Databases created before steps existed
+   * (up to version 7) were built by one idempotent block, so the steps up to 7
+   * must accept stores and indexes that already exist. Never change a shipped
+   * step; append a new one (DB_VERSION follows the last step).
+   */
+  const DB_MIGRATIONS = [
+    {
+      // History before version 4 wasn't recorded; this is the schema v4 shipped with
+      version: 4,
+      name: 'pages store (timestamp, canonicalUrl indexes) and highlights cache',
+      up(db, tx) {
+        const pages = db.objectStoreNames.contains(STORE_NAME)
+          ? tx.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        ensureIndex(pages, 'timestamp', 'timestamp');
+        ensureIndex(pages, 'canonicalUrl', 'canonicalUrl');
+        if (!db.objectStoreNames.contains(HIGHLIGHTS_STORE)) {
+          // Daily highlights cache keyed by date (YYYY-MM-DD)
+          db.createObjectStore(HIGHLIGHTS_STORE, { keyPath: 'date' });
+        }
+      }
+    },
+    {
+      version: 5,
+      name: 'simhashBands index for near-duplicate lookups',
+      up(db, tx) {
+        ensureIndex(tx.objectStore(STORE_NAME), 'simhashBands', 'simhashBands', { unique: false, multiEntry: true });
+      }
+    },
+    {
+      version: 6,
+      name: 'jobs store for the persistent job queue',
+      up(db) {
+        if (db.objectStoreNames.contains(JOBS_STORE)) return;
+        // Keyed by `<kind>:<key>` (jobs.js)
+        const jobs = db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+        jobs.createIndex('state', 'state', { unique: false });
+        jobs.createIndex('nextRunAt', 'nextRunAt', { unique: false });
+      }
+    },
+    {
+      version: 7,
+      name: 'clips store for remembered selections',
+      up(db) {
+        if (db.objectStoreNames.contains(CLIPS_STORE)) return;
+        const clips = db.createObjectStore(CLIPS_STORE, { keyPath: 'id', autoIncrement: true });
+        clips.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+    },
+    {
+      version: 8,
+      name: 'pages: move legacy records without versions[] onto versions',
+      up(db, tx, ctx) {
+        return ctx.rewrite(STORE_NAME, legacyPageToVersioned);
+      }
+    },
+    {
+      version: 9,
+      name: 'normalize pages into pages/versions/chunks stores',
+      up(db, tx, ctx) {
+        const versions = db.createObjectStore(VERSIONS_STORE, { keyPath: 'id' });
+        versions.createIndex('pageId', 'pageId', { unique: false });
+        const chunks = db.createObjectStore(CHUNKS_STORE, { keyPath: ['versionId', 'index'] });
+        chunks.createIndex('pageId', 'pageId', { unique: false });
+        chunks.createIndex('versionId', 'versionId', { unique: false });
+        return ctx.rewrite(STORE_NAME, (rec) => {
+          const split = splitPageRecord(legacyPageToVersioned(rec) || rec);
+          for (const v of split.versions) versions.put(v);
+          for (const c of split.chunks) chunks.put(c);
+          return split.head;
+        });
+      }
+    },
+    {
+      version: 10,
+      name: 'store embeddings and centroids as Float32Array',
+      async up(db, tx, ctx) {
+        // Self-contained (no vectors.js): plain number arrays become Float32Array
+        const f32 = (x) => Array.isArray(x) ? Float32Array.from(x, v => +v || 0) : x;
+        const withCentroid = (rec) => Array.isArray(rec.centroid) ? { ...rec, centroid: f32(rec.centroid) } : undefined;
+        await ctx.rewrite(CHUNKS_STORE, (c) => Array.isArray(c.embedding) ? { ...c, embedding: f32(c.embedding) } : undefined);
+        await ctx.rewrite(VERSIONS_STORE, withCentroid);
+        await ctx.rewrite(STORE_NAME, withCentroid);
+        await ctx.rewrite(CLIPS_STORE, (clip) => {
+          if (!Array.isArray(clip.centroid) && !(Array.isArray(clip.items) && clip.items.some(it => Array.isArray(it.embedding)))) return undefined;
+          return {
+            ...clip,
+            centroid: f32(clip.centroid),
+            items: Array.isArray(clip.items) ? clip.items.map(it => ({ ...it, embedding: f32(it.embedding) })) : clip.items
+          };
+        });
+      }
+    }
+  ];
+  const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+  // Cursor pass over a store; resolves with the number of records changed or deleted
+  function rewriteRecords(store, fn) {
+    return new Promise((resolve, reject) => {
+      let changed = 0;
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) { resolve(changed); return; }
+        const next = fn(cursor.value);
+        if (next === null) { cursor.delete(); changed++; }
+        else if (next !== undefined) { cursor.update(next); changed++; }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Run the steps after `oldVersion` one at a time inside the upgrade transaction
+  async function runMigrations(db, tx, oldVersion) {
+    if (!db.objectStoreNames.contains(MIGRATIONS_STORE)) {
+      db.createObjectStore(MIGRATIONS_STORE, { keyPath: 'version' });
+    }
+    for (const step of DB_MIGRATIONS) {
+      if (step.version <= oldVersion) continue;
+      const started = Date.now();
+      const ctx = {
+        rewritten: 0,
+        rewrite: (storeName, fn) => rewriteRecords(tx.objectStore(storeName), fn).then(n => { ctx.rewritten += n; })
+      };
+      await step.up(db, tx, ctx);
+      const entry = { version: step.version, name: step.name, fromVersion: oldVersion, at: Date.now(), ms: Date.now() - started, rewritten: ctx.rewritten };
+      tx.objectStore(MIGRATIONS_STORE).put(entry);
+      try { if (scope.LOGGER) scope.LOGGER.info('db migration', entry).catch(() => {}); } catch (_) {}
+    }
+  }
 
   function openDB() {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open(DB_NAME, DB_VERSION);
       req.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        let store;
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          // Create the object store with an autoIncrement id.
-          store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-        } else {
-          store = event.target.transaction.objectStore(STORE_NAME);
-        }
-        // Ensure the timestamp index exists for sorting by recency.
-        if (!store.indexNames.contains('timestamp')) {
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-        // Index on canonicalUrl to support versioned docs per URL.
-        try {
-          if (!store.indexNames.contains('canonicalUrl')) {
-            store.createIndex('canonicalUrl', 'canonicalUrl', { unique: false });
-          }
-        } catch (_) {
-          // Ignore if upgrade path doesn't support creating index here
-        }
-        // Daily highlights cache keyed by date (YYYY-MM-DD)
-        try {
-          if (!db.objectStoreNames.contains(HIGHLIGHTS_STORE)) {
-            db.createObjectStore(HIGHLIGHTS_STORE, { keyPath: 'date' });
-          }
-        } catch (_) {}
+        const tx = req.transaction;
+        runMigrations(req.result, tx, event.oldVersion).catch(err => {
+          try { if (scope.LOGGER) scope.LOGGER.error('db migration failed', { error: String(err && err.message ? err.message : err) }).catch(() => {}); } catch (_) {}
+          try { tx.abort(); } catch (_) {}
+        });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer worker or document upgrade the schema instead of blocking it
+        db.onversionchange = () => { try { db.close(); } catch (_) {} };
+        resolve(db);
       };
-      req.onsuccess = () => resolve(req.result);
       req.onerror = () => reject(req.error);
     });
   }
 
+  /**
+   * Steps applied to this database, oldest first.
+   * @returns {Promise<Array<{version:number, name:string, fromVersion:number, at:number, ms:number, rewritten:number}>>}
+   */
+  async function getMigrationLog() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(MIGRATIONS_STORE, 'readonly');
+      const req = tx.objectStore(MIGRATIONS_STORE).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Find the primary record for near-duplicate content stored under another
+   * canonical URL (mirrors, AMP pages, syndicated copies). Candidates come from
+   * the `simhashBands` index; the closest one within SIMHASH_NEAR_DISTANCE bits
+   * wins (older first on ties) and its own primary is returned, so links never
+   * chain.
+   * @param {IDBDatabase} db
+   * @param {string|null} fp SimHash of the page text
+   * @param {string} canUrl Canonical URL of the page being stored
+   * @param {number} [selfId] Record id when updating an existing page
+   * @returns {Promise<{primaryId:number, distance:number}|null>}
+   */
+  async function findNearDuplicate(db, fp, canUrl, selfId) {
+    const bands = scope.simhashBands(fp);
+    if (!bands.length) return null;
+    const candidates = new Map();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      if (!store.indexNames.contains('simhashBands')) { resolve(); return; }
+      const index = store.index('simhashBands');
+      for (const band of bands) {
+        const req = index.getAll(band);
+        req.onsuccess = () => { for (const p of req.result || []) candidates.set(p.id, p); };
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    let best = null;
+    for (const p of candidates.values()) {
+      if (p.id === selfId || p.canonicalUrl === canUrl) continue;
+      const distance = scope.hammingDistance(fp, p.simhash);
+      if (distance > scope.SIMHASH_NEAR_DISTANCE) continue;
+      if (!best || distance < best.distance || (distance === best.distance && (p.timestamp || 0) < (best.page.timestamp || 0))) {
+        best = { page: p, distance };
+      }
+    }
+    if (!best) return null;
+    const primaryId = typeof best.page.duplicateOf === 'number' ? best.page.duplicateOf : best.page.id;
+    // The match already points at this page: this one stays the primary
+    if (primaryId === selfId) return null;
+    return { primaryId, distance: best.distance };
+  }
+
   // Attach to global scope for MV3 scripts (service worker, offscreen, pages)
   scope.DB_NAME = DB_NAME;
   scope.DB_VERSION = DB_VERSION;
   scope.STORE_NAME = STORE_NAME;
+  scope.VERSIONS_STORE = VERSIONS_STORE;
+  scope.CHUNKS_STORE = CHUNKS_STORE;
   scope.HIGHLIGHTS_STORE = HIGHLIGHTS_STORE;
+  scope.JOBS_STORE = JOBS_STORE;
+  scope.CLIPS_STORE = CLIPS_STORE;
+  scope.MIGRATIONS_STORE = MIGRATIONS_STORE;
+  scope.DB_MIGRATIONS = DB_MIGRATIONS;
+  scope.splitPageRecord = splitPageRecord;
   scope.openDB = openDB;
+  scope.getMigrationLog = getMigrationLog;
+  scope.findNearDuplicate = findNearDuplicate;
 })(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,83 @@
+/**
+ * "Forget recent history" controls, shared by the side panel and the Memory
+ * Manager. Preview asks the background for counts (PURGE_HISTORY with
+ * dryRun); Forget then purges the same window. Expects the #forget* markup.
+ */
+
+(function(){
+  const range = document.getElementById('forgetRange');
+  if (!range) return;
+  const custom = document.getElementById('forgetCustom');
+  const fromInput = document.getElementById('forgetFrom');
+  const toInput = document.getElementById('forgetTo');
+  const previewBtn = document.getElementById('forgetPreviewBtn');
+  const confirmBtn = document.getElementById('forgetConfirmBtn');
+  const result = document.getElementById('forgetResult');
+  let previewed = null; // window and summary of the last preview
+
+  // Relative ranges end now; custom ones use the local datetime inputs
+  function currentWindow() {
+    if (range.value === 'custom') {
+      const from = new Date(fromInput.value).getTime();
+      const to = new Date(toInput.value).getTime();
+      if (!Number.isFinite(from) || !Number.isFinite(to) || to < from) return null;
+      return { from, to, relative: false };
+    }
+    const to = Date.now();
+    return { from: to - Number(range.value), to, relative: true };
+  }
+
+  function describe(c) {
+    const parts = [];
+    if (c.pages) parts.push(`${c.pages} page(s)`);
+    if (c.updated) parts.push(`recent versions of ${c.updated} older page(s)`);
+    if (c.visits) parts.push(`${c.visits} revisit(s) of older pages`);
+    if (c.clips) parts.push(`${c.clips} clip(s)`);
+    if (c.jobs) parts.push(`${c.jobs} pending job(s)`);
+    if (c.highlightDays) parts.push(`highlights for ${c.highlightDays} day(s)`);
+    if (c.skipped) parts.push(`${c.skipped} skipped capture(s)`);
+    if (c.logs) parts.push(`${c.logs} log row(s)`);
+    return parts.join(', ');
+  }
+
+  function reset() {
+    previewed = null;
+    confirmBtn.style.display = 'none';
+    result.textContent = '';
+  }
+
+  range.addEventListener('change', () => {
+    custom.style.display = range.value === 'custom' ? '' : 'none';
+    reset();
+  });
+  fromInput.addEventListener('change', reset);
+  toInput.addEventListener('change', reset);
+
+  previewBtn.addEventListener('click', () => {
+    const win = currentWindow();
+    if (!win) { result.textContent = 'Choose a start and an end time.'; return; }
+    result.textContent = 'Counting…';
+    chrome.runtime.sendMessage({ type: 'PURGE_HISTORY', from: win.from, to: win.to, dryRun: true }, (resp) => {
+      if (!resp || resp.error) { reset(); result.textContent = `Preview failed: ${(resp && resp.error) || 'no response'}`; return; }
+      const summary = describe(resp.counts || {});
+      if (!summary) { reset(); result.textContent = 'Nothing was captured in this time range.'; return; }
+      previewed = { ...win, summary };
+      result.textContent = `Will delete ${summary}.`;
+      confirmBtn.style.display = '';
+    });
+  });
+
+  confirmBtn.addEventListener('click', () => {
+    if (!previewed) return;
+    if (!confirm(`Delete ${previewed.summary}? This cannot be undone.`)) return;
+    // A relative range also takes whatever was captured since the preview
+    const to = previewed.relative ? Date.now() : previewed.to;
+    confirmBtn.style.display = 'none';
+    result.textContent = 'Deleting…';
+    chrome.runtime.sendMessage({ type: 'PURGE_HISTORY', from: previewed.from, to }, (resp) => {
+      previewed = null;
+      if (!resp || resp.error) { result.textContent = `Delete failed: ${(resp && resp.error) || 'no response'}`; return; }
+      result.textContent = `Deleted ${describe(resp.counts || {}) || 'nothing'}.`;
+    });
+  });
+})();
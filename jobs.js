@@ -0,0 +1,320 @@
+/**
+ * Persistent background job queue for Web Recall (IndexedDB `jobs` store).
+ * Exposes globals on `self`: JOB_STATES, JOB_MAX_ATTEMPTS, jobRetryDelay, getJob,
+ * listJobs, deleteJob, enqueueJob, takeDueJob, finishJob, retryJob,
+ * resetInterruptedJobs, countQueuedJobs, pruneDoneJobs, nextJobRunAt,
+ * sealJobPayload, openJobPayload, resealJobPayloads.
+ * Requires db.js, and vault.js for sealed payloads. The background service
+ * worker owns the runner; this module only moves job records between states
+ * so a restart never loses work.
+ *
+ * Job record:
+ *   { id: `${kind}:${key}`, kind, key, state, attempts, maxAttempts, nextRunAt,
+ *     createdAt, updatedAt, lastError, payload, url, title, rerun }
+ * `attempts` counts started runs, so a job that keeps killing the worker
+ * still runs out of attempts.
+ */
+
+(function(scope){
+  const JOB_STATES = ['queued', 'running', 'failed', 'done'];
+  const JOB_MAX_ATTEMPTS = 4;
+  // chrome.alarms won't fire sooner than 30s for packed extensions
+  const RETRY_BASE_MS = 30 * 1000;
+  const RETRY_MAX_MS = 60 * 60 * 1000;
+
+  function jobRetryDelay(attempts) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  // Run `fn(store)` in one transaction; resolves with whatever fn stored in `out.value`
+  async function withJobs(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(JOBS_STORE, mode);
+      const out = { value: undefined };
+      fn(tx.objectStore(JOBS_STORE), out);
+      tx.oncomplete = () => resolve(out.value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function getJob(id) {
+    return withJobs('readonly', (store, out) => {
+      const req = store.get(id);
+      req.onsuccess = () => { out.value = req.result || null; };
+    });
+  }
+
+  function listJobs() {
+    return withJobs('readonly', (store, out) => {
+      const req = store.getAll();
+      req.onsuccess = () => { out.value = req.result || []; };
+    });
+  }
+
+  function deleteJob(id) {
+    return withJobs('readwrite', (store) => { store.delete(id); });
+  }
+
+  /**
+   * Add a job or refresh the payload of a pending one. A queued job keeps its
+   * attempts and the later of the two run times; a running job is flagged to
+   * run again once it finishes; failed and done jobs start over.
+   * @param {{kind:string, key:string|number, payload?:any, url?:string, title?:string, delayMs?:number, maxAttempts?:number}} spec
+   * @returns {Promise<object>} the stored job
+   */
+  function enqueueJob({ kind, key, payload = null, url = null, title = null, delayMs = 0, maxAttempts = JOB_MAX_ATTEMPTS }) {
+    const id = `${kind}:${key}`;
+    return withJobs('readwrite', (store, out) => {
+      const req = store.get(id);
+      req.onsuccess = () => {
+        const now = Date.now();
+        const runAt = now + Math.max(0, delayMs || 0);
+        const prev = req.result;
+        let job;
+        if (prev && prev.state === 'running') {
+          job = { ...prev, payload, url, title, rerun: true, updatedAt: now };
+        } else if (prev && prev.state === 'queued') {
+          job = { ...prev, payload, url, title, nextRunAt: Math.max(prev.nextRunAt || 0, runAt), updatedAt: now };
+        } else {
+          job = {
+            id, kind, key, state: 'queued', attempts: 0, maxAttempts,
+            nextRunAt: runAt, createdAt: now, updatedAt: now, lastError: null,
+            payload, url, title, rerun: false
+          };
+        }
+        store.put(job);
+        out.value = job;
+      };
+    });
+  }
+
+  /**
+   * Claim the queued job with the earliest due time and mark it running.
+   * @param {number} [now]
+   * @param {string} [kind] only consider jobs of this kind
+   * @returns {Promise<object|null>}
+   */
+  function takeDueJob(now = Date.now(), kind = null) {
+    return withJobs('readwrite', (store, out) => {
+      out.value = null;
+      const req = store.index('nextRunAt').openCursor(IDBKeyRange.upperBound(now));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const job = cursor.value;
+        if (job.state !== 'queued' || (kind && job.kind !== kind)) { cursor.continue(); return; }
+        const next = { ...job, state: 'running', attempts: (job.attempts || 0) + 1, rerun: false, updatedAt: Date.now() };
+        cursor.update(next);
+        out.value = next;
+      };
+    });
+  }
+
+  /**
+   * Record the outcome of a run. Failures are requeued with backoff until
+   * maxAttempts, then left as `failed`. Jobs deleted while running (canceled)
+   * stay deleted.
+   * @param {string} id
+   * @param {Error|string|null} error
+   * @returns {Promise<object|null>} the updated job
+   */
+  function finishJob(id, error = null) {
+    return withJobs('readwrite', (store, out) => {
+      out.value = null;
+      const req = store.get(id);
+      req.onsuccess = () => {
+        const job = req.result;
+        if (!job) return;
+        const now = Date.now();
+        const next = { ...job, updatedAt: now };
+        if (job.rerun) {
+          // Re-enqueued while running: run the fresh payload from scratch
+          Object.assign(next, { state: 'queued', attempts: 0, nextRunAt: now, lastError: null, rerun: false });
+        } else if (!error) {
+          Object.assign(next, { state: 'done', lastError: null });
+        } else {
+          next.lastError = String(error && error.message ? error.message : error);
+          if (next.attempts >= (next.maxAttempts || JOB_MAX_ATTEMPTS)) next.state = 'failed';
+          else Object.assign(next, { state: 'queued', nextRunAt: now + jobRetryDelay(next.attempts) });
+        }
+        store.put(next);
+        out.value = next;
+      };
+    });
+  }
+
+  /**
+   * Requeue a job to run now with a fresh attempt budget.
+   * @param {string} id
+   * @returns {Promise<object|null>} null when there is no such job
+   */
+  function retryJob(id) {
+    return withJobs('readwrite', (store, out) => {
+      out.value = null;
+      const req = store.get(id);
+      req.onsuccess = () => {
+        const job = req.result;
+        if (!job) return;
+        if (job.state === 'running') {
+          out.value = job;
+          return;
+        }
+        const now = Date.now();
+        const next = { ...job, state: 'queued', attempts: 0, nextRunAt: now, lastError: null, updatedAt: now };
+        store.put(next);
+        out.value = next;
+      };
+    });
+  }
+
+  /**
+   * Jobs left `running` by a terminated worker go back to the queue, or to
+   * `failed` when that run was their last attempt. Call once per worker start.
+   * @returns {Promise<number>} how many jobs were reset
+   */
+  function resetInterruptedJobs() {
+    return withJobs('readwrite', (store, out) => {
+      out.value = 0;
+      const req = store.index('state').openCursor(IDBKeyRange.only('running'));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const job = cursor.value;
+        const now = Date.now();
+        const exhausted = job.attempts >= (job.maxAttempts || JOB_MAX_ATTEMPTS);
+        cursor.update({
+          ...job,
+          state: exhausted ? 'failed' : 'queued',
+          nextRunAt: now,
+          lastError: job.lastError || 'Interrupted',
+          updatedAt: now
+        });
+        out.value++;
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Number of queued jobs, optionally limited to some kinds.
+   * @param {string[]} [kinds]
+   * @returns {Promise<number>}
+   */
+  function countQueuedJobs(kinds = null) {
+    return withJobs('readonly', (store, out) => {
+      out.value = 0;
+      const req = store.index('state').openCursor(IDBKeyRange.only('queued'));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (!kinds || kinds.includes(cursor.value.kind)) out.value++;
+        cursor.continue();
+      };
+    });
+  }
+
+  function pruneDoneJobs(maxAgeMs = 24 * 60 * 60 * 1000) {
+    const cutoff = Date.now() - maxAgeMs;
+    return withJobs('readwrite', (store) => {
+      const req = store.index('state').openCursor(IDBKeyRange.only('done'));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if ((cursor.value.updatedAt || 0) < cutoff) cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Earliest run time among queued jobs, for scheduling the wake-up alarm.
+   * @param {string[]} [kinds] only consider jobs of these kinds
+   * @returns {Promise<number|null>}
+   */
+  function nextJobRunAt(kinds = null) {
+    return withJobs('readonly', (store, out) => {
+      out.value = null;
+      const req = store.index('state').openCursor(IDBKeyRange.only('queued'));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (kinds && !kinds.includes(cursor.value.kind)) { cursor.continue(); return; }
+        const t = cursor.value.nextRunAt || 0;
+        if (out.value === null || t < out.value) out.value = t;
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Replace the payloads of existing jobs (e.g. to reseal them with a new
+   * key); ids that are gone are skipped.
+   * @param {Map<string, any>} payloads job id -> payload
+   * @returns {Promise<number>} jobs updated
+   */
+  function setJobPayloads(payloads) {
+    return withJobs('readwrite', (store, out) => {
+      out.value = 0;
+      for (const [id, payload] of payloads) {
+        const req = store.get(id);
+        req.onsuccess = () => {
+          if (!req.result) return;
+          store.put({ ...req.result, payload });
+          out.value++;
+        };
+      }
+    });
+  }
+
+  // Capture payloads carry the page text: with a key they are stored as `{ url, sealed }`
+  async function sealJobPayload(message, key = getVaultKey()) {
+    if (!key || !message) return message;
+    return { url: message.url, sealed: await sealText(JSON.stringify(message), key) };
+  }
+
+  /**
+   * Payload as enqueued; plain payloads pass through.
+   * @throws while the payload is sealed and there is no key
+   */
+  async function openJobPayload(payload) {
+    if (!payload || !isSealed(payload.sealed)) return payload;
+    const json = await openText(payload.sealed);
+    if (typeof json !== 'string') throw new Error('Web Recall is locked');
+    return JSON.parse(json);
+  }
+
+  /**
+   * Reseal stored capture payloads (done and failed jobs keep theirs) with
+   * `key`; null stores them plain. Existing payloads open with the current key.
+   * @param {CryptoKey|null} key
+   * @returns {Promise<number>} jobs updated
+   */
+  async function resealJobPayloads(key) {
+    const updates = new Map();
+    for (const job of await listJobs()) {
+      if (job.kind !== 'capture' || !job.payload) continue;
+      updates.set(job.id, await sealJobPayload(await openJobPayload(job.payload), key));
+    }
+    return updates.size ? setJobPayloads(updates) : 0;
+  }
+
+  scope.JOB_STATES = JOB_STATES;
+  scope.JOB_MAX_ATTEMPTS = JOB_MAX_ATTEMPTS;
+  scope.jobRetryDelay = jobRetryDelay;
+  scope.getJob = getJob;
+  scope.listJobs = listJobs;
+  scope.deleteJob = deleteJob;
+  scope.enqueueJob = enqueueJob;
+  scope.takeDueJob = takeDueJob;
+  scope.finishJob = finishJob;
+  scope.retryJob = retryJob;
+  scope.resetInterruptedJobs = resetInterruptedJobs;
+  scope.countQueuedJobs = countQueuedJobs;
+  scope.pruneDoneJobs = pruneDoneJobs;
+  scope.nextJobRunAt = nextJobRunAt;
+  scope.sealJobPayload = sealJobPayload;
+  scope.openJobPayload = openJobPayload;
+  scope.resealJobPayloads = resealJobPayloads;
+})(typeof self !== 'undefined' ? self : this);
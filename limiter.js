@@ -0,0 +1,132 @@
+/**
+ * Request limiter for Web Recall.
+ * Exposes globals on `self`: createRateLimiter, holdSlotUntilRead.
+ * The background worker wraps every Ollama request in one shared limiter so
+ * parallel capture and summary workers can't flood the local server.
+ */
+
+(function(scope){
+  const WINDOW_MS = 60 * 1000;
+
+  /**
+   * Limit how many tasks run at once and, optionally, how many may start per
+   * minute. Waiters are served in arrival order.
+   * @param {{maxConcurrent?:number, perMinute?:number}} [opts] perMinute 0 = no rate cap
+   * @returns {{acquire:()=>Promise<()=>void>, run:(fn:()=>Promise<any>)=>Promise<any>, configure:(opts:object)=>void, stats:()=>object}}
+   */
+  function createRateLimiter(opts = {}) {
+    let maxConcurrent = 1;
+    let perMinute = 0;
+    let inFlight = 0;
+    let timer = null;
+    const waiting = [];
+    const starts = []; // start times within the last minute
+    const totals = { started: 0, waitedMs: 0 };
+
+    function configure(next = {}) {
+      if (Number.isFinite(next.maxConcurrent)) maxConcurrent = Math.max(1, Math.floor(next.maxConcurrent));
+      if (Number.isFinite(next.perMinute)) perMinute = Math.max(0, Math.floor(next.perMinute));
+      // pump() sets a new wake-up if the new caps still need one
+      if (timer) { clearTimeout(timer); timer = null; }
+      pump();
+    }
+
+    function prune(now) {
+      while (starts.length && starts[0] <= now - WINDOW_MS) starts.shift();
+    }
+
+    function release() {
+      inFlight = Math.max(0, inFlight - 1);
+      pump();
+    }
+
+    function pump() {
+      const now = Date.now();
+      prune(now);
+      while (waiting.length && inFlight < maxConcurrent) {
+        if (perMinute > 0 && starts.length >= perMinute) {
+          // Wake when the oldest start leaves the window
+          if (!timer) {
+            timer = setTimeout(() => { timer = null; pump(); }, Math.max(10, starts[0] + WINDOW_MS - now));
+          }
+          return;
+        }
+        const w = waiting.shift();
+        inFlight++;
+        starts.push(now);
+        totals.started++;
+        totals.waitedMs += now - w.queuedAt;
+        let released = false;
+        w.resolve(() => { if (!released) { released = true; release(); } });
+      }
+    }
+
+    function acquire() {
+      return new Promise(resolve => {
+        waiting.push({ resolve, queuedAt: Date.now() });
+        pump();
+      });
+    }
+
+    async function run(fn) {
+      const done = await acquire();
+      try { return await fn(); } finally { done(); }
+    }
+
+    function stats() {
+      prune(Date.now());
+      return {
+        inFlight,
+        waiting: waiting.length,
+        maxConcurrent,
+        perMinute,
+        startedLastMinute: starts.length,
+        avgWaitMs: totals.started ? Math.round(totals.waitedMs / totals.started) : 0
+      };
+    }
+
+    configure(opts);
+    return { acquire, run, configure, stats };
+  }
+
+  /**
+   * Response whose body releases a limiter slot once it has been read to the
+   * end, fails or is cancelled. The server is still generating until then, so
+   * the slot is not given back when headers arrive. A body left unread for
+   * `idleMs` (callers that bail out on a bad status) releases it too.
+   * @param {Response} res
+   * @param {() => void} release the function acquire() resolved with
+   * @param {number} idleMs
+   * @returns {Response}
+   */
+  function holdSlotUntilRead(res, release, idleMs) {
+    if (!res.body) { release(); return res; }
+    let idle = null;
+    const done = () => { clearTimeout(idle); release(); };
+    const arm = () => { clearTimeout(idle); idle = setTimeout(release, idleMs); };
+    const reader = res.body.getReader();
+    arm();
+    const body = new ReadableStream({
+      async pull(controller) {
+        clearTimeout(idle);
+        try {
+          const { done: end, value } = await reader.read();
+          if (end) { done(); controller.close(); return; }
+          controller.enqueue(value);
+          arm();
+        } catch (err) {
+          done();
+          controller.error(err);
+        }
+      },
+      cancel(reason) {
+        done();
+        return reader.cancel(reason);
+      }
+    }, { highWaterMark: 0 });
+    return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+
+  scope.createRateLimiter = createRateLimiter;
+  scope.holdSlotUntilRead = holdSlotUntilRead;
+})(typeof self !== 'undefined' ? self : this);
@@ -1,10 +1,14 @@
 /**
  * Memory manager panel:
  * - Lists captured pages with sort/filter controls.
- * - Supports bulk delete, summary backfill, import/export.
+ * - Supports bulk delete, summary backfill, import/export (optionally passphrase-encrypted).
+ * - Shows how much space stored embeddings take and converts their format.
+ * - Edits the retention policy, previews or runs it, and shows the last run.
+ * - Lists clips (pinned selections) with their notes and tags in a second tab.
  */
 
 const CURRENT = { pages: [], sortKey: 'date', sortAsc: false };
+const CLIP_TEXT_PREVIEW = 280;
 
 // ---------------------------------------------------------------------------
 // Table rendering and sorting
@@ -22,10 +26,25 @@ function renderRows(pages) {
     const a = document.createElement('a');
     a.href = p.url; a.target = '_blank'; a.textContent = p.title || p.url;
     tdTitle.appendChild(a);
+    for (const [on, label, title] of [
+      [p.pinned, 'pinned', 'Never evicted by retention'],
+      [p.trimmedAt, 'trimmed', p.trimmedAt ? `Chunks dropped by retention on ${new Date(p.trimmedAt).toLocaleDateString()}` : '']
+    ]) {
+      if (!on) continue;
+      const tag = document.createElement('span');
+      tag.className = 'tag'; tag.textContent = ` [${label}]`; tag.title = title;
+      tdTitle.appendChild(tag);
+    }
     const tdUrl = document.createElement('td');
     tdUrl.textContent = p.url;
     const tdDate = document.createElement('td');
     tdDate.textContent = new Date(p.timestamp).toLocaleString();
+    const tdExtraction = document.createElement('td');
+    tdExtraction.textContent = p.extraction || '—';
+    const tdRedactions = document.createElement('td');
+    const redacted = redactionTotal(p);
+    tdRedactions.textContent = redacted ? String(redacted) : '—';
+    if (redacted) tdRedactions.title = Object.entries(p.redactions).map(([k, n]) => `${k}: ${n}`).join(', ');
     const tdActions = document.createElement('td');
     const openBtn = document.createElement('button'); openBtn.textContent = 'Open';
     openBtn.addEventListener('click', () => window.open(p.url, '_blank'));
@@ -37,13 +56,25 @@ function renderRows(pages) {
         else refresh();
       });
     });
+    const pinBtn = document.createElement('button'); pinBtn.textContent = p.pinned ? 'Unpin' : 'Pin';
+    pinBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'SET_PAGE_PINNED', id: p.id, pinned: !p.pinned }, (resp) => {
+        if (resp?.error) alert('Pin failed: ' + resp.error);
+        else refresh();
+      });
+    });
     tdActions.appendChild(openBtn);
+    tdActions.appendChild(pinBtn);
     tdActions.appendChild(delBtn);
-    tr.appendChild(tdSel); tr.appendChild(tdTitle); tr.appendChild(tdUrl); tr.appendChild(tdDate); tr.appendChild(tdActions);
+    tr.appendChild(tdSel); tr.appendChild(tdTitle); tr.appendChild(tdUrl); tr.appendChild(tdDate); tr.appendChild(tdExtraction); tr.appendChild(tdRedactions); tr.appendChild(tdActions);
     tbody.appendChild(tr);
   }
 }
 
+function redactionTotal(p) {
+  return Object.values(p.redactions || {}).reduce((sum, n) => sum + (Number(n) || 0), 0);
+}
+
 function refresh() {
   chrome.runtime.sendMessage({ type: 'GET_PAGE_LIST' }, (resp) => {
     let list = (resp && Array.isArray(resp.pages)) ? resp.pages : [];
@@ -60,6 +91,8 @@ function applySort() {
     let va, vb;
     if (key === 'title') { va = (a.title||'').toLowerCase(); vb = (b.title||'').toLowerCase(); }
     else if (key === 'url') { va = a.url.toLowerCase(); vb = b.url.toLowerCase(); }
+    else if (key === 'extraction') { va = a.extraction || ''; vb = b.extraction || ''; }
+    else if (key === 'redactions') { va = redactionTotal(a); vb = redactionTotal(b); }
     else { va = a.timestamp; vb = b.timestamp; }
     if (va < vb) return asc ? -1 : 1;
     if (va > vb) return asc ? 1 : -1;
@@ -68,9 +101,249 @@ function applySort() {
   renderRows(sorted);
 }
 
+// ---------------------------------------------------------------------------
+// Clips tab
+// ---------------------------------------------------------------------------
+
+function renderClipRows(clips) {
+  const tbody = document.getElementById('clipRows');
+  tbody.innerHTML = '';
+  if (clips.length === 0) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 7;
+    td.textContent = 'No clips yet. Select text on a page and choose "Remember selection" from the context menu.';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+    return;
+  }
+  for (const c of clips) {
+    const tr = document.createElement('tr');
+    const tdSel = document.createElement('td');
+    const cb = document.createElement('input'); cb.type = 'checkbox'; cb.className = 'clipSel'; cb.dataset.id = c.id;
+    tdSel.appendChild(cb);
+    const tdText = document.createElement('td');
+    tdText.className = 'clipText';
+    tdText.textContent = c.text.length > CLIP_TEXT_PREVIEW ? c.text.slice(0, CLIP_TEXT_PREVIEW) + '…' : c.text;
+    tdText.title = [c.before ? '…' + c.before : '', c.text, c.after ? c.after + '…' : ''].filter(Boolean).join(' ');
+    if (!c.embedded) tdText.style.color = '#888';
+    const tdNote = document.createElement('td');
+    tdNote.textContent = c.note || '—';
+    const tdTags = document.createElement('td');
+    for (const t of (c.tags || [])) {
+      const span = document.createElement('span'); span.className = 'tag'; span.textContent = `#${t}`;
+      tdTags.appendChild(span);
+    }
+    const tdSource = document.createElement('td');
+    const a = document.createElement('a');
+    a.href = c.url; a.target = '_blank'; a.textContent = c.title || c.url; a.title = c.url;
+    tdSource.appendChild(a);
+    const tdDate = document.createElement('td');
+    tdDate.textContent = new Date(c.timestamp).toLocaleString();
+    if (!c.embedded) tdDate.title = 'Waiting to be embedded';
+    const tdActions = document.createElement('td');
+    const editBtn = document.createElement('button'); editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => {
+      const note = prompt('Note', c.note || '');
+      if (note === null) return;
+      const tags = prompt('Tags (comma-separated)', (c.tags || []).join(', '));
+      if (tags === null) return;
+      chrome.runtime.sendMessage({ type: 'UPDATE_CLIP', id: c.id, note, tags }, (resp) => {
+        if (resp?.error) alert('Update failed: ' + resp.error);
+        else refreshClips();
+      });
+    });
+    const delBtn = document.createElement('button'); delBtn.textContent = 'Delete';
+    delBtn.addEventListener('click', () => {
+      if (!confirm('Delete this clip?')) return;
+      chrome.runtime.sendMessage({ type: 'DELETE_CLIP', id: c.id }, (resp) => {
+        if (resp?.error) alert('Delete failed: ' + resp.error);
+        else refreshClips();
+      });
+    });
+    tdActions.appendChild(editBtn);
+    tdActions.appendChild(delBtn);
+    tr.appendChild(tdSel); tr.appendChild(tdText); tr.appendChild(tdNote); tr.appendChild(tdTags); tr.appendChild(tdSource); tr.appendChild(tdDate); tr.appendChild(tdActions);
+    tbody.appendChild(tr);
+  }
+}
+
+function refreshClips() {
+  chrome.runtime.sendMessage({ type: 'GET_CLIPS' }, (resp) => {
+    let list = (resp && Array.isArray(resp.clips)) ? resp.clips : [];
+    const q = (document.getElementById('clipSearchInput').value || '').toLowerCase().trim();
+    if (q) {
+      list = list.filter(c => {
+        let host = '';
+        try { host = new URL(c.url).hostname.toLowerCase(); } catch (_) {}
+        return (c.text || '').toLowerCase().includes(q) || (c.note || '').toLowerCase().includes(q)
+          || (c.tags || []).some(t => t.includes(q.replace(/^#/, ''))) || host.includes(q);
+      });
+    }
+    renderClipRows(list);
+  });
+}
+
+function showTab(name) {
+  document.getElementById('pagesView').style.display = name === 'pages' ? '' : 'none';
+  document.getElementById('clipsView').style.display = name === 'clips' ? '' : 'none';
+  document.getElementById('tabPages').classList.toggle('active', name === 'pages');
+  document.getElementById('tabClips').classList.toggle('active', name === 'clips');
+  if (name === 'clips') refreshClips();
+}
+
+// ---------------------------------------------------------------------------
+// Embedding storage
+// ---------------------------------------------------------------------------
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${n} B`;
+}
+
+function refreshVectorStats() {
+  chrome.runtime.sendMessage({ type: 'GET_VECTOR_STATS' }, (resp) => {
+    const el = document.getElementById('vectorStats');
+    if (!resp || resp.error) { el.textContent = resp?.error ? `Stats unavailable: ${resp.error}` : ''; return; }
+    document.getElementById('vectorMode').value = resp.mode || 'float32';
+    const { vectors, bytes, arrayBytes, modes } = resp.stats || {};
+    if (!vectors) { el.textContent = 'No stored embeddings yet.'; return; }
+    const saved = Math.max(0, arrayBytes - bytes);
+    const pct = arrayBytes ? Math.round((saved / arrayBytes) * 100) : 0;
+    const mix = Object.entries(modes || {}).map(([m, n]) => `${n} ${m}`).join(', ');
+    el.textContent = `${vectors} vectors (${mix}): ${formatBytes(bytes)}, saving ${formatBytes(saved)} (${pct}%) vs. number arrays`;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Retention
+// ---------------------------------------------------------------------------
+
+function readRetentionForm() {
+  const num = (id) => Number(document.getElementById(id).value) || 0;
+  return {
+    enabled: document.getElementById('retEnabled').checked,
+    intervalMin: Math.round((num('retIntervalHours') || 6) * 60),
+    keepPinned: document.getElementById('retKeepPinned').checked,
+    keepDays: num('retKeepDays'),
+    trimAfterDays: num('retTrimAfterDays'),
+    maxMB: num('retMaxMB'),
+    maxQuotaPct: num('retMaxQuotaPct')
+  };
+}
+
+function fillRetentionForm(p) {
+  document.getElementById('retEnabled').checked = !!p.enabled;
+  document.getElementById('retIntervalHours').value = Math.round(p.intervalMin / 60);
+  document.getElementById('retKeepPinned').checked = !!p.keepPinned;
+  document.getElementById('retKeepDays').value = p.keepDays;
+  document.getElementById('retTrimAfterDays').value = p.trimAfterDays;
+  document.getElementById('retMaxMB').value = p.maxMB;
+  document.getElementById('retMaxQuotaPct').value = p.maxQuotaPct;
+}
+
+const RETENTION_REASONS = { age: 'evicted (age)', size: 'evicted (size)', trim: 'chunks dropped' };
+
+function renderRetentionReport(report) {
+  const el = document.getElementById('retentionReport');
+  el.innerHTML = '';
+  if (!report) { el.textContent = 'Not run yet.'; return; }
+  const summary = document.createElement('div');
+  const limit = report.limitBytes ? `; limit ${formatBytes(report.limitBytes)}` : '';
+  summary.textContent = report.dryRun
+    ? `Preview: would evict ${report.evictedCount} page(s) and drop chunks of ${report.trimmedCount}, about ${formatBytes(report.freedBytes)}${limit}.`
+    : `Last run ${new Date(report.at).toLocaleString()}: evicted ${report.evictedCount} page(s), dropped chunks of ${report.trimmedCount}, about ${formatBytes(report.freedBytes)}${limit}.`;
+  el.appendChild(summary);
+  if (report.sizeBlocked) {
+    const warn = document.createElement('div');
+    warn.textContent = `Storage is over the limit, but only ~${formatBytes(report.pageBytes || 0)} of the ${formatBytes(report.usage || 0)} used is page data; no pages were evicted for size.`;
+    el.appendChild(warn);
+  }
+  if (report.awaitingSummary) {
+    const note = document.createElement('div');
+    note.textContent = `${report.awaitingSummary} page(s) keep their chunks until they have a summary.`;
+    el.appendChild(note);
+  }
+  const entries = [...(report.evicted || []), ...(report.trimmed || [])];
+  if (entries.length === 0) return;
+  const ul = document.createElement('ul');
+  for (const e of entries) {
+    const li = document.createElement('li');
+    li.textContent = `${RETENTION_REASONS[e.reason] || e.reason}: ${e.title || e.url} (${new Date(e.timestamp).toLocaleDateString()}, ~${formatBytes(e.bytes || 0)})`;
+    li.title = e.url || '';
+    ul.appendChild(li);
+  }
+  el.appendChild(ul);
+}
+
+function refreshRetention() {
+  chrome.runtime.sendMessage({ type: 'GET_RETENTION' }, (resp) => {
+    if (!resp || resp.error) return;
+    fillRetentionForm(resp.policy);
+    const { usage, quota } = resp.estimate || {};
+    document.getElementById('retentionUsage').textContent = quota ? `— using ${formatBytes(usage)} of ${formatBytes(quota)}` : '';
+    renderRetentionReport(resp.report);
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Event wiring
 // ---------------------------------------------------------------------------
+document.getElementById('vectorMode').addEventListener('change', (e) => {
+  chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { vectorStorage: e.target.value } }, () => refreshVectorStats());
+});
+document.getElementById('repackBtn').addEventListener('click', () => {
+  const mode = document.getElementById('vectorMode').value;
+  const lossy = mode === 'float32' ? ' Quantized vectors keep their reduced precision; backfill re-embeds them exactly.' : ' This is lossy.';
+  if (!confirm(`Convert all stored embeddings to ${mode}?${lossy}`)) return;
+  const el = document.getElementById('vectorStats');
+  el.textContent = 'Repacking...';
+  chrome.runtime.sendMessage({ type: 'REPACK_VECTORS' }, (resp) => {
+    if (resp?.error) alert('Repack failed: ' + resp.error);
+    refreshVectorStats();
+  });
+});
+document.getElementById('retSaveBtn').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'SET_RETENTION', policy: readRetentionForm() }, (resp) => {
+    if (resp?.error) alert('Saving the policy failed: ' + resp.error);
+    else fillRetentionForm(resp.policy);
+  });
+});
+document.getElementById('retPreviewBtn').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'RUN_RETENTION', dryRun: true, policy: readRetentionForm() }, (resp) => {
+    if (resp?.error) alert('Preview failed: ' + resp.error);
+    else renderRetentionReport(resp.report);
+  });
+});
+document.getElementById('retRunBtn').addEventListener('click', () => {
+  if (!confirm('Save this policy and apply it now? Evicted pages are deleted.')) return;
+  chrome.runtime.sendMessage({ type: 'SET_RETENTION', policy: readRetentionForm() }, (saved) => {
+    if (saved?.error) { alert('Saving the policy failed: ' + saved.error); return; }
+    chrome.runtime.sendMessage({ type: 'RUN_RETENTION' }, (resp) => {
+      if (resp?.error) alert('Retention failed: ' + resp.error);
+      refreshRetention();
+    });
+  });
+});
+document.getElementById('tabPages').addEventListener('click', () => showTab('pages'));
+document.getElementById('tabClips').addEventListener('click', () => showTab('clips'));
+document.getElementById('refreshClipsBtn').addEventListener('click', refreshClips);
+document.getElementById('clipSearchInput').addEventListener('input', () => refreshClips());
+document.getElementById('selectAllClips').addEventListener('change', (e) => {
+  document.querySelectorAll('.clipSel').forEach(cb => { cb.checked = e.target.checked; });
+});
+document.getElementById('deleteSelectedClipsBtn').addEventListener('click', () => {
+  const ids = Array.from(document.querySelectorAll('.clipSel:checked')).map(cb => parseInt(cb.dataset.id, 10)).filter(Boolean);
+  if (ids.length === 0) return alert('No clips selected');
+  if (!confirm(`Delete ${ids.length} clip(s)?`)) return;
+  let done = 0;
+  ids.forEach(id => {
+    chrome.runtime.sendMessage({ type: 'DELETE_CLIP', id }, () => {
+      done++; if (done === ids.length) refreshClips();
+    });
+  });
+});
 document.getElementById('refreshBtn').addEventListener('click', refresh);
 document.getElementById('searchInput').addEventListener('input', () => refresh());
 document.getElementById('selectAll').addEventListener('change', (e) => {
@@ -90,14 +363,11 @@ document.getElementById('deleteSelectedBtn').addEventListener('click', () => {
 document.getElementById('backfillSelectedBtn').addEventListener('click', () => {
   const ids = Array.from(document.querySelectorAll('.rowSel:checked')).map(cb => parseInt(cb.dataset.id, 10)).filter(Boolean);
   if (ids.length === 0) return alert('No rows selected');
-  const confirmMsg = 'Backfill will embed missing items, compute centroid/hash, and generate summaries if missing. Proceed?';
+  const confirmMsg = 'Backfill will embed missing items, compute centroid/hash and near-duplicate fingerprints, and generate summaries if missing. It runs in the background while the browser is idle. Proceed?';
   if (!confirm(confirmMsg)) return;
-  const prog = document.getElementById('importProgress');
-  if (prog) prog.textContent = 'Backfilling...';
   chrome.runtime.sendMessage({ type: 'BACKFILL_RECORDS', ids }, (resp) => {
-    if (prog) prog.textContent = '';
     if (resp?.error) alert('Backfill failed: ' + resp.error);
-    else { alert(`Backfilled ${resp.done || 0} item(s)`); refresh(); }
+    else alert(`Queued ${resp.queued || 0} item(s) for backfill`);
   });
 });
 document.getElementById('exportBtn').addEventListener('click', () => {
@@ -105,25 +375,44 @@ document.getElementById('exportBtn').addEventListener('click', () => {
     if (resp?.error) { alert('Export failed: ' + resp.error); return; }
     const pages = resp.pages || [];
     // Include a schema version and export timestamp; include embedding metadata if present
-    const schemaVersion = 1;
+    // v2: vectors are base64-encoded ({ enc, dim, scale?, b64 }) instead of number arrays
+    const schemaVersion = 2;
     const exportedAt = new Date().toISOString();
     const meta = await new Promise(resolve => chrome.storage.local.get(['embeddingMeta', 'embedModel'], (r) => resolve(r)));
-    const embeddingMeta = meta?.embeddingMeta || (meta?.embedModel ? { model: meta.embedModel, dim: (pages[0]?.items?.[0]?.embedding?.length || null) } : undefined);
+    const embeddingMeta = meta?.embeddingMeta || (meta?.embedModel ? { model: meta.embedModel, dim: (pages[0]?.items?.[0]?.embedding?.dim || null) } : undefined);
     const payload = { schemaVersion, exportedAt, embeddingMeta, pages };
-    const data = JSON.stringify(payload, null, 2);
+    let data = JSON.stringify(payload, null, 2);
+    // Optionally wrap the whole file in a passphrase envelope (vault.js)
+    const encrypt = document.getElementById('exportEncrypt')?.checked;
+    if (encrypt) {
+      const pass = prompt('Passphrase for the export file:');
+      if (!pass) return;
+      if (prompt('Repeat the passphrase:') !== pass) { alert('The passphrases do not match'); return; }
+      data = JSON.stringify(await encryptWithPassphrase(data, pass));
+    }
     const blob = new Blob([data], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
-    a.href = url; a.download = 'web_recall_export_v1.json'; a.click();
+    a.href = url; a.download = encrypt ? 'web_recall_export_v2.encrypted.json' : 'web_recall_export_v2.json'; a.click();
     URL.revokeObjectURL(url);
   });
 });
 document.getElementById('importInput').addEventListener('change', (e) => {
   const file = e.target.files && e.target.files[0]; if (!file) return;
   const reader = new FileReader();
-  reader.onload = () => {
+  reader.onload = async () => {
     try {
-      const json = JSON.parse(reader.result);
+      let json = JSON.parse(reader.result);
+      if (isPassphraseEnvelope(json)) {
+        const pass = prompt('This export is encrypted. Passphrase:');
+        if (!pass) return;
+        try {
+          json = JSON.parse(await decryptWithPassphrase(json, pass));
+        } catch (err) {
+          alert('Import failed: ' + err.message);
+          return;
+        }
+      }
       let schemaVersion = 0;
       let pages = [];
       let embeddingMeta = undefined;
@@ -133,7 +422,7 @@ document.getElementById('importInput').addEventListener('change', (e) => {
       } else if (json && typeof json === 'object') {
         schemaVersion = Number.isFinite(json.schemaVersion) ? json.schemaVersion : 0;
         if (!Array.isArray(json.pages)) throw new Error('Invalid file: missing pages[]');
-        if (schemaVersion > 1) {
+        if (schemaVersion > 2) {
           const proceed = confirm(`This file uses schema v${schemaVersion} which may be unsupported. Attempt import anyway?`);
           if (!proceed) return;
         }
@@ -155,6 +444,7 @@ document.getElementById('importInput').addEventListener('change', (e) => {
             alert(`Import finished. Skipped ${skipped} incompatible version(s) due to embedding dimension mismatch.`);
           }
           refresh();
+          refreshVectorStats();
         }
       });
     } catch (err) {
@@ -166,11 +456,27 @@ document.getElementById('importInput').addEventListener('change', (e) => {
 document.getElementById('thTitle').addEventListener('click', () => { CURRENT.sortKey='title'; CURRENT.sortAsc=!CURRENT.sortAsc; applySort(); });
 document.getElementById('thUrl').addEventListener('click', () => { CURRENT.sortKey='url'; CURRENT.sortAsc=!CURRENT.sortAsc; applySort(); });
 document.getElementById('thDate').addEventListener('click', () => { CURRENT.sortKey='date'; CURRENT.sortAsc=!CURRENT.sortAsc; applySort(); });
+document.getElementById('thExtraction').addEventListener('click', () => { CURRENT.sortKey='extraction'; CURRENT.sortAsc=!CURRENT.sortAsc; applySort(); });
+document.getElementById('thRedactions').addEventListener('click', () => { CURRENT.sortKey='redactions'; CURRENT.sortAsc=!CURRENT.sortAsc; applySort(); });
 
 refresh();
+refreshVectorStats();
+refreshRetention();
 
 // Listen for import progress updates
 chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'RETENTION_APPLIED') {
+    refresh();
+    refreshRetention();
+    refreshVectorStats();
+    return;
+  }
+  if (msg?.type === 'HISTORY_PURGED') {
+    refresh();
+    refreshClips();
+    refreshVectorStats();
+    return;
+  }
   if (msg?.type === 'IMPORT_PROGRESS') {
     const prog = document.getElementById('importProgress');
     if (!prog) return;
@@ -1,7 +1,8 @@
 // Offscreen context: maintains simple in-memory views of the DB and
 // performs background ranking so the service worker stays responsive.
 
-// DB constants and openDB are centralized in db.js, included via offscreen.html before this script.
+// DB constants and openDB are centralized in db.js, page reads in pagestore.js, sealing in
+// vault.js; all are included via offscreen.html before this script.
 
 
 // Weights for ranking components.  Adjust these to tune retrieval.
@@ -9,49 +10,52 @@
 //  - W_EXACT: boost if the exact query string appears in the snippet
 //  - W_TOKEN: boost if any query token (>=3 chars) appears in the snippet or title
 //  - W_RECENCY: weight for recency (exponential decay over 30 days)
+//  - W_IDENT: boost if a code chunk contains a query identifier verbatim (case-sensitive)
+//  - W_CLIP: boost for clips (passages the user pinned with "Remember selection")
 // The weights should sum to roughly 1.0; they will be added together.
 const W_SIM = 0.75;
 const W_EXACT = 0.12;
 const W_TITLE_EXACT = 0.03; // small exact-match boost for title
 const W_TOKEN = 0.05;
 const W_RECENCY = 0.05;
+const W_IDENT = 0.12;
+const W_CLIP = 0.1;
 
 
-async function getAllPages() {
+async function getAllClips() {
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const req = store.getAll();
+  const clips = await new Promise((resolve, reject) => {
+    const tx = db.transaction(CLIPS_STORE, 'readonly');
+    const req = tx.objectStore(CLIPS_STORE).getAll();
     req.onsuccess = () => resolve(req.result || []);
     req.onerror = () => reject(req.error);
   });
+  return Promise.all(clips.map(c => openRecord(c)));
+}
+
+// Vault key pushed by the worker (raw, base64; OFFSCREEN_VAULT_KEY); null while encryption is off or locked
+let vaultKeyB64 = null;
+async function useVaultKey(b64) {
+  if ((b64 || null) === vaultKeyB64) return;
+  setVaultKey(b64 ? await importVaultKey(b64) : null);
+  vaultKeyB64 = b64 || null;
 }
 
 // Lazy-built centroid index
-let centroidIndex = null; // Array<{id, centroid, timestamp}>
+let centroidIndex = null; // Array<{id, centroid, timestamp, engagement}>
 async function ensureCentroidIndex() {
   if (centroidIndex) return centroidIndex;
-  const pages = await getAllPages();
+  // Heads carry the latest version's centroid and timestamp
+  const pages = await listPageHeads({ open: false });
   const idx = [];
   for (const p of pages) {
-    // Prefer latest version centroid if present
-    let c = null;
-    let ts = p.timestamp;
-    if (Array.isArray(p.versions) && typeof p.latestVersionIndex === 'number' && p.versions.length > 0) {
-      const latest = p.versions[p.latestVersionIndex] || p.versions[p.versions.length - 1];
-      c = latest?.centroid || (latest?.items ? computeCentroid(latest.items) : null);
-      ts = latest?.timestamp || p.timestamp;
-    } else {
-      c = p.centroid || (p.items ? computeCentroid(p.items) : null);
-    }
-    if (c) idx.push({ id: p.id, centroid: c, timestamp: ts });
+    if (p.centroid) idx.push({ id: p.id, centroid: p.centroid, timestamp: p.timestamp, engagement: p.engagement || null });
   }
   centroidIndex = idx;
   return centroidIndex;
 }
 
-async function topPagesByCentroid(variationEmbeddings, topN) {
+async function topPagesByCentroid(variationEmbeddings, topN, engagementBoost = 0) {
   if (!Array.isArray(variationEmbeddings) || variationEmbeddings.length === 0) return [];
   const idx = await ensureCentroidIndex();
   // score by max cosine across variations, then apply recency weight
@@ -62,39 +66,29 @@ async function topPagesByCentroid(variationEmbeddings, topN) {
       const sim = cosineSimilarity(ve, entry.centroid);
       if (sim > maxSim) maxSim = sim;
     }
-    const weighted = maxSim * recencyWeight(entry.timestamp);
+    const weighted = maxSim * recencyWeight(entry.timestamp, entry.engagement, engagementBoost);
     scored.push({ id: entry.id, score: maxSim, weightedScore: weighted, timestamp: entry.timestamp });
   }
   scored.sort((a, b) => b.weightedScore - a.weightedScore);
   return scored.slice(0, Math.min(topN, scored.length));
 }
 
-async function getPagesByIds(ids) {
-  const db = await openDB();
-  const out = [];
-  await new Promise((resolve) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    let remaining = ids.length;
-    if (remaining === 0) return resolve();
-    ids.forEach((id) => {
-      const req = store.get(id);
-      req.onsuccess = () => { if (req.result) out.push(req.result); if (--remaining === 0) resolve(); };
-      req.onerror = () => { if (--remaining === 0) resolve(); };
-    });
-  });
-  return out;
-}
-
-async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery) {
+async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery, engagementBoost = 0, includeClips = false) {
   if (!Array.isArray(variationEmbeddings) || variationEmbeddings.length === 0) return [];
-  const pages = await getPagesByIds(pageIds);
+  const pages = await loadPages(pageIds, { chunks: 'all' });
+  // Clips are few and hand-picked, so all of them are scored alongside the top pages
+  if (includeClips) {
+    try { pages.push(...(await getAllClips()).filter(c => Array.isArray(c.items) && c.items.length > 0)); } catch (_) {}
+  }
   const candidates = [];
   const q = (originalQuery || '').toLowerCase().trim();
   const qTokens = q.split(/\W+/).filter(t => t.length >= 3);
+  const qIdents = extractIdentifiers(originalQuery || '');
   for (const page of pages) {
+    const isClip = page.type === 'clip';
     const titleLower = String(page.title || '').toLowerCase();
     const processItem = (item, ts, chunkIndex) => {
+      if (!isVector(item.embedding)) return;
       // Compute maximum cosine similarity across all query variation embeddings
       let maxSim = -Infinity;
       for (const ve of variationEmbeddings) {
@@ -102,10 +96,13 @@ async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery) {
         if (sim > maxSim) maxSim = sim;
       }
       // Recency component
-      const rw = recencyWeight(ts);
+      const rw = recencyWeight(ts, page.engagement, engagementBoost);
       // Check exact and token presence in snippet and title
       const rawSnippet = String(item.text || '');
       const snippetLower = rawSnippet.toLowerCase();
+      const isCode = item.kind === 'code';
+      // Code chunks: match identifiers exactly rather than lowercased tokens
+      const identHits = isCode ? qIdents.filter(id => containsIdentifier(rawSnippet, id)) : [];
       let hasExact = false;
       let hasToken = false;
       if (q && q.length >= 3) {
@@ -130,14 +127,26 @@ async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery) {
       const titleExactComponent = (q && titleLower.includes(q)) ? W_TITLE_EXACT : 0;
       const tokenComponent = hasToken ? W_TOKEN : 0;
       const recencyComponent = W_RECENCY * rw;
+      const identComponent = identHits.length > 0 ? W_IDENT : 0;
+      const clipComponent = isClip ? W_CLIP : 0;
       // Start with additive scoring components
-      let weighted = simComponent + exactComponent + titleExactComponent + tokenComponent + recencyComponent;
+      let weighted = simComponent + exactComponent + titleExactComponent + tokenComponent + recencyComponent + identComponent + clipComponent;
       // Do not apply hard‑coded domain penalties here.  The weighted score
       // reflects similarity, query token presence and recency only.  If
       // certain sites consistently produce noise, users can block those
       // domains via the allowlist/denylist settings in the UI.
       const displaySnippet = (() => {
         const max = 200;
+        if (isCode) {
+          // Keep line structure; start at the line holding the first matched identifier
+          let from = 0;
+          if (identHits.length > 0) {
+            const at = rawSnippet.indexOf(identHits[0]);
+            if (at > 0) from = rawSnippet.lastIndexOf('\n', at) + 1;
+          }
+          const code = rawSnippet.slice(from).replace(/^\n+/, '');
+          return code.length <= max ? code.replace(/\s+$/, '') : code.slice(0, max) + '…';
+        }
         const text = rawSnippet.trim();
         if (text.length <= max) return text;
         const cut = text.slice(0, max);
@@ -147,14 +156,33 @@ async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery) {
         return end.replace(/[\s\.,;:!\-]+$/,'') + '…';
       })();
       candidates.push({
+        pageId: isClip ? undefined : page.id,
+        clipId: isClip ? page.id : undefined,
+        // Primary record id when this page is a near-duplicate of another URL
+        duplicateOf: typeof page.duplicateOf === 'number' ? page.duplicateOf : undefined,
         url: page.url,
+        canonicalUrl: page.canonicalUrl || undefined,
         title: page.title,
         snippet: displaySnippet,
         chunkIndex: typeof chunkIndex === 'number' ? chunkIndex : undefined,
         score: maxSim,
         weightedScore: weighted,
         recencyWeight: rw,
-        containsExact: hasExact,
+        containsExact: hasExact || identHits.length > 0,
+        kind: isClip ? 'clip' : (isCode ? 'code' : undefined),
+        lang: isCode ? (item.lang || null) : undefined,
+        identifiers: identHits.length > 0 ? identHits : undefined,
+        // Only set for pages captured with seen tracking on
+        seen: typeof item.seen === 'boolean' ? item.seen : undefined,
+        // 1-based page number for PDF captures
+        page: Number.isInteger(item.page) ? item.page : undefined,
+        // Declared publication date (page metadata) vs. `timestamp` = when visited
+        publishedAt: (page.meta && page.meta.publishedAt) || undefined,
+        author: (page.meta && page.meta.author) || undefined,
+        // Clip extras: the user's note and tags, and the text around the selection
+        note: isClip ? (page.note || '') : undefined,
+        tags: isClip ? (page.tags || []) : undefined,
+        context: isClip ? { before: page.before || '', after: page.after || '' } : undefined,
         timestamp: ts
       });
     };
@@ -168,6 +196,10 @@ async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery) {
       const arr = page.items || [];
       for (let i = 0; i < arr.length; i++) processItem(arr[i], page.timestamp, i);
     }
+    // Pages trimmed by retention have no chunks left: their summary stands in, scored by the page centroid
+    if (page.trimmedAt && page.summary && isVector(page.centroid) && !(page.versions || []).some(v => (v.items || []).length > 0)) {
+      processItem({ text: page.summary, embedding: page.centroid }, page.timestamp, 0);
+    }
   }
   return candidates;
 }
@@ -175,19 +207,41 @@ async function scoreChunksInPages(pageIds, variationEmbeddings, originalQuery) {
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'OFFSCREEN_TOP_PAGES') {
-    const { variationEmbeddings, topN } = message;
-    topPagesByCentroid(variationEmbeddings || [], topN || 20)
+    const { variationEmbeddings, topN, engagementBoost } = message;
+    topPagesByCentroid(variationEmbeddings || [], topN || 20, engagementBoost || 0)
       .then(pages => sendResponse({ pages }))
       .catch(err => sendResponse({ error: err?.message || String(err) }));
     return true;
   }
   if (message.type === 'OFFSCREEN_SCORE_CHUNKS') {
-    const { pageIds, variationEmbeddings, originalQuery } = message;
-    scoreChunksInPages(pageIds || [], variationEmbeddings || [], originalQuery)
+    const { pageIds, variationEmbeddings, originalQuery, engagementBoost, includeClips } = message;
+    scoreChunksInPages(pageIds || [], variationEmbeddings || [], originalQuery, engagementBoost || 0, !!includeClips)
       .then(candidates => sendResponse({ candidates }))
       .catch(err => sendResponse({ error: err?.message || String(err) }));
     return true;
   }
+  if (message.type === 'OFFSCREEN_EXTRACT_PDF') {
+    // PDF bytes arrive base64-encoded (runtime messages are JSON-serialized)
+    (async () => {
+      const bin = atob(message.data || '');
+      const bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+      return extractPdfText(bytes);
+    })()
+      .then(({ pages, title }) => sendResponse({ pages, title }))
+      .catch(err => sendResponse({ error: err?.message || String(err) }));
+    return true;
+  }
+  if (message.type === 'OFFSCREEN_VAULT_KEY') {
+    useVaultKey(message.key || null)
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ error: err?.message || String(err) }));
+    return true;
+  }
+  if (message.type === 'OFFSCREEN_VAULT_LOCK') {
+    useVaultKey(null).then(() => sendResponse({ ok: true }));
+    return true;
+  }
   if (message.type === 'OFFSCREEN_INVALIDATE_INDEX') {
     try { centroidIndex = null; } catch (_) {}
     try { sendResponse({ ok: true }); } catch (_) {}
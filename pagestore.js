@@ -0,0 +1,419 @@
+/**
+ * Page storage over the normalized schema in db.js: small heads in `pages`,
+ * one row per version in `versions` and one row per chunk (text + embedding)
+ * in `chunks`. Exposes globals on `self`: listPageHeads, getPageHead,
+ * getPageHeadsByCanonicalUrl, loadPage, loadPages, loadAllPages, savePageDoc,
+ * deletePageDoc, patchPageHead, patchLatestVersion, trimPageChunks,
+ * pageStorageSizes, vectorStorageStats, repackVectors. Requires db.js,
+ * vectors.js and vault.js.
+ *
+ * Heads carry everything needed for listing and page-level ranking (title,
+ * URLs, timestamps, metadata, latest centroid and summary). A page document
+ * is a head plus `versions[]`, each with `items` when its chunks were loaded,
+ * and top-level `items` for the latest version: the shape records had before
+ * they were split, so callers load chunks only when they need them.
+ * Embeddings come back in their stored form (see vectors.js); they are packed
+ * on write, centroids always as Float32Array.
+ * With the vault unlocked (vault.js), version texts, summaries and chunk
+ * texts are sealed before they are written and opened when read; while it
+ * is locked they are read and written back still sealed.
+ */
+
+(function(scope){
+  const PAGE_STORES = () => [STORE_NAME, VERSIONS_STORE, CHUNKS_STORE];
+
+  // Run `fn(tx, out)` in one transaction; resolves with `out.value`
+  async function withStores(names, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(names, mode);
+      const out = { value: undefined };
+      fn(tx, out);
+      tx.oncomplete = () => resolve(out.value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Chunk rows of one version, in chunk order (primary key is [versionId, index])
+  function chunkRange(versionId) {
+    return IDBKeyRange.bound([versionId, 0], [versionId, Infinity]);
+  }
+
+  function chunkToItem(row) {
+    const { pageId, versionId, index, ...item } = row;
+    return item;
+  }
+
+  /**
+   * Assemble a page document from `head` inside `tx`.
+   * @param {'all'|'latest'|'none'} chunks which versions get their `items`
+   */
+  function readDoc(tx, head, chunks, done) {
+    const req = tx.objectStore(VERSIONS_STORE).index('pageId').getAll(head.id);
+    req.onsuccess = () => {
+      const byId = new Map((req.result || []).map(v => [v.id, v]));
+      const versions = (Array.isArray(head.versionIds) ? head.versionIds : []).map(id => byId.get(id)).filter(Boolean);
+      const doc = { ...head, versions };
+      const latest = versions[head.latestVersionIndex] || versions[versions.length - 1];
+      const want = chunks === 'all' ? versions : (chunks === 'latest' && latest ? [latest] : []);
+      if (want.length === 0) { done(doc); return; }
+      let remaining = want.length;
+      for (const v of want) {
+        const creq = tx.objectStore(CHUNKS_STORE).getAll(chunkRange(v.id));
+        creq.onsuccess = () => {
+          v.items = (creq.result || []).map(chunkToItem);
+          if (--remaining > 0) return;
+          if (latest && latest.items) doc.items = latest.items;
+          done(doc);
+        };
+      }
+    };
+  }
+
+  // Open the sealed fields of a document read with readDoc; `items` follows the latest version
+  async function openDoc(doc) {
+    if (!doc || !getVaultKey()) return doc;
+    const versions = await Promise.all(doc.versions.map(v => openRecord(v)));
+    const latest = versions[doc.latestVersionIndex] || versions[versions.length - 1];
+    const out = { ...doc, versions, summary: await openText(doc.summary) };
+    if (doc.items) out.items = latest ? latest.items : doc.items;
+    return out;
+  }
+
+  function openHeads(heads, open) {
+    return open && getVaultKey() ? Promise.all(heads.map(h => openRecord(h))) : heads;
+  }
+
+  /**
+   * All page heads (no versions, chunks or embeddings).
+   * @param {{open?:boolean}} [opts] open=false skips decrypting summaries, for callers that only need titles, URLs and dates
+   */
+  async function listPageHeads({ open = true } = {}) {
+    const heads = await withStores(STORE_NAME, 'readonly', (tx, out) => {
+      const req = tx.objectStore(STORE_NAME).getAll();
+      req.onsuccess = () => { out.value = req.result || []; };
+    });
+    return openHeads(heads, open);
+  }
+
+  async function getPageHead(id) {
+    const head = await withStores(STORE_NAME, 'readonly', (tx, out) => {
+      const req = tx.objectStore(STORE_NAME).get(id);
+      req.onsuccess = () => { out.value = req.result || null; };
+    });
+    return head && openRecord(head);
+  }
+
+  async function getPageHeadsByCanonicalUrl(canonicalUrl) {
+    const heads = await withStores(STORE_NAME, 'readonly', (tx, out) => {
+      const req = tx.objectStore(STORE_NAME).index('canonicalUrl').getAll(canonicalUrl);
+      req.onsuccess = () => { out.value = req.result || []; };
+    });
+    return openHeads(heads, true);
+  }
+
+  /**
+   * Load a page document.
+   * @param {number} id
+   * @param {{chunks?:'all'|'latest'|'none'}} [opts]
+   * @returns {Promise<object|null>}
+   */
+  function loadPage(id, { chunks = 'all' } = {}) {
+    return withStores(PAGE_STORES(), 'readonly', (tx, out) => {
+      out.value = null;
+      const req = tx.objectStore(STORE_NAME).get(id);
+      req.onsuccess = () => {
+        if (req.result) readDoc(tx, req.result, chunks, doc => { out.value = doc; });
+      };
+    }).then(openDoc);
+  }
+
+  /**
+   * Load several page documents in one transaction; missing ids are skipped.
+   * @param {number[]} ids
+   * @param {{chunks?:'all'|'latest'|'none'}} [opts]
+   * @returns {Promise<object[]>} in the order of `ids`
+   */
+  function loadPages(ids, { chunks = 'all' } = {}) {
+    return withStores(PAGE_STORES(), 'readonly', (tx, out) => {
+      const docs = new Array(ids.length).fill(null);
+      out.value = docs;
+      ids.forEach((id, i) => {
+        const req = tx.objectStore(STORE_NAME).get(id);
+        req.onsuccess = () => {
+          if (req.result) readDoc(tx, req.result, chunks, doc => { docs[i] = doc; });
+        };
+      });
+    }).then(docs => Promise.all(docs.filter(Boolean).map(openDoc)));
+  }
+
+  /** Every page document; for export, which needs the whole corpus anyway. */
+  async function loadAllPages({ chunks = 'all' } = {}) {
+    const heads = await listPageHeads({ open: false });
+    return loadPages(heads.map(h => h.id), { chunks });
+  }
+
+  // Copy of `doc` with item embeddings packed in `mode` and float32 centroids
+  function packDoc(doc, mode) {
+    const versions = (Array.isArray(doc.versions) ? doc.versions : []).map(v => v && ({
+      ...v,
+      centroid: packVector(v.centroid),
+      items: Array.isArray(v.items) ? v.items.map(it => ({ ...it, embedding: packVector(it.embedding, mode) })) : v.items
+    }));
+    return { ...doc, versions };
+  }
+
+  // Seal texts and summaries before the transaction (WebCrypto can't run inside one)
+  async function sealDoc(doc, key) {
+    if (!key) return doc;
+    const versions = await Promise.all(doc.versions.map(v => v && sealRecord(v, key)));
+    return { ...doc, versions, summary: await sealText(doc.summary, key) };
+  }
+
+  /**
+   * Store a page document: the head, its versions, and chunks for every
+   * version that carries `items`. Versions the document no longer lists are
+   * deleted with their chunks. New pages (no `id`) get one; ids given to the
+   * page and its new versions are written back onto `doc`.
+   * @param {object} doc
+   * @param {{vectors?:'float32'|'int8'|'binary', key?:CryptoKey|null}} [opts] storage format for new
+   *   embeddings; `key` seals texts (defaults to the unlocked vault key, null stores them plain)
+   * @returns {Promise<number>} the page id
+   */
+  async function savePageDoc(doc, { vectors = 'float32', key = getVaultKey() } = {}) {
+    const packed = await sealDoc(packDoc(doc, vectors), key);
+    return withStores(PAGE_STORES(), 'readwrite', (tx, out) => {
+      const pages = tx.objectStore(STORE_NAME);
+      const versions = tx.objectStore(VERSIONS_STORE);
+      const chunks = tx.objectStore(CHUNKS_STORE);
+      const write = (id) => {
+        const split = splitPageRecord({ ...packed, id });
+        // A trimmed page is whole again once its latest version has chunks
+        const latestId = split.head.versionIds[split.head.latestVersionIndex];
+        if (split.chunks.some(c => c.versionId === latestId)) delete split.head.trimmedAt;
+        pages.put(split.head);
+        const keep = new Set(split.head.versionIds);
+        const req = versions.index('pageId').getAllKeys(id);
+        req.onsuccess = () => {
+          for (const vid of req.result || []) {
+            if (keep.has(vid)) continue;
+            versions.delete(vid);
+            chunks.delete(chunkRange(vid));
+          }
+          for (const v of split.versions) versions.put(v);
+          for (const vid of split.chunkedVersionIds) chunks.delete(chunkRange(vid));
+          for (const c of split.chunks) chunks.put(c);
+        };
+        doc.id = id;
+        doc.versionIds = split.head.versionIds;
+        doc.nextVersionSeq = split.head.nextVersionSeq;
+        doc.latestVersionIndex = split.head.latestVersionIndex;
+        (Array.isArray(doc.versions) ? doc.versions : []).forEach((v, i) => { if (v) v.id = split.versions[i].id; });
+        out.value = id;
+      };
+      if (doc.id === undefined || doc.id === null) {
+        const { id: _ignored, versions: _v, items: _i, ...head } = packed;
+        const req = pages.add(head);
+        req.onsuccess = () => write(req.result);
+      } else {
+        write(doc.id);
+      }
+    });
+  }
+
+  /**
+   * Delete a page with its versions and chunks.
+   * @returns {Promise<object|null>} the deleted head
+   */
+  function deletePageDoc(id) {
+    return withStores(PAGE_STORES(), 'readwrite', (tx, out) => {
+      out.value = null;
+      const req = tx.objectStore(STORE_NAME).get(id);
+      req.onsuccess = () => { out.value = req.result || null; };
+      tx.objectStore(STORE_NAME).delete(id);
+      const versions = tx.objectStore(VERSIONS_STORE);
+      const vreq = versions.index('pageId').getAllKeys(id);
+      vreq.onsuccess = () => { for (const key of vreq.result || []) versions.delete(key); };
+      const chunks = tx.objectStore(CHUNKS_STORE);
+      const creq = chunks.index('pageId').getAllKeys(id);
+      creq.onsuccess = () => { for (const key of creq.result || []) chunks.delete(key); };
+    });
+  }
+
+  /**
+   * Read-modify-write a head. `fn(head)` edits it in place; returning false
+   * skips the write.
+   * @returns {Promise<object|null>} the head as written, null when missing or skipped
+   */
+  function patchPageHead(id, fn) {
+    return withStores(STORE_NAME, 'readwrite', (tx, out) => {
+      out.value = null;
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.get(id);
+      req.onsuccess = () => {
+        const head = req.result;
+        if (!head || fn(head) === false) return;
+        store.put(head);
+        out.value = head;
+      };
+    });
+  }
+
+  /**
+   * Like patchPageHead, with the latest version row: `fn(head, version)`.
+   * Rows arrive as stored, so new texts must already be sealed (sealText).
+   * @returns {Promise<boolean>} whether anything was written
+   */
+  function patchLatestVersion(id, fn) {
+    return withStores([STORE_NAME, VERSIONS_STORE], 'readwrite', (tx, out) => {
+      out.value = false;
+      const pages = tx.objectStore(STORE_NAME);
+      const versions = tx.objectStore(VERSIONS_STORE);
+      const req = pages.get(id);
+      req.onsuccess = () => {
+        const head = req.result;
+        const vid = head && Array.isArray(head.versionIds) ? head.versionIds[head.latestVersionIndex] : null;
+        if (!vid) return;
+        const vreq = versions.get(vid);
+        vreq.onsuccess = () => {
+          const version = vreq.result;
+          if (!version || fn(head, version) === false) return;
+          pages.put(head);
+          versions.put(version);
+          out.value = true;
+        };
+      };
+    });
+  }
+
+  /**
+   * Drop a page's chunks and version texts, keeping the head (summary,
+   * centroid) and version rows, so the page stays listed and rankable at
+   * page level. Sets `trimmedAt` on the head.
+   * @returns {Promise<boolean>} false when the page is missing
+   */
+  function trimPageChunks(id) {
+    return withStores(PAGE_STORES(), 'readwrite', (tx, out) => {
+      out.value = false;
+      const pages = tx.objectStore(STORE_NAME);
+      const req = pages.get(id);
+      req.onsuccess = () => {
+        const head = req.result;
+        if (!head) return;
+        pages.put({ ...head, trimmedAt: Date.now() });
+        const chunks = tx.objectStore(CHUNKS_STORE);
+        const creq = chunks.index('pageId').getAllKeys(id);
+        creq.onsuccess = () => { for (const key of creq.result || []) chunks.delete(key); };
+        const versions = tx.objectStore(VERSIONS_STORE);
+        const vreq = versions.index('pageId').getAll(id);
+        vreq.onsuccess = () => {
+          for (const v of vreq.result || []) {
+            const { text: _t, ...rest } = v;
+            versions.put({ ...rest, chunkCount: 0 });
+          }
+        };
+        out.value = true;
+      };
+    });
+  }
+
+  /**
+   * Approximate bytes per page (strings at 2 bytes per character, vectors as
+   * stored), for retention planning.
+   * @returns {Promise<Map<number, {bytes:number, chunkBytes:number}>>}
+   */
+  function pageStorageSizes() {
+    return withStores(PAGE_STORES(), 'readonly', (tx, out) => {
+      const sizes = new Map();
+      out.value = sizes;
+      const add = (id, bytes, chunk) => {
+        const cur = sizes.get(id) || { bytes: 0, chunkBytes: 0 };
+        cur.bytes += bytes;
+        if (chunk) cur.chunkBytes += bytes;
+        sizes.set(id, cur);
+      };
+      const strBytes = (x) => typeof x === 'string' ? x.length * 2 : (isSealed(x) ? x.data.byteLength + x.iv.byteLength : 0);
+      const walk = (store, fn) => {
+        const req = tx.objectStore(store).openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return;
+          fn(cursor.value);
+          cursor.continue();
+        };
+      };
+      walk(STORE_NAME, (h) => add(h.id, strBytes(h.title) + strBytes(h.url) + strBytes(h.summary) + vectorBytes(h.centroid), false));
+      walk(VERSIONS_STORE, (v) => {
+        // Version texts go with the chunks when a page is trimmed
+        add(v.pageId, strBytes(v.text), true);
+        add(v.pageId, strBytes(v.summary) + vectorBytes(v.centroid), false);
+      });
+      walk(CHUNKS_STORE, (c) => add(c.pageId, strBytes(c.text) + vectorBytes(c.embedding), true));
+    });
+  }
+
+  /**
+   * Stored embedding footprint, against what the same vectors take as plain
+   * number arrays (8 bytes per dimension).
+   * @returns {Promise<{vectors:number, bytes:number, arrayBytes:number, modes:Object<string, number>}>}
+   */
+  function vectorStorageStats() {
+    return withStores(CHUNKS_STORE, 'readonly', (tx, out) => {
+      const stats = { vectors: 0, bytes: 0, arrayBytes: 0, modes: {} };
+      out.value = stats;
+      const req = tx.objectStore(CHUNKS_STORE).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const e = cursor.value.embedding;
+        if (isVector(e)) {
+          const mode = Array.isArray(e) ? 'array' : (e.q === 'int8' ? 'int8' : (e.q === 'bin' ? 'binary' : 'float32'));
+          stats.vectors++;
+          stats.bytes += vectorBytes(e);
+          stats.arrayBytes += vectorDim(e) * 8;
+          stats.modes[mode] = (stats.modes[mode] || 0) + 1;
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Rewrite every stored chunk embedding in `mode`. Going from a quantized
+   * mode back to float32 can't restore precision; re-embed for that.
+   * @returns {Promise<number>} chunks rewritten
+   */
+  function repackVectors(mode) {
+    return withStores(CHUNKS_STORE, 'readwrite', (tx, out) => {
+      out.value = 0;
+      const req = tx.objectStore(CHUNKS_STORE).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const row = cursor.value;
+        const next = packVector(row.embedding, mode);
+        if (next !== row.embedding) {
+          cursor.update({ ...row, embedding: next });
+          out.value++;
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  scope.listPageHeads = listPageHeads;
+  scope.getPageHead = getPageHead;
+  scope.getPageHeadsByCanonicalUrl = getPageHeadsByCanonicalUrl;
+  scope.loadPage = loadPage;
+  scope.loadPages = loadPages;
+  scope.loadAllPages = loadAllPages;
+  scope.savePageDoc = savePageDoc;
+  scope.deletePageDoc = deletePageDoc;
+  scope.patchPageHead = patchPageHead;
+  scope.patchLatestVersion = patchLatestVersion;
+  scope.trimPageChunks = trimPageChunks;
+  scope.pageStorageSizes = pageStorageSizes;
+  scope.vectorStorageStats = vectorStorageStats;
+  scope.repackVectors = repackVectors;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,591 @@
+/**
+ * Minimal pure-JS PDF text extractor for Web Recall.
+ * Exposes globals on `self`: extractPdfText.
+ * Loaded by the offscreen document. Handles classic objects and compressed
+ * object streams, FlateDecode (via DecompressionStream), the Tj/TJ/'/" text
+ * operators, form XObjects and ToUnicode CMaps; simple fonts without a CMap
+ * fall back to WinAnsi/Differences decoding. Encrypted PDFs are rejected and
+ * scanned (image-only) pages come back empty.
+ */
+
+(function(scope){
+  const MAX_FORM_DEPTH = 3;
+  const MAX_CMAP_RANGE = 0xffff;
+  // TJ adjustments (thousandths of an em) more negative than this read as a word gap
+  const TJ_SPACE_THRESHOLD = -200;
+
+  // WinAnsiEncoding differs from Latin-1 in 0x80..0x9F
+  const WIN_ANSI = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+    0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ',
+    0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+    0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+  };
+
+  // Glyph names commonly found in /Differences arrays (single letters/digits map to themselves)
+  const GLYPHS = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')',
+    asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '−', period: '.', slash: '/',
+    colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+    bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_', braceleft: '{', bar: '|',
+    braceright: '}', asciitilde: '~', asciicircum: '^', grave: '`', bullet: '•',
+    endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”',
+    ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', dotlessi: 'ı',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+  };
+
+  function isWs(c) { return c === 32 || c === 10 || c === 13 || c === 9 || c === 12 || c === 0; }
+  function isDelim(ch) { return '()<>[]{}/%'.includes(ch); }
+
+  function toBinaryString(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      out += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return out;
+  }
+
+  /**
+   * zlib inflate. Streams with junk after the end of data or a truncated tail
+   * are common in the wild, so keep whatever decoded before the error.
+   */
+  async function inflate(bytes) {
+    const ds = new DecompressionStream('deflate');
+    const writer = ds.writable.getWriter();
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+    const reader = ds.readable.getReader();
+    const parts = [];
+    let total = 0;
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        total += value.length;
+      }
+    } catch (_) {}
+    const out = new Uint8Array(total);
+    let off = 0;
+    for (const p of parts) { out.set(p, off); off += p.length; }
+    return out;
+  }
+
+  /**
+   * Tokenizer/parser over a binary string. Values: numbers, booleans, null,
+   * names as '/Name' strings, strings as `{ str }`, arrays, dicts as plain
+   * objects keyed without the slash, references as `{ ref }` and operators
+   * (content streams) as `{ op }`.
+   */
+  function makeParser(s, start = 0) {
+    let i = start;
+
+    function skipWs() {
+      while (i < s.length) {
+        const c = s.charCodeAt(i);
+        if (isWs(c)) { i++; continue; }
+        if (s[i] === '%') {
+          while (i < s.length && s[i] !== '\n' && s[i] !== '\r') i++;
+          continue;
+        }
+        break;
+      }
+    }
+
+    function readLiteral() {
+      i++; // (
+      let depth = 1;
+      let out = '';
+      while (i < s.length) {
+        const ch = s[i++];
+        if (ch === '\\') {
+          const n = s[i++];
+          if (n === 'n') out += '\n';
+          else if (n === 'r') out += '\r';
+          else if (n === 't') out += '\t';
+          else if (n === 'b') out += '\b';
+          else if (n === 'f') out += '\f';
+          else if (n === '\r') { if (s[i] === '\n') i++; }
+          else if (n === '\n') { /* line continuation */ }
+          else if (n >= '0' && n <= '7') {
+            let oct = n;
+            while (oct.length < 3 && s[i] >= '0' && s[i] <= '7') oct += s[i++];
+            out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+          } else if (n !== undefined) out += n;
+        } else if (ch === '(') {
+          depth++;
+          out += ch;
+        } else if (ch === ')') {
+          if (--depth === 0) break;
+          out += ch;
+        } else {
+          out += ch;
+        }
+      }
+      return { str: out };
+    }
+
+    function readHex() {
+      i++; // <
+      let hex = '';
+      while (i < s.length && s[i] !== '>') {
+        if (/[0-9a-fA-F]/.test(s[i])) hex += s[i];
+        i++;
+      }
+      i++; // >
+      if (hex.length % 2) hex += '0';
+      let out = '';
+      for (let k = 0; k < hex.length; k += 2) out += String.fromCharCode(parseInt(hex.substr(k, 2), 16));
+      return { str: out };
+    }
+
+    function readRegular() {
+      const from = i;
+      while (i < s.length && !isWs(s.charCodeAt(i)) && !isDelim(s[i])) i++;
+      return s.slice(from, i);
+    }
+
+    function readName() {
+      i++; // /
+      return '/' + readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    }
+
+    /** Next raw token: a value, a structural marker `{ mark }` or undefined at end. */
+    function token() {
+      skipWs();
+      if (i >= s.length) return undefined;
+      const ch = s[i];
+      if (ch === '(') return readLiteral();
+      if (ch === '<') {
+        if (s[i + 1] === '<') { i += 2; return { mark: '<<' }; }
+        return readHex();
+      }
+      if (ch === '>' && s[i + 1] === '>') { i += 2; return { mark: '>>' }; }
+      if (ch === '[' || ch === ']' || ch === '{' || ch === '}') { i++; return { mark: ch }; }
+      if (ch === '/') return readName();
+      if (ch === ')' || ch === '>') { i++; return { mark: ch }; }
+      const word = readRegular();
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+      if (word === 'true') return true;
+      if (word === 'false') return false;
+      if (word === 'null') return null;
+      return { op: word };
+    }
+
+    /** Parse one complete value; references `n g R` collapse into `{ ref }`. */
+    function value(tok = token()) {
+      if (tok && tok.mark === '[') {
+        const arr = [];
+        for (;;) {
+          const t = token();
+          if (t === undefined || (t && t.mark === ']')) break;
+          arr.push(value(t));
+        }
+        return arr;
+      }
+      if (tok && tok.mark === '<<') {
+        const dict = {};
+        for (;;) {
+          const k = token();
+          if (k === undefined || (k && k.mark === '>>')) break;
+          if (typeof k !== 'string') continue;
+          dict[k.slice(1)] = value();
+        }
+        return dict;
+      }
+      if (typeof tok === 'number' && Number.isInteger(tok) && tok >= 0) {
+        const save = i;
+        const gen = token();
+        if (typeof gen === 'number') {
+          const r = token();
+          if (r && r.op === 'R') return { ref: tok };
+        }
+        i = save;
+      }
+      return tok;
+    }
+
+    return {
+      value,
+      token,
+      skipWs,
+      get pos() { return i; },
+      set pos(p) { i = p; },
+      atEnd() { skipWs(); return i >= s.length; }
+    };
+  }
+
+  function parseValue(s) {
+    try { return makeParser(s).value(); } catch (_) { return null; }
+  }
+
+  /** Index all `n g obj ... endobj` objects, including those inside object streams. */
+  async function readObjects(bin, bytes) {
+    const objects = new Map(); // num -> { dictSrc, body, streamStart, streamEnd } or { value }
+    const re = /(\d+)\s+\d+\s+obj\b/g;
+    let m;
+    while ((m = re.exec(bin)) !== null) {
+      const num = parseInt(m[1], 10);
+      const bodyStart = re.lastIndex;
+      const endObj = bin.indexOf('endobj', bodyStart);
+      const streamKw = bin.indexOf('stream', bodyStart);
+      if (streamKw !== -1 && (endObj === -1 || streamKw < endObj) && bin.slice(streamKw - 3, streamKw) !== 'end') {
+        const dictSrc = bin.slice(bodyStart, streamKw);
+        const dict = parseValue(dictSrc) || {};
+        let dataStart = streamKw + 6;
+        if (bin[dataStart] === '\r') dataStart++;
+        if (bin[dataStart] === '\n') dataStart++;
+        let dataEnd = -1;
+        if (typeof dict.Length === 'number') {
+          const cand = dataStart + dict.Length;
+          if (/^\s*endstream/.test(bin.slice(cand, cand + 20))) dataEnd = cand;
+        }
+        if (dataEnd === -1) {
+          const es = bin.indexOf('endstream', dataStart);
+          dataEnd = es === -1 ? bin.length : es;
+          while (dataEnd > dataStart && (bin[dataEnd - 1] === '\n' || bin[dataEnd - 1] === '\r')) dataEnd--;
+        }
+        objects.set(num, { value: dict, stream: bytes.subarray(dataStart, dataEnd) });
+        const after = bin.indexOf('endobj', dataEnd);
+        re.lastIndex = after === -1 ? dataEnd : after + 6;
+      } else {
+        const body = bin.slice(bodyStart, endObj === -1 ? bin.length : endObj);
+        objects.set(num, { value: parseValue(body), stream: null });
+        if (endObj !== -1) re.lastIndex = endObj + 6;
+      }
+    }
+    // Compressed objects (PDF 1.5+ object streams)
+    for (const entry of Array.from(objects.values())) {
+      const d = entry.value;
+      if (!d || d.Type !== '/ObjStm' || !entry.stream) continue;
+      const data = await decodeStream(entry, objects);
+      if (!data) continue;
+      const src = toBinaryString(data);
+      const first = typeof d.First === 'number' ? d.First : 0;
+      const header = makeParser(src.slice(0, first));
+      const pairs = [];
+      for (let k = 0; k < (d.N || 0); k++) {
+        const num = header.token();
+        const off = header.token();
+        if (typeof num !== 'number' || typeof off !== 'number') break;
+        pairs.push([num, off]);
+      }
+      for (let k = 0; k < pairs.length; k++) {
+        const [num, off] = pairs[k];
+        if (objects.has(num)) continue; // a directly stored object wins
+        const end = k + 1 < pairs.length ? first + pairs[k + 1][1] : src.length;
+        objects.set(num, { value: parseValue(src.slice(first + off, end)), stream: null });
+      }
+    }
+    return objects;
+  }
+
+  function resolve(v, objects, depth = 0) {
+    while (v && typeof v === 'object' && typeof v.ref === 'number' && depth++ < 16) {
+      const e = objects.get(v.ref);
+      v = e ? e.value : null;
+    }
+    return v;
+  }
+
+  function asArray(v) { return Array.isArray(v) ? v : (v === undefined || v === null ? [] : [v]); }
+
+  /** Decoded stream bytes, or null when a filter is unsupported. Cached on the entry. */
+  async function decodeStream(entry, objects) {
+    if (!entry || !entry.stream) return null;
+    if (entry.decoded !== undefined) return entry.decoded;
+    const filters = asArray(resolve(entry.value && entry.value.Filter, objects));
+    let data = entry.stream;
+    for (const f of filters) {
+      if (f === '/FlateDecode' || f === '/Fl') data = await inflate(data);
+      else { data = null; break; } // images (DCT, JBIG2, ...) and exotic filters carry no text
+    }
+    entry.decoded = data;
+    return data;
+  }
+
+  async function streamOf(ref, objects) {
+    const entry = ref && typeof ref.ref === 'number' ? objects.get(ref.ref) : null;
+    return decodeStream(entry, objects);
+  }
+
+  function utf16beToString(s) {
+    let out = '';
+    for (let k = 0; k + 1 < s.length; k += 2) out += String.fromCharCode((s.charCodeAt(k) << 8) | s.charCodeAt(k + 1));
+    return out;
+  }
+
+  function hexToString(hex) {
+    let raw = '';
+    for (let k = 0; k + 1 < hex.length; k += 2) raw += String.fromCharCode(parseInt(hex.substr(k, 2), 16));
+    return utf16beToString(raw);
+  }
+
+  /** Parse a ToUnicode CMap into `{ codeBytes, map: Map<code, string> }`. */
+  function parseCMap(src) {
+    const map = new Map();
+    let codeBytes = 1;
+    const csr = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(src);
+    if (csr && /<[0-9a-fA-F]{4}>/.test(csr[1])) codeBytes = 2;
+    const charBlocks = src.match(/beginbfchar[\s\S]*?endbfchar/g) || [];
+    for (const block of charBlocks) {
+      const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+      let m;
+      while ((m = re.exec(block)) !== null) {
+        if (m[1].length >= 4) codeBytes = 2;
+        map.set(parseInt(m[1], 16), hexToString(m[2]));
+      }
+    }
+    const rangeBlocks = src.match(/beginbfrange[\s\S]*?endbfrange/g) || [];
+    for (const block of rangeBlocks) {
+      const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+      let m;
+      while ((m = re.exec(block)) !== null) {
+        const lo = parseInt(m[1], 16);
+        const hi = parseInt(m[2], 16);
+        if (m[1].length >= 4) codeBytes = 2;
+        if (hi < lo || hi - lo > MAX_CMAP_RANGE) continue;
+        if (m[3][0] === '[') {
+          const dsts = m[3].match(/<([0-9a-fA-F]*)>/g) || [];
+          dsts.forEach((d, k) => { if (lo + k <= hi) map.set(lo + k, hexToString(d.slice(1, -1))); });
+        } else {
+          const base = hexToString(m[3].slice(1, -1));
+          if (!base) continue;
+          const last = base.charCodeAt(base.length - 1);
+          for (let code = lo; code <= hi; code++) {
+            map.set(code, base.slice(0, -1) + String.fromCharCode(last + (code - lo)));
+          }
+        }
+      }
+    }
+    return { codeBytes, map };
+  }
+
+  function glyphToText(name) {
+    const n = String(name || '').replace(/^\//, '');
+    if (/^[A-Za-z]$/.test(n)) return n;
+    if (GLYPHS[n] !== undefined) return GLYPHS[n];
+    const uni = /^uni([0-9A-Fa-f]{4})$/.exec(n);
+    if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+    return null;
+  }
+
+  /** Build a decoder for one font dictionary. */
+  async function loadFont(fontRef, objects) {
+    const font = resolve(fontRef, objects) || {};
+    const twoByte = font.Subtype === '/Type0';
+    let cmap = null;
+    if (font.ToUnicode) {
+      const data = await streamOf(font.ToUnicode, objects);
+      if (data) {
+        try { cmap = parseCMap(toBinaryString(data)); } catch (_) { cmap = null; }
+      }
+    }
+    const differences = new Map();
+    const enc = resolve(font.Encoding, objects);
+    if (enc && typeof enc === 'object' && Array.isArray(enc.Differences)) {
+      let code = 0;
+      for (const d of enc.Differences) {
+        if (typeof d === 'number') code = d;
+        else if (typeof d === 'string') differences.set(code++, d);
+      }
+    }
+    return { twoByte, cmap, differences };
+  }
+
+  function decodeText(raw, font) {
+    if (font && font.cmap && font.cmap.map.size > 0) {
+      const step = font.cmap.codeBytes;
+      let out = '';
+      for (let k = 0; k < raw.length; k += step) {
+        const code = step === 2 ? ((raw.charCodeAt(k) << 8) | (raw.charCodeAt(k + 1) || 0)) : raw.charCodeAt(k);
+        const mapped = font.cmap.map.get(code);
+        if (mapped !== undefined) out += mapped;
+        else if (step === 1) out += String.fromCharCode(code);
+      }
+      return out;
+    }
+    // Two-byte codes without a CMap are glyph ids, not text
+    if (font && font.twoByte) return '';
+    let out = '';
+    for (let k = 0; k < raw.length; k++) {
+      const code = raw.charCodeAt(k);
+      const glyph = font && font.differences.has(code) ? glyphToText(font.differences.get(code)) : null;
+      if (glyph !== null) out += glyph;
+      else out += WIN_ANSI[code] || String.fromCharCode(code);
+    }
+    return out;
+  }
+
+  /** Run a content stream and append its text to `out` (array of pieces). */
+  async function runContent(src, resources, objects, out, depth) {
+    const res = resolve(resources, objects) || {};
+    const fontDict = resolve(res.Font, objects) || {};
+    const xobjects = resolve(res.XObject, objects) || {};
+    const fonts = new Map();
+    let font = null;
+    let lastTmY = null;
+    const last = () => (out.length ? out[out.length - 1] : '\n');
+    const newline = () => { if (!/\n$/.test(last())) out.push('\n'); };
+    const space = () => { if (!/\s$/.test(last())) out.push(' '); };
+    const show = (s) => { if (s && typeof s.str === 'string') out.push(decodeText(s.str, font)); };
+
+    const p = makeParser(src);
+    let operands = [];
+    while (!p.atEnd()) {
+      const v = p.value();
+      if (!v || typeof v !== 'object' || typeof v.op !== 'string') {
+        if (v && v.mark) continue;
+        operands.push(v);
+        continue;
+      }
+      const args = operands;
+      operands = [];
+      switch (v.op) {
+        case 'Tf': {
+          const name = typeof args[0] === 'string' ? args[0].slice(1) : null;
+          if (name && !fonts.has(name)) fonts.set(name, await loadFont(fontDict[name], objects));
+          font = name ? fonts.get(name) : null;
+          break;
+        }
+        case 'Td': case 'TD': {
+          const ty = +args[1] || 0;
+          if (Math.abs(ty) > 0.01) newline();
+          else if ((+args[0] || 0) > 0) space();
+          break;
+        }
+        case 'Tm': {
+          const f = +args[5] || 0;
+          if (lastTmY !== null && Math.abs(f - lastTmY) > 1) newline();
+          else if (lastTmY !== null) space();
+          lastTmY = f;
+          break;
+        }
+        case 'T*': newline(); break;
+        case 'Tj': show(args[0]); break;
+        case "'": newline(); show(args[0]); break;
+        case '"': newline(); show(args[2]); break;
+        case 'TJ':
+          for (const el of asArray(args[0])) {
+            if (typeof el === 'number') { if (el < TJ_SPACE_THRESHOLD) space(); }
+            else show(el);
+          }
+          break;
+        case 'ET': space(); break;
+        case 'BI': {
+          // Inline image: skip binary data up to EI
+          const rest = src.slice(p.pos);
+          const m = /\sEI(?=\s|$)/.exec(rest);
+          p.pos = m ? p.pos + m.index + m[0].length : src.length;
+          break;
+        }
+        case 'Do': {
+          const name = typeof args[0] === 'string' ? args[0].slice(1) : null;
+          const ref = name ? xobjects[name] : null;
+          const entry = ref && typeof ref.ref === 'number' ? objects.get(ref.ref) : null;
+          if (depth < MAX_FORM_DEPTH && entry && entry.value && entry.value.Subtype === '/Form') {
+            const data = await decodeStream(entry, objects);
+            if (data) {
+              newline();
+              await runContent(toBinaryString(data), entry.value.Resources || resources, objects, out, depth + 1);
+              newline();
+            }
+          }
+          break;
+        }
+        default: break;
+      }
+    }
+  }
+
+  /** Pages in document order with inherited Resources. */
+  function collectPages(objects) {
+    let catalog = null;
+    for (const e of objects.values()) {
+      if (e.value && e.value.Type === '/Catalog') catalog = e.value;
+    }
+    const pages = [];
+    const seen = new Set();
+    const walk = (ref, inherited) => {
+      if (!ref || typeof ref.ref !== 'number' || seen.has(ref.ref)) return;
+      seen.add(ref.ref);
+      const node = resolve(ref, objects);
+      if (!node || typeof node !== 'object') return;
+      const resources = node.Resources || inherited;
+      if (node.Type === '/Pages' || Array.isArray(node.Kids)) {
+        for (const kid of asArray(resolve(node.Kids, objects))) walk(kid, resources);
+      } else {
+        pages.push({ page: node, resources });
+      }
+    };
+    if (catalog && catalog.Pages) walk(catalog.Pages, null);
+    if (pages.length === 0) {
+      // No usable page tree: fall back to every /Page object by number
+      const nums = Array.from(objects.keys()).sort((a, b) => a - b);
+      for (const n of nums) {
+        const v = objects.get(n).value;
+        if (v && v.Type === '/Page') pages.push({ page: v, resources: v.Resources });
+      }
+    }
+    return pages;
+  }
+
+  function decodeInfoString(s) {
+    if (!s || typeof s.str !== 'string') return null;
+    const raw = s.str;
+    const text = raw.startsWith('\xfe\xff') ? utf16beToString(raw.slice(2)) : raw;
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean || null;
+  }
+
+  function tidyPageText(pieces) {
+    return pieces.join('')
+      .replace(/[ \t ]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      // Re-join words hyphenated across line breaks
+      .replace(/(\w)-\n(\w)/g, '$1$2')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Extract text per page from PDF bytes.
+   * @param {Uint8Array|ArrayBuffer} input
+   * @returns {Promise<{pages: string[], title: string|null}>}
+   */
+  async function extractPdfText(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const bin = toBinaryString(bytes);
+    const header = bin.indexOf('%PDF-');
+    if (header === -1 || header > 1024) throw new Error('Not a PDF');
+    if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(bin)) throw new Error('Encrypted PDFs are not supported');
+    const objects = await readObjects(bin, bytes);
+    const pages = [];
+    for (const { page, resources } of collectPages(objects)) {
+      const out = [];
+      try {
+        const parts = [];
+        // Contents: a stream reference, an array of them, or a reference to such an array
+        const resolved = resolve(page.Contents, objects);
+        const contents = Array.isArray(resolved) ? resolved : page.Contents;
+        for (const ref of asArray(contents)) {
+          const data = await streamOf(ref, objects);
+          if (data) parts.push(toBinaryString(data));
+        }
+        if (parts.length > 0) await runContent(parts.join('\n'), resources, objects, out, 0);
+      } catch (_) { /* keep what this page produced */ }
+      pages.push(tidyPageText(out));
+    }
+    let title = null;
+    const info = /\/Info\s+(\d+)\s+\d+\s+R/.exec(bin);
+    if (info) {
+      const entry = objects.get(parseInt(info[1], 10));
+      title = decodeInfoString(entry && entry.value && entry.value.Title);
+    }
+    return { pages, title };
+  }
+
+  scope.extractPdfText = extractPdfText;
+})(typeof self !== 'undefined' ? self : this);
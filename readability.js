@@ -0,0 +1,203 @@
+/**
+ * Content-scoring article extractor for Web Recall.
+ * Exposes globals on `self`: extractReadableText.
+ * Loaded before content.js in the content script bundle; a small take on the
+ * Readability approach (text density, link density, class/id heuristics).
+ */
+
+(function(scope){
+  const MIN_PARAGRAPH_CHARS = 25;
+  const MIN_ARTICLE_CHARS = 250;
+
+  // Containers that are almost never the article body (cookie banners, rails, comments, ...)
+  const UNLIKELY = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|paywall|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|ad-break|agegate|pagination|pager|yom-remote/i;
+  const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|consent|foot|footer|footnote|gdpr|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|subscribe|tags|tool|widget/i;
+
+  // <pre> blocks are captured as code chunks by content.js; inline <code> stays in the prose
+  const STRIP_SELECTOR = 'script, style, noscript, pre, iframe, svg, canvas, object, embed, form, button, input, select, textarea, nav, footer, aside';
+  const BOILERPLATE_SELECTOR = '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [role="alertdialog"], [aria-modal="true"], [hidden], [aria-hidden="true"]';
+  const SCORE_SELECTOR = 'p, td, blockquote, section, h2, h3, h4, h5, h6';
+  const PROTECTED_TAGS = new Set(['BODY', 'HTML', 'ARTICLE', 'MAIN', 'A']);
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+    'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'UL'
+  ]);
+
+  function innerTextOf(el) {
+    return String((el && el.textContent) || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function classWeight(el) {
+    let weight = 0;
+    for (const s of [el.className, el.id]) {
+      if (typeof s !== 'string' || !s) continue;
+      if (NEGATIVE.test(s)) weight -= 25;
+      if (POSITIVE.test(s)) weight += 25;
+    }
+    return weight;
+  }
+
+  function linkDensity(el) {
+    const total = innerTextOf(el).length;
+    if (total === 0) return 0;
+    let linked = 0;
+    el.querySelectorAll('a').forEach(a => {
+      const href = a.getAttribute('href') || '';
+      // In-page anchors (footnotes, TOCs) count less than outbound links
+      const coef = href.startsWith('#') ? 0.3 : 1;
+      linked += innerTextOf(a).length * coef;
+    });
+    return linked / total;
+  }
+
+  function initialScore(el) {
+    let score = 0;
+    switch (el.tagName) {
+      case 'DIV': score += 5; break;
+      case 'PRE': case 'TD': case 'BLOCKQUOTE': score += 3; break;
+      case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': score -= 3; break;
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': score -= 5; break;
+      default: break;
+    }
+    return score + classWeight(el);
+  }
+
+  function removeBoilerplate(root) {
+    root.querySelectorAll(STRIP_SELECTOR).forEach(el => el.remove());
+    root.querySelectorAll(BOILERPLATE_SELECTOR).forEach(el => el.remove());
+    const all = Array.from(root.querySelectorAll('*'));
+    for (const el of all) {
+      if (PROTECTED_TAGS.has(el.tagName) || !root.contains(el)) continue;
+      const match = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+      if (match.trim() && UNLIKELY.test(match) && !MAYBE_CANDIDATE.test(match)) el.remove();
+    }
+    // Divs that only wrap inline content behave like paragraphs for scoring
+    root.querySelectorAll('div').forEach(div => {
+      const hasBlockChild = Array.from(div.children).some(c => BLOCK_TAGS.has(c.tagName));
+      if (!hasBlockChild && innerTextOf(div).length >= MIN_PARAGRAPH_CHARS) div.dataset.wrParagraph = '1';
+    });
+  }
+
+  function scoreCandidates(root) {
+    const scores = new Map();
+    const nodes = Array.from(root.querySelectorAll(`${SCORE_SELECTOR}, div[data-wr-paragraph]`));
+    for (const node of nodes) {
+      const text = innerTextOf(node);
+      if (text.length < MIN_PARAGRAPH_CHARS) continue;
+      // One point per paragraph, one per comma, up to three for length
+      const contentScore = 1 + text.split(/[,，、]/).length + Math.min(3, Math.floor(text.length / 100));
+      let ancestor = node.parentElement;
+      for (let level = 0; ancestor && level < 3; level++) {
+        if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+        const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        if (ancestor === root) break;
+        ancestor = ancestor.parentElement;
+      }
+    }
+    // Scale by link density so nav-heavy containers sink
+    for (const [el, score] of scores) scores.set(el, score * (1 - linkDensity(el)));
+    return scores;
+  }
+
+  function collectArticle(top, scores) {
+    const topScore = scores.get(top) || 0;
+    const parent = top.parentElement;
+    if (!parent) return [top];
+    const threshold = Math.max(10, topScore * 0.2);
+    const out = [];
+    for (const sib of Array.from(parent.children)) {
+      if (sib === top) { out.push(sib); continue; }
+      let append = false;
+      let bonus = 0;
+      if (top.className && sib.className === top.className) bonus += topScore * 0.2;
+      if ((scores.get(sib) || 0) + bonus >= threshold) {
+        append = true;
+      } else if (sib.tagName === 'P') {
+        const text = innerTextOf(sib);
+        const density = linkDensity(sib);
+        if (text.length > 80 && density < 0.25) append = true;
+        else if (text.length > 0 && text.length <= 80 && density === 0 && /\.( |$)/.test(text)) append = true;
+      }
+      if (append) out.push(sib);
+    }
+    return out;
+  }
+
+  function cleanConditionally(root, scores) {
+    const nodes = Array.from(root.querySelectorAll('table, ul, ol, div, section')).reverse();
+    for (const el of nodes) {
+      if (!root.contains(el)) continue;
+      const weight = classWeight(el);
+      const score = scores.get(el) || 0;
+      if (weight + score < 0) { el.remove(); continue; }
+      const text = innerTextOf(el);
+      if (text.split(/[,，、]/).length > 10) continue; // prose-heavy, keep
+      const density = linkDensity(el);
+      const paragraphs = el.querySelectorAll('p').length;
+      const items = el.querySelectorAll('li').length;
+      const isList = el.tagName === 'UL' || el.tagName === 'OL';
+      if ((weight < 25 && density > 0.2 && text.length < 200) ||
+          (weight >= 25 && density > 0.5) ||
+          (!isList && items > paragraphs && items > 3 && density > 0.2)) {
+        el.remove();
+      }
+    }
+  }
+
+  function serialize(nodes) {
+    const parts = [];
+    const walk = (node) => {
+      if (node.nodeType === 3) { parts.push(node.nodeValue.replace(/\s+/g, ' ')); return; }
+      if (node.nodeType !== 1) return;
+      if (node.tagName === 'BR') { parts.push('\n'); return; }
+      const block = BLOCK_TAGS.has(node.tagName);
+      if (block) parts.push('\n');
+      for (const child of node.childNodes) walk(child);
+      if (block) parts.push('\n');
+    };
+    for (const n of nodes) walk(n);
+    return parts.join('')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n[ \t]+/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Extract the main article text of a document by scoring candidate
+   * containers. Returns null when no confident candidate is found so callers
+   * can fall back to a simpler extraction.
+   *
+   * @param {Document} doc
+   * @param {Element} [root] Detached copy of the body to work on (e.g. with
+   *   shadow roots and frames flattened in); it is modified. Defaults to a
+   *   clone of `doc.body`.
+   * @returns {{text:string, method:'readability'}|null}
+   */
+  function extractReadableText(doc, root) {
+    const body = doc && doc.body;
+    if (!body && !root) return null;
+    const clone = root || body.cloneNode(true);
+    removeBoilerplate(clone);
+    const scores = scoreCandidates(clone);
+    let top = null;
+    let best = -Infinity;
+    for (const [el, score] of scores) {
+      if (score > best) { best = score; top = el; }
+    }
+    if (!top) return null;
+    const nodes = collectArticle(top, scores);
+    const container = doc.createElement('div');
+    for (const n of nodes) container.appendChild(n);
+    cleanConditionally(container, scores);
+    const text = serialize([container]);
+    if (text.length < MIN_ARTICLE_CHARS) return null;
+    return { text, method: 'readability' };
+  }
+
+  scope.extractReadableText = extractReadableText;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,137 @@
+/**
+ * Retention policy for Web Recall.
+ * Exposes globals on `self`: RETENTION_DEFAULTS, normalizeRetentionPolicy, planRetention.
+ * Planning only: the background worker gathers page heads, per-page sizes and
+ * `navigator.storage.estimate()`, asks for a plan and applies it on a
+ * chrome.alarms schedule.
+ *
+ * Policy:
+ *   { enabled, keepDays, maxMB, maxQuotaPct, trimAfterDays, keepPinned, intervalMin }
+ * A 0 limit is off. Pages older than `keepDays` are evicted; pages older than
+ * `trimAfterDays` lose their chunks but keep head, summary and centroid (pages
+ * still waiting for a summary are left whole until they have one); while
+ * usage is over `maxMB` or `maxQuotaPct` of the quota, the oldest remaining
+ * pages are evicted. Pinned pages are never touched while `keepPinned` is on.
+ *
+ * Usage covers the whole origin (logs, jobs, IndexedDB overhead) and lags
+ * behind deletes, while page sizes are estimates. Size eviction therefore
+ * only runs when evicting pages can bring usage under the limit, and bytes
+ * freed by the previous run that usage doesn't show yet (`pendingBytes`) are
+ * taken off the measured usage first.
+ */
+
+(function(scope){
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MB = 1024 * 1024;
+
+  const RETENTION_DEFAULTS = {
+    enabled: false,
+    keepDays: 0,
+    maxMB: 0,
+    maxQuotaPct: 80,
+    trimAfterDays: 0,
+    keepPinned: true,
+    intervalMin: 360
+  };
+
+  function clampNumber(v, min, max, fallback) {
+    const n = Number(v);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  }
+
+  /**
+   * Fill defaults and clamp a stored or submitted policy.
+   * @param {object} raw
+   * @returns {typeof RETENTION_DEFAULTS}
+   */
+  function normalizeRetentionPolicy(raw) {
+    const p = raw && typeof raw === 'object' ? raw : {};
+    const d = RETENTION_DEFAULTS;
+    return {
+      enabled: p.enabled !== undefined ? !!p.enabled : d.enabled,
+      keepDays: Math.floor(clampNumber(p.keepDays, 0, 36500, d.keepDays)),
+      maxMB: clampNumber(p.maxMB, 0, 1024 * 1024, d.maxMB),
+      maxQuotaPct: clampNumber(p.maxQuotaPct, 0, 100, d.maxQuotaPct),
+      trimAfterDays: Math.floor(clampNumber(p.trimAfterDays, 0, 36500, d.trimAfterDays)),
+      keepPinned: p.keepPinned !== undefined ? !!p.keepPinned : d.keepPinned,
+      // Minutes between scheduled runs
+      intervalMin: Math.floor(clampNumber(p.intervalMin, 30, 7 * 24 * 60, d.intervalMin))
+    };
+  }
+
+  /**
+   * Decide what to evict and trim.
+   * @param {Array<{id:number, url?:string, title?:string, timestamp?:number, pinned?:boolean, trimmedAt?:number}>} pages heads
+   * @param {object} policy normalized policy
+   * @param {{usage?:number, quota?:number, pendingBytes?:number, sizes?:Map<number, {bytes:number, chunkBytes:number}>, now?:number}} [env]
+   * @returns {{evict:object[], trim:object[], summarize:number[], limitBytes:number|null, overBytes:number, pageBytes:number, otherBytes:number, sizeBlocked:boolean}}
+   *   entries are `{ id, url, title, timestamp, bytes, reason: 'age'|'size'|'trim' }`;
+   *   `summarize` lists pages due for trimming that need a summary first;
+   *   `sizeBlocked` is set when usage outside page data alone reaches the limit
+   */
+  function planRetention(pages, policy, { usage = 0, quota = 0, pendingBytes = 0, sizes = new Map(), now = Date.now() } = {}) {
+    const p = normalizeRetentionPolicy(policy);
+    const entry = (page, reason, bytes) => ({ id: page.id, url: page.url, title: page.title, timestamp: page.timestamp, bytes, reason });
+    const sizeOf = (page) => sizes.get(page.id) || { bytes: 0, chunkBytes: 0 };
+    const candidates = (Array.isArray(pages) ? pages : [])
+      .filter(page => page && typeof page.id === 'number' && !(p.keepPinned && page.pinned))
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const evict = [];
+    const trim = [];
+    const summarize = [];
+    const taken = new Set();
+    let freed = 0;
+    if (p.keepDays > 0) {
+      const cutoff = now - p.keepDays * DAY_MS;
+      for (const page of candidates) {
+        if ((page.timestamp || 0) >= cutoff) continue;
+        evict.push(entry(page, 'age', sizeOf(page).bytes));
+        taken.add(page.id);
+        freed += sizeOf(page).bytes;
+      }
+    }
+    if (p.trimAfterDays > 0) {
+      const cutoff = now - p.trimAfterDays * DAY_MS;
+      for (const page of candidates) {
+        if (taken.has(page.id) || page.trimmedAt || (page.timestamp || 0) >= cutoff) continue;
+        // Chunks are all a page without a summary has to be found by
+        if (!page.summary) { summarize.push(page.id); continue; }
+        trim.push(entry(page, 'trim', sizeOf(page).chunkBytes));
+        freed += sizeOf(page).chunkBytes;
+      }
+    }
+    const limits = [];
+    if (p.maxMB > 0) limits.push(p.maxMB * MB);
+    if (p.maxQuotaPct > 0 && quota > 0) limits.push(quota * p.maxQuotaPct / 100);
+    const limitBytes = limits.length ? Math.min(...limits) : null;
+    const measured = Math.max(0, usage - Math.max(0, pendingBytes));
+    const overBytes = limitBytes === null ? 0 : Math.max(0, measured - limitBytes);
+    const pageBytes = (Array.isArray(pages) ? pages : []).reduce((n, page) => n + (page ? sizeOf(page).bytes : 0), 0);
+    const otherBytes = Math.max(0, measured - pageBytes);
+    // Evicting every page wouldn't get under the limit: the usage isn't page data
+    const sizeBlocked = overBytes > 0 && otherBytes >= limitBytes;
+    // Sizes are estimates, so size pressure evicts whole pages, oldest first
+    let remaining = sizeBlocked ? 0 : Math.min(overBytes, pageBytes) - freed;
+    for (const page of candidates) {
+      if (remaining <= 0) break;
+      if (taken.has(page.id)) continue;
+      const bytes = sizeOf(page).bytes;
+      const trimIdx = trim.findIndex(t => t.id === page.id);
+      // Already counted as trimmed: the eviction frees what trimming wouldn't
+      if (trimIdx >= 0) {
+        remaining -= bytes - trim[trimIdx].bytes;
+        trim.splice(trimIdx, 1);
+      } else {
+        remaining -= bytes;
+      }
+      evict.push(entry(page, 'size', bytes));
+      taken.add(page.id);
+    }
+    return { evict, trim, summarize, limitBytes, overBytes, pageBytes, otherBytes, sizeBlocked };
+  }
+
+  scope.RETENTION_DEFAULTS = RETENTION_DEFAULTS;
+  scope.normalizeRetentionPolicy = normalizeRetentionPolicy;
+  scope.planRetention = planRetention;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,303 @@
+// Capture rule engine for Web Recall
+// Exposes globals on self: parseCaptureRules, formatCaptureRules, normalizeCaptureRule,
+// evaluateCaptureRules, migrateDomainLists, contentScriptPatterns, sensitiveUrlDetail
+// Works in MV3 service worker via `import './rules.js'` and in documents via <script src="rules.js"></script>
+//
+// Rules are ordered; the first rule whose conditions all hold decides, otherwise
+// the default action applies. One rule per line in the settings box:
+//
+//   allow github.com/myorg/*          host plus optional path glob
+//   deny host:github.com path:/settings*
+//   deny query:token                  query parameter present (query:key=value for a value)
+//   deny scheme:http
+//   deny regex:^https://[^/]+/admin/  regex against the full URL (rest of the line)
+//   default deny                      action when nothing matches (default: allow)
+//   # comment
+
+(function(scope){
+  const RULE_ACTIONS = ['allow', 'deny'];
+  const RULE_KEYS = ['host', 'path', 'query', 'scheme', 'regex'];
+
+  function escapeRegex(s) {
+    return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // `*` matches any run of characters (including `/` for paths); nothing else is special
+  function globToRegex(glob) {
+    return new RegExp(`^${String(glob).split('*').map(escapeRegex).join('.*')}$`);
+  }
+
+  /**
+   * Host glob match. Without `*`, a bare host matches itself and its
+   * subdomains (the old whitelist/blacklist behaviour); `*.example.com`
+   * matches subdomains only.
+   */
+  function hostMatches(host, pattern) {
+    const h = String(host || '').toLowerCase();
+    const p = String(pattern || '').toLowerCase();
+    if (!h || !p) return false;
+    if (!p.includes('*')) return h === p || h.endsWith('.' + p);
+    return globToRegex(p).test(h);
+  }
+
+  /**
+   * Validate and normalize a stored or parsed rule. Throws on rules without
+   * conditions, unknown actions or invalid regexes.
+   * @param {object} raw
+   * @returns {{action:'allow'|'deny', host?:string, path?:string, query?:string, scheme?:string, regex?:string}}
+   */
+  function normalizeCaptureRule(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Rule must be an object');
+    const action = String(raw.action || '').toLowerCase();
+    if (!RULE_ACTIONS.includes(action)) throw new Error(`Unknown action "${raw.action}"`);
+    const rule = { action };
+    for (const key of RULE_KEYS) {
+      const v = typeof raw[key] === 'string' ? raw[key].trim() : '';
+      if (v) rule[key] = key === 'host' || key === 'scheme' ? v.toLowerCase() : v;
+    }
+    if (!RULE_KEYS.some(k => rule[k])) throw new Error('Rule needs at least one condition');
+    if (rule.path && !rule.path.startsWith('/') && !rule.path.startsWith('*')) rule.path = '/' + rule.path;
+    if (rule.scheme) rule.scheme = rule.scheme.replace(/:$/, '');
+    if (rule.regex) {
+      try { new RegExp(rule.regex); } catch (e) { throw new Error(`Invalid regex: ${e.message}`); }
+    }
+    return rule;
+  }
+
+  function queryMatches(params, cond) {
+    const eq = cond.indexOf('=');
+    if (eq < 0) return params.has(cond);
+    return params.getAll(cond.slice(0, eq)).includes(cond.slice(eq + 1));
+  }
+
+  function ruleMatches(rule, u) {
+    if (rule.scheme && !rule.scheme.split(',').map(s => s.trim()).includes(u.protocol.replace(/:$/, ''))) return false;
+    if (rule.host && !hostMatches(u.hostname, rule.host)) return false;
+    if (rule.path && !globToRegex(rule.path).test(u.pathname)) return false;
+    if (rule.query && !queryMatches(u.searchParams, rule.query)) return false;
+    if (rule.regex) {
+      try { if (!new RegExp(rule.regex).test(u.href)) return false; } catch (_) { return false; }
+    }
+    return true;
+  }
+
+  /**
+   * Decide whether a URL may be captured. Unparseable URLs are denied.
+   * @param {string} url
+   * @param {{rules:object[], defaultAction:'allow'|'deny'}} config
+   * @returns {{allow:boolean, index:number, rule:object|null}} `index` is -1 when the default applied
+   */
+  function evaluateCaptureRules(url, config) {
+    let u;
+    try { u = new URL(url); } catch (_) { return { allow: false, index: -1, rule: null }; }
+    const rules = Array.isArray(config && config.rules) ? config.rules : [];
+    for (let i = 0; i < rules.length; i++) {
+      if (ruleMatches(rules[i], u)) return { allow: rules[i].action === 'allow', index: i, rule: rules[i] };
+    }
+    return { allow: !config || config.defaultAction !== 'deny', index: -1, rule: null };
+  }
+
+  // `github.com/myorg/*` -> host + path
+  function splitBareTarget(target) {
+    const slash = target.indexOf('/');
+    if (slash < 0) return { host: target };
+    return { host: target.slice(0, slash), path: target.slice(slash) };
+  }
+
+  /**
+   * Parse the one-rule-per-line text format (see the header of this file).
+   * Lines with errors are reported and left out of `rules`; `lines[i]` is the
+   * 1-based line of `rules[i]`.
+   * @param {string} text
+   * @returns {{rules:object[], lines:number[], defaultAction:'allow'|'deny', errors:Array<{line:number, error:string}>}}
+   */
+  function parseCaptureRules(text) {
+    const rules = [];
+    const lines = [];
+    const errors = [];
+    let defaultAction = 'allow';
+    String(text || '').split(/\r?\n/).forEach((rawLine, i) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      const m = line.match(/^(\S+)\s*(.*)$/);
+      const head = m[1].toLowerCase();
+      let rest = m[2];
+      if (head === 'default') {
+        const action = rest.trim().toLowerCase();
+        if (RULE_ACTIONS.includes(action)) defaultAction = action;
+        else errors.push({ line: i + 1, error: 'Expected "default allow" or "default deny"' });
+        return;
+      }
+      try {
+        const raw = { action: head };
+        // regex: takes the rest of the line so patterns may contain spaces
+        const rx = rest.match(/(?:^|\s)regex:(.*)$/);
+        if (rx) {
+          raw.regex = rx[1].trim();
+          rest = rest.slice(0, rx.index);
+        }
+        for (const tok of rest.split(/\s+/).filter(Boolean)) {
+          const kv = tok.match(/^([a-z]+):(.*)$/i);
+          const key = kv && kv[1].toLowerCase();
+          if (kv && RULE_KEYS.includes(key)) {
+            if (raw[key]) throw new Error(`Duplicate ${key}:`);
+            raw[key] = kv[2];
+          } else if (!raw.host && !raw.path) {
+            Object.assign(raw, splitBareTarget(tok));
+          } else {
+            throw new Error(`Unexpected "${tok}"`);
+          }
+        }
+        rules.push(normalizeCaptureRule(raw));
+        lines.push(i + 1);
+      } catch (e) {
+        errors.push({ line: i + 1, error: e.message });
+      }
+    });
+    return { rules, lines, defaultAction, errors };
+  }
+
+  /**
+   * Render rules back into the text format; round-trips with parseCaptureRules.
+   * @param {{rules:object[], defaultAction:'allow'|'deny'}} config
+   * @returns {string}
+   */
+  function formatCaptureRules(config) {
+    const lines = (Array.isArray(config && config.rules) ? config.rules : []).map(r => {
+      const parts = [r.action];
+      if (r.host && r.path && r.path.startsWith('/')) parts.push(r.host + r.path);
+      else {
+        if (r.host) parts.push(`host:${r.host}`);
+        if (r.path) parts.push(`path:${r.path}`);
+      }
+      if (r.scheme) parts.push(`scheme:${r.scheme}`);
+      if (r.query) parts.push(`query:${r.query}`);
+      if (r.regex) parts.push(`regex:${r.regex}`);
+      return parts.join(' ');
+    });
+    if (config && config.defaultAction === 'deny') lines.push('default deny');
+    return lines.join('\n');
+  }
+
+  /**
+   * Convert the old whitelist/blacklist domain lists into ordered rules.
+   * Blacklisted domains come first; a non-empty whitelist makes the default
+   * deny, as it used to.
+   * @param {string[]} whitelist
+   * @param {string[]} blacklist
+   * @returns {{rules:object[], defaultAction:'allow'|'deny'}}
+   */
+  function migrateDomainLists(whitelist, blacklist) {
+    const toRules = (list, action) => (Array.isArray(list) ? list : [])
+      .map(d => String(d || '').trim().toLowerCase())
+      .filter(Boolean)
+      .map(host => ({ action, host }));
+    const allow = toRules(whitelist, 'allow');
+    return {
+      rules: [...toRules(blacklist, 'deny'), ...allow],
+      defaultAction: allow.length ? 'deny' : 'allow'
+    };
+  }
+
+  const PLAIN_HOST_RE = /^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/;
+  const IPV4_RE = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+
+  // Schemes a rule applies to, as match-pattern schemes; null when a rule
+  // names schemes content scripts can't be limited to (file:, ...)
+  function patternSchemes(rule) {
+    if (!rule.scheme) return ['*'];
+    const list = rule.scheme.split(',').map(s => s.trim()).filter(Boolean);
+    return list.every(s => s === 'http' || s === 'https') ? list : null;
+  }
+
+  // Match patterns equivalent to a host condition, or null when a glob can't be expressed
+  function hostPatterns(host, schemes) {
+    let hosts;
+    if (!host) hosts = ['*'];
+    else if (PLAIN_HOST_RE.test(host)) hosts = IPV4_RE.test(host) ? [host] : [host, `*.${host}`];
+    else if (/^\*\.[a-z0-9.-]+$/.test(host) && PLAIN_HOST_RE.test(host.slice(2))) hosts = [host];
+    else return null;
+    const out = [];
+    for (const s of schemes) for (const h of hosts) out.push(`${s}://${h}/*`);
+    return out;
+  }
+
+  // Whether an earlier allow rule could match some URL on `host`
+  function mayOverlap(allowRule, host) {
+    const h = allowRule.host;
+    if (!h || !host || h.includes('*')) return true;
+    return h === host || h.endsWith('.' + host) || host.endsWith('.' + h);
+  }
+
+  /**
+   * Match patterns for registering the content script from capture rules, so
+   * sites that are denied outright never get it injected. Only rules that
+   * block whole hosts (host and/or http(s) scheme, no path, query or regex)
+   * and that no earlier allow rule could override become exclusions; the
+   * rest is still decided at runtime by evaluateCaptureRules. With
+   * `default deny`, only hosts named by allow rules are matched when they
+   * can all be written as match patterns.
+   * @param {{rules:object[], defaultAction:'allow'|'deny'}} config
+   * @returns {{matches:string[], excludeMatches:string[]}}
+   */
+  function contentScriptPatterns(config) {
+    const rules = Array.isArray(config && config.rules) ? config.rules : [];
+    const excludeMatches = [];
+    const allowSeen = [];
+    let matches = [];
+    for (const rule of rules) {
+      const schemes = patternSchemes(rule);
+      if (rule.action === 'allow') {
+        allowSeen.push(rule);
+        // Path/query/regex only narrow an allow rule, so its host patterns are a safe superset
+        const pats = schemes && hostPatterns(rule.host, schemes);
+        if (!pats || !matches) matches = null;
+        else matches.push(...pats);
+        continue;
+      }
+      if (rule.path || rule.query || rule.regex || !schemes) continue;
+      // `*://*.example.com/*` would also exclude example.com itself
+      if (rule.host && rule.host.includes('*')) continue;
+      if (allowSeen.some(a => mayOverlap(a, rule.host))) continue;
+      const pats = hostPatterns(rule.host, schemes);
+      if (pats) excludeMatches.push(...pats);
+    }
+    if (!config || config.defaultAction !== 'deny' || !matches || matches.length === 0 || matches.includes('*://*/*')) {
+      matches = ['<all_urls>'];
+    }
+    return { matches: Array.from(new Set(matches)), excludeMatches: Array.from(new Set(excludeMatches)) };
+  }
+
+  // URL categories refused by default; hosts are matched on `.`/`-` separated tokens,
+  // paths case-sensitively so article titles like /wiki/Login don't count
+  const SENSITIVE_URLS = [
+    { host: /(?:^|[.-])(?:bank|banking|ebanking|netbank|onlinebanking|mybank)(?:[.-]|$)|(?:^|\.)(?:chase|bankofamerica|wellsfargo|citi|capitalone|usbank|hsbc|barclays|santander|revolut|monzo|n26|wise|paypal)\.[a-z.]+$/i, detail: 'banking site' },
+    { host: /(?:^|[.-])(?:mychart|patientportal|myhealth|healthportal|patient)(?:[.-]|$)/i, path: /\/(?:mychart|patient-?portal|medical-records)(?:[/?#]|$)/, detail: 'health portal' },
+    { path: /\/(?:checkout|payment|billing)(?:[/?#]|$)/, detail: 'checkout page' },
+    { path: /\/(?:login|log-in|signin|sign-in|logon|auth|2fa|mfa)(?:[/?#]|$)/, detail: 'login page' }
+  ];
+
+  /**
+   * Sensitive category of a URL (banking, health, checkout or login), used
+   * by the content script's page check and for PDFs, which have no DOM to
+   * inspect.
+   * @param {string} url
+   * @returns {string|null} short description, or null
+   */
+  function sensitiveUrlDetail(url) {
+    let u;
+    try { u = new URL(url); } catch (_) { return null; }
+    for (const rule of SENSITIVE_URLS) {
+      if ((rule.host && rule.host.test(u.hostname)) || (rule.path && rule.path.test(u.pathname))) return rule.detail;
+    }
+    return null;
+  }
+
+  scope.parseCaptureRules = parseCaptureRules;
+  scope.formatCaptureRules = formatCaptureRules;
+  scope.normalizeCaptureRule = normalizeCaptureRule;
+  scope.evaluateCaptureRules = evaluateCaptureRules;
+  scope.migrateDomainLists = migrateDomainLists;
+  scope.contentScriptPatterns = contentScriptPatterns;
+  scope.sensitiveUrlDetail = sensitiveUrlDetail;
+})(typeof self !== 'undefined' ? self : this);
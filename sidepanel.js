@@ -215,6 +215,7 @@ function runSearch(optionalQuery) {
   chrome.runtime.sendMessage({ type: 'SEARCH_QUERY', query, limit }, (response) => {
     resultsDiv.innerHTML = '';
     if (response?.error) {
+      if (response.locked) refreshVaultState();
       const errElem = document.createElement('div');
       errElem.textContent = `Error: ${response.error}`;
       resultsDiv.appendChild(errElem);
@@ -244,7 +245,8 @@ function runSearch(optionalQuery) {
     // Collapse by canonical URL: take top per canonicalUrl
     const groups = new Map();
     for (const r of results) {
-      const key = r.canonicalUrl || r.url;
+      // Clips stay separate from hits on the page they were taken from
+      const key = r.kind === 'clip' ? `clip:${r.clipId}` : (r.canonicalUrl || r.url);
       if (!groups.has(key)) groups.set(key, []);
       groups.get(key).push(r);
     }
@@ -287,20 +289,77 @@ function runSearch(optionalQuery) {
       if (typeof res.llmRankPct === 'number') parts.push(`LLM rank: ${(res.llmRankPct/10).toFixed(1)}/10`);
       if (typeof res.calibrated === 'number') parts.push(`Calibrated: ${res.calibrated}%`);
       if (res.containsExact) parts.push('[Exact match]');
+      if (res.seen === true) parts.push('[Seen]');
+      if (res.kind === 'clip') parts.push('[Clip]');
       if (parts.length > 0) meta.textContent = parts.join(' · ');
       if (typeof res.recencyWeight === 'number') {
         meta.title = `Similarity: ${res.similarityPct ?? 'n/a'}%\nLLM rank: ${res.llmRankPct ? (res.llmRankPct/10).toFixed(1) : 'n/a' }/10\nRecency weight: ${res.recencyWeight.toFixed(3)}\nCalibrated: ${res.calibrated ?? 'n/a'}%`;
       }
       if (parts.length > 0) container.appendChild(meta);
-      const snippet = document.createElement('p');
-      snippet.className = 'snippet';
-      snippet.innerHTML = highlightPhrase((res.snippet || '') + '...', (document.getElementById('query').value || ''));
-      container.appendChild(snippet);
+      const dates = formatPageDates(res.publishedAt, res.timestamp, res.author);
+      if (dates) {
+        const datesDiv = document.createElement('div');
+        datesDiv.className = 'snippet page-dates';
+        datesDiv.textContent = dates;
+        container.appendChild(datesDiv);
+      }
+      // Near-duplicate copies of this page (mirrors, AMP, syndication) collapsed by the search
+      if (Array.isArray(res.duplicates) && res.duplicates.length > 0) {
+        const dupDiv = document.createElement('div');
+        dupDiv.className = 'snippet page-dates';
+        dupDiv.appendChild(document.createTextNode('Also at: '));
+        res.duplicates.forEach((d, i) => {
+          if (i > 0) dupDiv.appendChild(document.createTextNode(', '));
+          const a = document.createElement('a');
+          a.href = d.url;
+          a.target = '_blank';
+          try { a.textContent = new URL(d.url).hostname; } catch (_) { a.textContent = d.url; }
+          a.title = d.title || d.url;
+          dupDiv.appendChild(a);
+        });
+        container.appendChild(dupDiv);
+      }
+      if (res.kind === 'code') {
+        // Code hits: monospace, whitespace preserved, language label when known
+        const pre = document.createElement('pre');
+        pre.className = 'code-snippet';
+        if (res.lang) pre.dataset.lang = res.lang;
+        pre.innerHTML = highlightPhrase(res.snippet || '', (document.getElementById('query').value || ''));
+        container.appendChild(pre);
+      } else {
+        const snippet = document.createElement('p');
+        snippet.className = 'snippet';
+        snippet.innerHTML = highlightPhrase((res.snippet || '') + (res.kind === 'clip' ? '' : '...'), (document.getElementById('query').value || ''));
+        container.appendChild(snippet);
+      }
+      if (res.kind === 'clip' && (res.note || (res.tags && res.tags.length))) {
+        const noteDiv = document.createElement('div');
+        noteDiv.className = 'snippet page-dates';
+        noteDiv.textContent = [res.note ? `Note: ${res.note}` : '', res.tags && res.tags.length ? res.tags.map(t => `#${t}`).join(' ') : ''].filter(Boolean).join(' · ');
+        container.appendChild(noteDiv);
+      }
       resultsDiv.appendChild(container);
     }
   });
 }
 
+/**
+ * "Published <date> · Visited <date>" line for a result or source. The page's
+ * declared publication date (metadata) is shown separately from when it was
+ * captured so older articles are not mistaken for recent ones.
+ * @param {number} [publishedAt]
+ * @param {number} [visitedAt]
+ * @param {string} [author]
+ * @returns {string}
+ */
+function formatPageDates(publishedAt, visitedAt, author) {
+  const parts = [];
+  if (author) parts.push(`By ${author}`);
+  if (typeof publishedAt === 'number') parts.push(`Published ${new Date(publishedAt).toLocaleDateString()}`);
+  if (typeof visitedAt === 'number') parts.push(`Visited ${new Date(visitedAt).toLocaleDateString()}`);
+  return parts.join(' · ');
+}
+
 function escapeHtml(s) { return (s||'').replace(/[&<>]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;'}[c])); }
 function escapeRegex(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
 function highlightPhrase(text, phrase) {
@@ -352,6 +411,7 @@ document.getElementById('highlightsBtn').addEventListener('click', () => {
   chrome.runtime.sendMessage({ type: 'GET_HIGHLIGHTS' }, (response) => {
     highlightDiv.innerHTML = '';
     if (response?.error) {
+      if (response.locked) refreshVaultState();
       highlightDiv.textContent = `Error: ${response.error}`;
       return;
     }
@@ -419,6 +479,7 @@ document.getElementById('askBtn').addEventListener('click', () => {
       return;
     }
     if (response.error) {
+      if (response.locked) refreshVaultState();
       answerDiv.textContent = `Error: ${response.error}`;
     } else {
       const text = (response.answer !== undefined && response.answer !== null) ? response.answer : 'No answer.';
@@ -436,8 +497,9 @@ document.getElementById('askBtn').addEventListener('click', () => {
           idx.textContent = `[${s.index}] `;
           li.appendChild(idx);
           const a = document.createElement('a');
-          a.href = s.url;
-          a.textContent = s.title;
+          // Chrome's PDF viewer opens at #page=N
+          a.href = s.page ? `${s.url.split('#')[0]}#page=${s.page}` : s.url;
+          a.textContent = s.page ? `${s.title}, p. ${s.page}` : s.title;
           a.target = '_blank';
           li.appendChild(a);
           if (s.domain) {
@@ -446,6 +508,13 @@ document.getElementById('askBtn').addEventListener('click', () => {
             span.style.marginLeft = '4px';
             li.appendChild(span);
           }
+          const dates = formatPageDates(s.publishedAt, s.visitedAt);
+          if (dates) {
+            const datesDiv = document.createElement('div');
+            datesDiv.className = 'page-dates';
+            datesDiv.textContent = dates;
+            li.appendChild(datesDiv);
+          }
           // Placeholder for inline explanation under each source
           const explainDiv = document.createElement('div');
           explainDiv.className = 'explain-block';
@@ -461,7 +530,7 @@ document.getElementById('askBtn').addEventListener('click', () => {
       copyBtn.addEventListener('click', async () => {
         let copyText = text;
         if (Array.isArray(response.sources) && response.sources.length) {
-          copyText += '\n\nSources:\n' + response.sources.map(s => `[${s.index}] ${s.title}${s.domain ? ` (${s.domain})` : ''} — ${s.url}`).join('\n');
+          copyText += '\n\nSources:\n' + response.sources.map(s => `[${s.index}] ${s.title}${s.domain ? ` (${s.domain})` : ''}${s.page ? `, p. ${s.page}` : ''} — ${s.url}`).join('\n');
         }
         try {
           await navigator.clipboard.writeText(copyText);
@@ -550,11 +619,25 @@ function initSettings() {
   const enableTools = document.getElementById('enableTools');
   const maxToolSteps = document.getElementById('maxToolSteps');
   const toolTimeoutMs = document.getElementById('toolTimeoutMs');
+  const chunkTargetWords = document.getElementById('chunkTargetWords');
+  const chunkOverlapWords = document.getElementById('chunkOverlapWords');
+  const captureMinDwellSec = document.getElementById('captureMinDwellSec');
+  const captureMinScrollPct = document.getElementById('captureMinScrollPct');
+  const engagementBoost = document.getElementById('engagementBoost');
+  const seenMode = document.getElementById('seenMode');
+  const redactTypeBoxes = Array.from(document.querySelectorAll('.redactType'));
+  const pipelineInputs = Array.from(document.querySelectorAll('.pipelineSetting'));
+  const deferHeavyJobs = document.getElementById('deferHeavyJobs');
+  const captureIncognito = document.getElementById('captureIncognito');
   const calibWSim = document.getElementById('calibWSim');
   const calibWLLM = document.getElementById('calibWLLM');
   const saveCalibBtn = document.getElementById('saveCalibBtn');
-  const whitelist = document.getElementById('whitelist');
-  const blacklist = document.getElementById('blacklist');
+  const captureRules = document.getElementById('captureRules');
+  const rulesErrors = document.getElementById('rulesErrors');
+  const testRuleUrl = document.getElementById('testRuleUrl');
+  const testRuleBtn = document.getElementById('testRuleBtn');
+  const testRuleResult = document.getElementById('testRuleResult');
+  const sensitiveAllow = document.getElementById('sensitiveAllow');
   const saveRulesBtn = document.getElementById('saveRulesBtn');
   const manageMemoryBtn = document.getElementById('manageMemoryBtn');
   // Load
@@ -569,13 +652,27 @@ function initSettings() {
       if (typeof resp.enableTools === 'boolean') enableTools.checked = !!resp.enableTools;
       if (typeof resp.maxToolSteps === 'number') maxToolSteps.value = resp.maxToolSteps;
       if (typeof resp.toolTimeoutMs === 'number') toolTimeoutMs.value = resp.toolTimeoutMs;
+      if (typeof resp.chunkTargetWords === 'number') chunkTargetWords.value = resp.chunkTargetWords;
+      if (typeof resp.chunkOverlapWords === 'number') chunkOverlapWords.value = resp.chunkOverlapWords;
+      if (typeof resp.captureMinDwellMs === 'number') captureMinDwellSec.value = Math.round(resp.captureMinDwellMs / 1000);
+      if (typeof resp.captureMinScrollPct === 'number') captureMinScrollPct.value = resp.captureMinScrollPct;
+      if (typeof resp.engagementBoost === 'number') engagementBoost.value = resp.engagementBoost;
+      if (resp.seenMode) seenMode.value = resp.seenMode;
+      if (resp.redactTypes) {
+        for (const cb of redactTypeBoxes) cb.checked = resp.redactTypes[cb.dataset.type] !== false;
+      }
+      for (const input of pipelineInputs) {
+        if (typeof resp[input.dataset.key] === 'number') input.value = resp[input.dataset.key];
+      }
+      if (typeof resp.deferHeavyJobs === 'boolean') deferHeavyJobs.checked = resp.deferHeavyJobs;
+      captureIncognito.checked = !!resp.captureIncognito;
     }
   });
   // Load capture rules
   chrome.runtime.sendMessage({ type: 'GET_CAPTURE_RULES' }, (resp) => {
     if (resp && !resp.error) {
-      whitelist.value = (resp.whitelistDomains || []).join('\n');
-      blacklist.value = (resp.blacklistDomains || []).join('\n');
+      captureRules.value = resp.text || '';
+      sensitiveAllow.value = (resp.sensitiveAllowDomains || []).join('\n');
     }
   });
   chrome.runtime.sendMessage({ type: 'GET_CALIBRATION' }, (c) => {
@@ -621,6 +718,73 @@ function initSettings() {
       showToast('Tool timeout saved');
     });
   });
+  // Worker counts, batch size and Ollama rate cap; clamped to each input's min/max
+  for (const input of pipelineInputs) {
+    input.addEventListener('change', (e) => {
+      const min = Number(e.target.min);
+      const max = Number(e.target.max);
+      const v = Math.min(max, Math.max(min, parseInt(e.target.value, 10) || min));
+      e.target.value = v;
+      chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { [e.target.dataset.key]: v } }, () => {
+        showToast('Processing setting saved');
+      });
+    });
+  }
+  captureIncognito.addEventListener('change', (e) => {
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { captureIncognito: !!e.target.checked } }, () => {
+      showToast(e.target.checked ? 'Incognito tabs will be captured' : 'Incognito tabs are not captured');
+      refreshTabCaptureState();
+    });
+  });
+  deferHeavyJobs.addEventListener('change', (e) => {
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { deferHeavyJobs: !!e.target.checked } }, () => {
+      showToast(e.target.checked ? 'Heavy jobs wait for idle time' : 'Heavy jobs run right away');
+    });
+  });
+  chunkTargetWords.addEventListener('change', (e) => {
+    const v = Math.max(32, parseInt(e.target.value, 10) || 320);
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { chunkTargetWords: v } }, () => {
+      showToast('Chunk size saved');
+    });
+  });
+  chunkOverlapWords.addEventListener('change', (e) => {
+    const v = Math.max(0, parseInt(e.target.value, 10) || 0);
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { chunkOverlapWords: v } }, () => {
+      showToast('Chunk overlap saved');
+    });
+  });
+  captureMinDwellSec.addEventListener('change', (e) => {
+    const v = Math.max(0, parseInt(e.target.value, 10) || 0);
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { captureMinDwellMs: v * 1000 } }, () => {
+      showToast('Capture dwell time saved');
+    });
+  });
+  captureMinScrollPct.addEventListener('change', (e) => {
+    const v = Math.max(0, Math.min(100, parseInt(e.target.value, 10) || 0));
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { captureMinScrollPct: v } }, () => {
+      showToast('Capture scroll depth saved');
+    });
+  });
+  engagementBoost.addEventListener('change', (e) => {
+    const v = Math.max(0, Math.min(1, parseFloat(e.target.value) || 0));
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { engagementBoost: v } }, () => {
+      showToast('Engagement boost saved');
+    });
+  });
+  seenMode.addEventListener('change', (e) => {
+    chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { seenMode: e.target.value } }, () => {
+      showToast('Seen text mode saved');
+    });
+  });
+  for (const cb of redactTypeBoxes) {
+    cb.addEventListener('change', () => {
+      const redactTypes = {};
+      for (const box of redactTypeBoxes) redactTypes[box.dataset.type] = !!box.checked;
+      chrome.runtime.sendMessage({ type: 'SET_SETTINGS', payload: { redactTypes } }, () => {
+        showToast('Redaction settings saved');
+      });
+    });
+  }
   // Base URL saving and connectivity tests are handled per-provider in Provider Settings.
   saveCalibBtn.addEventListener('click', () => {
     const wSim = parseFloat(calibWSim.value);
@@ -631,12 +795,36 @@ function initSettings() {
     });
   });
   saveRulesBtn.addEventListener('click', () => {
-    const wl = whitelist.value.split(/\n+/).map(s => s.trim()).filter(Boolean);
-    const bl = blacklist.value.split(/\n+/).map(s => s.trim()).filter(Boolean);
-    chrome.runtime.sendMessage({ type: 'SET_CAPTURE_RULES', whitelistDomains: wl, blacklistDomains: bl }, () => {
-      showToast('Rules saved');
+    const sa = sensitiveAllow.value.split(/\n+/).map(s => s.trim()).filter(Boolean);
+    chrome.runtime.sendMessage({ type: 'SET_CAPTURE_RULES', text: captureRules.value, sensitiveAllowDomains: sa }, (resp) => {
+      if (resp && Array.isArray(resp.errors) && resp.errors.length) {
+        rulesErrors.textContent = resp.errors.map(e => `Line ${e.line}: ${e.error}`).join('\n');
+        showToast('Rules not saved');
+        return;
+      }
+      rulesErrors.textContent = '';
+      showToast(resp && resp.error ? 'Save failed: ' + resp.error : 'Rules saved');
     });
   });
+  // Tests the rules as currently typed, so they can be tried before saving
+  const testRule = () => {
+    const url = testRuleUrl.value.trim();
+    if (!url) return;
+    chrome.runtime.sendMessage({ type: 'TEST_CAPTURE_URL', url, text: captureRules.value }, (resp) => {
+      if (!resp || resp.error) {
+        testRuleResult.textContent = 'Test failed: ' + ((resp && resp.error) || 'no response');
+      } else if (Array.isArray(resp.errors) && resp.errors.length) {
+        testRuleResult.textContent = resp.errors.map(e => `Line ${e.line}: ${e.error}`).join('; ');
+      } else {
+        const verdict = resp.allow ? 'Captured' : 'Not captured';
+        const why = resp.rule ? `line ${resp.line || resp.index + 1}: ${resp.ruleText}` : `no rule matched (default ${resp.defaultAction})`;
+        testRuleResult.textContent = `${verdict} — ${why}${resp.paused ? ' (capture is paused)' : ''}`;
+      }
+      testRuleResult.style.color = resp && resp.allow ? '#1a7f37' : '#b00020';
+    });
+  };
+  testRuleBtn.addEventListener('click', testRule);
+  testRuleUrl.addEventListener('keydown', (e) => { if (e.key === 'Enter') testRule(); });
   manageMemoryBtn.addEventListener('click', () => {
     window.open(chrome.runtime.getURL('manage.html'), '_blank');
   });
@@ -677,11 +865,13 @@ function renderList(elemId, items, isSaved = false) {
     if (!isSaved && it.status) {
       suffix += ` — ${it.status}`;
       if (typeof it.attempts === 'number') suffix += ` (attempts: ${it.attempts})`;
+      if (it.nextRunAt && it.nextRunAt > Date.now()) suffix += ` — retry at ${new Date(it.nextRunAt).toLocaleTimeString()}`;
     }
     small.textContent = suffix;
     small.style.marginLeft = '6px';
     small.style.fontSize = '0.85em';
     small.style.color = '#666';
+    if (!isSaved && it.lastError) small.title = it.lastError;
     li.appendChild(small);
     if (!isSaved) {
       const btn = document.createElement('button');
@@ -722,10 +912,80 @@ function renderList(elemId, items, isSaved = false) {
   }
 }
 
+// Live throughput line for the processing section (GET_PROCESSING stats)
+function renderPipelineStats(stats) {
+  const el = document.getElementById('processingStats');
+  if (!el) return;
+  if (!stats || !stats.capture) {
+    el.style.display = 'none';
+    return;
+  }
+  const c = stats.capture;
+  const s = stats.summary || {};
+  const o = stats.ollama || {};
+  const parts = [
+    `Embed ${c.running}/${c.limit} running, ${c.queued} queued, ${c.perMinute} pages/min (${c.chunksPerMinute} chunks/min)`,
+    `Summaries ${s.running || 0}/${s.limit || 1} running, ${s.queued || 0} queued${stats.deferred ? ' (waiting for idle)' : `, ${s.perMinute || 0}/min`}`,
+    `Ollama ${o.inFlight || 0}/${o.maxConcurrent || 1} in flight${o.waiting ? `, ${o.waiting} waiting` : ''}`
+  ];
+  el.textContent = parts.join(' · ');
+  el.title = c.avgMs ? `Average page time ${Math.round(c.avgMs / 100) / 10}s over the last ${Math.round(stats.windowMs / 60000)} min` : '';
+  el.style.display = (c.running || c.queued || c.completed || s.running || s.queued || s.completed) ? '' : 'none';
+}
+
+// Auto-captures refused on sensitive pages, each with a per-domain override
+function renderSkipped(items) {
+  const section = document.getElementById('skippedSection');
+  const ul = document.getElementById('skippedList');
+  if (!section || !ul) return;
+  ul.innerHTML = '';
+  section.style.display = items && items.length ? '' : 'none';
+  for (const it of (items || [])) {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = it.url;
+    a.target = '_blank';
+    a.textContent = it.title || it.url;
+    li.appendChild(a);
+    const small = document.createElement('span');
+    small.textContent = ` — skipped: ${it.reason}${it.detail ? ` (${it.detail})` : ''}`;
+    small.style.marginLeft = '6px';
+    small.style.fontSize = '0.85em';
+    small.style.color = '#666';
+    li.appendChild(small);
+    if (it.domain) {
+      const allowBtn = document.createElement('button');
+      allowBtn.textContent = `Allow ${it.domain}`;
+      allowBtn.title = 'Capture this domain even when it looks sensitive';
+      allowBtn.style.marginLeft = '8px';
+      allowBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'ALLOW_SENSITIVE_DOMAIN', domain: it.domain }, (resp) => {
+          if (resp?.error) {
+            showToast('Override failed: ' + resp.error);
+          } else {
+            showToast(resp.recaptured ? `Allowed ${it.domain}; capturing…` : `Allowed ${it.domain}`);
+            refreshStatus();
+          }
+        });
+      });
+      li.appendChild(allowBtn);
+    }
+    const dismissBtn = document.createElement('button');
+    dismissBtn.textContent = 'Dismiss';
+    dismissBtn.style.marginLeft = '6px';
+    dismissBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'DISMISS_SKIPPED', url: it.url }, () => refreshStatus());
+    });
+    li.appendChild(dismissBtn);
+    ul.appendChild(li);
+  }
+}
+
 function refreshStatus() {
   chrome.runtime.sendMessage({ type: 'GET_PROCESSING' }, (resp) => {
     if (resp && !resp.error) {
       renderList('processingList', resp.processing || [], false);
+      renderPipelineStats(resp.stats);
     }
   });
   chrome.runtime.sendMessage({ type: 'GET_PAGE_LIST' }, (resp) => {
@@ -733,6 +993,11 @@ function refreshStatus() {
       renderList('savedList', resp.pages || [], true);
     }
   });
+  chrome.runtime.sendMessage({ type: 'GET_SKIPPED' }, (resp) => {
+    if (resp && !resp.error) {
+      renderSkipped(resp.skipped || []);
+    }
+  });
 }
 
 refreshStatus();
@@ -765,6 +1030,9 @@ chrome.runtime.onMessage.addListener((msg) => {
   if (msg?.type === 'PAGE_PROCESSING_STARTED') {
     refreshStatus();
   }
+  if (msg?.type === 'PAGE_PROCESSING_UPDATED') {
+    refreshStatus();
+  }
   if (msg?.type === 'PAGE_PROCESSING_ENDED') {
     refreshStatus();
   }
@@ -772,6 +1040,18 @@ chrome.runtime.onMessage.addListener((msg) => {
     showToast('Captured!');
     refreshStatus();
   }
+  if (msg?.type === 'PAGE_CAPTURE_SKIPPED' || msg?.type === 'HISTORY_PURGED') {
+    refreshStatus();
+  }
+  if (msg?.type === 'TAB_CAPTURE_STATE') {
+    if (msg.tabId === TAB_CAPTURE_TAB_ID) refreshTabCaptureState();
+  }
+  if (msg?.type === 'CLIP_DRAFT') {
+    showClipDraft(msg.draft);
+  }
+  if (msg?.type === 'CLIP_BLOCKED') {
+    showToast(msg.reason === 'incognito' ? 'Clip not saved: capture is off in incognito windows' : 'Clip not saved: capture is off for this tab');
+  }
   if (msg?.type === 'PREFILL_QUERY') {
     if (msg.query) {
       const q = document.getElementById('query');
@@ -791,7 +1071,7 @@ document.getElementById('openLogsBtn').addEventListener('click', () => {
 document.getElementById('retryAllBtn').addEventListener('click', () => {
   chrome.runtime.sendMessage({ type: 'GET_PROCESSING' }, (resp) => {
     const list = (resp && Array.isArray(resp.processing)) ? resp.processing : [];
-    const failed = list.filter(p => p.status === 'error');
+    const failed = list.filter(p => p.status === 'failed');
     if (failed.length === 0) {
       showToast('No failed items');
       return;
@@ -815,12 +1095,49 @@ document.getElementById('captureNowBtn').addEventListener('click', () => {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     const tab = tabs && tabs[0];
     if (tab && tab.id) {
-      chrome.tabs.sendMessage(tab.id, { type: 'FORCE_CAPTURE' }, () => {});
+      // The worker injects the content script if needed (sites excluded by rules) or parses PDFs
+      chrome.runtime.sendMessage({ type: 'CAPTURE_TAB', tabId: tab.id }, (res) => {
+        if (res && res.ok) {
+          if (res.pdf) showToast(res.pages ? `PDF captured (${res.pages} pages)` : 'PDF capture requested');
+        } else {
+          showToast(`Capture failed: ${(res && res.error) || 'no response'}`);
+        }
+      });
       showToast('Capture requested...');
     }
   });
 });
 
+// Per-tab no-capture toggle for the active tab
+let TAB_CAPTURE_TAB_ID = null;
+function refreshTabCaptureState() {
+  if (!chrome.tabs) return;
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs && tabs[0];
+    const box = document.getElementById('tabNoCapture');
+    const label = document.getElementById('tabNoCaptureLabel');
+    if (!box || !tab || typeof tab.id !== 'number') return;
+    TAB_CAPTURE_TAB_ID = tab.id;
+    chrome.runtime.sendMessage({ type: 'GET_TAB_CAPTURE', tabId: tab.id }, (resp) => {
+      if (!resp || resp.error || resp.tabId !== TAB_CAPTURE_TAB_ID) return;
+      box.checked = !!resp.noCapture || !!resp.incognitoBlocked;
+      box.disabled = !!resp.incognitoBlocked;
+      if (label) label.title = resp.incognitoBlocked ? 'Incognito tabs are not captured (see Settings)' : 'Auto-capture stays on for other tabs; Capture Now still works';
+    });
+  });
+}
+document.getElementById('tabNoCapture').addEventListener('change', (e) => {
+  if (typeof TAB_CAPTURE_TAB_ID !== 'number') return;
+  const noCapture = !!e.target.checked;
+  chrome.runtime.sendMessage({ type: 'SET_TAB_CAPTURE', tabId: TAB_CAPTURE_TAB_ID, noCapture }, () => {
+    showToast(noCapture ? 'Not capturing this tab' : 'Capturing this tab');
+  });
+});
+if (chrome.tabs) {
+  try { chrome.tabs.onActivated.addListener(() => refreshTabCaptureState()); } catch (_) {}
+}
+refreshTabCaptureState();
+
 // Open full Highlights page
 const openHighlightsBtn = document.getElementById('openHighlightsBtn');
 if (openHighlightsBtn) {
@@ -839,6 +1156,121 @@ if (settingsTopBtn) {
   });
 }
 
+// Encryption at rest: unlock banner while locked, turn on/off and lock in Settings
+function renderVaultState(state) {
+  const st = state || {};
+  const banner = document.getElementById('vaultLock');
+  if (banner) banner.style.display = st.locked ? '' : 'none';
+  const status = document.getElementById('vaultStatus');
+  if (status) status.textContent = st.busy ? 'applying…' : (!st.enabled ? 'off' : (st.locked ? 'on, locked' : 'on, unlocked'));
+  const show = (id, visible) => { const el = document.getElementById(id); if (el) el.style.display = visible ? '' : 'none'; };
+  show('vaultConfirmPassphrase', !st.enabled);
+  show('vaultEnableBtn', !st.enabled);
+  show('vaultDisableBtn', !!st.enabled);
+  show('vaultLockBtn', !!st.enabled && !st.locked);
+}
+function refreshVaultState() {
+  chrome.runtime.sendMessage({ type: 'GET_VAULT_STATE' }, (resp) => {
+    if (resp && resp.ok) renderVaultState(resp.state);
+  });
+}
+function sendVault(type, passphrase, done) {
+  chrome.runtime.sendMessage({ type, passphrase }, (resp) => {
+    if (resp && resp.ok) renderVaultState(resp.state);
+    done(resp && resp.ok ? null : ((resp && resp.error) || 'no response'));
+  });
+}
+document.getElementById('vaultUnlockBtn').addEventListener('click', () => {
+  const input = document.getElementById('vaultPassphrase');
+  const errEl = document.getElementById('vaultLockError');
+  errEl.textContent = '';
+  sendVault('UNLOCK_VAULT', input.value, (err) => {
+    if (err) { errEl.textContent = err; return; }
+    input.value = '';
+    showToast('Unlocked');
+  });
+});
+document.getElementById('vaultPassphrase').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') document.getElementById('vaultUnlockBtn').click();
+});
+document.getElementById('vaultEnableBtn').addEventListener('click', () => {
+  const pass = document.getElementById('vaultNewPassphrase');
+  const again = document.getElementById('vaultConfirmPassphrase');
+  if (pass.value !== again.value) { alert('The passphrases do not match'); return; }
+  if (!confirm('Encrypt everything stored so far? Without the passphrase your history cannot be read, and it cannot be recovered.')) return;
+  showToast('Encrypting…');
+  sendVault('ENABLE_VAULT', pass.value, (err) => {
+    if (err) { alert(`Encryption not turned on: ${err}`); return; }
+    pass.value = ''; again.value = '';
+    showToast('Encryption on');
+  });
+});
+document.getElementById('vaultDisableBtn').addEventListener('click', () => {
+  const pass = document.getElementById('vaultNewPassphrase');
+  if (!pass.value) { alert('Enter your passphrase to turn encryption off'); return; }
+  if (!confirm('Store your history unencrypted again?')) return;
+  showToast('Decrypting…');
+  sendVault('DISABLE_VAULT', pass.value, (err) => {
+    if (err) { alert(`Encryption not turned off: ${err}`); return; }
+    pass.value = '';
+    showToast('Encryption off');
+  });
+});
+document.getElementById('vaultLockBtn').addEventListener('click', () => {
+  sendVault('LOCK_VAULT', undefined, (err) => showToast(err ? `Lock failed: ${err}` : 'Locked'));
+});
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'VAULT_STATE') renderVaultState(msg.state);
+});
+refreshVaultState();
+
+// "Remember selection": the background stashes the selection as `pendingClip`
+// until it is saved with a note and tags, or discarded
+let CLIP_DRAFT = null;
+function showClipDraft(draft) {
+  const box = document.getElementById('clipDraft');
+  if (!box) return;
+  CLIP_DRAFT = draft && draft.text ? draft : null;
+  box.style.display = CLIP_DRAFT ? '' : 'none';
+  if (!CLIP_DRAFT) return;
+  document.getElementById('clipDraftText').textContent = CLIP_DRAFT.text;
+  let host = '';
+  try { host = new URL(CLIP_DRAFT.url).hostname; } catch (_) {}
+  document.getElementById('clipDraftSource').textContent = CLIP_DRAFT.title ? `${CLIP_DRAFT.title}${host ? ` (${host})` : ''}` : (host || CLIP_DRAFT.url || '');
+  document.getElementById('clipNote').value = '';
+  document.getElementById('clipTags').value = '';
+  document.getElementById('clipNote').focus();
+}
+document.getElementById('clipSaveBtn').addEventListener('click', () => {
+  if (!CLIP_DRAFT) return;
+  const clip = {
+    ...CLIP_DRAFT,
+    note: document.getElementById('clipNote').value,
+    tags: document.getElementById('clipTags').value
+  };
+  chrome.runtime.sendMessage({ type: 'SAVE_CLIP', clip }, (resp) => {
+    if (resp && resp.ok) {
+      showClipDraft(null);
+      showToast('Clip saved');
+    } else {
+      if (resp && resp.locked) refreshVaultState();
+      showToast(`Clip not saved: ${(resp && resp.error) || 'unknown error'}`);
+    }
+  });
+});
+document.getElementById('clipDiscardBtn').addEventListener('click', () => {
+  showClipDraft(null);
+  chrome.storage.local.remove('pendingClip');
+  chrome.storage.session.remove('pendingClip');
+});
+// Kept in session storage instead while encryption is on
+chrome.storage.session.get(['pendingClip'], (session) => {
+  chrome.storage.local.get(['pendingClip'], (res) => {
+    const draft = (session && session.pendingClip) || res.pendingClip;
+    if (draft) showClipDraft(draft);
+  });
+});
+
 // Pre-fill query if background stashed one
 chrome.storage.local.get(['prefillQuery', 'prefillDoSearch'], (res) => {
   const q = (res.prefillQuery || '').trim();
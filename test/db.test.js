@@ -0,0 +1,218 @@
+// Schema migrations (db.js): a fixture database per historical version is
+// upgraded with openDB(), then record counts and shapes are checked.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('fake-indexeddb/auto');
+globalThis.self = globalThis;
+require('../text.js');
+require('../vectors.js');
+require('../db.js');
+
+const { DB_NAME, DB_VERSION, DB_MIGRATIONS, STORE_NAME, VERSIONS_STORE, CHUNKS_STORE, HIGHLIGHTS_STORE, JOBS_STORE, CLIPS_STORE, MIGRATIONS_STORE } = self;
+const T0 = Date.UTC(2024, 0, 1);
+
+function req(r) {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+const item = (p, i) => ({ text: `page ${p} chunk ${i}`, embedding: [p, i, 0.5] });
+
+// Flat record as written before versions[] existed
+function legacyPage(p) {
+  const items = [item(p, 0), item(p, 1)];
+  return {
+    url: `https://example.com/legacy/${p}`,
+    canonicalUrl: `https://example.com/legacy/${p}`,
+    title: `Legacy ${p}`,
+    timestamp: T0 + p,
+    items,
+    centroid: [p, 0.5, 0.5],
+    summary: `summary ${p}`
+  };
+}
+
+// Record with versions[] kept in the pages store (before normalization)
+function versionedPage(p, { latestVersionIndex = 1 } = {}) {
+  const version = (n) => ({
+    timestamp: T0 + p * 10 + n,
+    hash: p * 10 + n,
+    items: [item(p, n), item(p, n + 1), item(p, n + 2)],
+    centroid: [p, n, 0.5],
+    summary: n ? `summary ${p}` : ''
+  });
+  return {
+    url: `https://example.com/versioned/${p}`,
+    canonicalUrl: `https://example.com/versioned/${p}`,
+    title: `Versioned ${p}`,
+    timestamp: T0 + p * 10 + 1,
+    latestVersionIndex,
+    versions: [version(0), version(1)]
+  };
+}
+
+// Normalized rows: plain number arrays (version 9) or Float32Array (10)
+function normalizedPage(id, typed = false) {
+  const vid = `${id}:0`;
+  const vec = (a) => typed ? Float32Array.from(a) : a;
+  const rows = {
+    head: {
+      id,
+      url: `https://example.com/normalized/${id}`,
+      canonicalUrl: `https://example.com/normalized/${id}`,
+      title: `Normalized ${id}`,
+      timestamp: T0 + id,
+      versionIds: [vid],
+      latestVersionIndex: 0,
+      nextVersionSeq: 1,
+      centroid: [id, 0.25, 0.5],
+      summary: ''
+    },
+    version: { id: vid, pageId: id, timestamp: T0 + id, hash: id, centroid: [id, 0.25, 0.5], summary: '', chunkCount: 2 },
+    chunks: [0, 1].map(index => ({ versionId: vid, index, pageId: id, ...item(id, index) }))
+  };
+  rows.head.centroid = vec(rows.head.centroid);
+  rows.version.centroid = vec(rows.version.centroid);
+  for (const c of rows.chunks) c.embedding = vec(c.embedding);
+  return rows;
+}
+
+const highlight = { date: '2024-01-01', generatedAt: T0, items: [] };
+const job = { id: 'capture:https://example.com/queued', kind: 'capture', key: 'https://example.com/queued', state: 'queued', nextRunAt: T0, attempts: 0, createdAt: T0, url: 'https://example.com/queued', payload: { url: 'https://example.com/queued' } };
+const clip = { type: 'clip', url: 'https://example.com/clip', title: 'Clip', text: 'clipped text', timestamp: T0, items: [{ text: 'clipped text', embedding: [1, 2, 3] }], centroid: [1, 2, 3] };
+
+/**
+ * Records present in a database at `version`, and the counts expected once
+ * it is upgraded: pages, versions and chunks after normalization.
+ */
+function fixture(version) {
+  const stores = {};
+  let expect = {};
+  if (version <= 7) {
+    // Legacy and versioned records side by side, as left by versions 3-7
+    stores[STORE_NAME] = [legacyPage(1), legacyPage(2), versionedPage(3)];
+    expect = { pages: 3, versions: 4, chunks: 2 + 2 + 6 };
+  } else if (version === 8) {
+    // Everything versioned; one record with an out of range latestVersionIndex
+    stores[STORE_NAME] = [versionedPage(1), versionedPage(2, { latestVersionIndex: 7 })];
+    expect = { pages: 2, versions: 4, chunks: 12 };
+  } else {
+    const rows = [normalizedPage(1, version >= 10), normalizedPage(2, version >= 10)];
+    stores[STORE_NAME] = rows.map(r => r.head);
+    stores[VERSIONS_STORE] = rows.map(r => r.version);
+    stores[CHUNKS_STORE] = rows.flatMap(r => r.chunks);
+    expect = { pages: 2, versions: 2, chunks: 4 };
+  }
+  if (version >= 4) stores[HIGHLIGHTS_STORE] = [highlight];
+  if (version >= 6) stores[JOBS_STORE] = [job];
+  if (version >= 7) {
+    stores[CLIPS_STORE] = [version >= 10
+      ? { ...clip, centroid: Float32Array.from(clip.centroid), items: clip.items.map(it => ({ ...it, embedding: Float32Array.from(it.embedding) })) }
+      : clip];
+  }
+  expect.highlights = version >= 4 ? 1 : 0;
+  expect.jobs = version >= 6 ? 1 : 0;
+  expect.clips = version >= 7 ? 1 : 0;
+  return { stores, expect };
+}
+
+// Build the schema of `version` (3: the bare pages store that predates the steps)
+async function createDatabase(version, stores) {
+  await req(indexedDB.deleteDatabase(DB_NAME));
+  const open = indexedDB.open(DB_NAME, version);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    const tx = open.transaction;
+    if (version === 3) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      return;
+    }
+    // Fixture stores are empty here, so the record rewrites have nothing to do
+    const ctx = { rewrite: () => Promise.resolve() };
+    for (const step of DB_MIGRATIONS) if (step.version <= version) step.up(db, tx, ctx);
+  };
+  const db = await req(open);
+  const names = Object.keys(stores);
+  if (names.length) {
+    const tx = db.transaction(names, 'readwrite');
+    for (const name of names) for (const rec of stores[name]) tx.objectStore(name).put(rec);
+    await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+  }
+  db.close();
+}
+
+async function readAll(db, name) {
+  if (!db.objectStoreNames.contains(name)) return [];
+  return req(db.transaction(name, 'readonly').objectStore(name).getAll());
+}
+
+const isF32 = (x) => x instanceof Float32Array;
+
+test('the last step sets DB_VERSION and steps are in order', () => {
+  assert.ok(DB_VERSION >= 10);
+  assert.equal(DB_VERSION, DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version);
+  DB_MIGRATIONS.forEach((step, i) => { if (i > 0) assert.equal(step.version, DB_MIGRATIONS[i - 1].version + 1); });
+});
+
+for (let version = 3; version <= DB_VERSION; version++) {
+  test(`upgrade from version ${version}`, async () => {
+    const { stores, expect } = fixture(version);
+    await createDatabase(version, stores);
+    const db = await self.openDB();
+    try {
+      assert.equal(db.version, DB_VERSION);
+      const pages = await readAll(db, STORE_NAME);
+      const versions = await readAll(db, VERSIONS_STORE);
+      const chunks = await readAll(db, CHUNKS_STORE);
+      assert.equal(pages.length, expect.pages, 'pages');
+      assert.equal(versions.length, expect.versions, 'versions');
+      assert.equal(chunks.length, expect.chunks, 'chunks');
+      assert.equal((await readAll(db, HIGHLIGHTS_STORE)).length, expect.highlights, 'highlights');
+      assert.equal((await readAll(db, JOBS_STORE)).length, expect.jobs, 'jobs');
+
+      // Heads: no embedded versions or items, a valid latest version, typed centroids
+      const versionIds = new Set(versions.map(v => v.id));
+      for (const head of pages) {
+        assert.equal(head.versions, undefined);
+        assert.equal(head.items, undefined);
+        assert.ok(Array.isArray(head.versionIds) && head.versionIds.length > 0);
+        assert.ok(head.latestVersionIndex >= 0 && head.latestVersionIndex < head.versionIds.length);
+        for (const vid of head.versionIds) assert.ok(versionIds.has(vid), `missing version ${vid}`);
+        assert.ok(isF32(head.centroid), 'head centroid');
+        assert.equal(typeof head.summary, 'string');
+      }
+      const pageIds = new Set(pages.map(p => p.id));
+      for (const v of versions) {
+        assert.ok(pageIds.has(v.pageId));
+        assert.ok(v.id.startsWith(`${v.pageId}:`));
+        assert.equal(v.items, undefined);
+        assert.ok(isF32(v.centroid), 'version centroid');
+        assert.equal(chunks.filter(c => c.versionId === v.id).length, v.chunkCount);
+      }
+      for (const c of chunks) {
+        assert.ok(versionIds.has(c.versionId));
+        assert.ok(isF32(c.embedding), 'chunk embedding');
+        assert.match(c.text, /^page \d+ chunk \d+$/);
+      }
+      // Legacy records keep their summary on the head
+      for (const head of pages.filter(p => p.url.includes('/legacy/'))) assert.match(head.summary, /^summary \d+$/);
+
+      const clips = await readAll(db, CLIPS_STORE);
+      assert.equal(clips.length, expect.clips, 'clips');
+      for (const c of clips) {
+        assert.ok(isF32(c.centroid));
+        assert.ok(c.items.every(it => isF32(it.embedding)));
+      }
+
+      // Every step newer than the fixture is logged once
+      const log = await readAll(db, MIGRATIONS_STORE);
+      assert.deepEqual(log.map(e => e.version), DB_MIGRATIONS.filter(s => s.version > version).map(s => s.version));
+      assert.ok(log.every(e => e.fromVersion === version));
+    } finally {
+      db.close();
+    }
+  });
+}
@@ -0,0 +1,119 @@
+// Persistent job queue (jobs.js): state transitions, backoff, restarts and lanes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('fake-indexeddb/auto');
+globalThis.self = globalThis;
+require('../text.js');
+require('../vectors.js');
+require('../db.js');
+require('../jobs.js');
+
+const { enqueueJob, takeDueJob, finishJob, retryJob, resetInterruptedJobs, nextJobRunAt, jobRetryDelay, getJob, listJobs, deleteJob, JOB_MAX_ATTEMPTS } = self;
+const SEC = 1000;
+
+test.beforeEach(async () => {
+  for (const job of await listJobs()) await deleteJob(job.id);
+});
+
+test('a job goes queued -> running -> done', async () => {
+  const queued = await enqueueJob({ kind: 'capture', key: 'https://example.com/a', payload: { n: 1 } });
+  assert.equal(queued.id, 'capture:https://example.com/a');
+  assert.equal(queued.state, 'queued');
+  assert.equal(queued.attempts, 0);
+
+  const running = await takeDueJob();
+  assert.equal(running.id, queued.id);
+  assert.equal(running.state, 'running');
+  assert.equal(running.attempts, 1);
+  assert.equal(await takeDueJob(), null, 'a running job is not handed out twice');
+
+  const done = await finishJob(queued.id);
+  assert.equal(done.state, 'done');
+  assert.equal(done.lastError, null);
+  assert.equal((await getJob(queued.id)).state, 'done');
+});
+
+test('failed runs are requeued with backoff until maxAttempts, then fail', async () => {
+  const { id } = await enqueueJob({ kind: 'capture', key: 'k', maxAttempts: 3 });
+  for (let attempt = 1; attempt < 3; attempt++) {
+    const job = await takeDueJob(Date.now() + 24 * 60 * 60 * SEC);
+    assert.equal(job.attempts, attempt);
+    const before = Date.now();
+    const next = await finishJob(id, new Error('offline'));
+    assert.equal(next.state, 'queued');
+    assert.equal(next.lastError, 'offline');
+    const delay = next.nextRunAt - before;
+    assert.ok(delay >= jobRetryDelay(attempt) && delay < jobRetryDelay(attempt) + SEC, `delay ${delay}`);
+    assert.equal(await takeDueJob(), null, 'not due before its backoff');
+  }
+  await takeDueJob(Date.now() + 24 * 60 * 60 * SEC);
+  const last = await finishJob(id, 'still offline');
+  assert.equal(last.state, 'failed');
+  assert.equal(last.attempts, 3);
+
+  const retried = await retryJob(id);
+  assert.equal(retried.state, 'queued');
+  assert.equal(retried.attempts, 0);
+  assert.ok((await takeDueJob()).id === id);
+});
+
+test('backoff doubles from a 30s base and is capped at an hour', () => {
+  assert.equal(jobRetryDelay(1), 30 * SEC);
+  assert.equal(jobRetryDelay(2), 60 * SEC);
+  assert.equal(jobRetryDelay(3), 120 * SEC);
+  assert.equal(jobRetryDelay(20), 60 * 60 * SEC);
+});
+
+test('resetInterruptedJobs puts running jobs back in the queue', async () => {
+  await enqueueJob({ kind: 'capture', key: 'a' });
+  await enqueueJob({ kind: 'capture', key: 'b', maxAttempts: 1 });
+  await enqueueJob({ kind: 'capture', key: 'c' });
+  await takeDueJob();
+  await takeDueJob();
+
+  assert.equal(await resetInterruptedJobs(), 2);
+  const jobs = new Map((await listJobs()).map(j => [j.key, j]));
+  assert.equal(jobs.get('a').state, 'queued');
+  assert.equal(jobs.get('a').lastError, 'Interrupted');
+  assert.equal(jobs.get('a').attempts, 1, 'the interrupted run still counts');
+  assert.equal(jobs.get('b').state, 'failed', 'that run was its last attempt');
+  assert.equal(jobs.get('c').state, 'queued');
+  assert.equal(await resetInterruptedJobs(), 0);
+});
+
+test('re-enqueueing a running job reruns it with the new payload', async () => {
+  const { id } = await enqueueJob({ kind: 'capture', key: 'k', payload: { v: 1 } });
+  await takeDueJob();
+  const rerun = await enqueueJob({ kind: 'capture', key: 'k', payload: { v: 2 } });
+  assert.equal(rerun.state, 'running');
+  assert.equal(rerun.rerun, true);
+  const next = await finishJob(id);
+  assert.equal(next.state, 'queued');
+  assert.deepEqual(next.payload, { v: 2 });
+});
+
+test('takeDueJob serves each lane in due order', async () => {
+  const now = Date.now();
+  await enqueueJob({ kind: 'summary', key: 's1' });
+  await enqueueJob({ kind: 'capture', key: 'late', delayMs: 10 * SEC });
+  await enqueueJob({ kind: 'capture', key: 'early', delayMs: 5 * SEC });
+  await enqueueJob({ kind: 'capture', key: 'later', delayMs: 60 * SEC });
+
+  assert.equal(await takeDueJob(now, 'capture'), null, 'no capture job is due yet');
+  assert.equal((await takeDueJob(Date.now(), 'summary')).key, 's1');
+  assert.equal(await nextJobRunAt(['summary']), null);
+  const nextCapture = await nextJobRunAt(['capture']);
+  assert.ok(nextCapture >= now + 5 * SEC && nextCapture < now + 6 * SEC);
+
+  const at = now + 30 * SEC;
+  assert.equal((await takeDueJob(at, 'capture')).key, 'early');
+  assert.equal((await takeDueJob(at, 'capture')).key, 'late');
+  assert.equal(await takeDueJob(at, 'capture'), null, 'the last one is still in the future');
+  assert.equal((await takeDueJob(now + 120 * SEC)).key, 'later');
+});
+
+test('JOB_MAX_ATTEMPTS is the default budget', async () => {
+  const job = await enqueueJob({ kind: 'capture', key: 'k' });
+  assert.equal(job.maxAttempts, JOB_MAX_ATTEMPTS);
+});
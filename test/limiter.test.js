@@ -0,0 +1,114 @@
+// Request limiter (limiter.js): concurrency and per-minute caps, slots held by response bodies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.self = globalThis;
+require('../limiter.js');
+
+const { createRateLimiter, holdSlotUntilRead } = self;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// A microtask-only wait: long enough for a free slot to be handed out
+const settle = () => sleep(0);
+
+test('maxConcurrent is never exceeded and every task runs', async () => {
+  const limiter = createRateLimiter({ maxConcurrent: 3 });
+  let running = 0;
+  let peak = 0;
+  const results = await Promise.all(Array.from({ length: 20 }, (_, i) => limiter.run(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(1 + (i * 7) % 5);
+    running--;
+    return i;
+  })));
+  assert.equal(peak, 3);
+  assert.deepEqual(results, Array.from({ length: 20 }, (_, i) => i));
+  assert.equal(limiter.stats().inFlight, 0);
+});
+
+test('a failing task gives its slot back', async () => {
+  const limiter = createRateLimiter({ maxConcurrent: 1 });
+  await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await limiter.run(async () => 'next'), 'next');
+});
+
+test('waiters are served in arrival order, and raising the cap lets more in', async () => {
+  const limiter = createRateLimiter({ maxConcurrent: 1 });
+  const order = [];
+  const first = await limiter.acquire();
+  const waiting = ['a', 'b', 'c'].map(name => limiter.acquire().then(release => { order.push(name); return release; }));
+  await settle();
+  assert.deepEqual(order, []);
+  assert.equal(limiter.stats().waiting, 3);
+  limiter.configure({ maxConcurrent: 3 });
+  await settle();
+  assert.deepEqual(order, ['a', 'b']);
+  first();
+  first(); // releasing twice frees one slot only
+  await settle();
+  assert.deepEqual(order, ['a', 'b', 'c']);
+  assert.equal(limiter.stats().inFlight, 3);
+  for (const release of await Promise.all(waiting)) release();
+  assert.equal(limiter.stats().inFlight, 0);
+});
+
+test('perMinute bounds starts within the window even with free slots', async () => {
+  const limiter = createRateLimiter({ maxConcurrent: 10, perMinute: 2 });
+  (await limiter.acquire())();
+  (await limiter.acquire())();
+  let third = null;
+  limiter.acquire().then(release => { third = release; });
+  await sleep(20);
+  assert.equal(third, null, 'a third start waits for the window');
+  const stats = limiter.stats();
+  assert.equal(stats.startedLastMinute, 2);
+  assert.equal(stats.waiting, 1);
+  // Lifting the cap lets it through
+  limiter.configure({ perMinute: 0 });
+  await settle();
+  assert.equal(typeof third, 'function');
+  third();
+});
+
+// Acquire the only slot of a fresh limiter and wrap `res` in it
+async function heldResponse(res, idleMs = 1000) {
+  const limiter = createRateLimiter({ maxConcurrent: 1 });
+  const release = await limiter.acquire();
+  let next = null;
+  limiter.acquire().then(r => { next = r; });
+  return { limiter, res: holdSlotUntilRead(res, release, idleMs), nextStarted: async () => { await settle(); return next !== null; } };
+}
+
+test('a response keeps its slot until the body has been read', async () => {
+  const { res, nextStarted, limiter } = await heldResponse(new Response(JSON.stringify({ ok: 1 }), { status: 201, headers: { 'x-test': 'yes' } }));
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get('x-test'), 'yes');
+  await sleep(20);
+  assert.equal(await nextStarted(), false, 'headers alone do not free the slot');
+  assert.deepEqual(await res.json(), { ok: 1 });
+  assert.equal(await nextStarted(), true);
+  assert.equal(limiter.stats().inFlight, 1);
+});
+
+test('a body that errors or is cancelled gives the slot back', async () => {
+  const failing = new ReadableStream({ pull(controller) { controller.error(new Error('connection reset')); } });
+  const broken = await heldResponse(new Response(failing));
+  await assert.rejects(broken.res.text(), /connection reset/);
+  assert.equal(await broken.nextStarted(), true);
+
+  const cancelled = await heldResponse(new Response('partial body'));
+  await cancelled.res.body.cancel();
+  assert.equal(await cancelled.nextStarted(), true);
+});
+
+test('an unread body gives the slot back after idleMs', async () => {
+  const { nextStarted } = await heldResponse(new Response('never read', { status: 500 }), 30);
+  assert.equal(await nextStarted(), false);
+  await sleep(60);
+  assert.equal(await nextStarted(), true);
+});
+
+test('a response without a body gives the slot back at once', async () => {
+  const { nextStarted } = await heldResponse(new Response(null, { status: 204 }));
+  assert.equal(await nextStarted(), true);
+});
@@ -0,0 +1,127 @@
+// Near-duplicate detection: SimHash (text.js), band lookups (db.js) and
+// collapsing duplicate hits in search results
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('fake-indexeddb/auto');
+globalThis.self = globalThis;
+require('../text.js');
+require('../vectors.js');
+require('../db.js');
+
+const { simhash, simhashBands, hammingDistance, SIMHASH_NEAR_DISTANCE, collapseNearDuplicates, findNearDuplicate, openDB, STORE_NAME } = self;
+
+// Deterministic pseudo-article: `words` words drawn from 500 made-up ones
+function article(seed, words = 600) {
+  let x = seed >>> 0;
+  const out = [];
+  for (let i = 0; i < words; i++) {
+    x = (Math.imul(x, 1103515245) + 12345) >>> 0;
+    out.push(`w${((x >>> 16) % 500).toString(36)}`);
+  }
+  return out.join(' ');
+}
+
+// A copy with one word changed and a footer, as mirrors and syndicated pages have
+function copyOf(text, at = 300) {
+  return `${text.split(' ').map((w, i) => (i === at ? 'changed' : w)).join(' ')} Read more at the mirror.`;
+}
+
+const sharesBand = (a, b) => simhashBands(a).some(band => simhashBands(b).includes(band));
+
+test('near-identical texts are within the threshold and share a band', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const original = article(seed);
+    const copy = copyOf(original);
+    const a = simhash(original);
+    const b = simhash(copy);
+    assert.match(a, /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(a, b) <= SIMHASH_NEAR_DISTANCE, `seed ${seed}: ${hammingDistance(a, b)} bits`);
+    assert.ok(sharesBand(a, b), `seed ${seed}`);
+  }
+});
+
+test('unrelated texts are far apart', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const a = simhash(article(seed));
+    const b = simhash(article(seed + 1000));
+    assert.ok(hammingDistance(a, b) > SIMHASH_NEAR_DISTANCE, `seed ${seed}: ${hammingDistance(a, b)} bits`);
+  }
+});
+
+test('short texts get no fingerprint; bands and distances handle it', () => {
+  assert.equal(simhash('too short to compare'), null);
+  assert.deepEqual(simhashBands(null), []);
+  assert.equal(hammingDistance('00ff', null), Infinity);
+  assert.equal(hammingDistance('00ff', '01fe'), 2);
+  // Case and punctuation don't matter
+  assert.equal(simhash(article(7).toUpperCase().replace(/ /g, ', ')), simhash(article(7)));
+});
+
+async function putPages(pages) {
+  const db = await openDB();
+  const ids = [];
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    for (const page of pages) {
+      const req = store.add({ ...page, simhashBands: simhashBands(page.simhash) });
+      req.onsuccess = () => ids.push(req.result);
+    }
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  return { db, ids };
+}
+
+test('findNearDuplicate links to the primary of the closest page under another URL', async () => {
+  const text = article(42);
+  const fp = simhash(text);
+  const other = simhash(article(43));
+  const { db, ids: [original, mirror] } = await putPages([
+    { url: 'https://example.com/post', canonicalUrl: 'https://example.com/post', timestamp: 1, simhash: fp },
+    { url: 'https://mirror.example/post', canonicalUrl: 'https://mirror.example/post', timestamp: 2, simhash: simhash(copyOf(text, 100)) },
+    { url: 'https://example.com/other', canonicalUrl: 'https://example.com/other', timestamp: 3, simhash: other }
+  ]);
+  // Same content under a third URL: the closest page is the original itself
+  const amp = await findNearDuplicate(db, simhash(copyOf(text, 500)), 'https://amp.example/post');
+  assert.equal(amp.primaryId, original);
+  assert.ok(amp.distance <= SIMHASH_NEAR_DISTANCE);
+
+  // A copy already linked to its primary: links point at the primary, never at the copy
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const req = store.get(mirror);
+    req.onsuccess = () => store.put({ ...req.result, duplicateOf: original });
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  const viaMirror = await findNearDuplicate(db, simhash(copyOf(text, 100)), 'https://syndicated.example/post');
+  assert.equal(viaMirror.primaryId, original);
+
+  // Re-capturing the primary: its own record is skipped and the mirror points back at it
+  assert.equal(await findNearDuplicate(db, fp, 'https://example.com/post', original), null);
+  // Unrelated content and texts too short for a fingerprint never match
+  assert.equal(await findNearDuplicate(db, simhash(article(44)), 'https://elsewhere.example/'), null);
+  assert.equal(await findNearDuplicate(db, null, 'https://elsewhere.example/'), null);
+});
+
+test('collapseNearDuplicates keeps the best-ranked copy and lists the others', () => {
+  const hits = [
+    { pageId: 2, duplicateOf: 1, url: 'https://mirror.example/post', title: 'Mirror', score: 0.9 },
+    { pageId: 3, url: 'https://example.com/other', title: 'Other', score: 0.8 },
+    { pageId: 1, url: 'https://example.com/post', title: 'Post', score: 0.7 },
+    { pageId: 2, duplicateOf: 1, url: 'https://mirror.example/post', title: 'Mirror', score: 0.6 },
+    { pageId: 4, duplicateOf: 1, url: 'https://amp.example/post', title: 'AMP', score: 0.5 },
+    { pageId: 4, duplicateOf: 1, url: 'https://amp.example/post', title: 'AMP', score: 0.4 },
+    { url: 'https://clip.example', score: 0.3 }
+  ];
+  const out = collapseNearDuplicates(hits);
+  assert.deepEqual(out.map(h => h.score), [0.9, 0.8, 0.6, 0.3], 'other hits of the kept copy stay, in rank order');
+  assert.deepEqual(out[0].duplicates, [
+    { url: 'https://example.com/post', title: 'Post' },
+    { url: 'https://amp.example/post', title: 'AMP' }
+  ]);
+  assert.equal(hits[0].duplicates, undefined, 'input hits are not modified');
+});
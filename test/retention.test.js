@@ -0,0 +1,111 @@
+// Retention planning (retention.js): age, trim and size eviction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.self = globalThis;
+require('../retention.js');
+
+const { planRetention } = self;
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const NOW = Date.UTC(2025, 0, 1);
+
+// Page `id` captured `days` ago, with a summary unless told otherwise
+const page = (id, days, extra = {}) => ({ id, url: `https://example.com/${id}`, timestamp: NOW - days * DAY, summary: 's', ...extra });
+const sizes = (entries) => new Map(entries.map(([id, mb, chunkMb]) => [id, { bytes: mb * MB, chunkBytes: chunkMb * MB }]));
+const ids = (entries) => entries.map(e => e.id);
+
+test('age eviction skips pinned pages while keepPinned is on', () => {
+  const pages = [page(1, 40), page(2, 40, { pinned: true }), page(3, 5)];
+  const kept = planRetention(pages, { keepDays: 30 }, { now: NOW });
+  assert.deepEqual(ids(kept.evict), [1]);
+  assert.equal(kept.evict[0].reason, 'age');
+
+  const all = planRetention(pages, { keepDays: 30, keepPinned: false }, { now: NOW });
+  assert.deepEqual(ids(all.evict), [1, 2]);
+});
+
+test('pages waiting for a summary are summarized before they are trimmed', () => {
+  const pages = [page(1, 20), page(2, 20, { summary: '' }), page(3, 20, { trimmedAt: NOW - DAY }), page(4, 2)];
+  const plan = planRetention(pages, { trimAfterDays: 10 }, { now: NOW, sizes: sizes([[1, 3, 2]]) });
+  assert.deepEqual(ids(plan.trim), [1]);
+  assert.equal(plan.trim[0].bytes, 2 * MB, 'trimming frees the chunk bytes');
+  assert.deepEqual(plan.summarize, [2]);
+  assert.deepEqual(plan.evict, []);
+});
+
+test('a page planned for trimming that size pressure evicts is only counted once', () => {
+  // 10 MB over a 20 MB limit; pages 1 and 2 are old enough to trim
+  const pages = [page(1, 30), page(2, 25), page(3, 1)];
+  const plan = planRetention(pages, { maxMB: 20, maxQuotaPct: 0, trimAfterDays: 10 }, {
+    now: NOW,
+    usage: 30 * MB,
+    sizes: sizes([[1, 8, 6], [2, 8, 6], [3, 14, 10]])
+  });
+  // Trims free 12 MB on paper, which would cover the overage, so nothing is size-evicted
+  assert.deepEqual(ids(plan.trim), [1, 2]);
+  assert.deepEqual(plan.evict, []);
+
+  // 20 MB over: after both trims (12 MB) 8 MB remain. Evicting page 1 frees
+  // its 2 MB beyond the trim, page 2 another 2 MB, page 3 the last 14 MB.
+  const tight = planRetention(pages, { maxMB: 10, maxQuotaPct: 0, trimAfterDays: 10 }, {
+    now: NOW,
+    usage: 30 * MB,
+    sizes: sizes([[1, 8, 6], [2, 8, 6], [3, 14, 10]])
+  });
+  assert.deepEqual(ids(tight.evict), [1, 2, 3]);
+  assert.ok(tight.evict.every(e => e.reason === 'size'));
+  assert.deepEqual(tight.trim, [], 'evicted pages are not trimmed as well');
+});
+
+test('size eviction evicts the oldest unpinned pages until under the limit', () => {
+  const pages = [page(3, 1), page(1, 10, { pinned: true }), page(2, 5), page(4, 3)];
+  const plan = planRetention(pages, { maxMB: 10, maxQuotaPct: 0 }, {
+    now: NOW,
+    usage: 14 * MB,
+    sizes: sizes([[1, 4, 3], [2, 3, 2], [3, 4, 3], [4, 3, 2]])
+  });
+  assert.equal(plan.limitBytes, 10 * MB);
+  assert.equal(plan.overBytes, 4 * MB);
+  assert.deepEqual(ids(plan.evict), [2, 4]);
+});
+
+test('the quota share is a limit too, and the lower limit wins', () => {
+  const plan = planRetention([], { maxMB: 100, maxQuotaPct: 50 }, { usage: 10 * MB, quota: 40 * MB });
+  assert.equal(plan.limitBytes, 20 * MB);
+  assert.equal(plan.overBytes, 0);
+});
+
+test('sizeBlocked when usage outside page data alone is over the limit', () => {
+  const pages = [page(1, 10), page(2, 5)];
+  const plan = planRetention(pages, { maxMB: 10, maxQuotaPct: 0 }, {
+    now: NOW,
+    usage: 20 * MB,
+    sizes: sizes([[1, 2, 1], [2, 2, 1]])
+  });
+  assert.equal(plan.pageBytes, 4 * MB);
+  assert.equal(plan.otherBytes, 16 * MB);
+  assert.equal(plan.sizeBlocked, true);
+  assert.deepEqual(plan.evict, [], 'evicting every page would not help');
+});
+
+test('size eviction keeps going until the overage is covered', () => {
+  const pages = [page(1, 10), page(2, 5)];
+  const plan = planRetention(pages, { maxMB: 10, maxQuotaPct: 0 }, {
+    now: NOW,
+    usage: 13 * MB,
+    sizes: sizes([[1, 2, 1], [2, 2, 1]])
+  });
+  assert.equal(plan.sizeBlocked, false);
+  assert.deepEqual(ids(plan.evict), [1, 2]);
+});
+
+test('bytes freed by the last run but not yet reflected in usage are not freed again', () => {
+  const pages = [page(1, 10), page(2, 5)];
+  const env = { now: NOW, usage: 12 * MB, sizes: sizes([[1, 3, 2], [2, 3, 2]]) };
+  assert.deepEqual(ids(planRetention(pages, { maxMB: 10, maxQuotaPct: 0 }, env).evict), [1]);
+
+  const settled = planRetention(pages, { maxMB: 10, maxQuotaPct: 0 }, { ...env, pendingBytes: 3 * MB });
+  assert.equal(settled.overBytes, 0);
+  assert.deepEqual(settled.evict, []);
+});
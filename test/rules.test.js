@@ -0,0 +1,171 @@
+// Capture rules (rules.js): sensitive URL categories, rule parsing and evaluation,
+// content script match patterns
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.self = globalThis;
+require('../rules.js');
+
+test('sensitiveUrlDetail names banking, health, checkout and login URLs', () => {
+  assert.equal(self.sensitiveUrlDetail('https://online.mybank.example/statement.pdf'), 'banking site');
+  assert.equal(self.sensitiveUrlDetail('https://www.paypal.com/invoice/123'), 'banking site');
+  assert.equal(self.sensitiveUrlDetail('https://clinic.example/patient-portal/letters'), 'health portal');
+  assert.equal(self.sensitiveUrlDetail('https://shop.example/checkout/receipt.pdf'), 'checkout page');
+  assert.equal(self.sensitiveUrlDetail('https://app.example/login?next=/'), 'login page');
+});
+
+test('sensitiveUrlDetail leaves ordinary URLs alone', () => {
+  assert.equal(self.sensitiveUrlDetail('https://arxiv.org/pdf/2401.00001'), null);
+  assert.equal(self.sensitiveUrlDetail('https://en.wikipedia.org/wiki/Login'), null);
+  assert.equal(self.sensitiveUrlDetail('https://bankruptcy-law.example/guide.pdf'), null);
+  assert.equal(self.sensitiveUrlDetail('not a url'), null);
+});
+
+const allows = (url, text) => self.evaluateCaptureRules(url, self.parseCaptureRules(text)).allow;
+
+test('the first matching rule decides', () => {
+  const text = [
+    'allow github.com/myorg/*',
+    'deny github.com',
+    'allow *'
+  ].join('\n');
+  const config = self.parseCaptureRules(text);
+  assert.deepEqual(config.errors, []);
+  assert.deepEqual(config.lines, [1, 2, 3]);
+  const at = (url) => self.evaluateCaptureRules(url, config);
+  assert.deepEqual(at('https://github.com/myorg/repo'), { allow: true, index: 0, rule: config.rules[0] });
+  assert.equal(at('https://github.com/other/repo').index, 1);
+  assert.equal(at('https://github.com/other/repo').allow, false);
+  assert.equal(at('https://example.com/').index, 2);
+
+  // The same rules the other way round: the broad deny wins for myorg too
+  assert.equal(allows('https://github.com/myorg/repo', 'deny github.com\nallow github.com/myorg/*'), false);
+});
+
+test('the default action applies when nothing matches; bad URLs are denied', () => {
+  assert.deepEqual(self.evaluateCaptureRules('https://example.com/', self.parseCaptureRules('deny news.example')), { allow: true, index: -1, rule: null });
+  assert.equal(allows('https://example.com/', 'allow docs.example\ndefault deny'), false);
+  assert.equal(allows('https://docs.example/a', 'allow docs.example\ndefault deny'), true);
+  assert.equal(allows('not a url', ''), false);
+});
+
+test('host globs: bare hosts include subdomains, *. only subdomains', () => {
+  assert.equal(allows('https://example.com/', 'deny example.com'), false);
+  assert.equal(allows('https://www.example.com/', 'deny example.com'), false);
+  assert.equal(allows('https://notexample.com/', 'deny example.com'), true);
+  assert.equal(allows('https://a.example.com/', 'deny *.example.com'), false);
+  assert.equal(allows('https://example.com/', 'deny *.example.com'), true);
+  assert.equal(allows('https://docs.google.com/', 'deny host:docs.*.com'), false);
+  assert.equal(allows('https://EXAMPLE.com/', 'deny Example.COM'), false);
+});
+
+test('path globs match the whole path, * across segments', () => {
+  const rules = 'deny host:github.com path:/settings*';
+  assert.equal(allows('https://github.com/settings', rules), false);
+  assert.equal(allows('https://github.com/settings/keys', rules), false);
+  assert.equal(allows('https://github.com/org/settings', rules), true);
+  assert.equal(allows('https://example.com/settings', rules), true);
+  assert.equal(allows('https://example.com/a/b/private/c', 'deny path:*/private/*'), false);
+  // A path without a leading slash gets one
+  assert.equal(self.parseCaptureRules('deny path:admin').rules[0].path, '/admin');
+});
+
+test('regex conditions take the rest of the line and test the full URL', () => {
+  const config = self.parseCaptureRules('deny regex:^https://[^/]+/admin/ (?:x| y)');
+  assert.equal(config.rules[0].regex, '^https://[^/]+/admin/ (?:x| y)');
+  assert.equal(allows('https://example.com/admin/', 'deny regex:^https://[^/]+/admin/'), false);
+  assert.equal(allows('http://example.com/admin/', 'deny regex:^https://[^/]+/admin/'), true);
+  assert.equal(allows('https://example.com/?q=1', 'deny host:example.com regex:\\?q='), false);
+});
+
+test('query conditions check that a parameter is present, or has a value', () => {
+  assert.equal(allows('https://example.com/?token=abc', 'deny query:token'), false);
+  assert.equal(allows('https://example.com/?token=', 'deny query:token'), false);
+  assert.equal(allows('https://example.com/?tokens=1', 'deny query:token'), true);
+  assert.equal(allows('https://example.com/?tab=1&tab=settings', 'deny query:tab=settings'), false);
+  assert.equal(allows('https://example.com/?tab=profile', 'deny query:tab=settings'), true);
+});
+
+test('scheme conditions', () => {
+  assert.equal(allows('http://example.com/', 'deny scheme:http'), false);
+  assert.equal(allows('https://example.com/', 'deny scheme:http'), true);
+  assert.equal(allows('file:///home/me/notes.html', 'deny scheme:file'), false);
+  assert.equal(allows('ftp://example.com/', 'deny scheme:http,ftp'), false);
+  assert.equal(self.normalizeCaptureRule({ action: 'deny', scheme: 'HTTP:' }).scheme, 'http');
+});
+
+test('all conditions of a rule must hold', () => {
+  const rules = 'deny example.com/account* scheme:https query:edit';
+  assert.equal(allows('https://example.com/account?edit=1', rules), false);
+  assert.equal(allows('https://example.com/account', rules), true);
+  assert.equal(allows('http://example.com/account?edit=1', rules), true);
+});
+
+test('normalizeCaptureRule rejects rules it cannot apply', () => {
+  assert.throws(() => self.normalizeCaptureRule({ action: 'block', host: 'example.com' }), /Unknown action/);
+  assert.throws(() => self.normalizeCaptureRule({ action: 'deny' }), /at least one condition/);
+  assert.throws(() => self.normalizeCaptureRule({ action: 'deny', regex: '(' }), /Invalid regex/);
+  assert.deepEqual(self.normalizeCaptureRule({ action: 'ALLOW', host: ' Example.com ', extra: 1 }), { action: 'allow', host: 'example.com' });
+});
+
+test('parse errors name the line and leave the rule out; format round-trips', () => {
+  const text = ['# comment', 'deny example.com', 'deny', 'default maybe', 'allow host:a.example host:b.example', 'default deny'].join('\n');
+  const config = self.parseCaptureRules(text);
+  assert.equal(config.rules.length, 1);
+  assert.deepEqual(config.errors.map(e => e.line), [3, 4, 5]);
+  assert.equal(config.defaultAction, 'deny');
+
+  const rules = ['allow github.com/myorg/*', 'deny host:*.example.com scheme:http query:token', 'deny regex:^https://x/ y', 'default deny'].join('\n');
+  const parsed = self.parseCaptureRules(rules);
+  assert.equal(self.formatCaptureRules(parsed), rules);
+  assert.deepEqual(self.parseCaptureRules(self.formatCaptureRules(parsed)).rules, parsed.rules);
+});
+
+test('old domain lists become ordered rules', () => {
+  assert.deepEqual(self.migrateDomainLists(['Docs.example'], ['ads.example']), {
+    rules: [{ action: 'deny', host: 'ads.example' }, { action: 'allow', host: 'docs.example' }],
+    defaultAction: 'deny'
+  });
+  assert.equal(self.migrateDomainLists([], ['ads.example']).defaultAction, 'allow');
+});
+
+const patterns = (text) => self.contentScriptPatterns(self.parseCaptureRules(text));
+
+test('whole-host deny rules become content script exclusions', () => {
+  assert.deepEqual(patterns('deny example.com\ndeny 10.0.0.1'), {
+    matches: ['<all_urls>'],
+    excludeMatches: ['*://example.com/*', '*://*.example.com/*', '*://10.0.0.1/*']
+  });
+  assert.deepEqual(patterns('deny example.com scheme:http').excludeMatches, ['http://example.com/*', 'http://*.example.com/*']);
+});
+
+test('deny rules the runtime check has to decide are not excluded', () => {
+  // Narrower than the whole host, or not expressible as a match pattern
+  for (const text of ['deny example.com/private/*', 'deny host:example.com query:token', 'deny regex:example', 'deny example.com scheme:file', 'deny host:ex*le.com']) {
+    assert.deepEqual(patterns(text).excludeMatches, [], text);
+  }
+  // `*.example.com` would exclude example.com itself as a match pattern
+  assert.deepEqual(patterns('deny *.example.com').excludeMatches, []);
+  // An earlier allow rule may let part of the host through
+  assert.deepEqual(patterns('allow github.com/myorg/*\ndeny github.com\ndeny example.com').excludeMatches, ['*://example.com/*', '*://*.example.com/*']);
+  assert.deepEqual(patterns('allow docs.github.com\ndeny github.com').excludeMatches, []);
+});
+
+test('default deny matches only the allowed hosts, *.suffix hosts as written', () => {
+  assert.deepEqual(patterns('allow github.com/myorg/*\nallow *.example.org scheme:https\ndefault deny'), {
+    matches: ['*://github.com/*', '*://*.github.com/*', 'https://*.example.org/*'],
+    excludeMatches: []
+  });
+});
+
+test('the content script falls back to all URLs', () => {
+  // Default allow
+  assert.deepEqual(patterns('allow github.com').matches, ['<all_urls>']);
+  // Allow rules that can't be written as match patterns
+  assert.deepEqual(patterns('allow host:docs.*.com\ndefault deny').matches, ['<all_urls>']);
+  assert.deepEqual(patterns('allow regex:^https://x/\ndefault deny').matches, ['<all_urls>']);
+  assert.deepEqual(patterns('allow example.com scheme:file\ndefault deny').matches, ['<all_urls>']);
+  // Nothing allowed at all still registers, the runtime check denies
+  assert.deepEqual(patterns('default deny').matches, ['<all_urls>']);
+  assert.deepEqual(self.contentScriptPatterns(null), { matches: ['<all_urls>'], excludeMatches: [] });
+});
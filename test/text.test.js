@@ -0,0 +1,79 @@
+// Shared text utilities (text.js): chunking and redaction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.self = globalThis;
+require('../text.js');
+
+// Deterministic word soup with sentence and paragraph breaks
+function sampleText(n, seed) {
+  const words = ['alpha', 'beta', 'gamma.', 'delta!', 'eps\n', 'zeta', 'eta?', 'theta', 'iota.\n\n', 'kappa'];
+  const out = [];
+  let x = seed;
+  for (let i = 0; i < n; i++) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    out.push(words[(x >>> 16) % words.length]);
+  }
+  return out.join(' ');
+}
+
+test('chunkText keeps offsets and always moves past the previous chunk', () => {
+  for (let seed = 1; seed <= 400; seed++) {
+    const text = sampleText(80, seed);
+    for (const [targetWords, overlapWords] of [[32, 16], [40, 20], [48, 0]]) {
+      const chunks = self.chunkText(text, { targetWords, overlapWords });
+      assert.ok(chunks.length > 0);
+      for (const [i, c] of chunks.entries()) {
+        assert.equal(text.slice(c.start, c.end), c.text);
+        if (i > 0) assert.ok(c.end > chunks[i - 1].end, `seed ${seed}: chunk ${i} ends at ${c.end}, not past ${chunks[i - 1].end}`);
+      }
+      assert.equal(chunks[chunks.length - 1].end, text.trimEnd().length);
+    }
+  }
+});
+
+test('chunkText stops at the chunk that reaches the end', () => {
+  const text = Array.from({ length: 12 }, (_, i) => `Sentence number ${i} has a few more words in it.`).join(' ');
+  const chunks = self.chunkText(text, { targetWords: 32, overlapWords: 16 });
+  assert.equal(chunks.filter(c => c.end === chunks[chunks.length - 1].end).length, 1);
+});
+
+const redact = (s) => self.redactText(s, {}).text;
+
+test('phone numbers with a country code or area code are masked', () => {
+  assert.equal(redact('+1 (555) 123-4567'), '[PHONE]');
+  assert.equal(redact('(555) 123-4567'), '[PHONE]');
+  assert.equal(redact('+44 20 7946 0958'), '[PHONE]');
+  assert.equal(redact('+33 1 23 45 67 89'), '[PHONE]');
+  assert.equal(redact('call +49 30 1234567.'), 'call [PHONE].');
+  assert.equal(redact('+4915112345678'), '[PHONE]');
+});
+
+test('digit runs without phone structure are kept', () => {
+  for (const s of [
+    'seasons 2019 2020 2021',
+    'ids 100-200-300',
+    '(100) 200-300',
+    '+1 2019 2020',
+    '555-123-4567',
+    '2024-01-15',
+    '192.168.1.10',
+    'order 1234 5678'
+  ]) {
+    assert.equal(redact(s), s, s);
+  }
+});
+
+test('other types keep their checks', () => {
+  assert.equal(redact('mail a.b@example.com'), 'mail [EMAIL]');
+  assert.equal(redact('card 4111 1111 1111 1111'), 'card [CARD]');
+  assert.equal(redact('card 4111 1111 1111 1112'), 'card 4111 1111 1111 1112');
+  assert.equal(redact('GB82 WEST 1234 5698 7654 32'), '[IBAN]');
+});
+
+test('counts and edits follow the replacements', () => {
+  const r = self.redactText('x +44 20 7946 0958 y', {});
+  assert.deepEqual(r.counts, { phone: 1 });
+  assert.deepEqual(r.edits, [[2, 18, 7]]);
+  assert.equal(self.redactText('+44 20 7946 0958', { phone: false }).total, 0);
+});
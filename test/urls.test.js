@@ -0,0 +1,46 @@
+// URL canonicalization (urls.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.self = globalThis;
+require('../urls.js');
+
+const { canonicalizeUrl, resolveCanonicalUrl } = self;
+
+test('canonicalizeUrl drops fragments and tracking params and sorts the rest', () => {
+  assert.equal(
+    canonicalizeUrl('https://example.com/a?utm_source=x&b=2&a=1&fbclid=y#top'),
+    'https://example.com/a?a=1&b=2'
+  );
+  assert.equal(canonicalizeUrl('not a url'), 'not a url');
+});
+
+test('a declared canonical on the same site wins', () => {
+  assert.equal(
+    resolveCanonicalUrl('https://www.example.com/post/1?utm_medium=x', 'https://example.com/articles/post-1'),
+    'https://example.com/articles/post-1'
+  );
+  assert.equal(resolveCanonicalUrl('https://example.com/p/1/', '/p/1'), 'https://example.com/p/1');
+  assert.equal(resolveCanonicalUrl('https://example.com/?p=123', 'https://example.com/?p=123'), 'https://example.com/?p=123');
+  assert.equal(resolveCanonicalUrl('https://example.com/blog/post', 'https://example.com/?p=42'), 'https://example.com/?p=42');
+});
+
+test('a canonical on another site is ignored', () => {
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/post', 'https://other.example/post'),
+    'https://example.com/post'
+  );
+  assert.equal(resolveCanonicalUrl('https://example.com/post', 'javascript:alert(1)'), 'https://example.com/post');
+});
+
+test('a canonical that is the site root or drops the path is ignored', () => {
+  assert.equal(resolveCanonicalUrl('https://example.com/blog/post-1', 'https://example.com/'), 'https://example.com/blog/post-1');
+  assert.equal(resolveCanonicalUrl('https://example.com/blog/post-1', 'https://example.com'), 'https://example.com/blog/post-1');
+  assert.equal(resolveCanonicalUrl('https://example.com/blog/post-1', '/blog'), 'https://example.com/blog/post-1');
+  assert.equal(resolveCanonicalUrl('https://example.com/blog/post-1', '/blog/index.html'), 'https://example.com/blog/post-1');
+});
+
+test('the root may declare itself', () => {
+  assert.equal(resolveCanonicalUrl('https://example.com/index.html', 'https://www.example.com/'), 'https://www.example.com/');
+  assert.equal(resolveCanonicalUrl('https://example.com/', 'https://example.com/'), 'https://example.com/');
+});
@@ -0,0 +1,111 @@
+// Encryption at rest (vault.js) and sealed job payloads (jobs.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('fake-indexeddb/auto');
+globalThis.self = globalThis;
+require('../text.js');
+require('../vectors.js');
+require('../db.js');
+require('../vault.js');
+require('../jobs.js');
+
+// Real passphrase stretching takes seconds; the format doesn't depend on the count
+const ITERATIONS = 1000;
+
+test.afterEach(() => self.setVaultKey(null));
+
+test('sealText and openText round-trip; each value gets its own IV', async () => {
+  const { key } = await self.createVault('correct horse battery', ITERATIONS);
+  const a = await self.sealText('the quick brown fox', key);
+  const b = await self.sealText('the quick brown fox', key);
+  assert.ok(self.isSealed(a));
+  assert.notDeepEqual(Buffer.from(a.iv), Buffer.from(b.iv));
+  assert.equal(await self.openText(a, key), 'the quick brown fox');
+  // Empty strings and values without a key pass through
+  assert.equal(await self.sealText('', key), '');
+  assert.equal(await self.sealText('plain', null), 'plain');
+  assert.equal(await self.openText('plain', key), 'plain');
+  assert.equal(await self.openText(a, null), a, 'sealed values stay sealed without a key');
+});
+
+test('sealRecord seals text fields and item texts; openRecord restores them', async () => {
+  const { key } = await self.createVault('correct horse battery', ITERATIONS);
+  const rec = { id: 1, url: 'https://example.com', text: 'body', summary: 'short', note: '', items: [{ text: 'chunk', embedding: [1, 2] }] };
+  const sealed = await self.sealRecord(rec, key);
+  assert.equal(sealed.url, rec.url);
+  assert.ok(self.isSealed(sealed.text) && self.isSealed(sealed.summary) && self.isSealed(sealed.items[0].text));
+  assert.equal(sealed.note, '');
+  assert.deepEqual(sealed.items[0].embedding, [1, 2]);
+  assert.equal(rec.text, 'body', 'the input is not modified');
+  assert.deepEqual(await self.openRecord(sealed, key), rec);
+});
+
+test('unlockVault accepts the passphrase and rejects a wrong one', async () => {
+  const { config, key } = await self.createVault('correct horse battery', ITERATIONS);
+  assert.equal(config.iterations, ITERATIONS);
+  const sealed = await self.sealText('secret', key);
+  const again = await self.unlockVault(config, 'correct horse battery');
+  assert.equal(await self.openText(sealed, again), 'secret');
+  await assert.rejects(self.unlockVault(config, 'wrong horse battery'), /Wrong passphrase/);
+  await assert.rejects(self.createVault('short'), /at least 8 characters/);
+});
+
+test('a value sealed under another key does not open', async () => {
+  const { key } = await self.createVault('correct horse battery', ITERATIONS);
+  const { key: other } = await self.createVault('correct horse battery', ITERATIONS);
+  const sealed = await self.sealText('secret', key);
+  await assert.rejects(self.openText(sealed, other));
+});
+
+test('exported keys import to the same key', async () => {
+  const { key } = await self.createVault('correct horse battery', ITERATIONS);
+  const sealed = await self.sealText('secret', key);
+  const imported = await self.importVaultKey(await self.exportVaultKey(key));
+  assert.equal(await self.openText(sealed, imported), 'secret');
+});
+
+test('encrypted exports round-trip and reject a wrong passphrase', async () => {
+  const json = JSON.stringify({ pages: [{ url: 'https://example.com', text: 'ü, 漢字 and emoji 🙂' }] });
+  const envelope = await self.encryptWithPassphrase(json, 'export passphrase', ITERATIONS);
+  assert.ok(self.isPassphraseEnvelope(envelope));
+  assert.ok(!envelope.data.includes('example.com'));
+  // Envelopes are JSON files
+  const read = JSON.parse(JSON.stringify(envelope));
+  assert.equal(await self.decryptWithPassphrase(read, 'export passphrase'), json);
+  await assert.rejects(self.decryptWithPassphrase(read, 'not the passphrase'), /Wrong passphrase/);
+  await assert.rejects(self.decryptWithPassphrase({ pages: [] }, 'export passphrase'), /Not an encrypted export/);
+});
+
+test('capture payloads are sealed, resealed with a new key and stored plain again', async () => {
+  const message = { type: 'CAPTURE_PAGE', url: 'https://example.com/a', title: 'A', text: 'private page text' };
+  const { key: first } = await self.createVault('correct horse battery', ITERATIONS);
+  self.setVaultKey(first);
+  const sealed = await self.sealJobPayload(message);
+  assert.equal(sealed.url, message.url);
+  assert.ok(self.isSealed(sealed.sealed));
+  assert.ok(!JSON.stringify(sealed).includes('private page text'));
+  await self.enqueueJob({ kind: 'capture', key: message.url, payload: sealed, url: message.url });
+  await self.enqueueJob({ kind: 'summary', key: 1, payload: { id: 1 } });
+  assert.deepEqual(await self.openJobPayload(sealed), message);
+
+  // Another passphrase: payloads are opened with the current key and sealed with the new one
+  const { key: second } = await self.createVault('another passphrase', ITERATIONS);
+  assert.equal(await self.resealJobPayloads(second), 1);
+  self.setVaultKey(second);
+  const resealed = (await self.getJob(`capture:${message.url}`)).payload;
+  assert.ok(self.isSealed(resealed.sealed));
+  await assert.rejects(self.openText(resealed.sealed, first));
+  assert.deepEqual(await self.openJobPayload(resealed), message);
+  assert.deepEqual((await self.getJob('summary:1')).payload, { id: 1 }, 'other kinds are left alone');
+
+  // Locked: sealed payloads can't be opened
+  self.setVaultKey(null);
+  await assert.rejects(self.openJobPayload(resealed), /locked/);
+
+  // Encryption off: back to the plain message
+  self.setVaultKey(second);
+  await self.resealJobPayloads(null);
+  self.setVaultKey(null);
+  assert.deepEqual((await self.getJob(`capture:${message.url}`)).payload, message);
+});
@@ -0,0 +1,133 @@
+// Vector storage (vectors.js): quantization, scoring on packed vectors, JSON encoding
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.self = globalThis;
+require('../vectors.js');
+
+const { packVector, toFloatVector, cosineSimilarity, encodeVector, decodeVector, vectorBytes, vectorDim, computeCentroid } = self;
+const DIM = 384;
+
+// Seeded normal-ish values (sum of uniforms), like embedding components
+function rng(seed) {
+  let x = seed >>> 0;
+  return () => {
+    let s = 0;
+    for (let k = 0; k < 4; k++) {
+      x = (Math.imul(x, 1664525) + 1013904223) >>> 0;
+      s += x / 2 ** 32;
+    }
+    return s - 2;
+  };
+}
+function randomVector(seed, dim = DIM) {
+  const next = rng(seed);
+  return Array.from({ length: dim }, next);
+}
+// `base` mixed with noise: lower `mix` = closer to base
+function near(base, seed, mix) {
+  const noise = randomVector(seed, base.length);
+  return base.map((v, i) => v * (1 - mix) + noise[i] * mix);
+}
+
+test('int8 keeps each component within half a step of its per-vector scale', () => {
+  const v = randomVector(1).map((x, i) => x * (i % 2 ? 10 : 0.01));
+  const q = packVector(v, 'int8');
+  assert.equal(q.q, 'int8');
+  assert.equal(q.dim, DIM);
+  assert.ok(q.data instanceof Int8Array);
+  assert.equal(Math.max(...Array.from(q.data, Math.abs)), 127, 'the largest magnitude uses the full range');
+  const back = toFloatVector(q);
+  for (let i = 0; i < DIM; i++) assert.ok(Math.abs(back[i] - v[i]) <= q.scale / 2 + 1e-6);
+  assert.equal(vectorBytes(q), DIM + 8);
+  assert.equal(vectorBytes(Float32Array.from(v)), DIM * 4);
+});
+
+test('int8 cosine scores stay close to float32 scores', () => {
+  const query = randomVector(7);
+  for (let seed = 100; seed < 140; seed++) {
+    const doc = near(query, seed, (seed % 10) / 10);
+    const exact = cosineSimilarity(Float32Array.from(query), Float32Array.from(doc));
+    const stored = packVector(doc, 'int8');
+    assert.ok(Math.abs(cosineSimilarity(query, stored) - exact) < 0.01, `seed ${seed}`);
+    assert.ok(Math.abs(cosineSimilarity(packVector(query, 'int8'), stored) - exact) < 0.01, `seed ${seed}`);
+  }
+});
+
+test('binary keeps signs and the mean magnitude, and preserves the ranking', () => {
+  const v = randomVector(3);
+  const b = packVector(v, 'binary');
+  assert.equal(b.q, 'bin');
+  assert.equal(b.data.length, DIM / 8);
+  const meanAbs = v.reduce((n, x) => n + Math.abs(x), 0) / DIM;
+  assert.ok(Math.abs(b.scale - meanAbs) < 1e-9);
+  const back = toFloatVector(b);
+  for (let i = 0; i < DIM; i++) assert.equal(back[i] > 0, v[i] > 0);
+
+  const query = randomVector(11);
+  const docs = [0.2, 0.4, 0.6, 0.8, 1].map((mix, i) => near(query, 200 + i, mix));
+  const order = (scores) => scores.map((s, i) => [s, i]).sort((x, y) => y[0] - x[0]).map(([, i]) => i);
+  const exact = docs.map(d => cosineSimilarity(query, d));
+  assert.deepEqual(order(exact), [0, 1, 2, 3, 4]);
+  // Stored binary, scored against the dense query and against a binary query
+  assert.deepEqual(order(docs.map(d => cosineSimilarity(query, packVector(d, 'binary')))), [0, 1, 2, 3, 4]);
+  assert.deepEqual(order(docs.map(d => cosineSimilarity(packVector(query, 'binary'), packVector(d, 'binary')))), [0, 1, 2, 3, 4]);
+  assert.equal(cosineSimilarity(b, packVector(v, 'binary')), 1);
+});
+
+test('packing is idempotent per mode and accepts every vector form', () => {
+  const v = randomVector(5);
+  const q = packVector(v, 'int8');
+  assert.equal(packVector(q, 'int8'), q, 'never quantized twice');
+  const b = packVector(v, 'binary');
+  assert.equal(packVector(b, 'binary'), b);
+  assert.ok(packVector(v) instanceof Float32Array);
+  assert.ok(packVector(q, 'float32') instanceof Float32Array);
+  assert.equal(vectorDim(b), DIM);
+  assert.equal(packVector('not a vector', 'int8'), 'not a vector');
+});
+
+test('centroids average mixed stored forms', () => {
+  const a = randomVector(21);
+  const c = computeCentroid([{ embedding: a }, { embedding: packVector(a, 'int8') }, { embedding: Float32Array.from(a) }, { embedding: [1, 2] }]);
+  assert.ok(c instanceof Float32Array);
+  assert.ok(cosineSimilarity(c, a) > 0.9999);
+});
+
+test('encodeVector / decodeVector round-trip through JSON', () => {
+  const v = randomVector(9);
+  const viaJson = (x) => decodeVector(JSON.parse(JSON.stringify(encodeVector(x))));
+
+  const f = Float32Array.from(v);
+  const encoded = encodeVector(f);
+  assert.equal(encoded.enc, 'f32');
+  assert.equal(typeof encoded.b64, 'string');
+  assert.deepEqual(viaJson(f), f);
+  assert.deepEqual(viaJson(v), f, 'number arrays are exported as float32');
+
+  for (const mode of ['int8', 'binary']) {
+    const packed = packVector(v, mode);
+    const back = viaJson(packed);
+    assert.equal(back.q, packed.q);
+    assert.equal(back.dim, packed.dim);
+    assert.equal(back.scale, packed.scale);
+    assert.deepEqual(Array.from(back.data), Array.from(packed.data));
+    assert.equal(cosineSimilarity(back, v), cosineSimilarity(packed, v));
+  }
+  // A view into a larger buffer encodes only its own bytes
+  const big = new Int8Array(DIM + 16);
+  const packed = packVector(v, 'int8');
+  big.set(packed.data, 16);
+  const view = { ...packed, data: big.subarray(16) };
+  assert.deepEqual(Array.from(viaJson(view).data), Array.from(packed.data));
+});
+
+test('decodeVector accepts older number arrays and rejects malformed input', () => {
+  assert.deepEqual(decodeVector([0.1, 0.2]), [0.1, 0.2]);
+  const good = encodeVector(Float32Array.from([1, 2, 3]));
+  assert.equal(decodeVector({ ...good, dim: 4 }), null, 'length mismatch');
+  assert.equal(decodeVector({ ...good, enc: 'f64' }), null);
+  assert.equal(decodeVector({ enc: 'f32', dim: 3 }), null);
+  assert.equal(decodeVector(null), null);
+  assert.equal(decodeVector('AAAA'), null);
+});
@@ -1,5 +1,8 @@
 // Shared text utilities for Web Recall
-// Exposes globals on self: normalizeText, stringHash
+// Exposes globals on self: normalizeText, stringHash, extractIdentifiers, containsIdentifier,
+// CHUNK_DEFAULTS, chunkText, isRangeSeen, REDACTION_TYPES, REDACTION_DEFAULTS, redactText,
+// mapRedactedOffset, SIMHASH_NEAR_DISTANCE, simhash, simhashBands, hammingDistance,
+// collapseNearDuplicates
 // Works in MV3 service worker via `import './text.js'` and in documents via <script src="text.js"></script>
 
 (function(scope){
@@ -31,7 +34,446 @@
     return hash >>> 0; // unsigned
   }
 
+  /**
+   * Pull code-like identifiers out of a query: snake_case, camelCase,
+   * dotted/namespaced paths (`fs.readFile`, `std::vector`) and `$`-prefixed
+   * names. Plain words are ignored so prose queries don't match comments.
+   * @param {string} s
+   * @returns {string[]}
+   */
+  function extractIdentifiers(s) {
+    const out = [];
+    const re = /[A-Za-z_$][\w$]*(?:(?:\.|::|->)[A-Za-z_$][\w$]*)*/g;
+    const text = String(s || '');
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const tok = m[0];
+      if (tok.length < 3) continue;
+      const codeLike = /[_$]|\.|::|->/.test(tok) || /[a-z][A-Z]/.test(tok) || /^[A-Z][a-z]+[A-Z]/.test(tok);
+      if (codeLike && !out.includes(tok)) out.push(tok);
+    }
+    return out;
+  }
+
+  /**
+   * Case-sensitive whole-identifier match (so `get` does not match `getUser`).
+   * @param {string} text
+   * @param {string} ident
+   * @returns {boolean}
+   */
+  function containsIdentifier(text, ident) {
+    if (!text || !ident) return false;
+    const esc = ident.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+      return new RegExp(`(?<![\\w$])${esc}(?![\\w$])`).test(text);
+    } catch (_) {
+      return String(text).includes(ident);
+    }
+  }
+
+  // Default chunking parameters; overridable via settings (chunkTargetWords/chunkOverlapWords)
+  const CHUNK_DEFAULTS = { targetWords: 320, overlapWords: 48 };
+
+  function countWords(s) {
+    const m = String(s || '').match(/\S+/g);
+    return m ? m.length : 0;
+  }
+
+  /**
+   * Split a paragraph span into sentence spans. Uses Intl.Segmenter when
+   * available, else a punctuation regex.
+   * @returns {{start:number, end:number}[]}
+   */
+  function sentenceSpans(text, from, to) {
+    const para = text.slice(from, to);
+    const spans = [];
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      try {
+        const seg = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+        for (const { segment, index } of seg.segment(para)) {
+          spans.push({ start: from + index, end: from + index + segment.length });
+        }
+        return spans;
+      } catch (_) { spans.length = 0; }
+    }
+    const re = /[^.!?\u3002\uff01\uff1f]+(?:[.!?\u3002\uff01\uff1f]+["'\u201d\u2019)\]]*|$)\s*/g;
+    let m;
+    while ((m = re.exec(para)) !== null) {
+      if (m[0].length === 0) { re.lastIndex++; continue; }
+      spans.push({ start: from + m.index, end: from + m.index + m[0].length });
+    }
+    return spans;
+  }
+
+  /**
+   * Hard-split a span that is longer than `maxWords` on word boundaries.
+   */
+  function splitLongSpan(text, span, maxWords) {
+    const out = [];
+    const re = /\S+/g;
+    re.lastIndex = span.start;
+    let count = 0;
+    let start = -1;
+    let end = span.start;
+    let m;
+    while ((m = re.exec(text)) !== null && m.index < span.end) {
+      if (start < 0) start = m.index;
+      end = m.index + m[0].length;
+      if (++count >= maxWords) {
+        out.push({ start, end, words: count });
+        count = 0; start = -1;
+      }
+    }
+    if (start >= 0) out.push({ start, end, words: count });
+    return out;
+  }
+
+  /**
+   * Sentence-aware chunker. Packs whole sentences into chunks of roughly
+   * `targetWords`, prefers breaking at paragraph boundaries, and repeats up to
+   * `overlapWords` of trailing sentences at the start of the next chunk
+   * (less when that would keep it from reaching past the previous one).
+   * Each chunk records its character offsets into `text`
+   * (`text.slice(start, end) === chunk.text`).
+   *
+   * @param {string} text
+   * @param {{targetWords?:number, overlapWords?:number}} [opts]
+   * @returns {{text:string, start:number, end:number}[]}
+   */
+  function chunkText(text, opts = {}) {
+    const src = String(text || '');
+    const target = Math.max(32, (opts.targetWords | 0) || CHUNK_DEFAULTS.targetWords);
+    const overlap = Math.max(0, Math.min(Math.floor(target / 2), Number.isFinite(opts.overlapWords) ? (opts.overlapWords | 0) : CHUNK_DEFAULTS.overlapWords));
+    const maxUnitWords = target;
+    // Sentence units with paragraph markers
+    const units = [];
+    const paraRe = /[^\n]+/g;
+    let pm;
+    while ((pm = paraRe.exec(src)) !== null) {
+      let first = true;
+      for (const span of sentenceSpans(src, pm.index, pm.index + pm[0].length)) {
+        // Trim whitespace so offsets point at the sentence itself
+        let { start, end } = span;
+        while (start < end && /\s/.test(src[start])) start++;
+        while (end > start && /\s/.test(src[end - 1])) end--;
+        if (end <= start) continue;
+        const words = countWords(src.slice(start, end));
+        const parts = words > maxUnitWords ? splitLongSpan(src, { start, end }, maxUnitWords) : [{ start, end, words }];
+        for (const part of parts) {
+          units.push({ ...part, paraStart: first });
+          first = false;
+        }
+      }
+    }
+    const chunks = [];
+    let i = 0;
+    // First unit not covered by the previous chunk; every chunk must reach past it
+    let fresh = 0;
+    while (i < units.length) {
+      let j = i;
+      let words = 0;
+      while (j < units.length) {
+        const u = units[j];
+        if (j > fresh && words + u.words > target) break;
+        // Break early at a paragraph boundary once the chunk is reasonably full
+        if (j > fresh && u.paraStart && words >= target * 0.6) break;
+        words += u.words;
+        j++;
+      }
+      const start = units[i].start;
+      const end = units[j - 1].end;
+      chunks.push({ text: src.slice(start, end), start, end });
+      // The last chunk reaches the end of the text; overlap windows after it would only repeat it
+      if (j >= units.length) break;
+      // Step back over trailing sentences for overlap, always making progress
+      // and leaving room for the next unit so the window gets past `end`
+      let k = j;
+      let back = 0;
+      while (k - 1 > i && back + units[k - 1].words <= overlap && back + units[k - 1].words + units[j].words <= target) {
+        back += units[k - 1].words;
+        k--;
+      }
+      i = k;
+      fresh = j;
+    }
+    return chunks;
+  }
+
+  // Share of a chunk that must lie inside seen ranges for it to count as seen
+  const SEEN_MIN_COVERAGE = 0.3;
+
+  /**
+   * Whether the span [start, end) of the page text is covered by the given
+   * seen ranges (sorted or not, `[start, end)` pairs) to at least
+   * SEEN_MIN_COVERAGE of its length.
+   * @param {number} start
+   * @param {number} end
+   * @param {Array<[number, number]>} ranges
+   * @returns {boolean}
+   */
+  function isRangeSeen(start, end, ranges) {
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start || !Array.isArray(ranges)) return false;
+    let covered = 0;
+    for (const r of ranges) {
+      if (!Array.isArray(r)) continue;
+      covered += Math.max(0, Math.min(r[1], end) - Math.max(r[0], start));
+    }
+    return covered / (end - start) >= SEEN_MIN_COVERAGE;
+  }
+
+  // Redaction: sensitive values are masked with typed placeholders before
+  // chunks are embedded or stored. Later entries lose to earlier ones when
+  // matches overlap (an API key containing digits is not also a phone number).
+  const REDACTION_TYPES = ['apiKey', 'email', 'iban', 'card', 'phone'];
+  const REDACTION_DEFAULTS = { apiKey: true, email: true, iban: true, card: true, phone: true };
+  const REDACTION_PLACEHOLDERS = { apiKey: '[API_KEY]', email: '[EMAIL]', iban: '[IBAN]', card: '[CARD]', phone: '[PHONE]' };
+
+  const API_KEY_RE = new RegExp([
+    'sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}',           // OpenAI / Anthropic style
+    '(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}',    // Stripe
+    'gh[pousr]_[A-Za-z0-9]{36,}', 'github_pat_[A-Za-z0-9_]{40,}',
+    'glpat-[A-Za-z0-9_-]{20,}',
+    'xox[abprs]-[A-Za-z0-9-]{10,}',                   // Slack
+    'AKIA[0-9A-Z]{16}',                               // AWS access key id
+    'AIza[0-9A-Za-z_-]{35}',                          // Google API key
+    'eyJ[A-Za-z0-9_-]{8,}\\.eyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}', // JWT
+    '(?<=\\bBearer\\s+)[A-Za-z0-9._~+/-]{19,}[A-Za-z0-9_~+/-]=*'
+  ].map(p => `(?:${p})`).join('|'), 'g');
+  const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+  const IBAN_RE = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g;
+  const CARD_RE = /(?<![\d+-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+  // A leading +country code or a parenthesized area code is required; bare digit groups are too ambiguous
+  const PHONE_RE = /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?|\(\d{1,4}\)[ .-]?)\d{1,12}(?:[ .-]\d{2,8}){0,5}(?!\w|[.-]\d)/g;
+
+  function digitsOf(s) {
+    return String(s).replace(/\D/g, '');
+  }
+
+  function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = digits.charCodeAt(digits.length - 1 - i) - 48;
+      if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  // ISO 13616 mod-97 check on the rearranged IBAN
+  function ibanValid(raw) {
+    const s = String(raw).replace(/ /g, '');
+    if (s.length < 15 || s.length > 34) return false;
+    const moved = s.slice(4) + s.slice(0, 4);
+    let rem = 0;
+    for (const ch of moved) {
+      const v = /[A-Z]/.test(ch) ? String(ch.charCodeAt(0) - 55) : ch;
+      for (const d of v) rem = (rem * 10 + (d.charCodeAt(0) - 48)) % 97;
+    }
+    return rem === 1;
+  }
+
+  function phoneValid(raw) {
+    const digits = digitsOf(raw);
+    if (digits.length < 7 || digits.length > 15) return false;
+    // Groups after the country code: runs of years ("2019 2020 2021") or of
+    // equal-length groups ("100-200-300") are listings, not numbers
+    const groups = String(raw).replace(/^\+\d{1,3}(?=[ .(-])/, '').match(/\d+/g) || [];
+    if (groups.length >= 2 && groups.every(g => /^(?:19|20)\d\d$/.test(g))) return false;
+    if (groups.length >= 3 && groups[0].length >= 3 && groups.every(g => g.length === groups[0].length)) return false;
+    return true;
+  }
+
+  const REDACTORS = {
+    apiKey: { re: API_KEY_RE },
+    email: { re: EMAIL_RE },
+    iban: { re: IBAN_RE, valid: ibanValid },
+    card: { re: CARD_RE, valid: (m) => luhnValid(digitsOf(m)) },
+    phone: { re: PHONE_RE, valid: phoneValid }
+  };
+
+  /**
+   * Mask sensitive values (API keys, emails, IBANs, card numbers, phone
+   * numbers) with typed placeholders such as `[EMAIL]`.
+   * `edits` lists the replaced spans in original coordinates so offsets
+   * computed on the raw text can be moved with mapRedactedOffset.
+   * @param {string} text
+   * @param {Object<string, boolean>} [types] Per-type toggles; missing keys use REDACTION_DEFAULTS
+   * @returns {{text:string, counts:Object<string, number>, total:number, edits:Array<[number, number, number]>}}
+   */
+  function redactText(text, types) {
+    const src = String(text || '');
+    const enabled = REDACTION_TYPES.filter(t => (types && typeof types[t] === 'boolean') ? types[t] : REDACTION_DEFAULTS[t]);
+    const found = [];
+    for (const type of enabled) {
+      const { re, valid } = REDACTORS[type];
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(src)) !== null) {
+        const start = m.index;
+        const end = start + m[0].length;
+        if (!m[0].length) { re.lastIndex++; continue; }
+        if (valid && !valid(m[0])) continue;
+        if (found.some(f => start < f.end && end > f.start)) continue;
+        found.push({ start, end, type });
+      }
+    }
+    found.sort((a, b) => a.start - b.start);
+    const counts = {};
+    const edits = [];
+    let out = '';
+    let pos = 0;
+    for (const f of found) {
+      const placeholder = REDACTION_PLACEHOLDERS[f.type];
+      out += src.slice(pos, f.start) + placeholder;
+      pos = f.end;
+      counts[f.type] = (counts[f.type] || 0) + 1;
+      edits.push([f.start, f.end, placeholder.length]);
+    }
+    out += src.slice(pos);
+    return { text: out, counts, total: found.length, edits };
+  }
+
+  /**
+   * Move an offset into the raw text to the matching offset in the redacted
+   * text. Offsets inside a replaced span snap to the placeholder's start
+   * (or its end when `isEnd`), so ranges keep covering the whole placeholder.
+   * @param {number} pos
+   * @param {Array<[number, number, number]>} edits From redactText
+   * @param {boolean} [isEnd]
+   * @returns {number}
+   */
+  function mapRedactedOffset(pos, edits, isEnd) {
+    let shift = 0;
+    for (const [start, end, len] of (edits || [])) {
+      if (pos <= start) break;
+      if (pos < end) return start + shift + (isEnd ? len : 0);
+      shift += len - (end - start);
+    }
+    return pos + shift;
+  }
+
+  // Near-duplicate fingerprints: 64-bit SimHash over 3-word shingles, as 16 hex chars.
+  // Pages within SIMHASH_NEAR_DISTANCE bits are treated as the same content.
+  const SIMHASH_MIN_WORDS = 50;
+  const SIMHASH_NEAR_DISTANCE = 6;
+  const SIMHASH_BANDS = 8;
+
+  // FNV-1a, 32-bit; `seed` varies the offset basis for a second independent hash
+  function fnv1a(str, seed) {
+    let h = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    // Final avalanche so nearby shingles spread over all bits
+    h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  /**
+   * SimHash fingerprint of a text, or null when it is too short to compare
+   * reliably (fewer than SIMHASH_MIN_WORDS words).
+   * @param {string} text
+   * @returns {string|null} 16 hex chars
+   */
+  function simhash(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length < SIMHASH_MIN_WORDS) return null;
+    const v = new Int32Array(64);
+    for (let i = 0; i + 2 < words.length; i++) {
+      const shingle = `${words[i]} ${words[i + 1]} ${words[i + 2]}`;
+      const hi = fnv1a(shingle, 0);
+      const lo = fnv1a(shingle, 0x5bd1e995);
+      for (let b = 0; b < 32; b++) {
+        v[b] += (hi >>> (31 - b)) & 1 ? 1 : -1;
+        v[32 + b] += (lo >>> (31 - b)) & 1 ? 1 : -1;
+      }
+    }
+    let out = '';
+    for (let nibble = 0; nibble < 16; nibble++) {
+      let n = 0;
+      for (let b = 0; b < 4; b++) n = (n << 1) | (v[nibble * 4 + b] > 0 ? 1 : 0);
+      out += n.toString(16);
+    }
+    return out;
+  }
+
+  /**
+   * Index keys for a fingerprint: eight 8-bit bands. Two fingerprints within
+   * SIMHASH_NEAR_DISTANCE (< 8) bits share at least one band.
+   * @param {string|null} fp
+   * @returns {string[]}
+   */
+  function simhashBands(fp) {
+    if (typeof fp !== 'string' || fp.length !== 16) return [];
+    const size = 16 / SIMHASH_BANDS;
+    const out = [];
+    for (let i = 0; i < SIMHASH_BANDS; i++) out.push(`${i}:${fp.slice(i * size, (i + 1) * size)}`);
+    return out;
+  }
+
+  /**
+   * Number of differing bits between two hex fingerprints (Infinity if either is missing).
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function hammingDistance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return Infinity;
+    let dist = 0;
+    for (let i = 0; i < a.length; i++) {
+      let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (x) { dist += x & 1; x >>= 1; }
+    }
+    return dist;
+  }
+
+  /**
+   * Collapse hits from near-duplicate pages (records linked by `duplicateOf`):
+   * the best-ranked page of each group keeps its hits, hits from the other
+   * copies are dropped and their URLs listed on the first kept hit as
+   * `duplicates`. Input order (rank) is preserved.
+   * @param {object[]} hits Ranked candidates with `pageId`/`duplicateOf`
+   * @returns {object[]}
+   */
+  function collapseNearDuplicates(hits) {
+    const groups = new Map(); // primary id -> { pageId, rep }
+    const out = [];
+    for (const h of hits) {
+      const key = typeof h.duplicateOf === 'number' ? h.duplicateOf : h.pageId;
+      if (key === undefined) { out.push(h); continue; }
+      const g = groups.get(key);
+      if (!g) {
+        const rep = { ...h };
+        groups.set(key, { pageId: h.pageId, rep });
+        out.push(rep);
+      } else if (g.pageId === h.pageId) {
+        out.push(h);
+      } else {
+        const dups = g.rep.duplicates || (g.rep.duplicates = []);
+        if (h.url !== g.rep.url && !dups.some(d => d.url === h.url)) dups.push({ url: h.url, title: h.title });
+      }
+    }
+    return out;
+  }
+
   scope.normalizeText = normalizeText;
   scope.stringHash = stringHash;
+  scope.extractIdentifiers = extractIdentifiers;
+  scope.containsIdentifier = containsIdentifier;
+  scope.CHUNK_DEFAULTS = CHUNK_DEFAULTS;
+  scope.chunkText = chunkText;
+  scope.isRangeSeen = isRangeSeen;
+  scope.REDACTION_TYPES = REDACTION_TYPES;
+  scope.REDACTION_DEFAULTS = REDACTION_DEFAULTS;
+  scope.redactText = redactText;
+  scope.mapRedactedOffset = mapRedactedOffset;
+  scope.SIMHASH_NEAR_DISTANCE = SIMHASH_NEAR_DISTANCE;
+  scope.simhash = simhash;
+  scope.simhashBands = simhashBands;
+  scope.hammingDistance = hammingDistance;
+  scope.collapseNearDuplicates = collapseNearDuplicates;
 })(typeof self !== 'undefined' ? self : this);
 
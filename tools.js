@@ -5,6 +5,9 @@
 export class ToolsRuntime {
   constructor(opts) {
     this.allowedUrls = opts.allowedUrls || new Set();
+    // Pages are read on first use: loadPage(url) resolves { page, text } or null.
+    // Without it, the preloaded `pages` / `pageText` are used.
+    this.loadPage = opts.loadPage || null;
     this.pageText = opts.pageText || new Map();
     this.pages = opts.pages || [];
     this.maxSlice = typeof opts.maxSlice === 'number' ? opts.maxSlice : 1200;
@@ -19,6 +22,7 @@ export class ToolsRuntime {
       fetchMore: new Map(), // url -> [{s,e,text}]
       summary: new Map(), // url -> string
       search: new Map(), // key -> json string
+      pages: new Map(), // url -> Promise<{page, text}|null>
     };
     this.calls = new Set();
   }
@@ -53,6 +57,11 @@ export class ToolsRuntime {
     }
     if (hasChunk) {
       out.chunkIndex = Math.max(0, args.chunkIndex|0);
+      // Characters of surrounding context on each side of the chunk (offset-based expansion)
+      let expand = typeof args.expand === 'number' ? (args.expand|0) : 0;
+      if (expand < 0) expand = 0;
+      if (expand > this.maxSlice) expand = this.maxSlice;
+      out.expand = expand;
     } else {
       let start = (args && typeof args.start === 'number') ? (args.start|0) : 0;
       let end = (args && typeof args.end === 'number') ? (args.end|0) : (start + this.maxSlice);
@@ -85,6 +94,16 @@ export class ToolsRuntime {
     return { ok: errors.length === 0, value: out, errors };
   }
 
+  _page(url) {
+    if (!this.cache.pages.has(url)) {
+      const entry = this.loadPage
+        ? Promise.resolve().then(() => this.loadPage(url)).catch(() => null)
+        : Promise.resolve({ page: this.pages.find(p => p.url === url) || null, text: this.pageText.get(url) || '' });
+      this.cache.pages.set(url, entry);
+    }
+    return this.cache.pages.get(url);
+  }
+
   _mergeRange(url, s, e, full) {
     if (!this.cache.fetchMore.has(url)) this.cache.fetchMore.set(url, []);
     const arr = this.cache.fetchMore.get(url);
@@ -114,17 +133,27 @@ export class ToolsRuntime {
     try {
       if (name === 'fetch_more') {
         const v = this._validateFetchMore(rawArgs);
-        if (!v.ok) throw { code: 'invalid_args', message: v.errors.join('; '), suggest: 'Provide { url, chunkIndex } or small { url, start, end } (<= maxSlice)' };
+        if (!v.ok) throw { code: 'invalid_args', message: v.errors.join('; '), suggest: 'Provide { url, chunkIndex, expand? } or small { url, start, end } (<= maxSlice)' };
         const { url } = v.value;
         if (!this.allowedUrls.has(url)) throw { code: 'disallowed', message: 'url not in memory', suggest: 'Use a URL returned by search_memory or from provided sources' };
-        const full = this.pageText.get(url) || '';
+        const entry = await this._maybeWithTimeout(this._page(url), this.toolTimeoutMs);
+        const page = entry && entry.page;
+        const full = (entry && entry.text) || '';
         let usedArgs = { url };
         if (typeof v.value.chunkIndex === 'number') {
-          const page = this.pages.find(p => p.url === url);
           const idx = v.value.chunkIndex;
-          const txt = String(page?.items?.[idx]?.text || '');
+          const item = page?.items?.[idx];
           usedArgs.chunkIndex = idx;
-          content = JSON.stringify({ ok: true, data: { text: txt }, usedArgs, suggest: 'Prefer { url, chunkIndex } for precise expansion' }); ok = true;
+          let txt = String(item?.text || '');
+          // Chunks with offsets into the page text expand precisely around the chunk
+          if (item && Number.isFinite(item.start) && Number.isFinite(item.end) && item.end <= full.length && full.slice(item.start, item.end) === item.text) {
+            const s = Math.max(0, item.start - v.value.expand);
+            const e = Math.min(full.length, item.end + v.value.expand);
+            txt = v.value.expand > 0 ? this._mergeRange(url, s, e, full) : full.slice(s, e);
+            usedArgs.expand = v.value.expand;
+            usedArgs.start = s; usedArgs.end = e;
+          }
+          content = JSON.stringify({ ok: true, data: { text: txt }, usedArgs, suggest: 'Prefer { url, chunkIndex, expand? } for precise expansion' }); ok = true;
           if (!this.usedUrls.has(url)) { this.usedUrls.add(url); this.usedUrlOrder.push(url); }
         } else {
           let start = v.value.start|0; let end = v.value.end|0;
@@ -145,7 +174,8 @@ export class ToolsRuntime {
         if (!this.allowedUrls.has(url)) throw { code: 'disallowed', message: 'url not in memory', suggest: 'Use a URL returned by search_memory or from provided sources' };
         if (this.cache.summary.has(url)) content = JSON.stringify({ ok: true, data: { summary: this.cache.summary.get(url) }, usedArgs: { url }, suggest: null });
         else {
-          const page = this.pages.find(p => p.url === url);
+          const entry = await this._maybeWithTimeout(this._page(url), this.toolTimeoutMs);
+          const page = entry && entry.page;
           const summary = (page && page.summary) ? page.summary : '';
           this.cache.summary.set(url, summary);
           content = JSON.stringify({ ok: true, data: { summary }, usedArgs: { url }, suggest: null });
@@ -0,0 +1,93 @@
+// URL canonicalization for Web Recall
+// Exposes globals on self: canonicalizeUrl, resolveCanonicalUrl
+// Works in MV3 service worker via `import './urls.js'` and in documents via <script src="urls.js"></script>
+
+(function(scope){
+  /**
+   * Canonicalize a URL by removing fragments, stripping common tracking params
+   * and sorting remaining query params.
+   * @param {string} url
+   * @returns {string}
+   */
+  function canonicalizeUrl(url) {
+    try {
+      const u = new URL(url);
+      u.hash = '';
+      const params = u.searchParams;
+      const stripPrefixes = ['utm_', 'vero_', 'ga_', 'mc_', 'sb_'];
+      const stripNames = new Set([
+        'gclid', 'fbclid', 'ref', 'ref_src', 'ref_url', '_hsmi', '_hsenc',
+        'mkt_tok', 'spm', 'igshid', 's', 'si', 'si_source', 'si_platform'
+      ]);
+      // Collect remaining params
+      const keep = [];
+      for (const [k, v] of params.entries()) {
+        const lower = k.toLowerCase();
+        if (stripNames.has(lower)) continue;
+        if (stripPrefixes.some(p => lower.startsWith(p))) continue;
+        keep.push([k, v]);
+      }
+      // Sort by key for stability
+      keep.sort((a, b) => a[0].localeCompare(b[0]));
+      // Rebuild
+      u.search = '';
+      for (const [k, v] of keep) u.searchParams.append(k, v);
+      return u.toString();
+    } catch (_) {
+      return url;
+    }
+  }
+
+  // Path segments that identify a page; `/`, trailing slashes and index files don't
+  function pathSegments(pathname) {
+    return String(pathname || '')
+      .replace(/\/index\.(?:html?|php)$/i, '/')
+      .split('/')
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether a declared canonical throws away the page's own path: it is the
+   * site root, or an ancestor of the actual path (`/blog` for `/blog/post`),
+   * while the actual URL has one. Canonicals with a query (`/?p=123`) keep
+   * their own identity and are not checked.
+   * @param {URL} declared
+   * @param {URL} actual
+   * @returns {boolean}
+   */
+  function dropsPath(declared, actual) {
+    if (declared.search) return false;
+    const own = pathSegments(actual.pathname);
+    if (own.length === 0) return false;
+    const kept = pathSegments(declared.pathname);
+    return kept.length < own.length && kept.every((seg, i) => seg === own[i]);
+  }
+
+  /**
+   * Resolve the canonical URL for a capture. A page-declared canonical
+   * (`<link rel="canonical">`) wins over URL-based canonicalization, but only
+   * when it points at the same site (ignoring a `www.` prefix) so a page cannot
+   * redirect its content into another site's record, and when it doesn't drop
+   * the page's path (dropsPath), which would merge every article into the
+   * home page or section record.
+   * @param {string} url
+   * @param {string} [declared]
+   * @returns {string}
+   */
+  function resolveCanonicalUrl(url, declared) {
+    if (declared) {
+      try {
+        const d = new URL(declared, url);
+        const u = new URL(url);
+        const bare = (h) => h.toLowerCase().replace(/^www\./, '');
+        if ((d.protocol === 'http:' || d.protocol === 'https:') && bare(d.hostname) === bare(u.hostname) && !dropsPath(d, u)) {
+          return canonicalizeUrl(d.toString());
+        }
+      } catch (_) {}
+    }
+    return canonicalizeUrl(url);
+  }
+
+  scope.canonicalizeUrl = canonicalizeUrl;
+  scope.resolveCanonicalUrl = resolveCanonicalUrl;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,194 @@
+/**
+ * Passphrase encryption for Web Recall (WebCrypto).
+ * Exposes globals on `self`: VAULT_KDF_ITERATIONS, isSealed, sealText, openText,
+ * sealRecord, openRecord, createVault, unlockVault, exportVaultKey,
+ * importVaultKey, setVaultKey, getVaultKey, isPassphraseEnvelope,
+ * encryptWithPassphrase, decryptWithPassphrase.
+ *
+ * A passphrase is stretched with PBKDF2-SHA-256 into an AES-GCM-256 key
+ * (WebCrypto has no Argon2). Sealed strings are stored as
+ *   { sealed: 1, iv: Uint8Array(12), data: ArrayBuffer }
+ * with a fresh IV per value. The vault config kept in chrome.storage.local,
+ *   { v: 1, salt, iterations, check, createdAt }
+ * holds no key: `check` is a known string sealed with it, so a wrong
+ * passphrase is caught on unlock. The key lives only in memory.
+ */
+
+(function(scope){
+  const VAULT_KDF_ITERATIONS = 600000;
+  const CHECK_TEXT = 'web-recall-vault';
+  // Text fields sealed on page versions, heads and clips; `text` of each entry in `items` too
+  const RECORD_FIELDS = ['text', 'summary', 'before', 'after', 'note'];
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  let currentKey = null;
+
+  function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  function base64ToBytes(b64) {
+    const bin = atob(String(b64 || ''));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const base = await crypto.subtle.importKey('raw', encoder.encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+    // Extractable so the worker can keep it in chrome.storage.session and hand it to the offscreen document
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      base,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  function isSealed(x) {
+    return !!x && typeof x === 'object' && x.sealed === 1 && ArrayBuffer.isView(x.iv) && (x.data instanceof ArrayBuffer || ArrayBuffer.isView(x.data));
+  }
+
+  /**
+   * Encrypt a string. Without a key, and for empty or already sealed values,
+   * the value is returned as is.
+   * @param {string} text
+   * @param {CryptoKey|null} [key] defaults to the unlocked vault key
+   * @returns {Promise<string|object>}
+   */
+  async function sealText(text, key = currentKey) {
+    if (!key || typeof text !== 'string' || text === '') return text;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+    return { sealed: 1, iv, data };
+  }
+
+  /**
+   * Decrypt a sealed value. Plain values pass through, and so do sealed ones
+   * while there is no key, so records read while locked can be written back
+   * unchanged. A wrong key rejects.
+   * @returns {Promise<string|object>}
+   */
+  async function openText(value, key = currentKey) {
+    if (!key || !isSealed(value)) return value;
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: value.iv }, key, value.data);
+    return decoder.decode(plain);
+  }
+
+  async function mapRecord(rec, fn) {
+    if (!rec || typeof rec !== 'object') return rec;
+    const out = { ...rec };
+    await Promise.all(RECORD_FIELDS.filter(f => f in out).map(async f => { out[f] = await fn(out[f]); }));
+    if (Array.isArray(rec.items)) {
+      out.items = await Promise.all(rec.items.map(async it => (it && 'text' in it) ? { ...it, text: await fn(it.text) } : it));
+    }
+    return out;
+  }
+
+  /** Copy of a version, head or clip with its text fields sealed (see RECORD_FIELDS). */
+  function sealRecord(rec, key = currentKey) {
+    return key ? mapRecord(rec, v => sealText(v, key)) : Promise.resolve(rec);
+  }
+
+  /** Copy of a record with its sealed fields opened; as is without a key. */
+  function openRecord(rec, key = currentKey) {
+    return key ? mapRecord(rec, v => openText(v, key)) : Promise.resolve(rec);
+  }
+
+  /**
+   * New vault config and its key.
+   * @returns {Promise<{config:object, key:CryptoKey}>}
+   */
+  async function createVault(passphrase, iterations = VAULT_KDF_ITERATIONS) {
+    if (!passphrase || String(passphrase).length < 8) throw new Error('Use a passphrase of at least 8 characters');
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const check = await sealText(CHECK_TEXT, key);
+    const config = {
+      v: 1,
+      salt: bytesToBase64(salt),
+      iterations,
+      check: { iv: bytesToBase64(check.iv), data: bytesToBase64(new Uint8Array(check.data)) },
+      createdAt: Date.now()
+    };
+    return { config, key };
+  }
+
+  /**
+   * Derive the key for `config` and verify it against the check value.
+   * @returns {Promise<CryptoKey>}
+   */
+  async function unlockVault(config, passphrase) {
+    if (!config || !config.salt || !config.check) throw new Error('Encryption is not enabled');
+    const key = await deriveKey(passphrase || '', base64ToBytes(config.salt), config.iterations || VAULT_KDF_ITERATIONS);
+    let check = null;
+    try {
+      check = await openText({ sealed: 1, iv: base64ToBytes(config.check.iv), data: base64ToBytes(config.check.data) }, key);
+    } catch (_) {}
+    if (check !== CHECK_TEXT) throw new Error('Wrong passphrase');
+    return key;
+  }
+
+  async function exportVaultKey(key) {
+    return bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+  }
+
+  function importVaultKey(b64) {
+    return crypto.subtle.importKey('raw', base64ToBytes(b64), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+  }
+
+  function setVaultKey(key) { currentKey = key || null; }
+  function getVaultKey() { return currentKey; }
+
+  function isPassphraseEnvelope(x) {
+    return !!x && typeof x === 'object' && x.webRecallEncrypted === 1 && typeof x.data === 'string' && typeof x.salt === 'string';
+  }
+
+  /**
+   * Encrypt a whole document (exports) under its own salt.
+   * @returns {Promise<object>} `{ webRecallEncrypted: 1, kdf, iterations, salt, iv, data }`, base64 fields
+   */
+  async function encryptWithPassphrase(text, passphrase, iterations = VAULT_KDF_ITERATIONS) {
+    if (!passphrase) throw new Error('Passphrase required');
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const sealed = await sealText(String(text), key);
+    return {
+      webRecallEncrypted: 1,
+      kdf: 'PBKDF2-SHA-256',
+      iterations,
+      salt: bytesToBase64(salt),
+      iv: bytesToBase64(sealed.iv),
+      data: bytesToBase64(new Uint8Array(sealed.data))
+    };
+  }
+
+  async function decryptWithPassphrase(envelope, passphrase) {
+    if (!isPassphraseEnvelope(envelope)) throw new Error('Not an encrypted export');
+    const key = await deriveKey(passphrase || '', base64ToBytes(envelope.salt), envelope.iterations || VAULT_KDF_ITERATIONS);
+    try {
+      return await openText({ sealed: 1, iv: base64ToBytes(envelope.iv), data: base64ToBytes(envelope.data) }, key);
+    } catch (_) {
+      throw new Error('Wrong passphrase');
+    }
+  }
+
+  scope.VAULT_KDF_ITERATIONS = VAULT_KDF_ITERATIONS;
+  scope.isSealed = isSealed;
+  scope.sealText = sealText;
+  scope.openText = openText;
+  scope.sealRecord = sealRecord;
+  scope.openRecord = openRecord;
+  scope.createVault = createVault;
+  scope.unlockVault = unlockVault;
+  scope.exportVaultKey = exportVaultKey;
+  scope.importVaultKey = importVaultKey;
+  scope.setVaultKey = setVaultKey;
+  scope.getVaultKey = getVaultKey;
+  scope.isPassphraseEnvelope = isPassphraseEnvelope;
+  scope.encryptWithPassphrase = encryptWithPassphrase;
+  scope.decryptWithPassphrase = decryptWithPassphrase;
+})(typeof self !== 'undefined' ? self : this);
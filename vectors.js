@@ -1,14 +1,178 @@
 /**
  * Vector helpers shared across background/offscreen contexts.
- * Exposes globals on `self`: cosineSimilarity, recencyWeight, computeCentroid.
+ * Exposes globals on `self`: cosineSimilarity, recencyWeight, engagementWeight, computeCentroid,
+ * VECTOR_MODES, isVector, vectorDim, vectorBytes, toFloatVector, packVector, encodeVector, decodeVector.
+ *
+ * Stored vectors take one of three forms (see packVector):
+ *   Float32Array                                  'float32'
+ *   { q: 'int8', dim, scale, data: Int8Array }    'int8', value ~ data[i] * scale
+ *   { q: 'bin', dim, scale, data: Uint8Array }    'binary', one sign bit per dimension
+ * Plain number arrays (older records, Ollama responses, queries) are accepted
+ * everywhere a vector is.
  */
 
 (function(scope){
-  function safeArray(x){ return (Array.isArray(x) ? x : null); }
+  const VECTOR_MODES = ['float32', 'int8', 'binary'];
 
+  function isPacked(x, q) {
+    return !!x && typeof x === 'object' && x.q === q && ArrayBuffer.isView(x.data) && Number.isFinite(x.dim);
+  }
+
+  function isVector(x) {
+    return Array.isArray(x) || x instanceof Float32Array || x instanceof Float64Array || isPacked(x, 'int8') || isPacked(x, 'bin');
+  }
+
+  function vectorDim(x) {
+    if (Array.isArray(x) || x instanceof Float32Array || x instanceof Float64Array) return x.length;
+    return isVector(x) ? x.dim : 0;
+  }
+
+  /** Approximate bytes a vector takes in IndexedDB (number arrays are stored as doubles). */
+  function vectorBytes(x) {
+    if (Array.isArray(x)) return x.length * 8;
+    if (ArrayBuffer.isView(x)) return x.byteLength;
+    return isVector(x) ? x.data.byteLength + 8 : 0;
+  }
+
+  function bitAt(bytes, i) {
+    return (bytes[i >> 3] >> (i & 7)) & 1;
+  }
+
+  /** Any vector as Float32Array (quantized ones dequantized); null when not a vector. */
+  function toFloatVector(x) {
+    if (x instanceof Float32Array) return x;
+    if (Array.isArray(x) || x instanceof Float64Array) return Float32Array.from(x, v => +v || 0);
+    const out = isVector(x) ? new Float32Array(x.dim) : null;
+    if (isPacked(x, 'int8')) for (let i = 0; i < x.dim; i++) out[i] = x.data[i] * x.scale;
+    else if (out) for (let i = 0; i < x.dim; i++) out[i] = bitAt(x.data, i) ? x.scale : -x.scale;
+    return out;
+  }
+
+  /**
+   * Pack a vector for storage. int8 scales by the largest magnitude; binary
+   * keeps signs and the mean magnitude. Vectors already in `mode` are returned
+   * as they are, so rewriting a record never quantizes twice.
+   * @param {any} x
+   * @param {'float32'|'int8'|'binary'} [mode]
+   */
+  function packVector(x, mode = 'float32') {
+    if (!isVector(x)) return x;
+    if (mode === 'int8') {
+      if (isPacked(x, 'int8')) return x;
+      const f = toFloatVector(x);
+      let max = 0;
+      for (let i = 0; i < f.length; i++) max = Math.max(max, Math.abs(f[i]));
+      const scale = max > 0 ? max / 127 : 1;
+      const data = new Int8Array(f.length);
+      for (let i = 0; i < f.length; i++) data[i] = Math.round(f[i] / scale);
+      return { q: 'int8', dim: f.length, scale, data };
+    }
+    if (mode === 'binary') {
+      if (isPacked(x, 'bin')) return x;
+      const f = toFloatVector(x);
+      const data = new Uint8Array(Math.ceil(f.length / 8));
+      let sum = 0;
+      for (let i = 0; i < f.length; i++) {
+        sum += Math.abs(f[i]);
+        if (f[i] > 0) data[i >> 3] |= 1 << (i & 7);
+      }
+      return { q: 'bin', dim: f.length, scale: f.length ? sum / f.length : 0, data };
+    }
+    return toFloatVector(x);
+  }
+
+  function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  function base64ToBytes(b64) {
+    const bin = atob(String(b64 || ''));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  /**
+   * JSON-safe form of a stored vector for export and messaging:
+   * `{ enc: 'f32'|'int8'|'bin', dim, scale?, b64 }` (little-endian for f32).
+   */
+  function encodeVector(x) {
+    if (!isVector(x)) return x;
+    if (isPacked(x, 'int8') || isPacked(x, 'bin')) {
+      const bytes = new Uint8Array(x.data.buffer, x.data.byteOffset, x.data.byteLength);
+      return { enc: x.q, dim: x.dim, scale: x.scale, b64: bytesToBase64(bytes) };
+    }
+    const f = toFloatVector(x);
+    const bytes = new Uint8Array(f.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < f.length; i++) view.setFloat32(i * 4, f[i], true);
+    return { enc: 'f32', dim: f.length, b64: bytesToBase64(bytes) };
+  }
+
+  /** Inverse of encodeVector; number arrays pass through, anything else is null. */
+  function decodeVector(x) {
+    if (Array.isArray(x)) return x;
+    if (!x || typeof x !== 'object' || typeof x.b64 !== 'string' || !Number.isInteger(x.dim) || x.dim <= 0) return null;
+    try {
+      const bytes = base64ToBytes(x.b64);
+      const scale = Number.isFinite(x.scale) ? x.scale : 1;
+      if (x.enc === 'int8' && bytes.length === x.dim) {
+        return { q: 'int8', dim: x.dim, scale, data: new Int8Array(bytes.buffer) };
+      }
+      if (x.enc === 'bin' && bytes.length === Math.ceil(x.dim / 8)) {
+        return { q: 'bin', dim: x.dim, scale, data: bytes };
+      }
+      if (x.enc === 'f32' && bytes.length === x.dim * 4) {
+        const view = new DataView(bytes.buffer);
+        const out = new Float32Array(x.dim);
+        for (let i = 0; i < x.dim; i++) out[i] = view.getFloat32(i * 4, true);
+        return out;
+      }
+    } catch (_) {}
+    return null;
+  }
+
+  // Dense view for scoring: numeric arrays and int8 data as they are
+  // (cosine ignores the common scale), binary as +-1
+  function denseOf(x) {
+    if (Array.isArray(x) || x instanceof Float32Array || x instanceof Float64Array) return x;
+    if (isPacked(x, 'int8')) return x.data;
+    return null;
+  }
+
+  /**
+   * Cosine similarity of any two vectors, including quantized ones, without
+   * unpacking them: int8 is scored on its integers, binary against binary by
+   * Hamming distance and binary against dense by signed sums.
+   */
   function cosineSimilarity(a, b) {
-    const va = safeArray(a); const vb = safeArray(b);
-    if (!va || !vb || va.length === 0 || vb.length === 0) return 0;
+    if (!isVector(a) || !isVector(b)) return 0;
+    const binA = isPacked(a, 'bin');
+    const binB = isPacked(b, 'bin');
+    if (binA && binB) {
+      const len = Math.min(a.dim, b.dim);
+      if (len === 0) return 0;
+      let diff = 0;
+      for (let i = 0; i < len; i++) diff += bitAt(a.data, i) ^ bitAt(b.data, i);
+      return 1 - (2 * diff) / len;
+    }
+    if (binA || binB) {
+      const bits = binA ? a : b;
+      const dense = denseOf(binA ? b : a);
+      const len = Math.min(bits.dim, dense.length);
+      let dot = 0, nd = 0;
+      for (let i = 0; i < len; i++) {
+        const di = +dense[i] || 0;
+        dot += bitAt(bits.data, i) ? di : -di;
+        nd += di * di;
+      }
+      if (nd === 0 || len === 0) return 0;
+      return dot / (Math.sqrt(nd) * Math.sqrt(len));
+    }
+    const va = denseOf(a); const vb = denseOf(b);
+    if (va.length === 0 || vb.length === 0) return 0;
     // Require equal dimension; if mismatch, use min length but guard zero-norm
     const len = Math.min(va.length, vb.length);
     let dot = 0, na = 0, nb = 0;
@@ -22,23 +186,40 @@
     return dot / (Math.sqrt(na) * Math.sqrt(nb));
   }
 
-  function recencyWeight(ts) {
+  // Visible time at which a page counts as fully read for engagement purposes
+  const READ_DWELL_MS = 3 * 60 * 1000;
+
+  /**
+   * Multiplier in [1, 1 + boost] for pages that were actually read, from the
+   * stored `{ dwellMs, scrollPct }`. Dwell dominates; scroll depth tops it up.
+   */
+  function engagementWeight(engagement, boost) {
+    const b = +boost || 0;
+    if (b <= 0 || !engagement) return 1;
+    const dwell = Math.min(1, Math.max(0, (+engagement.dwellMs || 0) / READ_DWELL_MS));
+    const scroll = Math.min(1, Math.max(0, (+engagement.scrollPct || 0) / 100));
+    return 1 + b * (0.7 * dwell + 0.3 * scroll);
+  }
+
+  // Optional engagement/boost lift the weight of pages that were actually read
+  function recencyWeight(ts, engagement, boost) {
     const WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 days
     if (!Number.isFinite(ts)) return 1;
     const age = Math.max(0, Date.now() - ts);
-    return Math.exp(-age / WINDOW);
+    return Math.exp(-age / WINDOW) * engagementWeight(engagement, boost);
   }
 
+  // Mean of the item embeddings (quantized ones dequantized) as a Float32Array
   function computeCentroid(items) {
     if (!items || items.length === 0) return null;
-    const dim = items[0]?.embedding?.length || 0;
+    const dim = vectorDim(items[0] && items[0].embedding);
     if (!dim) return null;
-    const acc = new Array(dim).fill(0);
+    const acc = new Float32Array(dim);
     let count = 0;
     for (const it of items) {
-      const e = it && it.embedding;
-      if (!Array.isArray(e) || e.length !== dim) continue;
-      for (let i = 0; i < dim; i++) acc[i] += (+e[i] || 0);
+      const e = it && vectorDim(it.embedding) === dim ? toFloatVector(it.embedding) : null;
+      if (!e) continue;
+      for (let i = 0; i < dim; i++) acc[i] += e[i];
       count++;
     }
     if (count === 0) return null;
@@ -48,5 +229,14 @@
 
   scope.cosineSimilarity = cosineSimilarity;
   scope.recencyWeight = recencyWeight;
+  scope.engagementWeight = engagementWeight;
   scope.computeCentroid = computeCentroid;
+  scope.VECTOR_MODES = VECTOR_MODES;
+  scope.isVector = isVector;
+  scope.vectorDim = vectorDim;
+  scope.vectorBytes = vectorBytes;
+  scope.toFloatVector = toFloatVector;
+  scope.packVector = packVector;
+  scope.encodeVector = encodeVector;
+  scope.decodeVector = decodeVector;
 })(typeof self !== 'undefined' ? self : this);